@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const path = require('path');
+const readline = require('readline');
+const {Network} = require('bcoin');
+const Config = require('bcfg');
+const Logger = require('blgr');
+
+const MemoryDevice = require('../lib/device/memory');
+const FileDevice = require('../lib/device/file');
+const {OfflineSigner} = require('../lib/airgap/offline');
+const {AirgapRequest, methods, urTypes} = require('../lib/airgap/request');
+const {URDecoder} = require('../lib/airgap/ur');
+const {prepareOutputData} = require('../lib/device/helpers/common');
+
+/*
+ * airgap.js
+ *
+ * runs on the offline machine, answers
+ * requests of the AIRGAP vendor using memory
+ * or file device. Requests are read from the
+ * files or as UR parts (scanned QR codes) from stdin.
+ */
+
+class CLI {
+  constructor() {
+    this.config = new Config('bsigner', {
+      alias: {
+        n: 'network',
+        v: 'vendor',
+        r: 'request',
+        y: 'yes'
+      }
+    });
+
+    this.logger = Logger.global;
+    this.signer = null;
+    this.rl = null;
+
+    this.config.load({
+      argv: true,
+      env: true
+    });
+
+    if (this.config.has('config'))
+      this.config.open(this.config.path('config'));
+  }
+
+  async open() {
+    this.logger = new Logger(this.config.str('loglevel', 'info'));
+    await this.logger.open();
+
+    if (this.config.has('help')) {
+      this.logger.info(this.help());
+      process.exit(0);
+    }
+
+    const [valid, msg] = this.validateConfig();
+    if (!valid) {
+      this.logger.error(this.help(msg));
+      process.exit(1);
+    }
+
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stderr
+    });
+
+    const network = Network.get(this.config.str('network'));
+    const device = await this.createDevice(network);
+
+    this.signer = OfflineSigner.fromOptions({
+      logger: this.logger,
+      network: network,
+      device: device,
+      confirm: (request, args) => this.confirm(request, args)
+    });
+
+    await this.signer.open();
+
+    if (this.config.bool('ur', false)) {
+      await this.handleUR();
+      return;
+    }
+
+    await this.handleFile(this.config.path('request'));
+  }
+
+  async createDevice(network) {
+    const vendor = this.config.str('vendor').toLowerCase();
+
+    if (vendor === 'memory') {
+      return MemoryDevice.fromOptions({
+        logger: this.logger,
+        network: network,
+        phrase: this.config.str('memory-phrase')
+      });
+    }
+
+    return FileDevice.fromFile(this.config.path('file-keystore'), {
+      logger: this.logger,
+      network: network,
+      passphrase: this.config.str('file-passphrase'),
+      getPassphrase: () => this.question('Keystore passphrase: ')
+    });
+  }
+
+  /*
+   * request file, response is written next to it.
+   */
+  async handleFile(file) {
+    const request = await AirgapRequest.fromFile(file);
+    const response = await this.signer.handleRequest(request);
+
+    let out = this.config.path('response');
+
+    if (!out) {
+      const name = path.basename(file).replace(/(\.request)?\.json$/, '');
+      out = path.join(path.dirname(file), `${name}.response.json`);
+    }
+
+    await response.write(out);
+
+    console.log(JSON.stringify({
+      id: response.id,
+      method: request.method,
+      response: out,
+      error: response.error
+    }, null, 2));
+  }
+
+  /*
+   * UR parts are read line by line
+   * until the request is complete.
+   */
+  async handleUR() {
+    const decoder = new URDecoder();
+
+    while (!decoder.isComplete()) {
+      const part = await this.question('');
+
+      if (!part.trim())
+        continue;
+
+      try {
+        decoder.receivePart(part);
+      } catch (e) {
+        this.logger.warning('Invalid part: %s', e.message);
+        continue;
+      }
+
+      const progress = Math.floor(decoder.getProgress() * 100);
+      this.logger.info('Received %d%% of the request.', progress);
+    }
+
+    if (decoder.type !== urTypes.REQUEST)
+      throw new Error(`Unexpected UR type "${decoder.type}".`);
+
+    const request = AirgapRequest.fromRaw(decoder.getBytes());
+    const response = await this.signer.handleRequest(request);
+    const length = this.config.uint('fragment-length', 200);
+    const encoder = response.toUR(length);
+
+    // first parts contain the whole response.
+    for (const part of encoder.getParts())
+      console.log(part);
+  }
+
+  async confirm(request, args) {
+    this.logger.info('Request %s: %s on %s.',
+      request.id, request.method, request.network.type);
+
+    switch (request.method) {
+      case methods.GET_PUBLIC_KEY:
+      case methods.GET_ADDRESS:
+        this.logger.info('Path: %s', args[0]);
+        break;
+      case methods.SIGN_MESSAGE:
+        this.logger.info('Path: %s', args[0]);
+        this.logger.info('Message: %s', args[1].toString('utf8'));
+        break;
+      case methods.GET_SIGNATURES:
+      case methods.SIGN_TRANSACTION: {
+        const [tx, , outputData] = args;
+        const change = prepareOutputData(tx, outputData);
+
+        for (const output of tx.outputs) {
+          const address = output.getAddress();
+
+          this.logger.info('Output: %s %d%s',
+            address
+              ? address.toString(request.network)
+              : output.script.toRaw().toString('hex'),
+            output.value,
+            change.has(output.toRaw()) ? ' (change)' : '');
+        }
+
+        break;
+      }
+    }
+
+    if (this.config.bool('yes', false))
+      return true;
+
+    const answer = await this.question('Sign the request? [y/N] ');
+
+    return answer.trim().toLowerCase() === 'y';
+  }
+
+  question(query) {
+    return new Promise(resolve => this.rl.question(query, resolve));
+  }
+
+  async destroy() {
+    if (this.signer)
+      await this.signer.close();
+
+    if (this.rl)
+      this.rl.close();
+  }
+
+  validateConfig() {
+    let msg = '';
+    let valid = true;
+
+    const network = this.config.str('network');
+    if (!network) {
+      msg += 'must provide network\n';
+      valid = false;
+    }
+
+    if (!['main', 'testnet', 'regtest', 'simnet'].includes(network)) {
+      msg += `invalid network: ${network}\n`;
+      valid = false;
+    }
+
+    const vendor = this.config.str('vendor', '').toLowerCase();
+
+    if (vendor === 'memory') {
+      if (!this.config.has('memory-phrase')) {
+        msg += 'must provide memory-phrase\n';
+        valid = false;
+      }
+    } else if (vendor === 'file') {
+      if (!this.config.has('file-keystore')) {
+        msg += 'must provide file-keystore\n';
+        valid = false;
+      }
+    } else {
+      msg += 'vendor must be memory or file\n';
+      valid = false;
+    }
+
+    if (!this.config.bool('ur', false) && !this.config.has('request')) {
+      msg += 'must provide request or ur\n';
+      valid = false;
+    }
+
+    return [valid, msg];
+  }
+
+  help(msg = '') {
+    return String(msg + '\n' +
+      'airgap.js - sign requests of the airgap vendor offline\n' +
+      '  --network          [-n]  - one of main,testnet,regtest,simnet\n' +
+      '  --vendor           [-v]  - memory or file\n' +
+      '  --memory-phrase          - memory vendor mnemonic\n' +
+      '  --file-keystore          - file vendor keystore\n' +
+      '  --file-passphrase        - file vendor keystore passphrase\n' +
+      '  --request          [-r]  - request file\n' +
+      '    --response             - response file, defaults to\n' +
+      '                             <name>.response.json of the request\n' +
+      '  --ur                     - read UR parts of the request from stdin\n' +
+      '    --fragment-length=200  - length of the response UR fragments\n' +
+      '  --yes              [-y]  - sign without confirmation\n' +
+      '  --log-level              - log level\n' +
+      '  --config                 - path to config file\n');
+  }
+}
+
+(async () => {
+  const cli = new CLI();
+  await cli.open();
+  await cli.destroy();
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -132,6 +132,18 @@ class CLI {
       [vendors.MEMORY]: {
         phrase: this.config.str('memory-phrase')
       },
+      [vendors.FILE]: {
+        prefix: this.config.str('file-prefix'),
+        passphrase: this.config.str('file-passphrase')
+      },
+      [vendors.AIRGAP]: {
+        dir: this.config.str('airgap-dir')
+      },
+      [vendors.REMOTE]: {
+        host: this.config.str('remote-host'),
+        port: this.config.uint('remote-port'),
+        apiKey: this.config.str('remote-api-key')
+      },
       [vendors.TREZOR]: {
         debugTrezor: this.config.bool('trezor-debug', false)
       }
@@ -194,7 +206,8 @@ class CLI {
       {
         const proofPath = `${this.path.toString()}/${sigUtils.PROOF_INDEX}/0`;
         const sigPub = await this.manager.getPublicKey(proofPath);
-        const sig = await this.manager.signMessage(proofPath, joinMessage);
+        const {signature: sig} = await this.manager.signMessage(proofPath,
+          joinMessage);
         const verify = sigUtils.verifyMessage(
           joinMessage,
           sig,
@@ -258,7 +271,8 @@ class CLI {
       {
         const proofPath = `${this.path.toString()}/${sigUtils.PROOF_INDEX}/0`;
         const sigPub = await this.manager.getPublicKey(proofPath);
-        const sig = await this.manager.signMessage(proofPath, joinMessage);
+        const {signature: sig} = await this.manager.signMessage(proofPath,
+          joinMessage);
         const verify = sigUtils.verifyMessage(
           joinMessage,
           sig,
@@ -316,7 +330,8 @@ class CLI {
         JSON.stringify(proposalOptions)
       );
 
-      const sig = await this.manager.signMessage(this.authPath, propMessage);
+      const {signature: sig} = await this.manager.signMessage(this.authPath,
+        propMessage);
 
       const walletClient = this.client.wallet(
         this.config.str('wallet'),
@@ -377,7 +392,8 @@ class CLI {
         JSON.stringify(proposal.options)
       );
 
-      const signature = await this.manager.signMessage(this.authPath, message);
+      const {signature} = await this.manager.signMessage(this.authPath,
+        message);
       const rejection = await wallet.rejectProposal(pid, {
         signature: signature.toString('hex')
       });
@@ -554,6 +570,12 @@ class CLI {
       '  --network          [-n]  - ledger or trezor\n' +
       '  --ledger-timeout=50000   - ledger timeout\n' +
       '  --memory-phrase          - memory vendor mnemonic\n' +
+      '  --file-prefix            - file vendor keystore directory\n' +
+      '  --file-passphrase        - file vendor keystore passphrase\n' +
+      '  --airgap-dir             - airgap vendor request directory\n' +
+      '  --remote-host            - remote vendor relay host\n' +
+      '  --remote-port            - remote vendor relay port\n' +
+      '  --remote-api-key         - remote vendor relay API key\n' +
       '  --get-info               - get multisig wallet info\n' +
       '    --wallet         [-w]  - wallet id\n' +
       '    --token                - authentication token\n' +
@@ -10,6 +10,8 @@ const assert = require('bsert');
 
 const Signer = require('../lib/signer');
 const {Path} = require('../lib/path');
+const {Descriptor, types} = require('../lib/descriptor');
+const {toSLIP132} = require('../lib/common');
 
 /*
  * pubkeys.js
@@ -18,6 +20,7 @@ const {Path} = require('../lib/path');
  * using bcoin and print in a json format
  * can automate the creation of watch only
  * bcoin wallets and accounts
+ * and render output descriptors
  */
 
 class CLI {
@@ -125,6 +128,11 @@ class CLI {
     this.xkey = hdpubkey.xpubkey(network.type);
 
     out.xkey = this.xkey;
+
+    // ypub, zpub, Ypub or Zpub matching the purpose
+    if (this.config.bool('slip132', false))
+      out.xkey = toSLIP132(hdpubkey, this.path.getScriptType(), network);
+
     out.publicKey = hdpubkey.publicKey.toString('hex');
 
     /*
@@ -195,6 +203,66 @@ class CLI {
       };
     }
 
+    /*
+     * output descriptors for the account
+     * with the key origin of the device
+     */
+    {
+      const fingerprint = await this.manager.getFingerprint();
+
+      const descriptors = {};
+
+      for (const [name, branch] of [['receive', 0], ['change', 1]]) {
+        descriptors[name] = {
+          legacy: toDescriptor(hdpubkey, {
+            network: network,
+            path: this.path,
+            fingerprint: fingerprint,
+            branch: branch
+          }),
+          segwit: toDescriptor(hdpubkey, {
+            network: network,
+            path: this.path,
+            fingerprint: fingerprint,
+            branch: branch,
+            witness: true
+          })
+        };
+      }
+
+      out.descriptors = descriptors;
+    }
+
+    /*
+     * get the address from the device
+     * and show it on the screen so it
+     * can be verified, multisig addresses
+     * need all of the cosigner account keys
+     */
+    if (this.config.has('show-address')) {
+      const branch = this.config.uint('branch', 0);
+      const index = this.config.uint('address-index', 0);
+      const path = Path.fromList([...this.path.toList(), branch, index]);
+
+      let multisig = null;
+
+      if (this.config.has('xpubs')) {
+        multisig = {
+          m: this.config.uint('m'),
+          pubkeys: this.config.array('xpubs').map(xpub => ({
+            xpub: xpub,
+            path: Path.fromList([branch, index])
+          }))
+        };
+      }
+
+      out.address = await this.manager.getAddress(path, {
+        type: this.config.str('script-type'),
+        multisig: multisig,
+        display: true
+      });
+    }
+
     if (this.config.has('create-wallet')) {
       const wallet = this.config.str('wallet');
 
@@ -267,6 +335,11 @@ class CLI {
       }
     }
 
+    if (this.config.has('xpubs') && !this.config.has('m')) {
+      msg += 'must pass m with xpubs\n';
+      valid = false;
+    }
+
     if (this.config.has('create-wallet')) {
       if (!this.config.has('wallet')) {
         msg += 'must pass wallet\n';
@@ -303,6 +376,13 @@ class CLI {
       '  --change-depth         - number of change addresses to render\n' +
       '  --log-level            - log level\n' +
       '  --path                 - HD node derivation path\n' +
+      '  --slip132              - render xkey with SLIP-132 version\n' +
+      '  --show-address         - verify address on the device screen\n' +
+      '    --branch             - address branch, 0 receive or 1 change\n' +
+      '    --address-index      - address index\n' +
+      '    --script-type        - script type, defaults to the path type\n' +
+      '    --xpubs              - all multisig account keys, comma list\n' +
+      '    --m                  - signatures required for multisig\n' +
       '  --index         [-i]   - bip44 account index\n' +
       '  --vendor        [-v]   - key manager, ledger or trezor\n' +
       '  --network       [-n]   - main, testnet, regtest or simnet\n' +
@@ -354,6 +434,41 @@ function toAddress(hdpubkey, options) {
   return keyring.getAddress('string', network);
 }
 
+/*
+ * Create ranged output descriptor for the
+ * account level extended public key.
+ *
+ * @param {bcoin#HDPublicKey} - hdpubkey
+ * @param {object} - options
+ * @param {bcoin#Network|String} - options.network
+ * @param {Path} - options.path - account path
+ * @param {Number} - options.fingerprint - master key fingerprint
+ * @param {Number} - options.branch
+ * @param {Boolean?} - options.witness
+ */
+function toDescriptor(hdpubkey, options) {
+  const {network, path, fingerprint, branch} = options;
+
+  assert(typeof fingerprint === 'number');
+  assert(typeof branch === 'number');
+
+  const descriptor = Descriptor.fromOptions({
+    type: options.witness ? types.WPKH : types.PKH,
+    network: network,
+    keys: [{
+      origin: {
+        fingerprint: fingerprint,
+        path: path.toList()
+      },
+      xpub: hdpubkey,
+      path: [branch],
+      wildcard: true
+    }]
+  });
+
+  return descriptor.toString();
+}
+
 (async () => {
   const cli = new CLI();
   await cli.open();
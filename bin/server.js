@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const {Network} = require('bcoin');
+const Config = require('bcfg');
+const Logger = require('blgr');
+
+const Signer = require('../lib/signer');
+const {SignerHTTP} = require('../lib/server/http');
+const {vendors} = require('../lib/common');
+
+/*
+ * server.js
+ *
+ * runs the Signer and exposes it as JSON-RPC
+ * over HTTP and WebSocket, device events are
+ * streamed to the websockets watching devices.
+ */
+
+class CLI {
+  constructor() {
+    this.config = new Config('bsigner', {
+      alias: {
+        n: 'network',
+        v: 'vendor',
+        k: 'api-key'
+      }
+    });
+
+    this.logger = Logger.global;
+    this.signer = null;
+    this.http = null;
+
+    this.config.load({
+      argv: true,
+      env: true
+    });
+
+    if (this.config.has('config'))
+      this.config.open(this.config.path('config'));
+  }
+
+  async open() {
+    this.logger = new Logger(this.config.str('loglevel', 'info'));
+    await this.logger.open();
+
+    if (this.config.has('help')) {
+      this.logger.info(this.help());
+      process.exit(0);
+    }
+
+    const [valid, msg] = this.validateConfig();
+    if (!valid) {
+      this.logger.error(this.help(msg));
+      process.exit(1);
+    }
+
+    const network = Network.get(this.config.str('network'));
+
+    this.signer = Signer.fromOptions({
+      logger: this.logger,
+      network: network,
+      vendor: this.config.array('vendor'),
+      reconnect: this.config.bool('reconnect', false),
+      [vendors.LEDGER]: {
+        timeout: this.config.uint('ledger-timeout', 50000)
+      },
+      [vendors.MEMORY]: {
+        phrase: this.config.str('memory-phrase')
+      },
+      [vendors.FILE]: {
+        prefix: this.config.str('file-prefix'),
+        passphrase: this.config.str('file-passphrase')
+      },
+      [vendors.AIRGAP]: {
+        dir: this.config.str('airgap-dir')
+      },
+      [vendors.TREZOR]: {
+        debugTrezor: this.config.bool('trezor-debug', false)
+      }
+    });
+
+    this.http = new SignerHTTP({
+      signer: this.signer,
+      logger: this.logger,
+      apiKey: this.config.str('api-key'),
+      noAuth: this.config.bool('no-auth', false),
+      cors: this.config.bool('cors', false),
+      host: this.config.str('http-host'),
+      port: this.config.uint('http-port'),
+      ssl: this.config.bool('ssl', false),
+      keyFile: this.config.path('ssl-key'),
+      certFile: this.config.path('ssl-cert')
+    });
+
+    await this.signer.open();
+    await this.http.open();
+
+    process.once('SIGINT', () => this.close());
+    process.once('SIGTERM', () => this.close());
+  }
+
+  async close() {
+    try {
+      await this.destroy();
+    } catch (e) {
+      this.logger.error(e);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  }
+
+  async destroy() {
+    if (this.http)
+      await this.http.close();
+
+    if (this.signer)
+      await this.signer.close();
+
+    await this.logger.close();
+  }
+
+  validateConfig() {
+    let msg = '';
+    let valid = true;
+
+    const network = this.config.str('network');
+    if (!network) {
+      msg += 'must provide network\n';
+      valid = false;
+    }
+
+    if (!['main', 'testnet', 'regtest', 'simnet'].includes(network)) {
+      msg += `invalid network: ${network}\n`;
+      valid = false;
+    }
+
+    if (!this.config.has('vendor')) {
+      msg += 'must provide vendor\n';
+      valid = false;
+    }
+
+    if (!this.config.has('api-key') && !this.config.bool('no-auth', false)) {
+      msg += 'must provide api-key or no-auth\n';
+      valid = false;
+    }
+
+    return [valid, msg];
+  }
+
+  help(msg = '') {
+    return String(msg + '\n' +
+      'server.js - expose the signer over http and websocket\n' +
+      '  --network          [-n]  - one of main,testnet,regtest,simnet\n' +
+      '  --vendor           [-v]  - comma separated list of vendors\n' +
+      '  --api-key          [-k]  - api key of the server\n' +
+      '  --no-auth                - do not require api key\n' +
+      '  --http-host=127.0.0.1    - listen host\n' +
+      '  --http-port              - listen port\n' +
+      '  --cors                   - allow cross origin requests\n' +
+      '  --ssl                    - use ssl\n' +
+      '    --ssl-key              - ssl key file\n' +
+      '    --ssl-cert             - ssl certificate file\n' +
+      '  --reconnect              - reselect devices when they reconnect\n' +
+      '  --ledger-timeout=50000   - ledger timeout\n' +
+      '  --memory-phrase          - memory vendor mnemonic\n' +
+      '  --file-prefix            - file vendor keystore directory\n' +
+      '  --file-passphrase        - file vendor keystore passphrase\n' +
+      '  --airgap-dir             - airgap vendor request directory\n' +
+      '  --trezor-debug           - trezor debug mode\n' +
+      '  --log-level              - log level\n' +
+      '  --config                 - path to config file\n');
+  }
+}
+
+(async () => {
+  const cli = new CLI();
+  await cli.open();
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -121,14 +121,15 @@ class CLI {
       ]
     });
 
-    const {mtx, inputData} = await prepareSign({
+    const {mtx, inputData, outputData} = await prepareSign({
       tx: tx,
       wallet: this.wallet,
       account,
       network: network
     });
 
-    const signed = await this.manager.signTransaction(mtx, inputData);
+    const signed = await this.manager.signTransaction(mtx, inputData,
+      outputData);
 
     if (!signed)
       throw new Error('problem signing transaction');
@@ -0,0 +1,188 @@
+/*!
+ * offline.js - Signer of the air-gapped requests.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Logger = require('blgr');
+const Network = require('bcoin/lib/protocol/network');
+const AbstractDevice = require('../device/abstract');
+const {
+  AirgapRequest,
+  AirgapResponse,
+  decodeParams,
+  encodeResult
+} = require('./request');
+
+/**
+ * Confirm callback, shows the request to the user.
+ * @callback airgapConfirmCallback
+ * @async
+ * @param {AirgapRequest} request
+ * @param {Array} args - decoded arguments of the method.
+ * @returns {Boolean} - false rejects the request.
+ */
+
+/**
+ * Offline Signer
+ *
+ * Runs on the offline machine, requests are
+ * passed to the device (memory or file device) and
+ * results or errors are returned as the responses.
+ * @property {AbstractDevice} device
+ * @property {Network} network
+ * @property {airgapConfirmCallback?} confirm
+ */
+
+class OfflineSigner {
+  constructor(options) {
+    this.logger = Logger.global;
+    this.network = null;
+    this.device = null;
+    this.confirm = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {AbstractDevice} options.device
+   * @param {Network|String?} options.network - defaults to the device.
+   * @param {airgapConfirmCallback?} options.confirm
+   * @returns {OfflineSigner}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(options.device instanceof AbstractDevice, 'Device is required.');
+
+    this.device = options.device;
+    this.network = this.device.network;
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('airgap-offline');
+    }
+
+    if (options.confirm != null) {
+      enforce(typeof options.confirm === 'function',
+        'options.confirm', 'function');
+      this.confirm = options.confirm;
+    }
+
+    return this;
+  }
+
+  async open() {
+    if (!this.device.opened)
+      await this.device.open();
+  }
+
+  async close() {
+    if (this.device.opened)
+      await this.device.close();
+  }
+
+  /**
+   * Handle request, errors are returned in the response.
+   * @param {AirgapRequest|Object|Buffer|String|String[]} data -
+   *  request, its JSON, raw or UR parts.
+   * @returns {Promise<AirgapResponse>}
+   */
+
+  async handleRequest(data) {
+    assert(this.device.opened, 'Device is not open.');
+
+    const request = parseRequest(data);
+    const fingerprint = await this.device.getFingerprint();
+
+    let result = null;
+    let error = null;
+
+    try {
+      result = await this.handle(request, fingerprint);
+    } catch (e) {
+      this.logger.warning('Request %s failed: %s', request.id, e.message);
+      error = e.message;
+    }
+
+    return AirgapResponse.fromOptions({
+      id: request.id,
+      fingerprint,
+      result,
+      error
+    });
+  }
+
+  /**
+   * Call the device method of the request.
+   * @private
+   * @param {AirgapRequest} request
+   * @param {Number} fingerprint
+   * @returns {Promise<Object>} - encoded result.
+   */
+
+  async handle(request, fingerprint) {
+    if (request.network.type !== this.network.type)
+      throw new Error(`Request is for ${request.network.type} network.`);
+
+    if (request.fingerprint != null && request.fingerprint !== fingerprint)
+      throw new Error('Request is for another key.');
+
+    const {method} = request;
+    const args = decodeParams(method, request.params);
+
+    if (this.confirm && !await this.confirm(request, args))
+      throw new Error('Request was rejected.');
+
+    this.logger.info('Handling request %s (%s).', request.id, method);
+
+    const result = await this.device[method](...args);
+
+    return encodeResult(method, result, this.network);
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseRequest(data) {
+  if (AirgapRequest.isAirgapRequest(data))
+    return data;
+
+  if (Buffer.isBuffer(data))
+    return AirgapRequest.fromRaw(data);
+
+  if (Array.isArray(data))
+    return AirgapRequest.fromUR(data);
+
+  if (typeof data === 'string') {
+    data = data.trim();
+
+    if (/^ur:/i.test(data))
+      return AirgapRequest.fromUR(data.split(/\s+/));
+
+    return AirgapRequest.fromJSON(JSON.parse(data));
+  }
+
+  return AirgapRequest.fromJSON(data);
+}
+
+/*
+ * Expose
+ */
+
+exports.OfflineSigner = OfflineSigner;
@@ -0,0 +1,584 @@
+/*!
+ * request.js - Air-gapped signing requests and responses.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const {dirname} = require('path');
+const fs = require('bfile');
+const Network = require('bcoin/lib/protocol/network');
+const MTX = require('bcoin/lib/primitives/mtx');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const random = require('bcrypto/lib/random');
+const {InputData} = require('../inputData');
+const {OutputData} = require('../outputData');
+const {MessageSignature} = require('../message');
+const {fingerprintToHex} = require('../psbt');
+const {UREncoder, URDecoder} = require('./ur');
+
+/*
+ * Constants
+ */
+
+const VERSION = 0;
+
+/*
+ * UR types of the payloads.
+ */
+const urTypes = {
+  REQUEST: 'bsigner-request',
+  RESPONSE: 'bsigner-response'
+};
+
+/*
+ * device methods that can be requested.
+ */
+const methods = {
+  GET_PUBLIC_KEY: 'getPublicKey',
+  GET_ADDRESS: 'getAddress',
+  GET_SIGNATURES: 'getSignatures',
+  SIGN_TRANSACTION: 'signTransaction',
+  SIGN_MESSAGE: 'signMessage'
+};
+
+/**
+ * Airgap Request
+ *
+ * Request for the offline signer, method and
+ * its parameters (JSON) for the expected device.
+ * @property {String} id - hex.
+ * @property {Network} network
+ * @property {Number?} fingerprint - expected master key.
+ * @property {String} method - see {@link methods}.
+ * @property {Object} params
+ */
+
+class AirgapRequest {
+  constructor(options) {
+    this.version = VERSION;
+    this.id = random.randomBytes(8).toString('hex');
+    this.network = Network.primary;
+    this.fingerprint = null;
+    this.method = methods.GET_PUBLIC_KEY;
+    this.params = {};
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {String?} options.id
+   * @param {Network|String?} options.network
+   * @param {Number?} options.fingerprint
+   * @param {String} options.method
+   * @param {Object} [options.params={}]
+   * @returns {AirgapRequest}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(Object.values(methods).includes(options.method),
+      `Unknown method "${options.method}".`);
+
+    this.method = options.method;
+
+    if (options.id != null) {
+      enforce(typeof options.id === 'string', 'options.id', 'string');
+      assert(/^[0-9a-f]{16}$/.test(options.id), 'Invalid request id.');
+      this.id = options.id;
+    }
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.fingerprint != null) {
+      enforce((options.fingerprint >>> 0) === options.fingerprint,
+        'options.fingerprint', 'uint32');
+      this.fingerprint = options.fingerprint;
+    }
+
+    if (options.params != null) {
+      enforce(typeof options.params === 'object',
+        'options.params', 'object');
+      this.params = options.params;
+    }
+
+    return this;
+  }
+
+  /**
+   * Inject JSON data.
+   * @param {Object} json
+   * @returns {AirgapRequest}
+   */
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'json', 'object');
+    assert(json.version === VERSION,
+      `Unsupported request version ${json.version}.`);
+    enforce(typeof json.network === 'string', 'json.network', 'string');
+
+    return this.fromOptions({
+      id: json.id,
+      network: json.network,
+      fingerprint: parseFingerprint(json.fingerprint),
+      method: json.method,
+      params: json.params
+    });
+  }
+
+  getJSON() {
+    return {
+      version: this.version,
+      id: this.id,
+      network: this.network.type,
+      fingerprint: fingerprintToJSON(this.fingerprint),
+      method: this.method,
+      params: this.params
+    };
+  }
+
+  toRaw() {
+    return Buffer.from(JSON.stringify(this.getJSON()), 'utf8');
+  }
+
+  fromRaw(data) {
+    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    return this.fromJSON(JSON.parse(data.toString('utf8')));
+  }
+
+  /**
+   * Encode as UR, parts are shown as animated QR code.
+   * @param {Number?} maxFragmentLength
+   * @returns {UREncoder}
+   */
+
+  toUR(maxFragmentLength) {
+    return UREncoder.fromBytes(urTypes.REQUEST, this.toRaw(),
+      maxFragmentLength);
+  }
+
+  /**
+   * Write request file.
+   * @param {String} file
+   * @returns {Promise}
+   */
+
+  async write(file) {
+    await writeJSON(file, this.getJSON());
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  static fromRaw(data) {
+    return new this().fromRaw(data);
+  }
+
+  /**
+   * Decode UR parts.
+   * @param {String[]|String} parts
+   * @returns {AirgapRequest}
+   */
+
+  static fromUR(parts) {
+    return this.fromRaw(decodeUR(urTypes.REQUEST, parts));
+  }
+
+  static async fromFile(file) {
+    return this.fromJSON(await fs.readJSON(file));
+  }
+
+  static isAirgapRequest(obj) {
+    return obj instanceof this;
+  }
+}
+
+/**
+ * Airgap Response
+ *
+ * Result (JSON) of the request or the error.
+ * @property {String} id - id of the request.
+ * @property {Number?} fingerprint - master key of the signer.
+ * @property {Object?} result
+ * @property {String?} error
+ */
+
+class AirgapResponse {
+  constructor(options) {
+    this.version = VERSION;
+    this.id = '';
+    this.fingerprint = null;
+    this.result = null;
+    this.error = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {String} options.id
+   * @param {Number?} options.fingerprint
+   * @param {Object?} options.result
+   * @param {String?} options.error
+   * @returns {AirgapResponse}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    enforce(typeof options.id === 'string', 'options.id', 'string');
+
+    this.id = options.id;
+
+    if (options.fingerprint != null) {
+      enforce((options.fingerprint >>> 0) === options.fingerprint,
+        'options.fingerprint', 'uint32');
+      this.fingerprint = options.fingerprint;
+    }
+
+    if (options.error != null) {
+      enforce(typeof options.error === 'string',
+        'options.error', 'string');
+      this.error = options.error;
+    } else {
+      enforce(options.result && typeof options.result === 'object',
+        'options.result', 'object');
+      this.result = options.result;
+    }
+
+    return this;
+  }
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'json', 'object');
+    assert(json.version === VERSION,
+      `Unsupported response version ${json.version}.`);
+
+    return this.fromOptions({
+      id: json.id,
+      fingerprint: parseFingerprint(json.fingerprint),
+      result: json.result,
+      error: json.error
+    });
+  }
+
+  getJSON() {
+    return {
+      version: this.version,
+      id: this.id,
+      fingerprint: fingerprintToJSON(this.fingerprint),
+      result: this.result,
+      error: this.error
+    };
+  }
+
+  toRaw() {
+    return Buffer.from(JSON.stringify(this.getJSON()), 'utf8');
+  }
+
+  fromRaw(data) {
+    enforce(Buffer.isBuffer(data), 'data', 'buffer');
+    return this.fromJSON(JSON.parse(data.toString('utf8')));
+  }
+
+  /**
+   * Encode as UR.
+   * @param {Number?} maxFragmentLength
+   * @returns {UREncoder}
+   */
+
+  toUR(maxFragmentLength) {
+    return UREncoder.fromBytes(urTypes.RESPONSE, this.toRaw(),
+      maxFragmentLength);
+  }
+
+  async write(file) {
+    await writeJSON(file, this.getJSON());
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  static fromRaw(data) {
+    return new this().fromRaw(data);
+  }
+
+  static fromUR(parts) {
+    return this.fromRaw(decodeUR(urTypes.RESPONSE, parts));
+  }
+
+  static async fromFile(file) {
+    return this.fromJSON(await fs.readJSON(file));
+  }
+
+  static isAirgapResponse(obj) {
+    return obj instanceof this;
+  }
+}
+
+/*
+ * Parameters and results of the methods.
+ */
+
+/**
+ * Encode method arguments.
+ * @param {String} method
+ * @param {Array} args - arguments of the device method.
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+function encodeParams(method, args, network) {
+  switch (method) {
+    case methods.GET_PUBLIC_KEY: {
+      const [path] = args;
+      return { path: path.toString() };
+    }
+    case methods.GET_ADDRESS: {
+      const [path, options] = args;
+      let multisig = null;
+
+      if (options.multisig) {
+        multisig = {
+          m: options.multisig.m,
+          pubkeys: options.multisig.pubkeys.map((pk) => {
+            return {
+              xpub: pk.xpub,
+              path: pk.path.toString(),
+              signature: pk.signature || null
+            };
+          })
+        };
+      }
+
+      return {
+        path: path.toString(),
+        type: options.type,
+        multisig: multisig,
+        display: options.display
+      };
+    }
+    case methods.GET_SIGNATURES:
+    case methods.SIGN_TRANSACTION: {
+      const [tx, inputData, outputData = []] = args;
+
+      return {
+        tx: tx.toRaw().toString('hex'),
+        inputData: inputData.map(data => data.getJSON(network)),
+        outputData: outputData.map(data => data.getJSON(network))
+      };
+    }
+    case methods.SIGN_MESSAGE: {
+      const [path, message, options] = args;
+
+      return {
+        path: path.toString(),
+        message: message.toString('hex'),
+        type: options.type
+      };
+    }
+  }
+
+  throw new Error(`Unknown method "${method}".`);
+}
+
+/**
+ * Decode method arguments.
+ * @param {String} method
+ * @param {Object} params
+ * @returns {Array} - arguments of the device method.
+ */
+
+function decodeParams(method, params) {
+  enforce(params && typeof params === 'object', 'params', 'object');
+
+  switch (method) {
+    case methods.GET_PUBLIC_KEY: {
+      return [params.path];
+    }
+    case methods.GET_ADDRESS: {
+      const options = {
+        type: params.type,
+        display: params.display
+      };
+
+      if (params.multisig) {
+        options.multisig = {
+          m: params.multisig.m,
+          pubkeys: params.multisig.pubkeys.map((pk) => {
+            return {
+              xpub: pk.xpub,
+              path: pk.path,
+              signature: pk.signature
+            };
+          })
+        };
+      }
+
+      return [params.path, options];
+    }
+    case methods.GET_SIGNATURES:
+    case methods.SIGN_TRANSACTION: {
+      enforce(typeof params.tx === 'string', 'params.tx', 'hex string');
+      enforce(Array.isArray(params.inputData), 'params.inputData', 'array');
+      enforce(Array.isArray(params.outputData),
+        'params.outputData', 'array');
+
+      return [
+        MTX.fromRaw(Buffer.from(params.tx, 'hex')),
+        params.inputData.map(json => InputData.fromJSON(json)),
+        params.outputData.map(json => OutputData.fromJSON(json))
+      ];
+    }
+    case methods.SIGN_MESSAGE: {
+      enforce(typeof params.message === 'string',
+        'params.message', 'hex string');
+
+      return [
+        params.path,
+        Buffer.from(params.message, 'hex'),
+        { type: params.type }
+      ];
+    }
+  }
+
+  throw new Error(`Unknown method "${method}".`);
+}
+
+/**
+ * Encode result of the method.
+ * @param {String} method
+ * @param {Object} result
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+function encodeResult(method, result, network) {
+  switch (method) {
+    case methods.GET_PUBLIC_KEY:
+      return { xpub: result.xpubkey(network) };
+    case methods.GET_ADDRESS:
+      return { address: result };
+    case methods.GET_SIGNATURES:
+      return {
+        signatures: result.map(sig => sig ? sig.toString('hex') : null)
+      };
+    case methods.SIGN_TRANSACTION:
+      return { tx: result.toRaw().toString('hex') };
+    case methods.SIGN_MESSAGE:
+      return result.getJSON();
+  }
+
+  throw new Error(`Unknown method "${method}".`);
+}
+
+/**
+ * Decode result of the method.
+ * @param {String} method
+ * @param {Object} result
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+function decodeResult(method, result, network) {
+  switch (method) {
+    case methods.GET_PUBLIC_KEY: {
+      enforce(typeof result.xpub === 'string', 'result.xpub', 'string');
+      return HDPublicKey.fromBase58(result.xpub, network);
+    }
+    case methods.GET_ADDRESS: {
+      enforce(typeof result.address === 'string',
+        'result.address', 'string');
+      return result.address;
+    }
+    case methods.GET_SIGNATURES: {
+      enforce(Array.isArray(result.signatures),
+        'result.signatures', 'array');
+
+      return result.signatures.map((sig) => {
+        if (sig == null)
+          return null;
+
+        enforce(typeof sig === 'string', 'result.signatures[i]', 'hex');
+        return Buffer.from(sig, 'hex');
+      });
+    }
+    case methods.SIGN_TRANSACTION: {
+      enforce(typeof result.tx === 'string', 'result.tx', 'hex string');
+      return MTX.fromRaw(Buffer.from(result.tx, 'hex'));
+    }
+    case methods.SIGN_MESSAGE: {
+      return MessageSignature.fromJSON(result);
+    }
+  }
+
+  throw new Error(`Unknown method "${method}".`);
+}
+
+/*
+ * Helpers
+ */
+
+function decodeUR(type, parts) {
+  const decoder = URDecoder.fromParts(parts);
+
+  if (decoder.type !== type)
+    throw new Error(`Unexpected UR type "${decoder.type}".`);
+
+  return decoder.getBytes();
+}
+
+async function writeJSON(file, json) {
+  const tmp = file + '.tmp';
+
+  await fs.mkdirp(dirname(file));
+  await fs.writeJSON(tmp, json);
+  await fs.rename(tmp, file);
+}
+
+function parseFingerprint(hex) {
+  if (hex == null)
+    return null;
+
+  enforce(typeof hex === 'string', 'fingerprint', 'string');
+  assert(/^[0-9a-f]{8}$/.test(hex), 'Fingerprint must be 4 bytes.');
+
+  return parseInt(hex, 16) >>> 0;
+}
+
+function fingerprintToJSON(fingerprint) {
+  if (fingerprint == null)
+    return null;
+
+  return fingerprintToHex(fingerprint);
+}
+
+/*
+ * Expose
+ */
+
+exports.urTypes = urTypes;
+exports.methods = methods;
+exports.AirgapRequest = AirgapRequest;
+exports.AirgapResponse = AirgapResponse;
+exports.encodeParams = encodeParams;
+exports.decodeParams = decodeParams;
+exports.encodeResult = encodeResult;
+exports.decodeResult = decodeResult;
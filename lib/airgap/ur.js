@@ -0,0 +1,953 @@
+/*!
+ * ur.js - Uniform Resources (BC-UR) encoding.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const sha256 = require('bcrypto/lib/sha256');
+
+/*
+ * Uniform Resources (BCR-2020-005), large payloads are split into
+ * fragments mixed with fountain codes (animated QR codes), any
+ * sufficient subset of the parts reconstructs the message.
+ * Parts are CBOR encoded and written as minimal bytewords
+ * (BCR-2020-012).
+ */
+
+/*
+ * Constants
+ */
+
+const WORDS = ''
+  + 'ableacidalsoapexaquaarchatomauntawayaxisbackbaldbarnbeltbetabias'
+  + 'bluebodybragbrewbulbbuzzcalmcashcatschefcityclawcodecolacookcost'
+  + 'cruxcurlcuspcyandarkdatadaysdelidicedietdoordowndrawdropdrumdull'
+  + 'dutyeacheasyechoedgeepicevenexamexiteyesfactfairfernfigsfilmfish'
+  + 'fizzflapflewfluxfoxyfreefrogfuelfundgalagamegeargemsgiftgirlglow'
+  + 'goodgraygrimgurugushgyrohalfhanghardhawkheathelphighhillholyhope'
+  + 'hornhutsicedideaidleinchinkyintoirisironitemjadejazzjoinjoltjowl'
+  + 'judojugsjumpjunkjurykeepkenokeptkeyskickkilnkingkitekiwiknoblamb'
+  + 'lavalazyleaflegsliarlimplionlistlogoloudloveluaulucklungmainmany'
+  + 'mathmazememomenumeowmildmintmissmonknailnavyneednewsnextnoonnote'
+  + 'numbobeyoboeomitonyxopenovalowlspaidpartpeckplaypluspoempoolpose'
+  + 'puffpumapurrquadquizraceramprealredorichroadrockroofrubyruinruns'
+  + 'rustsafesagascarsetssilkskewslotsoapsolosongstubsurfswantacotask'
+  + 'taxitenttiedtimetinytoiltombtoystriptunatwinuglyundouniturgeuser'
+  + 'vastveryvetovialvibeviewvisavoidvowswallwandwarmwaspwavewaxywebs'
+  + 'whatwhenwhizwolfworkyankyawnyellyogayurtzapszerozestzinczonezoom';
+
+const MIN_FRAGMENT_LENGTH = 10;
+const MAX_FRAGMENT_LENGTH = 200;
+
+const MASK64 = (1n << 64n) - 1n;
+const TWO64 = 2 ** 64;
+
+const CRC_TABLE = createCRCTable();
+const MINIMAL = createMinimal();
+
+/**
+ * Xoshiro256** PRNG seeded with sha256 of the seed,
+ * both sides of the fountain code derive the same
+ * fragment indexes from it.
+ * @private
+ */
+
+class Xoshiro {
+  constructor(seed) {
+    const digest = sha256.digest(seed);
+
+    this.s = [0n, 0n, 0n, 0n];
+
+    for (let i = 0; i < 4; i++)
+      this.s[i] = digest.readBigUInt64BE(i * 8);
+  }
+
+  next() {
+    const s = this.s;
+    const result = (rotl((s[1] * 5n) & MASK64, 7n) * 9n) & MASK64;
+    const t = (s[1] << 17n) & MASK64;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 45n);
+
+    return result;
+  }
+
+  nextDouble() {
+    return Number(this.next()) / TWO64;
+  }
+
+  nextInt(low, high) {
+    return Math.floor(this.nextDouble() * (high - low + 1)) + low;
+  }
+
+  nextByte() {
+    return this.nextInt(0, 255);
+  }
+
+  nextData(size) {
+    const data = Buffer.alloc(size);
+
+    for (let i = 0; i < size; i++)
+      data[i] = this.nextByte();
+
+    return data;
+  }
+}
+
+/**
+ * Walker's alias method sampler.
+ * @private
+ */
+
+class RandomSampler {
+  constructor(probs) {
+    const total = probs.reduce((a, b) => a + b, 0);
+    const n = probs.length;
+    const P = probs.map(p => p * n / total);
+    const small = [];
+    const large = [];
+
+    for (let i = n - 1; i >= 0; i--) {
+      if (P[i] < 1)
+        small.push(i);
+      else
+        large.push(i);
+    }
+
+    this.probs = new Array(n).fill(0);
+    this.aliases = new Array(n).fill(0);
+
+    while (small.length > 0 && large.length > 0) {
+      const a = small.pop();
+      const g = large.pop();
+
+      this.probs[a] = P[a];
+      this.aliases[a] = g;
+
+      P[g] += P[a] - 1;
+
+      if (P[g] < 1)
+        small.push(g);
+      else
+        large.push(g);
+    }
+
+    while (large.length > 0)
+      this.probs[large.pop()] = 1;
+
+    while (small.length > 0)
+      this.probs[small.pop()] = 1;
+  }
+
+  next(rng) {
+    const r1 = rng.nextDouble();
+    const r2 = rng.nextDouble();
+    const i = Math.floor(this.probs.length * r1);
+
+    return r2 < this.probs[i] ? i : this.aliases[i];
+  }
+}
+
+/**
+ * Fountain encoder, first seqLen parts are the fragments
+ * of the message, next ones are mixed (xor of the fragments).
+ * @property {Buffer[]} fragments
+ * @property {Number} messageLen
+ * @property {Number} checksum - crc32 of the message.
+ * @property {Number} seqNum - last emitted part.
+ */
+
+class FountainEncoder {
+  constructor(message, maxFragmentLength = MAX_FRAGMENT_LENGTH,
+    minFragmentLength = MIN_FRAGMENT_LENGTH) {
+    assert(Buffer.isBuffer(message), 'message must be a buffer.');
+    assert(message.length > 0, 'Message is empty.');
+    assert((maxFragmentLength >>> 0) === maxFragmentLength,
+      'Fragment length must be an integer.');
+    assert(maxFragmentLength >= minFragmentLength,
+      'Fragment length is too small.');
+
+    const length = getFragmentLength(message.length,
+      minFragmentLength, maxFragmentLength);
+
+    this.messageLen = message.length;
+    this.checksum = crc32(message);
+    this.fragments = partition(message, length);
+    this.seqNum = 0;
+  }
+
+  get seqLen() {
+    return this.fragments.length;
+  }
+
+  /**
+   * Whether message fits into a single part.
+   * @returns {Boolean}
+   */
+
+  isSinglePart() {
+    return this.seqLen === 1;
+  }
+
+  /**
+   * Get next part.
+   * @returns {Object} - seqNum, seqLen, messageLen, checksum, data.
+   */
+
+  nextPart() {
+    this.seqNum = (this.seqNum + 1) >>> 0;
+
+    const indexes = chooseFragments(this.seqNum, this.seqLen, this.checksum);
+    const data = mix(indexes.map(i => this.fragments[i]));
+
+    return {
+      seqNum: this.seqNum,
+      seqLen: this.seqLen,
+      messageLen: this.messageLen,
+      checksum: this.checksum,
+      data: data
+    };
+  }
+}
+
+/**
+ * Fountain decoder, simple (single fragment) parts are collected
+ * and mixed parts are reduced by the known ones until
+ * every fragment is recovered.
+ * @property {Buffer?} result
+ */
+
+class FountainDecoder {
+  constructor() {
+    this.seqLen = 0;
+    this.messageLen = 0;
+    this.checksum = 0;
+    this.received = new Set();
+    this.simple = new Map();
+    this.mixed = new Map();
+    this.queue = [];
+    this.result = null;
+  }
+
+  /**
+   * Whether message was recovered.
+   * @returns {Boolean}
+   */
+
+  isComplete() {
+    return this.result != null;
+  }
+
+  /**
+   * Estimated progress, recovered fragments.
+   * @returns {Number} - 0 to 1.
+   */
+
+  getProgress() {
+    if (this.isComplete())
+      return 1;
+
+    if (this.seqLen === 0)
+      return 0;
+
+    return this.simple.size / this.seqLen;
+  }
+
+  /**
+   * Add the part.
+   * @param {Object} part
+   * @returns {Boolean} - whether part was useful.
+   */
+
+  receivePart(part) {
+    if (this.isComplete())
+      return false;
+
+    if (this.seqLen === 0) {
+      assert(part.seqLen > 0, 'Invalid sequence length.');
+      this.seqLen = part.seqLen;
+      this.messageLen = part.messageLen;
+      this.checksum = part.checksum;
+    }
+
+    if (part.seqLen !== this.seqLen
+        || part.messageLen !== this.messageLen
+        || part.checksum !== this.checksum) {
+      throw new Error('Part is from another message.');
+    }
+
+    if (this.received.has(part.seqNum))
+      return false;
+
+    this.received.add(part.seqNum);
+
+    const indexes = chooseFragments(part.seqNum, this.seqLen, this.checksum);
+
+    this.queue.push({ indexes, data: part.data });
+
+    while (!this.isComplete() && this.queue.length > 0) {
+      const item = this.queue.shift();
+
+      if (item.indexes.length === 1)
+        this.processSimple(item);
+      else
+        this.processMixed(item);
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Object} item
+   */
+
+  processSimple(item) {
+    const [index] = item.indexes;
+
+    if (this.simple.has(index))
+      return;
+
+    this.simple.set(index, item.data);
+
+    if (this.simple.size === this.seqLen) {
+      const fragments = [];
+
+      for (let i = 0; i < this.seqLen; i++)
+        fragments.push(this.simple.get(i));
+
+      const message = Buffer.concat(fragments).slice(0, this.messageLen);
+
+      if (crc32(message) !== this.checksum)
+        throw new Error('Invalid message checksum.');
+
+      this.result = message;
+      return;
+    }
+
+    for (const [key, mixed] of this.mixed) {
+      const reduced = reduce(mixed, item);
+
+      if (reduced === mixed)
+        continue;
+
+      this.mixed.delete(key);
+
+      if (reduced.indexes.length === 1)
+        this.queue.push(reduced);
+      else
+        this.mixed.set(reduced.indexes.join(','), reduced);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} item
+   */
+
+  processMixed(item) {
+    if (this.mixed.has(item.indexes.join(',')))
+      return;
+
+    let reduced = item;
+
+    for (const [index, data] of this.simple)
+      reduced = reduce(reduced, { indexes: [index], data });
+
+    for (const mixed of this.mixed.values())
+      reduced = reduce(reduced, mixed);
+
+    if (reduced.indexes.length === 0)
+      return;
+
+    if (reduced.indexes.length === 1) {
+      this.queue.push(reduced);
+      return;
+    }
+
+    for (const [key, mixed] of this.mixed) {
+      const other = reduce(mixed, reduced);
+
+      if (other === mixed)
+        continue;
+
+      this.mixed.delete(key);
+
+      if (other.indexes.length === 1)
+        this.queue.push(other);
+      else
+        this.mixed.set(other.indexes.join(','), other);
+    }
+
+    this.mixed.set(reduced.indexes.join(','), reduced);
+  }
+}
+
+/**
+ * UR Encoder
+ *
+ * Encodes CBOR payload of the type as UR parts,
+ * `ur:type/bytewords` or `ur:type/seq-len/bytewords`.
+ * @property {String} type
+ * @property {FountainEncoder} fountain
+ */
+
+class UREncoder {
+  constructor(type, cbor, maxFragmentLength = MAX_FRAGMENT_LENGTH) {
+    assert(isURType(type), `Invalid UR type "${type}".`);
+    assert(Buffer.isBuffer(cbor), 'cbor must be a buffer.');
+
+    this.type = type;
+    this.cbor = cbor;
+    this.fountain = new FountainEncoder(cbor, maxFragmentLength);
+  }
+
+  /**
+   * Number of parts that carry the message without mixing.
+   * @returns {Number}
+   */
+
+  get seqLen() {
+    return this.fountain.seqLen;
+  }
+
+  /**
+   * Whether the payload fits into a single part.
+   * @returns {Boolean}
+   */
+
+  isSinglePart() {
+    return this.fountain.isSinglePart();
+  }
+
+  /**
+   * Get next part, parts after the first
+   * seqLen ones are mixed and never end.
+   * @returns {String}
+   */
+
+  nextPart() {
+    if (this.isSinglePart())
+      return encodeSinglePart(this.type, this.cbor);
+
+    const part = this.fountain.nextPart();
+    const seq = `${part.seqNum}-${part.seqLen}`;
+    const body = encodeBytewords(encodePart(part));
+
+    return `ur:${this.type}/${seq}/${body}`;
+  }
+
+  /**
+   * Get next n parts.
+   * @param {Number} [count=seqLen]
+   * @returns {String[]}
+   */
+
+  getParts(count = this.seqLen) {
+    const parts = [];
+
+    for (let i = 0; i < count; i++)
+      parts.push(this.nextPart());
+
+    return parts;
+  }
+
+  /**
+   * Encode payload (CBOR byte string) as UR.
+   * @param {String} type
+   * @param {Buffer} data
+   * @param {Number} [maxFragmentLength=200]
+   * @returns {UREncoder}
+   */
+
+  static fromBytes(type, data, maxFragmentLength) {
+    return new this(type, encodeBytes(data), maxFragmentLength);
+  }
+}
+
+/**
+ * UR Decoder
+ *
+ * Collects parts in any order (e.g. scanned QR frames).
+ * @property {String?} type
+ * @property {Buffer?} cbor
+ */
+
+class URDecoder {
+  constructor() {
+    this.type = null;
+    this.cbor = null;
+    this.fountain = new FountainDecoder();
+  }
+
+  /**
+   * Whether payload was decoded.
+   * @returns {Boolean}
+   */
+
+  isComplete() {
+    return this.cbor != null;
+  }
+
+  /**
+   * @returns {Number} - 0 to 1.
+   */
+
+  getProgress() {
+    if (this.isComplete())
+      return 1;
+
+    return this.fountain.getProgress();
+  }
+
+  /**
+   * Add the part.
+   * @param {String} str
+   * @returns {Boolean} - whether part was useful.
+   */
+
+  receivePart(str) {
+    enforce(typeof str === 'string', 'part', 'string');
+
+    if (this.isComplete())
+      return false;
+
+    const [type, components] = parseUR(str);
+
+    if (this.type != null && type !== this.type)
+      throw new Error('Part is from another UR type.');
+
+    this.type = type;
+
+    if (components.length === 1) {
+      this.cbor = decodeBytewords(components[0]);
+      return true;
+    }
+
+    if (components.length !== 2)
+      throw new Error('Invalid UR part.');
+
+    const [seqNum, seqLen] = parseSequence(components[0]);
+    const part = decodePart(decodeBytewords(components[1]));
+
+    if (part.seqNum !== seqNum || part.seqLen !== seqLen)
+      throw new Error('Invalid UR sequence.');
+
+    const useful = this.fountain.receivePart(part);
+
+    if (this.fountain.isComplete())
+      this.cbor = this.fountain.result;
+
+    return useful;
+  }
+
+  /**
+   * Get decoded payload (CBOR byte string).
+   * @returns {Buffer}
+   */
+
+  getBytes() {
+    assert(this.isComplete(), 'UR is not complete.');
+    return decodeBytes(this.cbor);
+  }
+
+  /**
+   * Decode parts.
+   * @param {String[]|String} parts
+   * @returns {URDecoder}
+   */
+
+  static fromParts(parts) {
+    if (typeof parts === 'string')
+      parts = [parts];
+
+    enforce(Array.isArray(parts), 'parts', 'array');
+
+    const decoder = new this();
+
+    for (const part of parts) {
+      decoder.receivePart(part);
+
+      if (decoder.isComplete())
+        break;
+    }
+
+    if (!decoder.isComplete())
+      throw new Error('Not enough UR parts.');
+
+    return decoder;
+  }
+}
+
+/*
+ * Bytewords
+ */
+
+function encodeBytewords(data) {
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(data), 0);
+
+  let str = '';
+
+  for (const byte of Buffer.concat([data, checksum]))
+    str += WORDS[byte * 4] + WORDS[byte * 4 + 3];
+
+  return str;
+}
+
+function decodeBytewords(str) {
+  enforce(typeof str === 'string', 'bytewords', 'string');
+
+  str = str.toLowerCase();
+
+  if (str.length < 10 || (str.length & 1) !== 0)
+    throw new Error('Invalid bytewords.');
+
+  const data = Buffer.alloc(str.length >>> 1);
+
+  for (let i = 0; i < data.length; i++) {
+    const byte = MINIMAL.get(str.slice(i * 2, i * 2 + 2));
+
+    if (byte == null)
+      throw new Error('Invalid byteword.');
+
+    data[i] = byte;
+  }
+
+  const body = data.slice(0, -4);
+
+  if (data.readUInt32BE(data.length - 4) !== crc32(body))
+    throw new Error('Invalid bytewords checksum.');
+
+  return body;
+}
+
+/*
+ * CBOR (only unsigned integers, byte strings and arrays).
+ */
+
+function encodeHeader(major, value) {
+  assert(Number.isSafeInteger(value) && value >= 0);
+  assert(value <= 0xffffffff, 'CBOR value is too big.');
+
+  const type = major << 5;
+
+  if (value < 24)
+    return Buffer.from([type | value]);
+
+  if (value <= 0xff)
+    return Buffer.from([type | 24, value]);
+
+  if (value <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = type | 25;
+    buf.writeUInt16BE(value, 1);
+    return buf;
+  }
+
+  const buf = Buffer.alloc(5);
+  buf[0] = type | 26;
+  buf.writeUInt32BE(value, 1);
+  return buf;
+}
+
+function readHeader(data, offset) {
+  if (offset >= data.length)
+    throw new Error('Invalid CBOR.');
+
+  const major = data[offset] >>> 5;
+  const info = data[offset] & 0x1f;
+
+  let value;
+  let size;
+
+  if (info < 24) {
+    value = info;
+    size = 1;
+  } else if (info === 24) {
+    value = data.readUInt8(offset + 1);
+    size = 2;
+  } else if (info === 25) {
+    value = data.readUInt16BE(offset + 1);
+    size = 3;
+  } else if (info === 26) {
+    value = data.readUInt32BE(offset + 1);
+    size = 5;
+  } else {
+    throw new Error('Unsupported CBOR value.');
+  }
+
+  return [major, value, offset + size];
+}
+
+function encodeBytes(data) {
+  assert(Buffer.isBuffer(data), 'data must be a buffer.');
+  return Buffer.concat([encodeHeader(2, data.length), data]);
+}
+
+function readBytes(data, offset) {
+  const [major, size, start] = readHeader(data, offset);
+
+  if (major !== 2 || start + size > data.length)
+    throw new Error('Invalid CBOR byte string.');
+
+  return [data.slice(start, start + size), start + size];
+}
+
+function readUInt(data, offset) {
+  const [major, value, next] = readHeader(data, offset);
+
+  if (major !== 0)
+    throw new Error('Invalid CBOR unsigned integer.');
+
+  return [value, next];
+}
+
+function decodeBytes(cbor) {
+  const [data, offset] = readBytes(cbor, 0);
+
+  if (offset !== cbor.length)
+    throw new Error('Trailing CBOR data.');
+
+  return data;
+}
+
+function encodePart(part) {
+  return Buffer.concat([
+    encodeHeader(4, 5),
+    encodeHeader(0, part.seqNum),
+    encodeHeader(0, part.seqLen),
+    encodeHeader(0, part.messageLen),
+    encodeHeader(0, part.checksum),
+    encodeBytes(part.data)
+  ]);
+}
+
+function decodePart(cbor) {
+  const [major, size, start] = readHeader(cbor, 0);
+
+  if (major !== 4 || size !== 5)
+    throw new Error('Invalid UR part.');
+
+  let offset = start;
+  const values = [];
+
+  for (let i = 0; i < 4; i++) {
+    let value;
+    [value, offset] = readUInt(cbor, offset);
+    values.push(value);
+  }
+
+  const [data, end] = readBytes(cbor, offset);
+
+  if (end !== cbor.length)
+    throw new Error('Trailing CBOR data.');
+
+  const [seqNum, seqLen, messageLen, checksum] = values;
+
+  return { seqNum, seqLen, messageLen, checksum, data };
+}
+
+/*
+ * UR
+ */
+
+function isURType(type) {
+  return typeof type === 'string' && /^[a-z0-9-]+$/.test(type);
+}
+
+function encodeSinglePart(type, cbor) {
+  return `ur:${type}/${encodeBytewords(cbor)}`;
+}
+
+function parseUR(str) {
+  str = str.trim().toLowerCase();
+
+  if (!str.startsWith('ur:'))
+    throw new Error('Invalid UR scheme.');
+
+  const [type, ...components] = str.slice(3).split('/');
+
+  if (!isURType(type))
+    throw new Error('Invalid UR type.');
+
+  if (components.length === 0)
+    throw new Error('Invalid UR part.');
+
+  return [type, components];
+}
+
+function parseSequence(str) {
+  const match = /^(\d+)-(\d+)$/.exec(str);
+
+  if (!match)
+    throw new Error('Invalid UR sequence.');
+
+  const seqNum = Number(match[1]);
+  const seqLen = Number(match[2]);
+
+  if (seqNum < 1 || seqLen < 1 || seqNum > 0xffffffff)
+    throw new Error('Invalid UR sequence.');
+
+  return [seqNum, seqLen];
+}
+
+/*
+ * Fountain codes
+ */
+
+function getFragmentLength(messageLen, minLength, maxLength) {
+  const maxCount = Math.max(1, Math.floor(messageLen / minLength));
+
+  let length = messageLen;
+
+  for (let count = 1; count <= maxCount; count++) {
+    length = Math.ceil(messageLen / count);
+
+    if (length <= maxLength)
+      break;
+  }
+
+  return length;
+}
+
+function partition(message, length) {
+  const fragments = [];
+
+  for (let i = 0; i < message.length; i += length) {
+    const fragment = Buffer.alloc(length);
+    message.copy(fragment, 0, i, i + length);
+    fragments.push(fragment);
+  }
+
+  return fragments;
+}
+
+function chooseFragments(seqNum, seqLen, checksum) {
+  if (seqNum <= seqLen)
+    return [seqNum - 1];
+
+  const seed = Buffer.alloc(8);
+  seed.writeUInt32BE(seqNum, 0);
+  seed.writeUInt32BE(checksum, 4);
+
+  const rng = new Xoshiro(seed);
+  const degree = chooseDegree(seqLen, rng);
+  const indexes = [];
+
+  for (let i = 0; i < seqLen; i++)
+    indexes.push(i);
+
+  return shuffle(indexes, rng).slice(0, degree).sort((a, b) => a - b);
+}
+
+function chooseDegree(seqLen, rng) {
+  const probs = [];
+
+  for (let i = 1; i <= seqLen; i++)
+    probs.push(1 / i);
+
+  const sampler = new RandomSampler(probs);
+
+  return sampler.next(rng) + 1;
+}
+
+function shuffle(items, rng) {
+  const remaining = items.slice();
+  const result = [];
+
+  while (remaining.length > 0) {
+    const index = rng.nextInt(0, remaining.length - 1);
+    result.push(remaining.splice(index, 1)[0]);
+  }
+
+  return result;
+}
+
+function mix(fragments) {
+  const result = Buffer.alloc(fragments[0].length);
+
+  for (const fragment of fragments) {
+    for (let i = 0; i < result.length; i++)
+      result[i] ^= fragment[i];
+  }
+
+  return result;
+}
+
+function reduce(a, b) {
+  const indexes = a.indexes.filter(i => !b.indexes.includes(i));
+
+  if (indexes.length !== a.indexes.length - b.indexes.length)
+    return a;
+
+  return {
+    indexes: indexes,
+    data: mix([a.data, b.data])
+  };
+}
+
+/*
+ * Helpers
+ */
+
+function rotl(x, k) {
+  return ((x << k) | (x >> (64n - k))) & MASK64;
+}
+
+function createCRCTable() {
+  const table = new Uint32Array(256);
+
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+
+    for (let j = 0; j < 8; j++)
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+
+    table[i] = c >>> 0;
+  }
+
+  return table;
+}
+
+function crc32(data) {
+  let crc = 0xffffffff;
+
+  for (const byte of data)
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createMinimal() {
+  const map = new Map();
+
+  for (let i = 0; i < 256; i++)
+    map.set(WORDS[i * 4] + WORDS[i * 4 + 3], i);
+
+  return map;
+}
+
+/*
+ * Expose
+ */
+
+exports.UREncoder = UREncoder;
+exports.URDecoder = URDecoder;
+exports.FountainEncoder = FountainEncoder;
+exports.FountainDecoder = FountainDecoder;
+exports.Xoshiro = Xoshiro;
+exports.encodeBytewords = encodeBytewords;
+exports.decodeBytewords = decodeBytewords;
+exports.encodeBytes = encodeBytes;
+exports.decodeBytes = decodeBytes;
+exports.chooseFragments = chooseFragments;
+exports.crc32 = crc32;
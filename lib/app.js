@@ -45,7 +45,7 @@ async function generateToken(manager, path, enc) {
  * @param {bsigner#Path?} options.path
  * @param {bcoin#Network|String} options.network
  * @param {Number|String} options.account
- * @returns {Object}
+ * @returns {Object} - mtx, inputData and outputData (change outputs).
  */
 async function prepareSign(options) {
   const {wallet} = options;
@@ -72,21 +72,28 @@ async function prepareSign(options) {
   const inputData = [];
 
   for (const [i, input] of Object.entries(tx.inputs)) {
-    const prevhash = input.prevout.txid();
-    const prevTX = await wallet.getTX(prevhash);
-    const inputTX = TX.fromRaw(prevTX.tx, 'hex');
-
     const coin = tx.view.getCoinFor(input);
 
     if (!coin)
       throw new Error('could not fetch coin');
 
-    const base = paths[i].clone();
     const address = coin.getAddress().toString(network);
     const keyinfo = await wallet.getKey(address);
 
-    if (!keyinfo)
-      throw new Error('could not fetch key info');
+    // coin does not belong to the wallet.
+    if (!keyinfo) {
+      inputData.push({
+        external: true,
+        coin: coin
+      });
+
+      continue;
+    }
+
+    const prevhash = input.prevout.txid();
+    const prevTX = await wallet.getTX(prevhash);
+    const inputTX = TX.fromRaw(prevTX.tx, 'hex');
+    const base = paths[i].clone();
 
     const {witness, branch, index} = keyinfo;
 
@@ -100,9 +107,33 @@ async function prepareSign(options) {
     inputData.push(data);
   }
 
+  // change outputs, so devices can verify them.
+  const outputData = [];
+
+  for (const output of tx.outputs) {
+    const address = output.getAddress();
+
+    if (!address || paths.length === 0)
+      continue;
+
+    const keyinfo = await wallet.getKey(address.toString(network));
+
+    if (!keyinfo || keyinfo.branch !== 1)
+      continue;
+
+    const {witness, branch, index} = keyinfo;
+
+    outputData.push({
+      output: output,
+      path: paths[0].clone().push(branch).push(index),
+      witness: witness
+    });
+  }
+
   return {
     mtx: tx,
-    inputData: inputData
+    inputData: inputData,
+    outputData: outputData
   };
 }
 
@@ -142,10 +173,19 @@ async function prepareSignMultisig(options) {
 
   const inputData = [];
   for (const [i, input] of mtx.inputs.entries()) {
+    // inputs that are not from the wallet are external.
     if (!pmtx.paths[i]) {
-      // TODO: Update after external inputs are supported
-      // or we have feature detection.
-      throw new Error('External inputs are not supported.');
+      const coin = mtx.view.getCoinFor(input);
+
+      if (coin) {
+        inputData.push({
+          external: true,
+          prevout: input.prevout,
+          coin: coin
+        });
+      }
+
+      continue;
     }
 
     const {branch, index} = pmtx.paths[i];
@@ -0,0 +1,258 @@
+/*!
+ * bip322.js - Generic signed message format (BIP322).
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Network = require('bcoin/lib/protocol/network');
+const Address = require('bcoin/lib/primitives/address');
+const Outpoint = require('bcoin/lib/primitives/outpoint');
+const Coin = require('bcoin/lib/primitives/coin');
+const TX = require('bcoin/lib/primitives/tx');
+const MTX = require('bcoin/lib/primitives/mtx');
+const Script = require('bcoin/lib/script/script');
+const Witness = require('bcoin/lib/script/witness');
+const {opcodes} = require('bcoin/lib/script/common');
+const taproot = require('./taproot');
+
+/**
+ * Proof formats.
+ * SIMPLE is the witness of the to_sign input,
+ * FULL is the whole to_sign transaction.
+ * @enum {String}
+ */
+
+const formats = {
+  SIMPLE: 'simple',
+  FULL: 'full'
+};
+
+const TAG = 'BIP0322-signed-message';
+
+/**
+ * Message hash, committed to by to_spend.
+ * @param {Buffer|String} message
+ * @returns {Buffer}
+ */
+
+function hashMessage(message) {
+  return taproot.taggedHash(TAG, parseMessage(message));
+}
+
+/**
+ * Get the message challenge (output script) of the address.
+ * @param {String} address
+ * @param {Network|String} network
+ * @returns {Script}
+ */
+
+function getScript(address, network) {
+  enforce(typeof address === 'string', 'address', 'string');
+
+  network = Network.get(network);
+
+  // bcoin does not know about bech32m.
+  const key = tryRead(() => taproot.fromAddress(address, network));
+
+  if (key)
+    return Script.fromProgram(1, key);
+
+  return Script.fromAddress(Address.fromString(address, network));
+}
+
+/**
+ * Create virtual to_spend transaction.
+ * @param {Script} script - message challenge.
+ * @param {Buffer|String} message
+ * @returns {TX}
+ */
+
+function toSpend(script, message) {
+  enforce(script instanceof Script, 'script', 'Script');
+
+  const hash = hashMessage(message);
+  const mtx = new MTX();
+
+  mtx.version = 0;
+  mtx.locktime = 0;
+
+  // OP_0 PUSH32[message_hash]
+  mtx.addInput({
+    prevout: new Outpoint(),
+    script: Script.fromRaw(Buffer.concat([Buffer.from([0x00, 0x20]), hash])),
+    sequence: 0
+  });
+
+  mtx.addOutput(script, 0);
+
+  return mtx.toTX();
+}
+
+/**
+ * Create virtual to_sign transaction, spent coin
+ * is added to the view.
+ * @param {TX} spend - to_spend transaction.
+ * @returns {MTX}
+ */
+
+function toSign(spend) {
+  enforce(spend instanceof TX, 'spend', 'TX');
+
+  const mtx = new MTX();
+
+  mtx.version = 0;
+  mtx.locktime = 0;
+
+  mtx.addInput({
+    prevout: {
+      hash: spend.hash(),
+      index: 0
+    },
+    sequence: 0
+  });
+
+  mtx.addOutput(Script.fromRaw(Buffer.from([opcodes.OP_RETURN])), 0);
+  mtx.view.addCoin(Coin.fromTX(spend, 0, -1));
+
+  return mtx;
+}
+
+/**
+ * Encode signed to_sign transaction as a proof.
+ * @param {TX} tx - signed to_sign transaction.
+ * @param {String} [format=formats.SIMPLE]
+ * @returns {String} - base64
+ */
+
+function encode(tx, format = formats.SIMPLE) {
+  switch (format) {
+    case formats.SIMPLE:
+      return tx.inputs[0].witness.toRaw().toString('base64');
+    case formats.FULL:
+      return tx.toRaw().toString('base64');
+    default:
+      throw new Error(`Unknown proof format "${format}".`);
+  }
+}
+
+/**
+ * Decode proof, format is detected from the encoding.
+ * @param {Buffer|String} proof - raw or base64.
+ * @returns {Object} - format and witness or tx.
+ */
+
+function decode(proof) {
+  const raw = parseProof(proof);
+
+  const witness = tryRead(() => Witness.fromRaw(raw));
+
+  if (witness && witness.toRaw().equals(raw))
+    return { format: formats.SIMPLE, witness, tx: null };
+
+  const tx = tryRead(() => TX.fromRaw(raw));
+
+  if (tx && tx.toRaw().equals(raw))
+    return { format: formats.FULL, witness: null, tx };
+
+  throw new Error('Invalid BIP322 proof.');
+}
+
+/**
+ * Verify BIP322 proof, only the to_sign input is supported
+ * (no proof of funds) and taproot only with the key path.
+ * @param {Script} script - message challenge.
+ * @param {Buffer|String} message
+ * @param {Buffer|String} proof - raw or base64.
+ * @returns {Boolean}
+ */
+
+function verify(script, message, proof) {
+  const spend = toSpend(script, message);
+  const {format, witness, tx} = decode(proof);
+
+  let mtx = toSign(spend);
+
+  if (format === formats.SIMPLE) {
+    mtx.inputs[0].witness = witness;
+  } else {
+    if (!isToSign(tx, mtx))
+      return false;
+
+    const view = mtx.view;
+
+    mtx = MTX.fromTX(tx);
+    mtx.view = view;
+  }
+
+  const coin = mtx.view.getOutputFor(mtx.inputs[0]);
+
+  if (taproot.isTaprootScript(coin.script)) {
+    const items = mtx.inputs[0].witness.items;
+
+    if (items.length !== 1)
+      return false;
+
+    return taproot.verifyInput(mtx, 0, [coin], items[0]);
+  }
+
+  return mtx.verifyInput(0, coin);
+}
+
+/*
+ * Helpers
+ */
+
+function isToSign(tx, expected) {
+  if (tx.inputs.length !== 1 || tx.outputs.length !== 1)
+    return false;
+
+  if (!tx.inputs[0].prevout.equals(expected.inputs[0].prevout))
+    return false;
+
+  const output = tx.outputs[0];
+
+  return output.value === 0
+    && output.script.equals(expected.outputs[0].script);
+}
+
+function tryRead(read) {
+  try {
+    return read();
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseMessage(message) {
+  if (typeof message === 'string')
+    return Buffer.from(message, 'utf8');
+
+  enforce(Buffer.isBuffer(message), 'message', 'buffer or string');
+
+  return message;
+}
+
+function parseProof(proof) {
+  if (typeof proof === 'string')
+    return Buffer.from(proof, 'base64');
+
+  enforce(Buffer.isBuffer(proof), 'proof', 'buffer or string');
+
+  return proof;
+}
+
+/*
+ * Expose
+ */
+
+exports.formats = formats;
+exports.hashMessage = hashMessage;
+exports.getScript = getScript;
+exports.toSpend = toSpend;
+exports.toSign = toSign;
+exports.encode = encode;
+exports.decode = decode;
+exports.verify = verify;
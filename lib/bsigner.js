@@ -6,6 +6,25 @@ const common = require('./common');
 const Signer = require('./signer');
 const {Path} = require('./path');
 const {InputData} = require('./inputData');
+const {OutputData} = require('./outputData');
+const {PSBT} = require('./psbt');
+const {Descriptor} = require('./descriptor');
+const {getSigningStatus} = require('./device/helpers/common');
+const {MessageSignature, verifyMessage} = require('./message');
+const {DeviceRegistry} = require('./registry');
+const {CanceledError} = require('./errors');
+const {LedgerTransport} = require('./ledger/transport');
+const {RecordTransport} = require('./ledger/record');
+const {ReplayTransport} = require('./ledger/replay');
+const {LedgerEmulator} = require('./ledger/emulator');
+const {FakeTrezorConnect} = require('./trezor/fake');
+const {Keystore} = require('./keystore');
+const {AirgapRequest, AirgapResponse} = require('./airgap/request');
+const {OfflineSigner} = require('./airgap/offline');
+const {UREncoder, URDecoder} = require('./airgap/ur');
+const {SignerHTTP} = require('./server/http');
+const {SignerRPC} = require('./server/rpc');
+const {SignerClient} = require('./server/client');
 const {
   prepareSign,
   generateToken,
@@ -18,6 +37,26 @@ const {
 exports.Signer = Signer;
 exports.Path = Path;
 exports.InputData = InputData;
+exports.OutputData = OutputData;
+exports.PSBT = PSBT;
+exports.Descriptor = Descriptor;
+exports.MessageSignature = MessageSignature;
+exports.DeviceRegistry = DeviceRegistry;
+exports.CanceledError = CanceledError;
+exports.LedgerTransport = LedgerTransport;
+exports.RecordTransport = RecordTransport;
+exports.ReplayTransport = ReplayTransport;
+exports.LedgerEmulator = LedgerEmulator;
+exports.FakeTrezorConnect = FakeTrezorConnect;
+exports.Keystore = Keystore;
+exports.AirgapRequest = AirgapRequest;
+exports.AirgapResponse = AirgapResponse;
+exports.OfflineSigner = OfflineSigner;
+exports.UREncoder = UREncoder;
+exports.URDecoder = URDecoder;
+exports.SignerHTTP = SignerHTTP;
+exports.SignerRPC = SignerRPC;
+exports.SignerClient = SignerClient;
 
 // app methods
 exports.prepareSign = prepareSign;
@@ -25,4 +64,8 @@ exports.prepareSignMultisig = prepareSignMultisig;
 exports.generateToken = generateToken;
 exports.guessPath = guessPath;
 exports.getKnownPaths = getKnownPaths;
+exports.getSigningStatus = getSigningStatus;
+exports.verifyMessage = verifyMessage;
 exports.vendors = common.vendors;
+exports.inputStatus = common.inputStatus;
+exports.interactions = common.interactions;
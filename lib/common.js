@@ -8,8 +8,11 @@
 
 const assert = require('bsert');
 const blake2b = require('bcrypto/lib/blake2b');
+const hash256 = require('bcrypto/lib/hash256');
+const base58 = require('bcrypto/lib/encoding/base58');
 const {BufferMap} = require('buffer-map');
 const network = require('bcoin/lib/protocol/networks');
+const HDPublicKey = require('bcoin/lib/hd/public');
 
 /*
  * vendors to act as backends
@@ -18,11 +21,36 @@ const network = require('bcoin/lib/protocol/networks');
 const vendors = {
   LEDGER: 'LEDGER',
   TREZOR: 'TREZOR',
-  MEMORY: 'MEMORY'
+  MEMORY: 'MEMORY',
+  FILE: 'FILE',
+  AIRGAP: 'AIRGAP',
+  REMOTE: 'REMOTE'
 };
 
 const AVAILABLE_VENDORS = new Set(Object.values(vendors));
 
+/*
+ * signing status of the transaction inputs.
+ */
+const inputStatus = {
+  SIGNED: 'SIGNED',
+  PARTIAL: 'PARTIAL',
+  UNSIGNED: 'UNSIGNED',
+  EXTERNAL: 'EXTERNAL'
+};
+
+/*
+ * user interactions with the device,
+ * emitted by devices, managers and the Signer.
+ */
+const interactions = {
+  BUTTON_REQUEST: 'button-request',
+  PIN_REQUEST: 'pin-request',
+  PASSPHRASE_REQUEST: 'passphrase-request',
+  CONFIRM_OUTPUT: 'confirm-output',
+  AIRGAP_REQUEST: 'airgap-request'
+};
+
 /**
  * Parse vendors
  * @param {Set<String>|Array<String>|String} vendor -
@@ -64,6 +92,20 @@ const bip44 = {
   hardened: 0x80000000
 };
 
+// bip48 multisig accounts: m'/48'/coin'/account'/script_type'
+const bip48 = {
+  purpose: 48,
+  scriptType: {
+    P2SH_P2WSH: 1,
+    P2WSH: 2
+  }
+};
+
+// bip86 taproot accounts: m'/86'/coin'/account'
+const bip86 = {
+  purpose: 86
+};
+
 // hardened can be
 // represented as
 // (1 << 31) >>> 0
@@ -90,8 +132,59 @@ function networkKey(type) {
   return buf;
 }
 
+/*
+ * script types of the extended public keys
+ * and addresses
+ */
+const scriptTypes = {
+  P2PKH: 'P2PKH',
+  P2SH_P2WPKH: 'P2SH_P2WPKH',
+  P2WPKH: 'P2WPKH',
+  P2SH: 'P2SH',
+  P2SH_P2WSH: 'P2SH_P2WSH',
+  P2WSH: 'P2WSH',
+  P2TR: 'P2TR'
+};
+
 // see satoshi labs slip 132 for reference
 // https://github.com/satoshilabs/slips/blob/master/slip-0132.md
+// testnet versions are shared with regtest.
+const slip132 = [{
+  // xpub, tpub
+  scriptType: scriptTypes.P2PKH,
+  purpose: 44,
+  versions: { main: 0x0488b21e, testnet: 0x043587cf }
+}, {
+  // ypub, upub
+  scriptType: scriptTypes.P2SH_P2WPKH,
+  purpose: 49,
+  versions: { main: 0x049d7cb2, testnet: 0x044a5262 }
+}, {
+  // zpub, vpub
+  scriptType: scriptTypes.P2WPKH,
+  purpose: 84,
+  versions: { main: 0x04b24746, testnet: 0x045f1cf6 }
+}, {
+  // Ypub, Upub
+  scriptType: scriptTypes.P2SH_P2WSH,
+  purpose: 48,
+  versions: { main: 0x0295b43f, testnet: 0x024289ef }
+}, {
+  // Zpub, Vpub
+  scriptType: scriptTypes.P2WSH,
+  purpose: 48,
+  versions: { main: 0x02aa7ed3, testnet: 0x02575483 }
+}];
+
+/*
+ * convert version number to a buffer
+ */
+function versionKey(version) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(version);
+  return buf;
+}
+
 const HDVersionBytes = new BufferMap([
   // xpub: m'/44'/0'
   [networkKey('main'), [
@@ -116,6 +209,156 @@ const HDVersionBytes = new BufferMap([
   ]]
 ]);
 
+/*
+ * script types of the slip 132 versions
+ */
+const HDScriptTypes = new BufferMap();
+
+for (const {scriptType, purpose, versions} of slip132) {
+  for (const [type, version] of Object.entries(versions)) {
+    const key = versionKey(version);
+
+    HDVersionBytes.set(key, [
+      harden(purpose),
+      harden(bip44.coinType[type])
+    ]);
+
+    HDScriptTypes.set(key, scriptType);
+  }
+}
+
+/*
+ * get script type of the account
+ * from the bip44 purpose, bip48 accounts
+ * use the script type index when present
+ *
+ * @param {Number[]} list - path list
+ * @returns {String}
+ */
+function getScriptType(list) {
+  assert(Array.isArray(list));
+
+  switch (list[0]) {
+    case harden(49):
+      return scriptTypes.P2SH_P2WPKH;
+    case harden(84):
+      return scriptTypes.P2WPKH;
+    case harden(86):
+      return scriptTypes.P2TR;
+    case harden(bip48.purpose):
+      if (list[3] === harden(bip48.scriptType.P2SH_P2WSH))
+        return scriptTypes.P2SH_P2WSH;
+      if (list[3] === harden(bip48.scriptType.P2WSH))
+        return scriptTypes.P2WSH;
+      break;
+  }
+
+  return scriptTypes.P2PKH;
+}
+
+/*
+ * get the slip 132 version of the
+ * script type for the network
+ *
+ * @param {String} scriptType
+ * @param {String} type - network type
+ * @returns {Number}
+ */
+function getHDVersion(scriptType, type) {
+  assert(network[type], `Unknown network "${type}".`);
+
+  // bip86 accounts use the standard version.
+  if (scriptType === scriptTypes.P2PKH || scriptType === scriptTypes.P2TR)
+    return network[type].keyPrefix.xpubkey;
+
+  assert(type !== 'simnet', 'SLIP-132 is not supported on simnet.');
+
+  const entry = slip132.find(e => e.scriptType === scriptType);
+
+  assert(entry, `Unknown script type "${scriptType}".`);
+
+  if (type === 'main')
+    return entry.versions.main;
+
+  return entry.versions.testnet;
+}
+
+/*
+ * replace the version of the
+ * serialized extended public key
+ */
+function setVersion(raw, version) {
+  assert(raw.length === 82, 'Invalid extended key length.');
+
+  const data = Buffer.from(raw.slice(0, 78));
+  data.writeUInt32BE(version, 0);
+
+  return Buffer.concat([data, hash256.digest(data).slice(0, 4)]);
+}
+
+/*
+ * encode extended public key
+ * using slip 132 version bytes
+ *
+ * @param {bcoin#HDPublicKey} hdpub
+ * @param {String} scriptType
+ * @param {bcoin#Network|String} net
+ * @returns {String}
+ */
+function toSLIP132(hdpub, scriptType, net) {
+  const type = typeof net === 'string' ? net : net.type;
+  const raw = hdpub.toRaw(type);
+
+  return base58.encode(setVersion(raw, getHDVersion(scriptType, type)));
+}
+
+/*
+ * decode extended public key
+ * with any of slip 132 version bytes
+ *
+ * @param {String|Buffer} xkey
+ * @param {bcoin#Network|String?} net
+ * @returns {Object} - hdpub and scriptType
+ */
+function fromSLIP132(xkey, net) {
+  if (typeof xkey === 'string')
+    xkey = base58.decode(xkey);
+
+  assert(Buffer.isBuffer(xkey), 'xkey must be buffer or a string.');
+  assert(xkey.length === 82, 'Invalid extended key length.');
+
+  const prefix = xkey.slice(0, 4);
+  const scriptType = HDScriptTypes.get(prefix);
+
+  if (!scriptType || scriptType === scriptTypes.P2PKH) {
+    return {
+      hdpub: HDPublicKey.fromRaw(xkey, net),
+      scriptType: scriptTypes.P2PKH
+    };
+  }
+
+  const version = prefix.readUInt32BE(0);
+  const entry = slip132.find(e => e.scriptType === scriptType);
+  const type = entry.versions.main === version ? 'main' : 'testnet';
+
+  // testnet versions are shared with regtest.
+  let target = type;
+
+  if (net != null) {
+    target = typeof net === 'string' ? net : net.type;
+
+    assert((target === 'main') === (type === 'main'),
+      'Extended key network mismatch.');
+  }
+
+  const raw = setVersion(xkey, network[target].keyPrefix.xpubkey);
+
+  return {
+    hdpub: HDPublicKey.fromRaw(raw, target),
+    scriptType: scriptType
+  };
+}
+
 /*
  * parsePath, stolen from bcoin utils
  */
@@ -187,12 +430,34 @@ function sleep(time) {
   });
 }
 
+/*
+ * Default port of the signer server,
+ * next to the wallet port of the network.
+ *
+ * @param {Network} network
+ * @returns {Number}
+ */
+function getServerPort(network) {
+  return network.walletPort + 10;
+}
+
 exports.vendors = vendors;
 exports.AVAILABLE_VENDORS = AVAILABLE_VENDORS;
+exports.inputStatus = inputStatus;
+exports.interactions = interactions;
 exports.parseVendors = parseVendors;
 exports.bip44 = bip44;
+exports.bip48 = bip48;
+exports.bip86 = bip86;
 exports.hash = hash;
 exports.parsePath = parsePath;
 exports.sleep = sleep;
+exports.getServerPort = getServerPort;
 exports.HDVersionBytes = HDVersionBytes;
+exports.HDScriptTypes = HDScriptTypes;
+exports.scriptTypes = scriptTypes;
+exports.getScriptType = getScriptType;
+exports.getHDVersion = getHDVersion;
+exports.toSLIP132 = toSLIP132;
+exports.fromSLIP132 = fromSLIP132;
 exports.harden = harden;
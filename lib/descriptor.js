@@ -0,0 +1,791 @@
+/*!
+ * descriptor.js - Output script descriptors (BIP380).
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Network = require('bcoin/lib/protocol/network');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const Address = require('bcoin/lib/primitives/address');
+const Script = require('bcoin/lib/script/script');
+const hash160 = require('bcrypto/lib/hash160');
+const {parsePath, bip44} = require('./common');
+const {Path} = require('./path');
+const {InputData} = require('./inputData');
+const {fingerprintToHex} = require('./psbt');
+
+/**
+ * Supported descriptor types.
+ * @enum {String}
+ */
+
+const types = {
+  PKH: 'pkh',
+  WPKH: 'wpkh',
+  SH_WPKH: 'sh(wpkh)',
+  SH: 'sh',
+  WSH: 'wsh',
+  SH_WSH: 'sh(wsh)'
+};
+
+const MULTISIG_TYPES = new Set([types.SH, types.WSH, types.SH_WSH]);
+const WITNESS_TYPES = new Set([types.WPKH, types.SH_WPKH,
+                               types.WSH, types.SH_WSH]);
+
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}'
+  + 'IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~'
+  + 'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// 40 bit generator split into [hi, lo].
+const GENERATOR = [
+  [0xf5, 0xdee51989],
+  [0xa9, 0xfdca3312],
+  [0x1b, 0xab10e32d],
+  [0x37, 0x06b1677a],
+  [0x64, 0x4d626ffd]
+];
+
+/**
+ * Key expression of the descriptor.
+ * @property {Object?} origin - fingerprint and path of the key.
+ * @property {Buffer?} publicKey - public key, if not extended.
+ * @property {HDPublicKey?} hdpub - extended public key.
+ * @property {Number[]} path - derivation after the extended key.
+ * @property {Boolean} wildcard - whether key ends with /*.
+ */
+
+class DescriptorKey {
+  constructor(options) {
+    this.origin = null;
+    this.publicKey = null;
+    this.hdpub = null;
+    this.path = [];
+    this.wildcard = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize key from options.
+   * @param {Object} options
+   * @param {Object?} options.origin - {fingerprint, path}.
+   * @param {Buffer?} options.publicKey
+   * @param {HDPublicKey|String?} options.xpub
+   * @param {Number[]?} options.path
+   * @param {Boolean?} options.wildcard
+   * @param {Network?} options.network
+   * @returns {DescriptorKey}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert((options.publicKey != null) !== (options.xpub != null),
+      'options.publicKey or options.xpub is required.');
+
+    if (options.origin != null) {
+      const {fingerprint, path} = options.origin;
+
+      enforce((fingerprint >>> 0) === fingerprint,
+        'options.origin.fingerprint', 'number');
+
+      let list = [];
+
+      if (path != null)
+        list = Path.isPath(path) ? path.toList() : path;
+
+      enforce(Array.isArray(list), 'options.origin.path', 'array');
+
+      this.origin = {
+        fingerprint: fingerprint,
+        path: list.slice()
+      };
+    }
+
+    if (options.publicKey != null) {
+      enforce(Buffer.isBuffer(options.publicKey),
+        'options.publicKey', 'buffer');
+      assert(isCompressed(options.publicKey),
+        'Only compressed public keys are supported.');
+      this.publicKey = options.publicKey;
+    }
+
+    if (options.xpub != null) {
+      if (typeof options.xpub === 'string')
+        this.hdpub = HDPublicKey.fromBase58(options.xpub, options.network);
+      else
+        this.hdpub = options.xpub;
+
+      assert(HDPublicKey.isHDPublicKey(this.hdpub),
+        'options.xpub must be an extended public key.');
+    }
+
+    if (options.path != null) {
+      enforce(Array.isArray(options.path), 'options.path', 'array');
+
+      for (const index of options.path) {
+        assert((index >>> 0) === index, 'Invalid derivation index.');
+        assert(!(index & bip44.hardened),
+          'Hardened derivation is not supported for public keys.');
+      }
+
+      this.path = options.path.slice();
+    }
+
+    if (options.wildcard != null) {
+      enforce(typeof options.wildcard === 'boolean',
+        'options.wildcard', 'boolean');
+      this.wildcard = options.wildcard;
+    }
+
+    assert(this.hdpub || (this.path.length === 0 && !this.wildcard),
+      'Derivation requires an extended public key.');
+
+    return this;
+  }
+
+  /**
+   * Parse key expression.
+   * @param {String} str
+   * @param {Network?} network
+   * @returns {DescriptorKey}
+   */
+
+  fromString(str, network) {
+    enforce(typeof str === 'string', 'str', 'string');
+
+    let key = str;
+
+    if (key[0] === '[') {
+      const end = key.indexOf(']');
+
+      assert(end !== -1, 'Key origin is not closed.');
+
+      const [fingerprint, ...path] = key.slice(1, end).split('/');
+
+      assert(/^[0-9a-fA-F]{8}$/.test(fingerprint),
+        'Key origin fingerprint must be 4 bytes.');
+
+      this.origin = {
+        fingerprint: parseInt(fingerprint, 16) >>> 0,
+        path: parsePath(['m', ...path].join('/'), true)
+      };
+
+      key = key.slice(end + 1);
+    }
+
+    const [base, ...path] = key.split('/');
+
+    if (/^[0-9a-fA-F]+$/.test(base)) {
+      const publicKey = Buffer.from(base, 'hex');
+
+      assert(isCompressed(publicKey),
+        'Only compressed public keys are supported.');
+      assert(path.length === 0, 'Can not derive from a public key.');
+
+      this.publicKey = publicKey;
+      return this;
+    }
+
+    this.hdpub = HDPublicKey.fromBase58(base, network);
+
+    if (path.length > 0 && path[path.length - 1].startsWith('*')) {
+      assert(path.pop() === '*',
+        'Hardened derivation is not supported for public keys.');
+      this.wildcard = true;
+    }
+
+    this.path = parsePath(['m', ...path].join('/'), false);
+
+    return this;
+  }
+
+  /**
+   * Serialize key expression.
+   * @param {Network?} network
+   * @returns {String}
+   */
+
+  toString(network) {
+    let str = '';
+
+    if (this.origin) {
+      const path = Path.fromList(this.origin.path).toString();
+
+      str += '[' + fingerprintToHex(this.origin.fingerprint);
+      str += path.slice(1) + ']';
+    }
+
+    if (this.publicKey)
+      return str + this.publicKey.toString('hex');
+
+    str += this.hdpub.xpubkey(network);
+
+    for (const index of this.path)
+      str += '/' + index;
+
+    if (this.wildcard)
+      str += '/*';
+
+    return str;
+  }
+
+  /**
+   * Get derivation path after the extended key.
+   * @param {Number} index - used with wildcard.
+   * @returns {Number[]}
+   */
+
+  getPath(index) {
+    if (!this.wildcard)
+      return this.path.slice();
+
+    enforce((index >>> 0) === index, 'index', 'number');
+    assert(!(index & bip44.hardened),
+      'Hardened derivation is not supported for public keys.');
+
+    return this.path.concat(index);
+  }
+
+  /**
+   * Get full derivation path from the master key.
+   * @param {Number} index
+   * @returns {Number[]}
+   */
+
+  getFullPath(index) {
+    assert(this.origin, 'Key origin is required for signing.');
+
+    return this.origin.path.concat(this.getPath(index));
+  }
+
+  /**
+   * Derive public key.
+   * @param {Number} index
+   * @returns {Buffer}
+   */
+
+  derive(index) {
+    if (this.publicKey)
+      return this.publicKey;
+
+    let key = this.hdpub;
+
+    for (const i of this.getPath(index))
+      key = key.derive(i);
+
+    return key.publicKey;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static fromString(str, network) {
+    return new this().fromString(str, network);
+  }
+}
+
+/**
+ * Output script descriptor.
+ * @property {String} type - see {@link types}.
+ * @property {DescriptorKey[]} keys
+ * @property {Number?} m - multisig threshold.
+ * @property {Boolean} sorted - sortedmulti.
+ * @property {Network} network
+ */
+
+class Descriptor {
+  constructor(options) {
+    this.type = types.PKH;
+    this.keys = [];
+    this.m = null;
+    this.sorted = false;
+    this.network = Network.primary;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize descriptor from options.
+   * @param {Object} options
+   * @param {String} options.type
+   * @param {Object[]|DescriptorKey[]} options.keys
+   * @param {Number?} options.m - required for multisig.
+   * @param {Boolean?} options.sorted
+   * @param {Network?} options.network
+   * @returns {Descriptor}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(Object.values(types).includes(options.type),
+      'Unknown descriptor type.');
+    enforce(Array.isArray(options.keys), 'options.keys', 'array');
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    this.type = options.type;
+    this.keys = options.keys.map((key) => {
+      if (key instanceof DescriptorKey)
+        return key;
+
+      return DescriptorKey.fromOptions({
+        network: this.network,
+        ...key
+      });
+    });
+
+    if (this.isMultisig()) {
+      enforce((options.m >>> 0) === options.m, 'options.m', 'number');
+
+      if (options.sorted != null) {
+        enforce(typeof options.sorted === 'boolean',
+          'options.sorted', 'boolean');
+        this.sorted = options.sorted;
+      }
+
+      this.m = options.m;
+    }
+
+    this.check();
+
+    return this;
+  }
+
+  /**
+   * Parse descriptor, checksum is verified when present.
+   * @param {String} str
+   * @param {Network?} network
+   * @returns {Descriptor}
+   */
+
+  fromString(str, network) {
+    enforce(typeof str === 'string', 'str', 'string');
+
+    if (network != null)
+      this.network = Network.get(network);
+
+    const [desc, checksum, ...rest] = str.trim().split('#');
+
+    assert(rest.length === 0, 'Multiple checksum separators.');
+
+    if (checksum != null)
+      assert(checksum === getChecksum(desc), 'Invalid descriptor checksum.');
+
+    let inner;
+
+    if ((inner = unwrap(desc, 'sh'))) {
+      let nested;
+
+      if ((nested = unwrap(inner, 'wsh'))) {
+        this.type = types.SH_WSH;
+        this.parseMultisig(nested);
+      } else if ((nested = unwrap(inner, 'wpkh'))) {
+        this.type = types.SH_WPKH;
+        this.keys = [this.parseKey(nested)];
+      } else {
+        this.type = types.SH;
+        this.parseMultisig(inner);
+      }
+    } else if ((inner = unwrap(desc, 'wsh'))) {
+      this.type = types.WSH;
+      this.parseMultisig(inner);
+    } else if ((inner = unwrap(desc, 'wpkh'))) {
+      this.type = types.WPKH;
+      this.keys = [this.parseKey(inner)];
+    } else if ((inner = unwrap(desc, 'pkh'))) {
+      this.type = types.PKH;
+      this.keys = [this.parseKey(inner)];
+    } else {
+      throw new Error('Unsupported descriptor.');
+    }
+
+    this.check();
+
+    return this;
+  }
+
+  /**
+   * Parse key expression.
+   * @private
+   * @param {String} str
+   * @returns {DescriptorKey}
+   */
+
+  parseKey(str) {
+    return DescriptorKey.fromString(str, this.network);
+  }
+
+  /**
+   * Parse multi or sortedmulti expression.
+   * @private
+   * @param {String} str
+   */
+
+  parseMultisig(str) {
+    let inner = unwrap(str, 'sortedmulti');
+
+    this.sorted = inner != null;
+
+    if (!this.sorted)
+      inner = unwrap(str, 'multi');
+
+    assert(inner != null, 'Expected multi or sortedmulti.');
+
+    const [m, ...keys] = inner.split(',');
+
+    assert(/^\d+$/.test(m), 'Invalid multisig threshold.');
+
+    this.m = parseInt(m, 10);
+    this.keys = keys.map(key => this.parseKey(key));
+  }
+
+  /**
+   * Verify descriptor.
+   * @private
+   * @throws {Error}
+   */
+
+  check() {
+    if (!this.isMultisig()) {
+      assert(this.keys.length === 1, 'Descriptor requires one key.');
+      return;
+    }
+
+    const n = this.keys.length;
+
+    assert(this.m >= 1 && this.m <= n, 'm must be between 1 and n.');
+    assert(n <= 15, 'Multisig supports up to 15 keys.');
+  }
+
+  /**
+   * Serialize descriptor with checksum.
+   * @returns {String}
+   */
+
+  toString() {
+    const keys = this.keys.map(key => key.toString(this.network));
+
+    let inner = keys[0];
+
+    if (this.isMultisig()) {
+      const name = this.sorted ? 'sortedmulti' : 'multi';
+      inner = `${name}(${[this.m, ...keys].join(',')})`;
+    }
+
+    let desc;
+
+    switch (this.type) {
+      case types.PKH:
+        desc = `pkh(${inner})`;
+        break;
+      case types.WPKH:
+        desc = `wpkh(${inner})`;
+        break;
+      case types.SH_WPKH:
+        desc = `sh(wpkh(${inner}))`;
+        break;
+      case types.SH:
+        desc = `sh(${inner})`;
+        break;
+      case types.WSH:
+        desc = `wsh(${inner})`;
+        break;
+      case types.SH_WSH:
+        desc = `sh(wsh(${inner}))`;
+        break;
+    }
+
+    return desc + '#' + getChecksum(desc);
+  }
+
+  /**
+   * Whether descriptor is multisig.
+   * @returns {Boolean}
+   */
+
+  isMultisig() {
+    return MULTISIG_TYPES.has(this.type);
+  }
+
+  /**
+   * Whether descriptor uses witness programs.
+   * @returns {Boolean}
+   */
+
+  isWitness() {
+    return WITNESS_TYPES.has(this.type);
+  }
+
+  /**
+   * Whether witness program is nested in P2SH.
+   * @returns {Boolean}
+   */
+
+  isNested() {
+    return this.type === types.SH_WPKH || this.type === types.SH_WSH;
+  }
+
+  /**
+   * Whether descriptor has wildcard keys.
+   * @returns {Boolean}
+   */
+
+  isRange() {
+    return this.keys.some(key => key.wildcard);
+  }
+
+  /**
+   * Get multisig script, keys are kept
+   * in the descriptor order unless sorted.
+   * @param {Number} index
+   * @returns {Script}
+   */
+
+  getMultisigScript(index) {
+    assert(this.isMultisig(), 'Descriptor is not multisig.');
+
+    const keys = this.keys.map(key => key.derive(index));
+
+    if (this.sorted)
+      return Script.fromMultisig(this.m, keys.length, keys);
+
+    const script = new Script();
+
+    script.pushSmall(this.m);
+
+    for (const key of keys)
+      script.pushData(key);
+
+    script.pushSmall(keys.length);
+    script.pushOp(Script.opcodes.OP_CHECKMULTISIG);
+    script.compile();
+
+    return script;
+  }
+
+  /**
+   * Get output script for the derivation index.
+   * @param {Number} [index=0]
+   * @returns {Script}
+   */
+
+  getScript(index = 0) {
+    if (!this.isMultisig()) {
+      const hash = hash160.digest(this.keys[0].derive(index));
+
+      switch (this.type) {
+        case types.PKH:
+          return Script.fromPubkeyhash(hash);
+        case types.WPKH:
+          return Script.fromProgram(0, hash);
+        case types.SH_WPKH:
+          return Script.fromScripthash(
+            Script.fromProgram(0, hash).hash160());
+      }
+    }
+
+    const script = this.getMultisigScript(index);
+
+    switch (this.type) {
+      case types.SH:
+        return Script.fromScripthash(script.hash160());
+      case types.WSH:
+        return Script.fromProgram(0, script.sha256());
+      case types.SH_WSH:
+        return Script.fromScripthash(
+          Script.fromProgram(0, script.sha256()).hash160());
+    }
+
+    throw new Error('Unknown descriptor type.');
+  }
+
+  /**
+   * Get address for the derivation index.
+   * @param {Number} [index=0]
+   * @returns {String}
+   */
+
+  getAddress(index = 0) {
+    const script = this.getScript(index);
+
+    return Address.fromScript(script).toString(this.network);
+  }
+
+  /**
+   * Get the key used for signing.
+   * @param {Number?} fingerprint - master fingerprint, needed for multisig.
+   * @returns {DescriptorKey}
+   */
+
+  getSigningKey(fingerprint) {
+    if (!this.isMultisig())
+      return this.keys[0];
+
+    enforce((fingerprint >>> 0) === fingerprint, 'fingerprint', 'number');
+
+    const key = this.keys.find((key) => {
+      return key.origin && key.origin.fingerprint === fingerprint;
+    });
+
+    assert(key, 'Could not find key with the fingerprint.');
+
+    return key;
+  }
+
+  /**
+   * Create InputData for the output derived at index.
+   * Remaining options are passed to InputData.
+   * @param {Object} options
+   * @param {Number} [options.index=0] - derivation index.
+   * @param {Number?} options.fingerprint - master fingerprint of the
+   *  signer, needed for multisig.
+   * @returns {InputData}
+   */
+
+  toInputData(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    const {index = 0, fingerprint, ...rest} = options;
+    const key = this.getSigningKey(fingerprint);
+
+    let multisig = null;
+
+    if (this.isMultisig()) {
+      const keys = this.keys.map(key => key.derive(index));
+      const sorted = keys.slice().sort(Buffer.compare);
+
+      // devices always sort multisig keys.
+      assert(this.sorted || keys.every((key, i) => key.equals(sorted[i])),
+        'Unsorted multisig keys are not supported for signing.');
+
+      multisig = {
+        m: this.m,
+        pubkeys: this.keys.map((key) => {
+          assert(key.hdpub, 'Multisig keys must be extended public keys.');
+
+          return {
+            xpub: key.hdpub.xpubkey(this.network),
+            path: key.getPath(index),
+            signature: ''
+          };
+        })
+      };
+    }
+
+    const inputData = InputData.fromOptions({
+      ...rest,
+      path: key.getFullPath(index),
+      witness: this.isWitness(),
+      multisig: multisig
+    });
+
+    assert(inputData.output.script.equals(this.getScript(index)),
+      'Descriptor does not match the input.');
+
+    return inputData;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static fromString(str, network) {
+    return new this().fromString(str, network);
+  }
+
+  static isDescriptor(object) {
+    return object instanceof this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function unwrap(str, name) {
+  if (!str.startsWith(name + '(') || str[str.length - 1] !== ')')
+    return null;
+
+  return str.slice(name.length + 1, -1);
+}
+
+function isCompressed(key) {
+  return key.length === 33 && (key[0] === 0x02 || key[0] === 0x03);
+}
+
+function polymod(c, value) {
+  const [hi, lo] = c;
+  const c0 = hi >>> 3;
+
+  let nhi = ((hi & 0x07) << 5) | (lo >>> 27);
+  let nlo = ((lo << 5) | value) >>> 0;
+
+  for (let i = 0; i < 5; i++) {
+    if ((c0 >>> i) & 1) {
+      nhi ^= GENERATOR[i][0];
+      nlo = (nlo ^ GENERATOR[i][1]) >>> 0;
+    }
+  }
+
+  return [nhi, nlo];
+}
+
+/**
+ * Compute descriptor checksum.
+ * @param {String} desc - descriptor without checksum.
+ * @returns {String}
+ */
+
+function getChecksum(desc) {
+  enforce(typeof desc === 'string', 'desc', 'string');
+
+  let c = [0, 1];
+  let cls = 0;
+  let count = 0;
+
+  for (const ch of desc) {
+    const pos = INPUT_CHARSET.indexOf(ch);
+
+    assert(pos !== -1, `Invalid character in descriptor: ${ch}`);
+
+    c = polymod(c, pos & 31);
+    cls = cls * 3 + (pos >>> 5);
+
+    if (++count === 3) {
+      c = polymod(c, cls);
+      cls = 0;
+      count = 0;
+    }
+  }
+
+  if (count > 0)
+    c = polymod(c, cls);
+
+  for (let i = 0; i < 8; i++)
+    c = polymod(c, 0);
+
+  const value = c[0] * 0x100000000 + ((c[1] ^ 1) >>> 0);
+
+  let checksum = '';
+
+  for (let i = 0; i < 8; i++) {
+    const shift = Math.pow(2, 5 * (7 - i));
+    checksum += CHECKSUM_CHARSET[Math.floor(value / shift) % 32];
+  }
+
+  return checksum;
+}
+
+exports.types = types;
+exports.getChecksum = getChecksum;
+exports.DescriptorKey = DescriptorKey;
+exports.Descriptor = Descriptor;
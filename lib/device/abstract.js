@@ -6,13 +6,29 @@
 'use strict';
 
 const assert = require('bsert');
+const EventEmitter = require('events');
 const Network = require('bcoin/lib/protocol/network');
+const MTX = require('bcoin/lib/primitives/mtx');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const MultisigMTX = require('bmultisig/lib/primitives/mtx');
 const {custom} = require('../internal/custom');
-
-class AbstractDevice {
+const {RequestQueue} = require('../queue');
+const {Path} = require('../path');
+const {toSLIP132, scriptTypes, interactions} = require('../common');
+const {InputData} = require('../inputData');
+const {PSBT, getFingerprint} = require('../psbt');
+const bip322 = require('../bip322');
+const {CanceledError, cancelReasons} = require('../errors');
+const common = require('./helpers/common');
+
+class AbstractDevice extends EventEmitter {
   constructor(options) {
+    super();
+
     this.destroyed = false;
     this.network = Network.primary;
+    this._fingerprint = null;
+    this.queue = new RequestQueue();
 
     if (options)
       this.fromOptions(options);
@@ -110,6 +126,189 @@ class AbstractDevice {
       + '>';
   }
 
+  /**
+   * Emit user interaction, device waits for the user
+   * (confirm on the device, enter PIN or passphrase).
+   * Event is emitted by its type and as `interaction`.
+   * @param {String} type - see {@link interactions}.
+   * @param {Object} [details={}] - vendor specific details.
+   */
+
+  interact(type, details = {}) {
+    assert(Object.values(interactions).includes(type),
+      `Unknown interaction "${type}".`);
+
+    this.logger.debug('Waiting for the user: %s', type);
+
+    this.emit(type, details);
+    this.emit('interaction', type, details);
+  }
+
+  /*
+   * Queue
+   */
+
+  /**
+   * Number of requests for the device,
+   * including the running one.
+   * @returns {Number}
+   */
+
+  get queueDepth() {
+    return this.queue.size;
+  }
+
+  /**
+   * Get names of the running and queued requests.
+   * @returns {Object} - current (name or null) and pending names.
+   */
+
+  getQueue() {
+    return {
+      current: this.queue.current,
+      pending: this.queue.jobs.map(job => job.name)
+    };
+  }
+
+  /**
+   * Run request when previous requests to the device are done,
+   * so their exchanges with the device do not interleave.
+   * Request can be aborted using the signal or time out, queued
+   * request is removed from the queue and running request is
+   * canceled on the device if the vendor supports it.
+   * @private
+   * @param {String} name - request name (method).
+   * @param {Function} fn - async request.
+   * @param {Object} [options={}]
+   * @param {AbortSignal?} options.signal
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {Promise}
+   * @throws {CanceledError}
+   */
+
+  async enqueue(name, fn, options) {
+    const {signal, timeout} = common.parseRequestOptions(options);
+
+    if (signal && signal.aborted)
+      throw new CanceledError();
+
+    if (!signal && timeout == null) {
+      const unlock = await this.queue.lock(name);
+
+      try {
+        return await fn();
+      } finally {
+        unlock();
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = this.queue.add(name);
+
+      let timer = null;
+      let running = false;
+      let done = false;
+      let onAbort = null;
+
+      const finish = (err, result) => {
+        if (done)
+          return;
+
+        done = true;
+
+        if (timer != null)
+          clearTimeout(timer);
+
+        if (signal)
+          signal.removeEventListener('abort', onAbort);
+
+        if (err)
+          reject(err);
+        else
+          resolve(result);
+      };
+
+      const cancel = (reason) => {
+        if (done)
+          return;
+
+        const err = new CanceledError(reason);
+
+        // queued job is rejected by the queue.
+        if (!running) {
+          if (!this.queue.remove(job, err))
+            finish(err);
+          return;
+        }
+
+        // queue is held until the device is done with the request.
+        this.cancelDevice(name);
+        finish(err);
+      };
+
+      onAbort = () => cancel(cancelReasons.CANCEL);
+
+      const run = async (unlock) => {
+        if (done) {
+          unlock();
+          return;
+        }
+
+        running = true;
+
+        try {
+          finish(null, await fn());
+        } catch (e) {
+          finish(e);
+        } finally {
+          unlock();
+        }
+      };
+
+      job.promise.then(run, finish);
+
+      if (signal)
+        signal.addEventListener('abort', onAbort);
+
+      if (timeout != null)
+        timer = setTimeout(() => cancel(cancelReasons.TIMEOUT), timeout);
+    });
+  }
+
+  /**
+   * Cancel running request on the device, errors
+   * are only logged as the request is rejected anyway.
+   * @private
+   * @param {String} name - request name.
+   */
+
+  cancelDevice(name) {
+    this._cancel().catch((e) => {
+      this.logger.debug('Could not cancel %s: %s', name, e.message);
+    });
+  }
+
+  /**
+   * Cancel queued requests that have not started,
+   * they are rejected with an error.
+   * @param {String?} name - cancel only requests of the method.
+   * @returns {Number} - number of canceled requests.
+   */
+
+  cancelQueued(name) {
+    let canceled = 0;
+
+    for (const job of this.queue.jobs.slice()) {
+      if (name != null && job.name !== name)
+        continue;
+
+      if (this.queue.remove(job, new CanceledError()))
+        canceled += 1;
+    }
+
+    return canceled;
+  }
+
   /*
    * API
    */
@@ -117,57 +316,506 @@ class AbstractDevice {
   /**
    * Get public key.
    * @param {String|Number[]|Path} path
-   * @param {Boolean} [getParentFingerPrint=true]
-   * @returns {bcoin.HDPublicKey}
+   * @param {Boolean|Object} [options={}] - boolean is getParentFingerPrint.
+   * @param {Boolean} [options.getParentFingerPrint=true]
+   * @param {Boolean} [options.origin=false] - return key origin instead.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {bcoin.HDPublicKey|Object} - see getKeyOrigin for origin.
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
-    throw new Error('Abstract method.');
+  async getPublicKey(path, options = {}) {
+    const {
+      getParentFingerPrint,
+      origin,
+      signal,
+      timeout
+    } = common.parsePublicKeyOptions(options);
+
+    if (origin)
+      return this.getKeyOrigin(path, { signal, timeout });
+
+    return this.enqueue('getPublicKey', () => {
+      return this._getPublicKey(path, getParentFingerPrint);
+    }, { signal, timeout });
+  }
+
+  /**
+   * Get master key fingerprint, it is
+   * fetched once and cached for the device.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<Number>} - uint32 (big endian).
+   */
+
+  async getFingerprint(options = {}) {
+    if (this._fingerprint == null) {
+      const master = await this.getPublicKey(Path.fromList([]), options);
+      this._fingerprint = getFingerprint(master.publicKey);
+    }
+
+    return this._fingerprint;
+  }
+
+  /**
+   * Get public key with its origin, as used by
+   * descriptors and PSBTs ([fingerprint/path]xpub).
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<Object>} - fingerprint, path and xpub.
+   */
+
+  async getKeyOrigin(path, options = {}) {
+    path = common.parsePath(path);
+
+    const request = createRequest(options);
+    const fingerprint = await this.getFingerprint(request());
+    const hdpub = await this.getPublicKey(path, request());
+
+    return {
+      fingerprint: fingerprint,
+      path: path,
+      xpub: hdpub.xpubkey(this.network)
+    };
   }
 
   /**
    * Get public key in string form.
    * @param {String|Number[]|Path} path
+   * @param {Boolean} [slip132=false] - use SLIP-132 version
+   *  matching the script type of the path (e.g. zpub for bip84).
+   * @param {Object} [options={}] - signal and timeout.
    * @returns {String}
    */
 
-  async getXPUB(path) {
-    const pubkey = await this.getPublicKey(path);
-    return pubkey.xpubkey(this.network);
+  async getXPUB(path, slip132 = false, options = {}) {
+    const {signal, timeout} = common.parseRequestOptions(options);
+    const pubkey = await this.getPublicKey(path, { signal, timeout });
+
+    if (!slip132)
+      return pubkey.xpubkey(this.network);
+
+    if (!Path.isPath(path))
+      path = Path.fromType(path);
+
+    return toSLIP132(pubkey, path.getScriptType(), this.network);
+  }
+
+  /**
+   * Get address of the path, optionally shown on the device
+   * so it can be verified by the user.
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @param {String?} options.type - script type, defaults to the path type.
+   * @param {Object?} options.multisig - m and pubkeys ({xpub, path}).
+   * @param {Boolean} [options.display=false] - show address on the device.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {String}
+   */
+
+  async getAddress(path, options = {}) {
+    return this.enqueue('getAddress', () => {
+      return this._getAddress(path, options);
+    }, options);
   }
 
   /**
    * Sign transaction.
    * @param {bcoin.TX} tx
    * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @param {Object} [options={}] - signal and timeout.
    * @returns {bcoin.MTX}
    */
 
-  async signTransaction(tx, inputData) {
+  async signTransaction(tx, inputData, outputData, options = {}) {
+    return this.enqueue('signTransaction', () => {
+      return this._signTransaction(tx, inputData, outputData);
+    }, options);
+  }
+
+  /**
+   * Sign transaction and get signing status of each input.
+   * @param {bcoin.TX} tx
+   * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Object} - mtx and status (inputStatus[]).
+   */
+
+  async signTransactionWithStatus(tx, inputData, outputData, options = {}) {
+    const mtx = await this.signTransaction(tx, inputData, outputData, options);
+    const status = common.getSigningStatus(mtx, inputData);
+
+    return { mtx, status };
+  }
+
+  /**
+   * Sign transaction and return signatures.
+   * @param {bcoin.MTX} mtx
+   * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Buffer[]} - signatures, null for inputs that were not signed.
+   */
+
+  async getSignatures(mtx, inputData, outputData, options = {}) {
+    return this.enqueue('getSignatures', () => {
+      return this._getSignatures(mtx, inputData, outputData);
+    }, options);
+  }
+
+  /**
+   * Sign PSBT and add partial signatures.
+   * Inputs are matched to the device using
+   * their BIP32 derivations.
+   * @param {PSBT|Buffer|String} psbt - PSBT, raw or base64.
+   * @param {Object} [options={}] - signal and timeout
+   *  for the whole signing.
+   * @returns {PSBT} - new PSBT with our partial signatures.
+   */
+
+  async signPSBT(psbt, options = {}) {
+    psbt = parsePSBT(psbt);
+
+    const request = createRequest(options);
+    const mtx = MTX.fromTX(psbt.tx);
+    const cache = new Map();
+    const publicKeys = [];
+    const inputData = [];
+
+    for (const [i, psbtInput] of psbt.inputs.entries()) {
+      const publicKey = await this.findPSBTKey(psbtInput, cache, request);
+
+      publicKeys.push(publicKey);
+
+      // inputs without our key are external.
+      if (!publicKey) {
+        const data = externalFromPSBT(psbt, i);
+
+        if (data)
+          inputData.push(data);
+
+        if (psbtInput.finalScriptSig)
+          mtx.inputs[i].script = psbtInput.finalScriptSig.clone();
+
+        if (psbtInput.finalScriptWitness)
+          mtx.inputs[i].witness = psbtInput.finalScriptWitness.clone();
+
+        continue;
+      }
+
+      const data = InputData.fromPSBT(psbt, i, {
+        publicKey: publicKey,
+        network: this.network
+      });
+
+      inputData.push(data);
+    }
+
+    const signatures = await this.getSignatures(mtx, inputData, [],
+      request());
+
+    for (const [i, signature] of signatures.entries()) {
+      if (!signature)
+        continue;
+
+      psbt.inputs[i].partialSigs.set(publicKeys[i], signature);
+    }
+
+    return psbt;
+  }
+
+  /**
+   * Find public key in the PSBT input that belongs to the device,
+   * keys of other master fingerprints (cosigners) are skipped.
+   * @private
+   * @param {PSBTInput} psbtInput
+   * @param {Map<String, Buffer>} cache - path -> public key.
+   * @param {Function} request - returns request options.
+   * @returns {Promise<Buffer?>}
+   */
+
+  async findPSBTKey(psbtInput, cache, request) {
+    if (psbtInput.bip32Derivation.size === 0)
+      return null;
+
+    const fingerprint = await this.getFingerprint(request());
+
+    for (const [publicKey, origin] of psbtInput.bip32Derivation) {
+      if (origin.fingerprint !== fingerprint || origin.path.length === 0)
+        continue;
+
+      const path = Path.fromList(origin.path);
+      const key = path.toString();
+
+      if (!cache.has(key)) {
+        const hdpub = await this.getPublicKey(path, request());
+        cache.set(key, hdpub.publicKey);
+      }
+
+      if (cache.get(key).equals(publicKey))
+        return publicKey;
+    }
+
+    return null;
+  }
+
+  /**
+   * Sign arbitrary message.
+   * @param {Path|String} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}]
+   * @param {String?} options.type - P2PKH, P2SH_P2WPKH or P2WPKH,
+   *  defaults to the path type.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {MessageSignature}
+   */
+
+  async signMessage(path, message, options = {}) {
+    return this.enqueue('signMessage', () => {
+      return this._signMessage(path, message, options);
+    }, options);
+  }
+
+  /**
+   * Sign message using BIP322, virtual to_sign transaction
+   * is signed like any other transaction (see getSignatures),
+   * hardware devices may refuse to sign it.
+   * Signatures of other cosigners are passed with multisig pubkeys.
+   * @param {String|Number[]|Path} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}]
+   * @param {String?} options.type - script type, defaults to the path type.
+   * @param {Object?} options.multisig - m and pubkeys
+   *  ({xpub, path, signature}).
+   * @param {String?} options.format - simple or full,
+   *  defaults to full for non-witness scripts.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds, for the whole signing.
+   * @returns {Object} - address, signature and base64 proof.
+   */
+
+  async signMessageBIP322(path, message, options = {}) {
+    path = common.parsePath(path);
+
+    const request = createRequest(options);
+
+    const addressOptions = common.prepareAddressOptions(path, options);
+    const {type, multisig} = addressOptions;
+    const witness = type !== scriptTypes.P2PKH && type !== scriptTypes.P2SH;
+
+    let format = witness ? bip322.formats.SIMPLE : bip322.formats.FULL;
+
+    if (options.format != null) {
+      assert(Object.values(bip322.formats).includes(options.format),
+        `Unknown proof format "${options.format}".`);
+      format = options.format;
+    }
+
+    assert(witness || format === bip322.formats.FULL,
+      'Non-witness scripts need full format.');
+
+    const hdpub = await this.getPublicKey(path, request());
+    const publicKey = hdpub.publicKey;
+    const address = common.getAddress(publicKey, addressOptions, this.network);
+    const script = bip322.getScript(address, this.network);
+    const spend = bip322.toSpend(script, message);
+    const mtx = bip322.toSign(spend);
+
+    const data = InputData.fromOptions({
+      path: path,
+      witness: witness,
+      prevout: mtx.inputs[0].prevout,
+      prevTX: spend,
+      multisig: multisig
+    });
+
+    const [signature] = await this.getSignatures(mtx, [data], [],
+      request());
+
+    assert(signature, 'Could not sign the message.');
+
+    const signed = applyMessageSignatures(mtx, data, publicKey, signature,
+      this.network);
+
+    return {
+      address: address,
+      signature: signature,
+      proof: bip322.encode(signed, format)
+    };
+  }
+
+  /*
+   * Device specific, called by the queue
+   */
+
+  /**
+   * Get public key.
+   * @private
+   * @param {Path} path
+   * @param {Boolean} getParentFingerPrint
+   * @returns {Promise<bcoin.HDPublicKey>}
+   */
+
+  async _getPublicKey(path, getParentFingerPrint) {
+    throw new Error('Abstract method.');
+  }
+
+  /**
+   * Get address.
+   * @private
+   * @param {Path} path
+   * @param {Object} options
+   * @returns {Promise<String>}
+   */
+
+  async _getAddress(path, options) {
+    throw new Error('Abstract method.');
+  }
+
+  /**
+   * Sign transaction.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]]
+   * @returns {Promise<bcoin.MTX>}
+   */
+
+  async _signTransaction(tx, inputData, outputData) {
     throw new Error('Abstract method.');
   }
 
   /**
    * Sign transaction and return signatures.
+   * @private
    * @param {bcoin.MTX} mtx
    * @param {Object[]} inputData
-   * @returns {Buffer[]} - signatures
+   * @param {Object[]} [outputData=[]]
+   * @returns {Promise<Buffer[]>}
    */
 
-  async getSignatures(mtx, inputData) {
+  async _getSignatures(mtx, inputData, outputData) {
     throw new Error('Abstract method.');
   }
 
   /**
    * Sign arbitrary message.
+   * @private
    * @param {Path|String} path
    * @param {Buffer|String} message
-   * @returns {Buffer}
+   * @param {Object} options
+   * @returns {Promise<MessageSignature>}
    */
 
-  async signMessage(path, message) {
+  async _signMessage(path, message, options) {
     throw new Error('Abstract method.');
   }
+
+  /**
+   * Cancel running request on the device,
+   * does nothing if the device can not cancel it.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _cancel() {}
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Share signal and timeout between requests of
+ * one call, each request gets the time that is left.
+ * @param {Object} options
+ * @returns {Function} - returns signal and timeout.
+ */
+
+function createRequest(options) {
+  const {signal, timeout} = common.parseRequestOptions(options);
+  const deadline = timeout != null ? Date.now() + timeout : null;
+
+  return () => {
+    if (deadline == null)
+      return { signal, timeout: null };
+
+    return {
+      signal: signal,
+      timeout: Math.max(0, deadline - Date.now())
+    };
+  };
+}
+
+function parsePSBT(psbt) {
+  if (PSBT.isPSBT(psbt))
+    return psbt.clone();
+
+  if (Buffer.isBuffer(psbt))
+    return PSBT.fromRaw(psbt);
+
+  if (typeof psbt === 'string')
+    return PSBT.fromBase64(psbt);
+
+  throw new Error('Unknown type for psbt.');
+}
+
+function externalFromPSBT(psbt, index) {
+  const input = psbt.tx.inputs[index];
+  const psbtInput = psbt.inputs[index];
+  const output = psbtInput.getOutput(input.prevout);
+
+  if (!output)
+    return null;
+
+  return InputData.fromOptions({
+    external: true,
+    prevout: input.prevout,
+    output: output.toRaw(),
+    witness: psbtInput.witnessUTXO != null
+  });
+}
+
+function applyMessageSignatures(mtx, data, publicKey, signature, network) {
+  if (data.isTaproot()) {
+    mtx.inputs[0].witness.fromArray([signature]);
+    return mtx;
+  }
+
+  const signatures = [[publicKey, signature]];
+
+  if (data.multisig) {
+    for (const pkinfo of data.multisig.pubkeys) {
+      if (pkinfo.signature === '')
+        continue;
+
+      const hdpub = HDPublicKey.fromBase58(pkinfo.xpub, network);
+      const pk = hdpub.derivePath(pkinfo.path.toString()).publicKey;
+
+      if (pk.equals(publicKey))
+        continue;
+
+      signatures.push([pk, Buffer.from(pkinfo.signature, 'hex')]);
+    }
+  }
+
+  const msMTX = MultisigMTX.fromMTX(mtx);
+  msMTX.view = mtx.view;
+
+  for (const [pk, sig] of signatures) {
+    const ring = common.createRing(data, pk, network);
+
+    msMTX.template(ring);
+    msMTX.applySignature(0, data.coin, ring, sig, false);
+  }
+
+  const signed = msMTX.toMTX();
+  signed.view = msMTX.view;
+
+  return signed;
 }
 
 module.exports = AbstractDevice;
@@ -0,0 +1,536 @@
+/*!
+ * airgap.js - Airgap device, signs on the offline machine.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const path = require('path');
+const fs = require('bfile');
+const Logger = require('blgr');
+const MTX = require('bcoin/lib/primitives/mtx');
+const AbstractDevice = require('./abstract');
+const {vendors, interactions} = require('../common');
+const {CanceledError} = require('../errors');
+const {fingerprintToHex} = require('../psbt');
+const common = require('./helpers/common');
+const {
+  methods,
+  AirgapRequest,
+  AirgapResponse,
+  encodeParams,
+  decodeResult
+} = require('../airgap/request');
+
+let id = 0;
+
+/**
+ * Response callback, returns response of the
+ * offline signer (see {@link AirgapDevice#importResponse}).
+ * @callback airgapResponseCallback
+ * @async
+ * @param {AirgapRequest} request
+ * @param {AirgapDevice} device
+ * @returns {AirgapResponse|Object|Buffer|String|String[]}
+ */
+
+/**
+ * Airgap Device
+ *
+ * Requests are exported for the offline signer as a file
+ * and as BC-UR parts (animated QR code), device waits until
+ * the response is imported back.
+ * @property {Number?} fingerprint - expected master key.
+ * @property {String?} dir - request and response files.
+ * @property {Number} maxFragmentLength - of the UR parts.
+ * @property {Number} pollInterval - of the response file.
+ * @property {airgapResponseCallback?} getResponse
+ */
+
+class AirgapDevice extends AbstractDevice {
+  constructor(options) {
+    super();
+
+    this.logger = Logger.global;
+    this.id = id++;
+    this.fingerprint = null;
+    this.dir = null;
+    this.maxFragmentLength = 200;
+    this.pollInterval = 1000;
+    this.getResponse = null;
+    this.pending = null;
+    this._opened = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number?} options.fingerprint - master key of the signer,
+   *  responses of other keys are rejected.
+   * @param {String?} options.dir - exchange requests as files.
+   * @param {Number} [options.maxFragmentLength=200]
+   * @param {Number} [options.pollInterval=1000] - milliseconds.
+   * @param {airgapResponseCallback?} options.getResponse
+   * @returns {AirgapDevice}
+   */
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('airgap-device');
+    }
+
+    if (options.id != null) {
+      assert((options.id >>> 0) === options.id);
+      this.id = options.id;
+    }
+
+    if (options.fingerprint != null) {
+      enforce((options.fingerprint >>> 0) === options.fingerprint,
+        'options.fingerprint', 'uint32');
+      this.fingerprint = options.fingerprint;
+      this._fingerprint = options.fingerprint;
+    }
+
+    if (options.dir != null) {
+      enforce(typeof options.dir === 'string', 'options.dir', 'string');
+      this.dir = options.dir;
+    }
+
+    if (options.maxFragmentLength != null) {
+      enforce((options.maxFragmentLength >>> 0) === options.maxFragmentLength,
+        'options.maxFragmentLength', 'integer');
+      this.maxFragmentLength = options.maxFragmentLength;
+    }
+
+    if (options.pollInterval != null) {
+      enforce((options.pollInterval >>> 0) === options.pollInterval,
+        'options.pollInterval', 'integer');
+      this.pollInterval = options.pollInterval;
+    }
+
+    if (options.getResponse != null) {
+      enforce(typeof options.getResponse === 'function',
+        'options.getResponse', 'function');
+      this.getResponse = options.getResponse;
+    }
+
+    return this;
+  }
+
+  /**
+   * Get vendor of the device.
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.AIRGAP;
+  }
+
+  /**
+   * Handle of the current device.
+   * @returns {String}
+   */
+
+  get handle() {
+    return this.key;
+  }
+
+  /**
+   * Unique identifier of the device, master
+   * key fingerprint if it is known.
+   * @returns {String}
+   */
+
+  get key() {
+    if (this.fingerprint != null)
+      return fingerprintToHex(this.fingerprint);
+
+    return String(this.id);
+  }
+
+  get opened() {
+    return this._opened;
+  }
+
+  async destroy() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(!this.opened, 'Device is open.');
+
+    this.destroyed = true;
+  }
+
+  async open() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(!this.opened, 'Device is already open.');
+
+    this._opened = true;
+  }
+
+  async close() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.opened, 'Device is not open.');
+
+    this._opened = false;
+  }
+
+  /**
+   * Send request to the offline signer and wait for the response.
+   * @private
+   * @param {String} method
+   * @param {Array} args - arguments of the device method.
+   * @returns {Promise<Object>} - decoded result.
+   */
+
+  async exchange(method, args) {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.opened, 'Device is not open.');
+
+    const request = AirgapRequest.fromOptions({
+      network: this.network,
+      fingerprint: this._fingerprint,
+      method: method,
+      params: encodeParams(method, args, this.network)
+    });
+
+    const response = await new Promise((resolve, reject) => {
+      this.pending = {
+        request,
+        resolve,
+        reject,
+        timer: null
+      };
+
+      this.send(request).catch((e) => {
+        if (this.isPending(request))
+          this.finish(e);
+      });
+    });
+
+    if (response.error != null)
+      throw new Error(response.error);
+
+    if (this._fingerprint != null) {
+      if (response.fingerprint !== this._fingerprint)
+        throw new Error('Response is from another key.');
+    } else if (response.fingerprint != null) {
+      this._fingerprint = response.fingerprint;
+    }
+
+    return decodeResult(method, response.result, this.network);
+  }
+
+  /**
+   * Export the request and start waiting for the response.
+   * @private
+   * @param {AirgapRequest} request
+   * @returns {Promise}
+   */
+
+  async send(request) {
+    let file = null;
+
+    if (this.dir) {
+      file = path.join(this.dir, `${request.id}.request.json`);
+      await request.write(file);
+    }
+
+    // request was canceled.
+    if (!this.isPending(request))
+      return;
+
+    this.interact(interactions.AIRGAP_REQUEST, {
+      id: request.id,
+      method: request.method,
+      file: file,
+      request: request,
+      encoder: request.toUR(this.maxFragmentLength)
+    });
+
+    if (this.getResponse)
+      this.requestResponse(request);
+
+    if (this.dir)
+      this.pollResponse(request);
+  }
+
+  /**
+   * Import response of the offline signer.
+   * @param {AirgapResponse|Object|Buffer|String|String[]} data -
+   *  response, its JSON, raw or UR parts.
+   * @returns {AirgapResponse}
+   * @throws {Error} - if response is not for the pending request.
+   */
+
+  importResponse(data) {
+    const response = parseResponse(data);
+
+    if (!this.pending)
+      throw new Error('No pending request.');
+
+    if (response.id !== this.pending.request.id)
+      throw new Error('Response does not match the request.');
+
+    this.finish(null, response);
+
+    return response;
+  }
+
+  /**
+   * Get response from the callback.
+   * @private
+   * @param {AirgapRequest} request
+   */
+
+  requestResponse(request) {
+    (async () => {
+      const data = await this.getResponse(request, this);
+
+      if (this.isPending(request))
+        this.importResponse(data);
+    })().catch((e) => {
+      if (this.isPending(request))
+        this.finish(e);
+    });
+  }
+
+  /**
+   * Wait for the response file.
+   * @private
+   * @param {AirgapRequest} request
+   */
+
+  pollResponse(request) {
+    const file = path.join(this.dir, `${request.id}.response.json`);
+
+    const poll = async () => {
+      if (!this.isPending(request))
+        return;
+
+      this.pending.timer = null;
+
+      try {
+        if (await fs.exists(file)) {
+          const json = await fs.readJSON(file);
+
+          if (this.isPending(request))
+            this.importResponse(json);
+
+          return;
+        }
+      } catch (e) {
+        if (this.isPending(request))
+          this.finish(e);
+
+        return;
+      }
+
+      if (this.isPending(request))
+        this.pending.timer = setTimeout(poll, this.pollInterval);
+    };
+
+    poll();
+  }
+
+  /**
+   * Whether we still wait for the response of the request.
+   * @private
+   * @param {AirgapRequest} request
+   * @returns {Boolean}
+   */
+
+  isPending(request) {
+    return this.pending != null && this.pending.request === request;
+  }
+
+  /**
+   * Finish pending request.
+   * @private
+   * @param {Error?} err
+   * @param {AirgapResponse?} response
+   */
+
+  finish(err, response) {
+    const {resolve, reject, timer} = this.pending;
+
+    if (timer != null)
+      clearTimeout(timer);
+
+    this.pending = null;
+
+    if (err)
+      reject(err);
+    else
+      resolve(response);
+  }
+
+  /**
+   * Get public key.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Boolean} [getParentFingerPrint=true]
+   * @returns {bcoin.HDPublicKey}
+   */
+
+  async _getPublicKey(path, getParentFingerPrint = true) {
+    path = common.parsePath(path);
+
+    return this.exchange(methods.GET_PUBLIC_KEY, [path]);
+  }
+
+  /**
+   * Get address, it is displayed by the offline signer.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @returns {String}
+   */
+
+  async _getAddress(path, options = {}) {
+    path = common.parsePath(path);
+
+    const addressOptions = common.prepareAddressOptions(path, options);
+
+    return this.exchange(methods.GET_ADDRESS, [path, addressOptions]);
+  }
+
+  /**
+   * Sign transaction, signed transaction must spend
+   * and pay the same as requested, with valid signatures.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @returns {bcoin.MTX}
+   */
+
+  async _signTransaction(tx, inputData, outputData = []) {
+    const inputDataMap = common.prepareSignOptions(inputData);
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+
+    const signed = await this.exchange(methods.SIGN_TRANSACTION, [
+      tx,
+      Array.from(inputDataMap.values()),
+      Array.from(outputDataMap.values())
+    ]);
+
+    common.verifySigned(tx, signed);
+
+    const mtx = MTX.fromTX(tx);
+
+    common.injectMTX(mtx, signed);
+
+    for (const data of inputDataMap.values())
+      mtx.view.addCoin(data.coin);
+
+    common.verifySignedInputs(mtx, inputDataMap, this.network);
+
+    return mtx;
+  }
+
+  /**
+   * Sign transaction and return signatures, single key
+   * signatures are verified with the public key of the offline signer.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {InputData[]} inputData
+   * @param {OutputData[]} [outputData=[]] - change outputs.
+   * @returns {Buffer[]} - signatures, null for inputs we don't sign.
+   */
+
+  async _getSignatures(tx, inputData, outputData = []) {
+    const inputDataMap = common.prepareSignOptions(inputData);
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+
+    const signatures = await this.exchange(methods.GET_SIGNATURES, [
+      tx,
+      Array.from(inputDataMap.values()),
+      Array.from(outputDataMap.values())
+    ]);
+
+    if (signatures.length !== tx.inputs.length)
+      throw new Error('Signatures do not match the inputs.');
+
+    await common.verifySignatures(tx, signatures, inputDataMap, this.network,
+      path => this._getPublicKey(path, false));
+
+    return signatures;
+  }
+
+  /**
+   * Sign arbitrary message.
+   * @private
+   * @param {Path|String} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}]
+   * @returns {MessageSignature}
+   */
+
+  async _signMessage(path, message, options = {}) {
+    path = common.parsePath(path);
+    message = common.parseMessage(message);
+
+    const type = common.getMessageType(path, options);
+    const signature = await this.exchange(methods.SIGN_MESSAGE,
+      [path, message, { type }]);
+
+    if (!signature.verify(message, this.network))
+      throw new Error('Invalid message signature.');
+
+    return signature;
+  }
+
+  /**
+   * Stop waiting for the response.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _cancel() {
+    if (this.pending)
+      this.finish(new CanceledError());
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseResponse(data) {
+  if (AirgapResponse.isAirgapResponse(data))
+    return data;
+
+  if (Buffer.isBuffer(data))
+    return AirgapResponse.fromRaw(data);
+
+  if (Array.isArray(data))
+    return AirgapResponse.fromUR(data);
+
+  if (typeof data === 'string') {
+    data = data.trim();
+
+    if (/^ur:/i.test(data))
+      return AirgapResponse.fromUR(data.split(/\s+/));
+
+    return AirgapResponse.fromJSON(JSON.parse(data));
+  }
+
+  return AirgapResponse.fromJSON(data);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = AirgapDevice;
@@ -0,0 +1,209 @@
+/*!
+ * file.js - File device, master key in the encrypted keystore.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const MemoryDevice = require('./memory');
+const {Keystore} = require('../keystore');
+const {vendors, interactions} = require('../common');
+
+/**
+ * Passphrase callback.
+ * @callback keystorePassphraseCallback
+ * @async
+ * @param {FileDevice} device
+ * @param {Object} details
+ * @returns {String}
+ */
+
+/**
+ * File Device
+ *
+ * Software signer, master key is decrypted from the keystore
+ * when the device is opened and wiped when it is closed.
+ * @property {String?} file - keystore location.
+ * @property {Keystore} keystore
+ * @property {String?} passphrase
+ * @property {keystorePassphraseCallback?} getPassphrase
+ */
+
+class FileDevice extends MemoryDevice {
+  constructor(options) {
+    super();
+
+    this.file = null;
+    this.keystore = null;
+    this.passphrase = null;
+    this.getPassphrase = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Keystore} options.keystore
+   * @param {String?} options.file - keystore location.
+   * @param {String?} options.passphrase
+   * @param {keystorePassphraseCallback?} options.getPassphrase
+   * @returns {FileDevice}
+   */
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.logger != null)
+      this.logger = options.logger.context('file-device');
+
+    assert(Keystore.isKeystore(options.keystore), 'Keystore is required.');
+    this.keystore = options.keystore;
+
+    if (options.file != null) {
+      enforce(typeof options.file === 'string', 'options.file', 'string');
+      this.file = options.file;
+    }
+
+    if (options.passphrase != null) {
+      enforce(typeof options.passphrase === 'string',
+        'options.passphrase', 'string');
+      this.passphrase = options.passphrase;
+    }
+
+    if (options.getPassphrase != null) {
+      enforce(typeof options.getPassphrase === 'function',
+        'options.getPassphrase', 'function');
+      this.getPassphrase = options.getPassphrase;
+    }
+
+    return this;
+  }
+
+  /**
+   * Master key is decrypted on open.
+   * @returns {null}
+   */
+
+  parseKey() {
+    return null;
+  }
+
+  /**
+   * Get vendor of the device.
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.FILE;
+  }
+
+  /**
+   * Handle of the current device.
+   * @returns {String}
+   */
+
+  get handle() {
+    if (this.file)
+      return this.file;
+
+    return this.key;
+  }
+
+  /**
+   * Unique identifier of the device, master key fingerprint.
+   * @returns {String}
+   */
+
+  get key() {
+    return this.keystore.id;
+  }
+
+  /**
+   * Get master key fingerprint, keystore has it in plaintext.
+   * @param {Object} [options={}]
+   * @returns {Promise<Number>}
+   */
+
+  async getFingerprint(options = {}) {
+    return this.keystore.fingerprint;
+  }
+
+  /**
+   * Decrypt the master key and open the device.
+   * @returns {Promise}
+   */
+
+  async open() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(!this.opened, 'Device is already open.');
+
+    const passphrase = await this.requestPassphrase();
+    const {key} = await this.keystore.decrypt(passphrase);
+
+    this.master = key;
+
+    await super.open();
+  }
+
+  /**
+   * Close the device and forget the master key.
+   * @returns {Promise}
+   */
+
+  async close() {
+    await super.close();
+
+    this.master = null;
+  }
+
+  /**
+   * Get passphrase from the options or the host.
+   * @private
+   * @returns {Promise<String>}
+   */
+
+  async requestPassphrase() {
+    if (this.passphrase != null)
+      return this.passphrase;
+
+    if (!this.getPassphrase)
+      throw new Error('Passphrase is required.');
+
+    const details = { onDevice: false };
+
+    this.interact(interactions.PASSPHRASE_REQUEST, details);
+
+    const passphrase = await this.getPassphrase(this, details);
+
+    enforce(typeof passphrase === 'string', 'passphrase', 'string');
+
+    return passphrase;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  /**
+   * Read keystore from disk.
+   * @param {String} file
+   * @param {Object} [options={}] - device options.
+   * @returns {Promise<FileDevice>}
+   */
+
+  static async fromFile(file, options = {}) {
+    const keystore = await Keystore.fromFile(file);
+
+    return this.fromOptions({
+      ...options,
+      file,
+      keystore
+    });
+  }
+}
+
+module.exports = FileDevice;
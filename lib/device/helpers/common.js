@@ -12,8 +12,14 @@ const KeyRing = require('bcoin/lib/primitives/keyring');
 const HDPublicKey = require('bcoin/lib/hd/public');
 const Script = require('bcoin/lib/script/script');
 const MultisigMTX = require('bmultisig/lib/primitives/mtx');
+const sigUtils = require('bmultisig/lib/utils/sig');
+const secp256k1 = require('bcrypto/lib/secp256k1');
 const {Path} = require('../../path');
 const {InputData} = require('../../inputData');
+const {OutputData} = require('../../outputData');
+const taproot = require('../../taproot');
+const {MessageSignature} = require('../../message');
+const {inputStatus, scriptTypes} = require('../../common');
 
 const helpers = exports;
 
@@ -30,6 +36,64 @@ helpers.parsePath = function parsePath(path) {
   throw new Error('Could not parse path.');
 };
 
+/**
+ * Parse getPublicKey options, boolean is
+ * accepted as getParentFingerPrint.
+ * @param {Boolean|Object} options
+ * @returns {Object} - getParentFingerPrint, origin, signal and timeout.
+ */
+
+helpers.parsePublicKeyOptions = function parsePublicKeyOptions(options) {
+  if (typeof options === 'boolean')
+    options = { getParentFingerPrint: options };
+
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  const {getParentFingerPrint = true, origin = false} = options;
+
+  enforce(typeof getParentFingerPrint === 'boolean',
+    'options.getParentFingerPrint', 'boolean');
+  enforce(typeof origin === 'boolean', 'options.origin', 'boolean');
+
+  const {signal, timeout} = helpers.parseRequestOptions(options);
+
+  return {
+    getParentFingerPrint,
+    origin,
+    signal,
+    timeout
+  };
+};
+
+/**
+ * Parse cancellation options of the request.
+ * @param {Object} [options={}]
+ * @param {AbortSignal?} options.signal
+ * @param {Number?} options.timeout - milliseconds.
+ * @returns {Object} - signal and timeout.
+ */
+
+helpers.parseRequestOptions = function parseRequestOptions(options = {}) {
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  const {signal = null, timeout = null} = options;
+
+  if (signal != null) {
+    enforce(typeof signal === 'object'
+      && typeof signal.aborted === 'boolean'
+      && typeof signal.addEventListener === 'function',
+      'options.signal', 'AbortSignal');
+  }
+
+  if (timeout != null)
+    enforce((timeout >>> 0) === timeout, 'options.timeout', 'uint32');
+
+  return {
+    signal,
+    timeout
+  };
+};
+
 /**
  * Do minimal validation and parsing of signing options.
  * @param {Object[]} inputData
@@ -51,6 +115,276 @@ helpers.prepareSignOptions = function prepareSignOptions(inputData) {
   return inputDataMappings;
 };
 
+/**
+ * Parse output data, mapped by output.
+ * @param {TX} tx
+ * @param {Object[]|OutputData[]} [outputData=[]]
+ * @returns {BufferMap<Buffer, OutputData>}
+ */
+
+helpers.prepareOutputData = function prepareOutputData(tx, outputData = []) {
+  assert(Array.isArray(outputData), 'outputData must be an array.');
+
+  const outputs = new BufferMap();
+  const outputDataMappings = new BufferMap();
+
+  for (const output of tx.outputs)
+    outputs.set(output.toRaw(), output);
+
+  for (let data of outputData) {
+    if (!OutputData.isOutputData(data))
+      data = OutputData.fromOptions(data);
+
+    const key = data.toKey();
+
+    assert(outputs.has(key), 'Could not find output for output data.');
+
+    outputDataMappings.set(key, data);
+  }
+
+  return outputDataMappings;
+};
+
+/**
+ * Get script of the change output.
+ * @param {OutputData} outputData
+ * @param {Buffer} pubKey
+ * @param {Network} network
+ * @returns {Script}
+ */
+
+helpers.getChangeScript = function getChangeScript(outputData, pubKey, network) {
+  enforce(OutputData.isOutputData(outputData), 'outputData', 'OutputData');
+  enforce(Buffer.isBuffer(pubKey), 'pubKey', 'Buffer');
+
+  if (outputData.isTaproot())
+    return taproot.fromPublicKey(pubKey);
+
+  const ring = KeyRing.fromOptions({
+    witness: outputData.witness,
+    nested: outputData.isNested(),
+    publicKey: pubKey
+  });
+
+  if (outputData.multisig)
+    ring.script = helpers.getRedeemScript(outputData, network);
+
+  return Script.fromAddress(ring.getAddress());
+};
+
+/**
+ * Script types of multisig addresses.
+ */
+
+const MULTISIG_TYPES = new Set([
+  scriptTypes.P2SH,
+  scriptTypes.P2SH_P2WSH,
+  scriptTypes.P2WSH
+]);
+
+/**
+ * Parse address options, script type defaults
+ * to the type of the path.
+ * @param {Path} path
+ * @param {Object} [options={}]
+ * @param {String?} options.type - see {@link scriptTypes}.
+ * @param {Object?} options.multisig - m and pubkeys ({xpub, path}),
+ *  pubkeys can have signature of the cosigner (hex).
+ * @param {Boolean} [options.display=false] - show address on the device.
+ * @returns {Object} - type, multisig and display.
+ */
+
+helpers.prepareAddressOptions = function prepareAddressOptions(path, options = {}) {
+  enforce(Path.isPath(path), 'path', 'Path');
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  let multisig = null;
+
+  if (options.multisig != null) {
+    const {m, pubkeys} = options.multisig;
+
+    enforce((m >>> 0) === m, 'options.multisig.m', 'number');
+    enforce(Array.isArray(pubkeys), 'options.multisig.pubkeys', 'array');
+    assert(m >= 1 && m <= pubkeys.length, 'm must be between 1 and n.');
+
+    multisig = {
+      m: m,
+      pubkeys: pubkeys.map((pk) => {
+        enforce(typeof pk.xpub === 'string',
+          'options.multisig.pubkeys[i].xpub', 'string');
+
+        if (pk.signature != null) {
+          enforce(typeof pk.signature === 'string',
+            'options.multisig.pubkeys[i].signature', 'hex string');
+        }
+
+        return {
+          xpub: pk.xpub,
+          path: Path.isPath(pk.path) ? pk.path : Path.fromType(pk.path),
+          signature: pk.signature || ''
+        };
+      })
+    };
+  }
+
+  let type = options.type;
+
+  if (type == null) {
+    type = path.getScriptType();
+
+    if (multisig && type === scriptTypes.P2PKH)
+      type = scriptTypes.P2SH;
+  }
+
+  assert(Object.values(scriptTypes).includes(type),
+    `Unknown script type "${type}".`);
+  assert(MULTISIG_TYPES.has(type) === Boolean(multisig),
+    `Script type ${type} does not match multisig options.`);
+
+  let display = false;
+
+  if (options.display != null) {
+    enforce(typeof options.display === 'boolean',
+      'options.display', 'boolean');
+    display = options.display;
+  }
+
+  return {
+    type,
+    multisig,
+    display
+  };
+};
+
+/**
+ * Get address of the public key.
+ * @param {Buffer} pubKey
+ * @param {Object} options - see {@link prepareAddressOptions}.
+ * @param {Network} network
+ * @returns {String}
+ */
+
+helpers.getAddress = function getAddress(pubKey, options, network) {
+  enforce(Buffer.isBuffer(pubKey), 'pubKey', 'Buffer');
+
+  const {type} = options;
+
+  if (type === scriptTypes.P2TR)
+    return taproot.toAddress(taproot.fromPublicKey(pubKey), network);
+
+  const ring = KeyRing.fromOptions({
+    witness: type !== scriptTypes.P2PKH && type !== scriptTypes.P2SH,
+    nested: type === scriptTypes.P2SH_P2WPKH
+      || type === scriptTypes.P2SH_P2WSH,
+    publicKey: pubKey
+  });
+
+  if (options.multisig) {
+    const script = helpers.getRedeemScript(options, network);
+
+    assert(script.toArray().some((op) => {
+      return op.data && op.data.equals(pubKey);
+    }), 'Public key is not part of the multisig.');
+
+    ring.script = script;
+  }
+
+  return ring.getAddress('string', network);
+};
+
+/**
+ * Script types of legacy message signatures.
+ */
+
+const MESSAGE_TYPES = new Set([
+  scriptTypes.P2PKH,
+  scriptTypes.P2SH_P2WPKH,
+  scriptTypes.P2WPKH
+]);
+
+/**
+ * Parse message, strings are utf8.
+ * @param {Buffer|String} message
+ * @returns {Buffer}
+ */
+
+helpers.parseMessage = function parseMessage(message) {
+  if (typeof message === 'string')
+    return Buffer.from(message, 'utf8');
+
+  enforce(Buffer.isBuffer(message), 'message', 'buffer or string');
+
+  return message;
+};
+
+/**
+ * Get script type of the message signature, defaults
+ * to the type of the path. Keys of other script types
+ * sign for their P2PKH address.
+ * @param {Path} path
+ * @param {Object} [options={}]
+ * @param {String?} options.type - P2PKH, P2SH_P2WPKH or P2WPKH.
+ * @returns {String}
+ */
+
+helpers.getMessageType = function getMessageType(path, options = {}) {
+  enforce(options && typeof options === 'object', 'options', 'object');
+
+  if (options.type != null) {
+    assert(MESSAGE_TYPES.has(options.type),
+      `Script type ${options.type} is not supported for message signing.`);
+    return options.type;
+  }
+
+  const type = path.getScriptType();
+
+  if (MESSAGE_TYPES.has(type))
+    return type;
+
+  return scriptTypes.P2PKH;
+};
+
+/**
+ * Create message signature from the device signature,
+ * signature must recover to the public key.
+ * @param {Buffer} message
+ * @param {Buffer} signature - 65 bytes, any header.
+ * @param {Buffer} pubKey
+ * @param {String} type
+ * @param {Network} network
+ * @returns {MessageSignature}
+ */
+
+helpers.createMessageSignature = function createMessageSignature(message, signature, pubKey, type, network) {
+  enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+  assert(signature.length === 65, 'signature must be 65 bytes.');
+
+  const hash = sigUtils.hashMessage(message);
+  const recovery = (signature[0] - 27) & 3;
+  const recovered = secp256k1.recover(hash, signature.slice(1),
+    recovery, true);
+
+  assert(recovered && recovered.equals(pubKey),
+    'Signature does not match the public key.');
+
+  return MessageSignature.fromOptions({
+    type: type,
+    address: helpers.getAddress(pubKey, { type }, network),
+    signature: signature
+  });
+};
+
+/**
+ * Whether input is not ours to sign,
+ * input data is either missing or marked external.
+ * @param {InputData?} data
+ * @returns {Boolean}
+ */
+
+helpers.isExternal = function isExternal(data) {
+  return !data || data.external;
+};
+
 /**
  * Inject final script into passed MTX,
  * we do this to be consistent with Bcoin API
@@ -77,6 +411,35 @@ helpers.injectMTX = function (target, source) {
   }
 };
 
+/**
+ * Verify that signed transaction spends and pays the
+ * same as the requested one, signed by another process.
+ * @param {TX} tx
+ * @param {TX} signed
+ * @throws {Error}
+ */
+
+helpers.verifySigned = function verifySigned(tx, signed) {
+  let valid = tx.version === signed.version
+    && tx.locktime === signed.locktime
+    && tx.inputs.length === signed.inputs.length
+    && tx.outputs.length === signed.outputs.length;
+
+  for (let i = 0; valid && i < tx.inputs.length; i++) {
+    const input = tx.inputs[i];
+    const other = signed.inputs[i];
+
+    valid = input.prevout.equals(other.prevout)
+      && input.sequence === other.sequence;
+  }
+
+  for (let i = 0; valid && i < tx.outputs.length; i++)
+    valid = tx.outputs[i].toRaw().equals(signed.outputs[i].toRaw());
+
+  if (!valid)
+    throw new Error('Signed transaction does not match the request.');
+};
+
 /**
  * Generate redeem script
  * @param {Object} data
@@ -143,6 +506,29 @@ helpers.createRing = function createRing(inputData, pubKey, network, privKey) {
   return ring;
 };
 
+/**
+ * Collect outputs spent by all inputs of the transaction,
+ * taproot signature hash commits to all of them.
+ * @param {TX} tx
+ * @param {BufferMap<Prevout, InputData>} inputData
+ * @returns {Output[]}
+ */
+
+helpers.getSpentOutputs = function getSpentOutputs(tx, inputData) {
+  const outputs = [];
+
+  for (const input of tx.inputs) {
+    const poKey = input.prevout.toKey();
+    const data = inputData.get(poKey);
+
+    assert(data, `Could not get metadata for input ${poKey.toString('hex')}.`);
+
+    outputs.push(data.output);
+  }
+
+  return outputs;
+};
+
 /**
  * Get transaction signatures and rings
  * @param {MTX} mtx
@@ -156,10 +542,10 @@ helpers.applyOtherSignatures = function applyOtherSignatures(mtx, inputData, net
   msMTX.view = mtx.view;
 
   for (const [i, input] of msMTX.inputs.entries()) {
-    const poKey = input.prevout.toKey();
-    const data = inputData.get(poKey);
+    const data = inputData.get(input.prevout.toKey());
 
-    assert(data, `Could not get metadata for input ${poKey.toString('hex')}.`);
+    if (helpers.isExternal(data))
+      continue;
 
     const {multisig, coin} = data;
 
@@ -187,3 +573,238 @@ helpers.applyOtherSignatures = function applyOtherSignatures(mtx, inputData, net
 
   return nmtx;
 };
+
+/**
+ * Get signing status of each input of the transaction.
+ * @param {MTX} mtx
+ * @param {InputData[]|Object[]} inputData
+ * @returns {String[]} - inputStatus for each input.
+ */
+
+helpers.getSigningStatus = function getSigningStatus(mtx, inputData) {
+  const inputDataMap = helpers.prepareSignOptions(inputData);
+  const statuses = [];
+
+  for (const [i, input] of mtx.inputs.entries()) {
+    const data = inputDataMap.get(input.prevout.toKey());
+
+    if (helpers.isExternal(data)) {
+      statuses.push(inputStatus.EXTERNAL);
+      continue;
+    }
+
+    if (input.script.code.length === 0 && input.witness.items.length === 0) {
+      statuses.push(inputStatus.UNSIGNED);
+      continue;
+    }
+
+    if (verifyInput(mtx, i, data, inputDataMap)) {
+      statuses.push(inputStatus.SIGNED);
+      continue;
+    }
+
+    statuses.push(inputStatus.PARTIAL);
+  }
+
+  return statuses;
+};
+
+/**
+ * Verify signature of the input, signed by another process.
+ * Multisig signatures are checked against the keys of the
+ * redeem script, single key inputs need the signing key.
+ * @param {TX} tx
+ * @param {Number} index
+ * @param {Buffer} signature
+ * @param {BufferMap<Prevout, InputData>} inputDataMap
+ * @param {Network} network
+ * @param {Buffer?} pubKey - signing key, not used by taproot.
+ * @returns {Boolean}
+ */
+
+helpers.verifySignature = function verifySignature(tx, index, signature, inputDataMap, network, pubKey) {
+  enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+
+  const data = inputDataMap.get(tx.inputs[index].prevout.toKey());
+
+  if (helpers.isExternal(data))
+    return false;
+
+  if (data.isTaproot()) {
+    const outputs = getOutputs(tx, inputDataMap);
+
+    if (!outputs)
+      return false;
+
+    return taproot.verifyInput(tx, index, outputs, signature);
+  }
+
+  let keys = [];
+
+  if (pubKey)
+    keys = [pubKey];
+  else if (data.multisig)
+    keys = getMultisigKeys(helpers.getRedeemScript(data, network));
+
+  for (const key of keys) {
+    if (checkSignature(tx, index, signature, data, key, network))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Verify signatures of the transaction, signed by another
+ * process. Signatures are only accepted for the inputs we own.
+ * @param {TX} tx
+ * @param {Array<Buffer?>} signatures - null for inputs not signed.
+ * @param {BufferMap<Prevout, InputData>} inputDataMap
+ * @param {Network} network
+ * @param {Function} getPublicKey - returns HDPublicKey of the path,
+ *  called for single key inputs.
+ * @returns {Promise}
+ * @throws {Error}
+ */
+
+helpers.verifySignatures = async function verifySignatures(tx, signatures, inputDataMap, network, getPublicKey) {
+  for (const [i, signature] of signatures.entries()) {
+    if (!signature)
+      continue;
+
+    const data = inputDataMap.get(tx.inputs[i].prevout.toKey());
+
+    if (helpers.isExternal(data))
+      throw new Error(`Unexpected signature for input ${i}.`);
+
+    let pubKey = null;
+
+    if (!data.isTaproot() && !data.multisig) {
+      const hdpub = await getPublicKey(data.path);
+      pubKey = hdpub.publicKey;
+    }
+
+    if (!helpers.verifySignature(tx, i, signature, inputDataMap, network,
+      pubKey)) {
+      throw new Error(`Invalid signature for input ${i}.`);
+    }
+  }
+};
+
+/**
+ * Verify inputs of the transaction, signed by another process.
+ * Single key inputs must be fully signed, multisig inputs can
+ * be partially signed, but every signature must be valid.
+ * @param {MTX} mtx
+ * @param {BufferMap<Prevout, InputData>} inputDataMap
+ * @param {Network} network
+ * @throws {Error}
+ */
+
+helpers.verifySignedInputs = function verifySignedInputs(mtx, inputDataMap, network) {
+  for (const [i, input] of mtx.inputs.entries()) {
+    const data = inputDataMap.get(input.prevout.toKey());
+
+    if (helpers.isExternal(data))
+      continue;
+
+    if (input.script.code.length === 0 && input.witness.items.length === 0)
+      continue;
+
+    if (verifyInput(mtx, i, data, inputDataMap))
+      continue;
+
+    let valid = false;
+
+    if (data.multisig) {
+      valid = getMultisigSignatures(input).every((signature) => {
+        return helpers.verifySignature(mtx, i, signature, inputDataMap,
+          network);
+      });
+    }
+
+    if (!valid)
+      throw new Error(`Invalid signature for input ${i}.`);
+  }
+};
+
+/*
+ * Helpers
+ */
+
+function getOutputs(tx, inputDataMap) {
+  const outputs = [];
+
+  // taproot signature hash commits to all spent outputs.
+  for (const input of tx.inputs) {
+    const spent = inputDataMap.get(input.prevout.toKey());
+
+    if (!spent)
+      return null;
+
+    outputs.push(spent.output);
+  }
+
+  return outputs;
+}
+
+function getMultisigKeys(redeem) {
+  const keys = [];
+
+  for (const op of redeem.code) {
+    if (op.data && op.data.length === 33)
+      keys.push(op.data);
+  }
+
+  return keys;
+}
+
+function getMultisigSignatures(input) {
+  let items;
+
+  // first item is OP_0 and the last one is the redeem script.
+  if (input.witness.items.length > 0)
+    items = input.witness.items.slice(1, -1);
+  else
+    items = input.script.code.slice(1, -1).map(op => op.data);
+
+  return items.filter(item => item && item.length > 0);
+}
+
+function checkSignature(tx, index, signature, data, pubKey, network) {
+  if (signature.length === 0)
+    return false;
+
+  const type = signature[signature.length - 1];
+
+  if (type !== data.getSighashType())
+    return false;
+
+  const ring = helpers.createRing(data, pubKey, network);
+
+  if (!ring.ownHash(data.output.getHash()))
+    return false;
+
+  const prev = ring.script || Script.fromPubkeyhash(ring.getKeyHash());
+  const version = data.witness ? 1 : 0;
+  const hash = tx.signatureHash(index, prev, data.output.value, type, version);
+
+  return secp256k1.verifyDER(hash, signature.slice(0, -1), pubKey);
+}
+
+function verifyInput(mtx, index, data, inputDataMap) {
+  if (!data.isTaproot())
+    return mtx.verifyInput(index, data.coin);
+
+  const outputs = getOutputs(mtx, inputDataMap);
+
+  if (!outputs)
+    return false;
+
+  const {witness} = mtx.inputs[index];
+
+  if (witness.items.length !== 1)
+    return false;
+
+  return taproot.verifyInput(mtx, index, outputs, witness.items[0]);
+}
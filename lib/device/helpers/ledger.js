@@ -7,10 +7,47 @@
 
 const assert = require('bsert');
 const {LedgerTXInput} = require('bledger');
+const protocol = require('bledger/lib/protocol');
+const {hashType} = require('bcoin/lib/script/common');
+const {scriptTypes} = require('../../common');
 const common = require('./common');
 
 const helpers = exports;
 
+/**
+ * Get address flags for the ledger public key request.
+ * Ledger only shows single key addresses.
+ * @param {Object} options - see common.prepareAddressOptions.
+ * @returns {Number}
+ */
+
+helpers.getAddressFlags = function getAddressFlags(options) {
+  const {addressFlags} = protocol.common;
+
+  assert(!options.multisig, 'Ledger does not support multisig addresses.');
+
+  let flags;
+
+  switch (options.type) {
+    case scriptTypes.P2PKH:
+      flags = addressFlags.LEGACY;
+      break;
+    case scriptTypes.P2SH_P2WPKH:
+      flags = addressFlags.NESTED_WITNESS;
+      break;
+    case scriptTypes.P2WPKH:
+      flags = addressFlags.WITNESS;
+      break;
+    default:
+      throw new Error(`Ledger does not support ${options.type} addresses.`);
+  }
+
+  if (options.display)
+    flags |= addressFlags.VERIFY;
+
+  return flags;
+};
+
 /**
  * Create inputs suitable for passing to bledger.
  * @param {TX|MTX} tx
@@ -27,6 +64,11 @@ helpers.createLedgerInputs = function createLedgerInputs(tx, inputData, network)
     const data = inputData.get(poKey);
 
     assert(data, `Could not get metadata for input ${poKey.toString('hex')}`);
+    assert(!data.external, 'Ledger does not support external inputs.');
+    assert(!data.isTaproot(), 'Ledger does not support taproot inputs.');
+    assert(data.getSighashType() === hashType.ALL,
+      'Ledger only supports SIGHASH_ALL.');
+
     const path = data.path.toList();
 
     const {multisig, witness, prevTX, coin} = data;
@@ -55,3 +97,21 @@ helpers.createLedgerInputs = function createLedgerInputs(tx, inputData, network)
 
   return ledgerInputs;
 };
+
+/**
+ * Get change path for the ledger, ledger can only verify
+ * one single key (non-taproot) change output.
+ * @param {BufferMap<Buffer, OutputData>} outputData
+ * @returns {Path?}
+ */
+
+helpers.getChangePath = function getChangePath(outputData) {
+  for (const data of outputData.values()) {
+    if (data.multisig || data.isTaproot())
+      continue;
+
+    return data.path;
+  }
+
+  return null;
+};
@@ -7,9 +7,12 @@
 
 const assert = require('bsert');
 const scriptCommon = require('bcoin/lib/script/common');
+const Script = require('bcoin/lib/script/script');
 const Network = require('bcoin/lib/protocol/network');
 const consensus = require('bcoin/lib/protocol/consensus');
 const HDPublicKey = require('bcoin/lib/hd/public');
+const taproot = require('../../taproot');
+const {scriptTypes} = require('../../common');
 
 const helpers = exports;
 
@@ -129,6 +132,42 @@ function processMultisigInputData(inputData, network) {
   return trezorMultisig;
 }
 
+/**
+ * Process external input -> trezor's TransactionInput.
+ * Trezor does not sign these, but needs the spent output
+ * and, if already signed, the input script/witness.
+ * @see https://github.com/trezor/trezor-firmware/issues/38
+ * @param {Object} trezorInput
+ * @param {bcoin.Input} input
+ * @param {bcoin.Coin} coin
+ * @param {InputData} inputData
+ * @param {BufferMap<PrevoutHash, bcoin.TX>} refTXs
+ * @returns {Object}
+ */
+
+function processExternalInput(trezorInput, input, coin, inputData, refTXs) {
+  trezorInput.script_type = 'EXTERNAL';
+  trezorInput.amount = String(coin.value);
+  trezorInput.script_pubkey = coin.script.toRaw().toString('hex');
+
+  if (input.script.code.length > 0)
+    trezorInput.script_sig = input.script.toRaw().toString('hex');
+
+  if (input.witness.items.length > 0)
+    trezorInput.witness = input.witness.toRaw().toString('hex');
+
+  const prevoutHash = input.prevout.txid();
+  let refTX = null;
+
+  if (refTXs.has(prevoutHash))
+    refTX = refTXs.get(prevoutHash);
+
+  return {
+    trezorInput,
+    refTX
+  };
+}
+
 /**
  * Process bcoin inputs -> trezor's TransactionInput.
  * Input types:
@@ -137,6 +176,7 @@ function processMultisigInputData(inputData, network) {
  *  - EXTERNAL = 2;         // reserved for external inputs (coinjoin)
  *  - SPENDWITNESS = 3;     // native SegWit
  *  - SPENDP2SHWITNESS = 4; // SegWit over P2SH (backward compatible)
+ *  - SPENDTAPROOT = 5;     // Taproot key path
  * @param {bcoin.Input} input
  * @param {bcoin.Coin} coin
  * @param {Path} path
@@ -157,22 +197,27 @@ function processTrezorInputs(input, coin, inputData, refTXs) {
   trezorInput.prev_index = input.prevout.index;
   trezorInput.sequence = input.sequence;
 
-  if (!inputData || !inputData.path || !coin) {
-    // @see https://github.com/trezor/trezor-firmware/issues/38
-    throw new Error('External inputs are not supported.');
-    // trezorInput.script_type = 'EXTERNAL';
-    // return trezorInput;
-  }
+  assert(inputData, 'must provide input data.');
+  assert(coin, 'must provide coin.');
+
+  if (inputData.external)
+    return processExternalInput(trezorInput, input, coin, inputData, refTXs);
 
   const path = inputData.path;
 
-  assert(coin, 'must provide coin.');
+  // trezor signs with SIGHASH_ALL (SIGHASH_DEFAULT for taproot) only.
+  const supportedType = inputData.isTaproot()
+    ? taproot.hashType.DEFAULT
+    : scriptCommon.hashType.ALL;
+
+  assert(inputData.getSighashType() === supportedType,
+    'Trezor only supports SIGHASH_ALL.');
 
   if (path)
     trezorInput.address_n = path.toList();
 
   trezorInput.amount = String(coin.value);
-  const coinType = coin.getType();
+  const coinType = inputData.isTaproot() ? 'taproot' : coin.getType();
   const prevoutHash = input.prevout.txid();
 
   let type;
@@ -218,6 +263,11 @@ function processTrezorInputs(input, coin, inputData, refTXs) {
       break;
     }
 
+    case 'taproot': {
+      type = 'SPENDTAPROOT';
+      break;
+    }
+
     default: {
       throw new Error('Can not figure out input type.');
     }
@@ -244,21 +294,30 @@ function processTrezorInputs(input, coin, inputData, refTXs) {
 
 /**
  * Prepare trezor outputs.
- * TODO: Add change path verification. (Verify on the trezor)
+ * Change outputs (with OutputData) are sent with their paths
+ * so trezor can verify them.
  * Output types:
  *  - PAYTOADDRESS = 0;     // string address output; change is a P2PKH address
  *  - PAYTOMULTISIG = 2;    // change output is a multisig address
  *  - PAYTOOPRETURN = 3;    // op_return
  *  - PAYTOWITNESS = 4;     // change output is native SegWit
  *  - PAYTOP2SHWITNESS = 5; // change output is SegWit over P2SH
+ *  - PAYTOTAPROOT = 6;     // change output is Taproot
  * @param {bcoin.Output} output
  * @param {bcoin.Network} network
+ * @param {OutputData?} outputData - change output data.
  * @returns {Object}
  */
 
-function processTrezorOutputs(output, network) {
+function processTrezorOutputs(output, network, outputData) {
   const trezorOutput = {};
-  const outType = output.getType();
+
+  if (outputData)
+    return processChangeOutput(trezorOutput, output, outputData, network);
+
+  const outType = taproot.isTaprootScript(output.script)
+    ? 'taproot'
+    : output.getType();
 
   trezorOutput.amount = String(output.value);
 
@@ -292,8 +351,17 @@ function processTrezorOutputs(output, network) {
       throw new Error('Not implemented.');
     }
     case 'nulldata': {
-      throw new Error('Not implemented.');
-      // trezorOut.op_return_data = ...;
+      assert(output.value === 0, 'OP_RETURN output must have zero value.');
+
+      const data = output.script.getData(1) || Buffer.alloc(0);
+
+      // trezor recreates the script from the data.
+      assert(Script.fromNulldata(data).equals(output.script),
+        'OP_RETURN output must contain single data push.');
+
+      trezorOutput.op_return_data = data.toString('hex');
+      type = 'PAYTOOPRETURN';
+      break;
     }
     case 'witnesspubkeyhash': {
       addr = output.getAddress();
@@ -307,6 +375,12 @@ function processTrezorOutputs(output, network) {
       type = 'PAYTOWITNESS';
       break;
     }
+    case 'taproot': {
+      // bech32m address is not supported by bcoin Address.
+      trezorOutput.address = taproot.toAddress(output.script, network);
+      type = 'PAYTOTAPROOT';
+      break;
+    }
     default: {
       throw new Error('Could not determine the output type.');
     }
@@ -320,6 +394,41 @@ function processTrezorOutputs(output, network) {
   return trezorOutput;
 }
 
+/**
+ * Process change output -> trezor's TransactionOutput.
+ * Trezor derives the script from the path instead of the address.
+ * @param {Object} trezorOutput
+ * @param {bcoin.Output} output
+ * @param {OutputData} outputData
+ * @param {bcoin.Network} network
+ * @returns {Object}
+ */
+
+function processChangeOutput(trezorOutput, output, outputData, network) {
+  trezorOutput.amount = String(output.value);
+  trezorOutput.address_n = outputData.path.toList();
+
+  let type;
+
+  if (outputData.isTaproot())
+    type = 'PAYTOTAPROOT';
+  else if (outputData.isNested())
+    type = 'PAYTOP2SHWITNESS';
+  else if (outputData.witness)
+    type = 'PAYTOWITNESS';
+  else if (outputData.multisig)
+    type = 'PAYTOMULTISIG';
+  else
+    type = 'PAYTOADDRESS';
+
+  if (outputData.multisig)
+    trezorOutput.multisig = processMultisigInputData(outputData, network);
+
+  trezorOutput.script_type = type;
+
+  return trezorOutput;
+}
+
 /**
  * Accumulate transactions in map, to make it
  * easier to select from.
@@ -379,16 +488,62 @@ helpers.getCoinNetwork = function (network) {
   }
 };
 
+/**
+ * Create trezor getAddress request.
+ * @param {Path} path
+ * @param {Object} options - see common.prepareAddressOptions.
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+helpers.createAddressRequest = function createAddressRequest(path, options, network) {
+  let scriptType;
+
+  switch (options.type) {
+    case scriptTypes.P2PKH:
+      scriptType = 'SPENDADDRESS';
+      break;
+    case scriptTypes.P2SH:
+      scriptType = 'SPENDMULTISIG';
+      break;
+    case scriptTypes.P2SH_P2WPKH:
+    case scriptTypes.P2SH_P2WSH:
+      scriptType = 'SPENDP2SHWITNESS';
+      break;
+    case scriptTypes.P2WPKH:
+    case scriptTypes.P2WSH:
+      scriptType = 'SPENDWITNESS';
+      break;
+    case scriptTypes.P2TR:
+      scriptType = 'SPENDTAPROOT';
+      break;
+    default:
+      throw new Error(`Unknown script type "${options.type}".`);
+  }
+
+  const request = {
+    path: path.toList(),
+    scriptType: scriptType,
+    showOnTrezor: options.display
+  };
+
+  if (options.multisig)
+    request.multisig = processMultisigInputData(options, network);
+
+  return request;
+};
+
 /**
  * Prepare trezor device request.
  * @param {TX} tx
  * @param {Path[]} paths
  * @param {Script[]} scripts
  * @param {Network} network
+ * @param {BufferMap<Buffer, OutputData>?} outputData
  * @returns {Object}
  */
 
-helpers.createTrezorInputs = function createTrezorInputs(tx, inputData, network) {
+helpers.createTrezorInputs = function createTrezorInputs(tx, inputData, network, outputData) {
   // Signing itself does not care about address prefix,
   // instead of throwing we just assume network = 'testnet'
   network = helpers.getCoinNetwork(network);
@@ -426,7 +581,8 @@ helpers.createTrezorInputs = function createTrezorInputs(tx, inputData, network)
   }
 
   for (const output of tx.outputs) {
-    const trezorOutput = processTrezorOutputs(output, network);
+    const data = outputData ? outputData.get(output.toRaw()) : null;
+    const trezorOutput = processTrezorOutputs(output, network, data);
     signRequest.outputs.push(trezorOutput);
   }
 
@@ -14,12 +14,10 @@ const MTX = require('bcoin/lib/primitives/mtx');
 const CoinView = require('bcoin/lib/coins/coinview');
 const common = require('./helpers/common');
 const helpers = require('./helpers/ledger');
+const {ManagedLedgerBcoin, LedgerBcoin} = require('../ledger/app');
+const {InteractionTransport} = require('../ledger/transport');
 
-const {
-  ManagedLedgerBcoin,
-  LedgerBcoin,
-  USB
-} = bledger;
+const {USB} = bledger;
 
 const {Device} = USB;
 
@@ -72,11 +70,15 @@ class LedgerDevice extends AbstractDevice {
       // in bledger
       this.ledgerDevice.set({ timeout });
 
+      // app exchanges report APDUs waiting for the user.
+      const transport = InteractionTransport.fromTransport(this.ledgerDevice,
+        (type, details) => this.interact(type, details));
+
       const LedgerApp = this.managed ? ManagedLedgerBcoin : LedgerBcoin;
 
       this.ledgerApp = new LedgerApp({
         logger: this.logger,
-        device: this.ledgerDevice,
+        device: transport,
         network: this.network
       });
     }
@@ -173,12 +175,13 @@ class LedgerDevice extends AbstractDevice {
 
   /**
    * Get public key.
+   * @private
    * @param {String|Number[]|Path} path
    * @param {Boolean} [getParentFingerPrint=true]
    * @returns {bcoin.HDPublicKey}
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
+  async _getPublicKey(path, getParentFingerPrint = true) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.ledgerApp, 'Ledger app not found.');
 
@@ -189,14 +192,42 @@ class LedgerDevice extends AbstractDevice {
     return this.ledgerApp.getPublicKey(path.toString(), getParentFingerPrint);
   }
 
+  /**
+   * Get address, the ledger derives and shows it
+   * when display is set.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @returns {String}
+   */
+
+  async _getAddress(path, options = {}) {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.ledgerApp, 'Ledger app not found.');
+
+    path = common.parsePath(path);
+
+    const addressOptions = common.prepareAddressOptions(path, options);
+    const flags = helpers.getAddressFlags(addressOptions);
+
+    this.logger.debug('getting address for path', path);
+
+    const hdpub = await this.ledgerApp.getPublicKey(path.toString(),
+      false, flags);
+
+    return common.getAddress(hdpub.publicKey, addressOptions, this.network);
+  }
+
   /**
    * Sign transaction.
+   * @private
    * @param {bcoin.TX} tx
    * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
    * @returns {bcoin.MTX}
    */
 
-  async signTransaction(tx, inputData) {
+  async _signTransaction(tx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.ledgerApp, 'Ledger app not found.');
 
@@ -207,13 +238,15 @@ class LedgerDevice extends AbstractDevice {
       this.network
     );
 
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+    const changePath = helpers.getChangePath(outputDataMap);
     const mtx = MTX.fromTX(tx);
 
     // add coins to the view.
     for (const data of inputDataMap.values())
       mtx.view.addCoin(data.coin);
 
-    await this.ledgerApp.signTransaction(mtx, ledgerInputs);
+    await this.ledgerApp.signTransaction(mtx, ledgerInputs, changePath);
     this.logger.debug('Transaction was signed.');
 
     const nmtx = common.applyOtherSignatures(mtx, inputDataMap, this.network);
@@ -222,12 +255,14 @@ class LedgerDevice extends AbstractDevice {
 
   /**
    * Sign transaction and return signatures.
+   * @private
    * @param {bcoin.TX} tx
    * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
    * @returns {Buffer[]} - signatures
    */
 
-  async getSignatures(tx, inputData) {
+  async _getSignatures(tx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.ledgerApp, 'Ledger app not found.');
 
@@ -243,11 +278,11 @@ class LedgerDevice extends AbstractDevice {
       this.network
     );
 
-    const result = await this.ledgerApp.getTransactionSignatures(
-      tx,
-      view,
-      ledgerInputs
-    );
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+    const changePath = helpers.getChangePath(outputDataMap);
+
+    const result = await this.ledgerApp.getTransactionSignatures(tx, view,
+      ledgerInputs, changePath);
 
     this.logger.debug('Transaction was signed.');
 
@@ -256,20 +291,27 @@ class LedgerDevice extends AbstractDevice {
 
   /**
    * Sign arbitrary message.
+   * @private
    * @param {Path|String} path
    * @param {Buffer|String} message
-   * @returns {Buffer}
+   * @param {Object} [options={}]
+   * @returns {MessageSignature}
    */
 
-  async signMessage(path, message) {
+  async _signMessage(path, message, options = {}) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.ledgerApp, 'Ledger app not found.');
 
     path = common.parsePath(path);
+    message = common.parseMessage(message);
 
+    const type = common.getMessageType(path, options);
     const pathstr = path.toString();
+    const hdpub = await this.ledgerApp.getPublicKey(pathstr, false);
     const signature = await this.ledgerApp.signMessage(pathstr, message);
-    return signature.toCoreSignature();
+
+    return common.createMessageSignature(message,
+      signature.toCoreSignature(), hdpub.publicKey, type, this.network);
   }
 
   /**
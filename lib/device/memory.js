@@ -13,6 +13,7 @@ const HDPrivateKey = require('bcoin/lib/hd/private');
 const sigUtils = require('bmultisig/lib/utils/sig');
 const MultisigMTX = require('bmultisig/lib/primitives/mtx');
 const AbstractDevice = require('./abstract');
+const taproot = require('../taproot');
 const {vendors} = require('../common');
 const common = require('./helpers/common');
 
@@ -39,6 +40,27 @@ class MemoryDevice extends AbstractDevice {
       this.logger = options.logger.context('memory-device');
     }
 
+    // same id is the same device, e.g. after reconnect.
+    if (options.id != null) {
+      assert((options.id >>> 0) === options.id);
+      this.id = options.id;
+    }
+
+    this.master = this.parseKey(options);
+
+    return this;
+  }
+
+  /**
+   * Get master key from the options,
+   * new key is generated if there is none.
+   * @param {Object} options
+   * @param {String?} options.phrase
+   * @param {HDPrivateKey?} options.key
+   * @returns {HDPrivateKey}
+   */
+
+  parseKey(options) {
     let key;
 
     if (options.phrase != null) {
@@ -55,9 +77,7 @@ class MemoryDevice extends AbstractDevice {
     if (key == null)
       key = HDPrivateKey.generate();
 
-    this.master = key;
-
-    return this;
+    return key;
   }
 
   /**
@@ -114,55 +134,99 @@ class MemoryDevice extends AbstractDevice {
 
   /**
    * Get public key.
+   * @private
    * @param {String|Number[]|Path} path
    * @param {Boolean} [getParentFingerPrint=true]
    * @returns {bcoin.HDPublicKey}
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
+  async _getPublicKey(path, getParentFingerPrint = true) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.opened, 'Device is not open.');
 
+    path = common.parsePath(path);
+
     const key = this.master.derivePath(path.toString());
 
     return key.toPublic();
   }
 
+  /**
+   * Get address, memory device has no screen to display it.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @returns {String}
+   */
+
+  async _getAddress(path, options = {}) {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.opened, 'Device is not open.');
+
+    path = common.parsePath(path);
+
+    const addressOptions = common.prepareAddressOptions(path, options);
+    const key = this.master.derivePath(path.toString());
+
+    return common.getAddress(key.publicKey, addressOptions, this.network);
+  }
+
   /**
    * Sign transaction.
+   * @private
    * @param {bcoin.TX} tx
    * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
    * @returns {bcoin.MTX}
    */
 
-  async signTransaction(tx, inputData) {
+  async _signTransaction(tx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.opened, 'Device is not open.');
 
+    this.verifyChangeOutputs(tx, outputData);
+
     const inputDataMap = common.prepareSignOptions(inputData);
     const mtx = MTX.fromTX(tx);
-    const rings = [];
 
-    // setup view and create rings
-    for (const inputData of inputDataMap.values()) {
+    // setup view
+    for (const inputData of inputDataMap.values())
       mtx.view.addCoin(inputData.coin);
 
-      const key = this.master.derivePath(inputData.path.toString());
+    // sign each owned input with its own sighash type,
+    // external inputs and inputs of other keys are left as is.
+    for (const [i, input] of mtx.inputs.entries()) {
+      const data = inputDataMap.get(input.prevout.toKey());
+
+      if (common.isExternal(data)) {
+        this.logger.debug('not signing external input %d.', i);
+        continue;
+      }
+
+      if (data.isTaproot()) {
+        const signature = this.signTaprootInput(mtx, i, inputDataMap);
+
+        if (signature)
+          input.witness.fromArray([signature]);
+
+        continue;
+      }
+
+      const key = this.master.derivePath(data.path.toString());
 
       const ring = common.createRing(
-        inputData,
+        data,
         key.publicKey,
         this.network,
         key.privateKey
       );
 
-      rings.push(ring);
-    }
+      if (!ring.ownOutput(data.coin))
+        continue;
 
-    const signed = mtx.sign(rings);
-    const expectedSigs = tx.inputs.length * rings.length;
-    assert(signed === tx.inputs.length,
-      `Some inputs were not signed (${signed}/${expectedSigs})`);
+      mtx.scriptInput(i, data.coin, ring);
+      mtx.signInput(i, data.coin, ring, data.getSighashType());
+    }
 
     const fmtx = common.applyOtherSignatures(mtx, inputDataMap, this.network);
 
@@ -171,30 +235,38 @@ class MemoryDevice extends AbstractDevice {
 
   /**
    * Sign transaction and return signatures.
+   * @private
    * @param {bcoin.TX} tx
    * @param {InputData[]} inputData
-   * @returns {Buffer[]} - signatures
+   * @param {OutputData[]} [outputData=[]] - change outputs.
+   * @returns {Buffer[]} - signatures, null for inputs we don't sign.
    */
 
-  async getSignatures(tx, inputData) {
+  async _getSignatures(tx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.opened, 'Device is not open.');
 
+    this.verifyChangeOutputs(tx, outputData);
+
     const inputDataMap = common.prepareSignOptions(inputData);
     const msMTX = MultisigMTX.fromTX(tx);
 
     for (const inputData of inputDataMap.values())
       msMTX.view.addCoin(inputData.coin);
 
-    const rings = [];
+    const signatures = new Array(msMTX.inputs.length).fill(null);
+
+    for (const [i, input] of msMTX.inputs.entries()) {
+      const data = inputDataMap.get(input.prevout.toKey());
+
+      if (common.isExternal(data))
+        continue;
 
-    // TODO: Update Multisig MTX so it does not accept sorted array
-    // instead uses same approach as BCOIN.
-    for (const input of msMTX.inputs) {
-      const poKey = input.prevout.toKey();
-      const data = inputDataMap.get(poKey);
+      if (data.isTaproot()) {
+        signatures[i] = this.signTaprootInput(msMTX, i, inputDataMap);
+        continue;
+      }
 
-      assert(data, `Could not get metadata for input ${poKey.toString('hex')}`);
       const key = this.master.derivePath(data.path.toString());
       const ring = common.createRing(
         data,
@@ -203,29 +275,83 @@ class MemoryDevice extends AbstractDevice {
         key.privateKey
       );
 
-      rings.push(ring);
-    }
+      if (!ring.ownOutput(data.coin))
+        continue;
 
-    // TODO: Multisig - add async support?
-    const signatures = msMTX.getSignatures(rings);
+      signatures[i] = msMTX.getInputSignature(i, data.coin, ring,
+        data.getSighashType());
+    }
 
     return signatures;
   }
 
+  /**
+   * Verify change outputs derive from our keys,
+   * same as hardware devices would.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {OutputData[]} outputData
+   * @throws {Error}
+   */
+
+  verifyChangeOutputs(tx, outputData) {
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+
+    for (const data of outputDataMap.values()) {
+      const key = this.master.derivePath(data.path.toString());
+      const script = common.getChangeScript(data, key.publicKey, this.network);
+
+      if (!script.equals(data.output.script))
+        throw new Error('Change output does not belong to the key.');
+    }
+  }
+
+  /**
+   * Sign taproot input using key path (BIP86).
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {Number} index
+   * @param {BufferMap<Prevout, InputData>} inputDataMap
+   * @returns {Buffer?} - schnorr signature, null if key does not match.
+   */
+
+  signTaprootInput(tx, index, inputDataMap) {
+    const {prevout} = tx.inputs[index];
+    const data = inputDataMap.get(prevout.toKey());
+    const key = this.master.derivePath(data.path.toString());
+    const outputKey = taproot.getOutputKey(data.output.script);
+
+    if (!outputKey.equals(taproot.tweakPublicKey(key.publicKey)))
+      return null;
+
+    const coins = common.getSpentOutputs(tx, inputDataMap);
+    const type = data.getSighashType();
+
+    return taproot.signInput(tx, index, coins, key.privateKey, type);
+  }
+
   /**
    * Sign arbitrary message.
+   * @private
    * @param {Path|String} path
    * @param {Buffer|String} message
-   * @returns {Buffer}
+   * @param {Object} [options={}]
+   * @returns {MessageSignature}
    */
 
-  async signMessage(path, message) {
+  async _signMessage(path, message, options = {}) {
     assert(!this.destroyed, 'Device no longer available.');
     assert(this.opened, 'Device is not open.');
 
+    path = common.parsePath(path);
+    message = common.parseMessage(message);
+
+    const type = common.getMessageType(path, options);
     const key = this.master.derivePath(path.toString());
+    const signature = sigUtils.signMessage(message, key.privateKey);
 
-    return sigUtils.signMessage(message, key.privateKey);
+    return common.createMessageSignature(message, signature, key.publicKey,
+      type, this.network);
   }
 
   static fromOptions(options) {
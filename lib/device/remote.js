@@ -0,0 +1,390 @@
+/*!
+ * remote.js - Remote device, device of the signer relay.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Logger = require('blgr');
+const MTX = require('bcoin/lib/primitives/mtx');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const AbstractDevice = require('./abstract');
+const {MessageSignature} = require('../message');
+const {vendors} = require('../common');
+const {CanceledError, cancelReasons} = require('../errors');
+const {errs} = require('../server/rpc');
+const common = require('./helpers/common');
+
+/**
+ * Remote Device
+ *
+ * Device of the signer relay (see bin/server.js), requests
+ * are sent as JSON-RPC calls over the websocket of the client.
+ * @property {SignerClient} client
+ * @property {String} remoteVendor - vendor on the relay.
+ * @property {String} remoteKey - device key on the relay.
+ */
+
+class RemoteDevice extends AbstractDevice {
+  constructor(options) {
+    super();
+
+    this.logger = Logger.global;
+    this.client = null;
+    this.remoteVendor = '';
+    this.remoteKey = '';
+    this.pending = null;
+    this._opened = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {SignerClient} options.client - open client of the relay.
+   * @param {String} options.vendor - vendor on the relay.
+   * @param {String} options.key - device key on the relay.
+   * @returns {RemoteDevice}
+   */
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    assert(options.client && typeof options.client === 'object',
+      'Remote device requires client.');
+    enforce(typeof options.vendor === 'string', 'options.vendor', 'string');
+    enforce(typeof options.key === 'string', 'options.key', 'string');
+
+    this.client = options.client;
+    this.remoteVendor = options.vendor;
+    this.remoteKey = options.key;
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('remote-device');
+    }
+
+    return this;
+  }
+
+  /**
+   * Get vendor of the device.
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.REMOTE;
+  }
+
+  /**
+   * Handle of the current device.
+   * @returns {String}
+   */
+
+  get handle() {
+    return this.key;
+  }
+
+  /**
+   * Unique identifier of the device,
+   * vendor and key on the relay.
+   * @returns {String}
+   */
+
+  get key() {
+    return `${this.remoteVendor}:${this.remoteKey}`;
+  }
+
+  get opened() {
+    return this._opened;
+  }
+
+  async destroy() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(!this.opened, 'Device is open.');
+
+    this.destroyed = true;
+  }
+
+  async open() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(!this.opened, 'Device is already open.');
+
+    this._opened = true;
+  }
+
+  async close() {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.opened, 'Device is not open.');
+
+    this._opened = false;
+  }
+
+  /**
+   * Call RPC method of the relay for this device,
+   * relay opens the device if it is not open.
+   * @private
+   * @param {String} method
+   * @param {Array} params
+   * @param {Object} [options={}] - method options.
+   * @returns {Promise<Object>} - result JSON.
+   */
+
+  async call(method, params, options = {}) {
+    assert(!this.destroyed, 'Device no longer available.');
+    assert(this.opened, 'Device is not open.');
+
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject };
+
+      this.pending = pending;
+
+      this.client.execute(method, [
+        ...params,
+        {
+          ...options,
+          vendor: this.remoteVendor,
+          key: this.remoteKey
+        }
+      ]).then((result) => {
+        this.finish(pending, null, result);
+      }, (err) => {
+        this.finish(pending, parseError(err));
+      });
+    });
+  }
+
+  /**
+   * Finish pending call.
+   * @private
+   * @param {Object} pending
+   * @param {Error?} err
+   * @param {Object?} result
+   */
+
+  finish(pending, err, result) {
+    if (this.pending !== pending)
+      return;
+
+    this.pending = null;
+
+    if (err)
+      pending.reject(err);
+    else
+      pending.resolve(result);
+  }
+
+  /**
+   * Get public key.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Boolean} [getParentFingerPrint=true]
+   * @returns {bcoin.HDPublicKey}
+   */
+
+  async _getPublicKey(path, getParentFingerPrint = true) {
+    path = common.parsePath(path);
+
+    const xpub = await this.call('getpublickey', [path.toString()], {
+      getParentFingerPrint
+    });
+
+    return HDPublicKey.fromBase58(xpub, this.network);
+  }
+
+  /**
+   * Get address, it is displayed on the remote device.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @returns {String}
+   */
+
+  async _getAddress(path, options = {}) {
+    path = common.parsePath(path);
+
+    const {type, multisig, display} = common.prepareAddressOptions(path,
+      options);
+
+    return this.call('getaddress', [path.toString()], {
+      type,
+      multisig: multisig ? multisigToJSON(multisig) : null,
+      display
+    });
+  }
+
+  /**
+   * Sign transaction, signed transaction must spend
+   * and pay the same as requested, with valid signatures.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {Object[]} inputData
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @returns {bcoin.MTX}
+   */
+
+  async _signTransaction(tx, inputData, outputData = []) {
+    const inputDataMap = common.prepareSignOptions(inputData);
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+
+    const hex = await this.call('signtransaction',
+      this.encodeSignParams(tx, inputDataMap, outputDataMap));
+
+    const signed = MTX.fromRaw(Buffer.from(hex, 'hex'));
+
+    common.verifySigned(tx, signed);
+
+    const mtx = MTX.fromTX(tx);
+
+    common.injectMTX(mtx, signed);
+
+    for (const data of inputDataMap.values())
+      mtx.view.addCoin(data.coin);
+
+    common.verifySignedInputs(mtx, inputDataMap, this.network);
+
+    return mtx;
+  }
+
+  /**
+   * Sign transaction and return signatures, single key
+   * signatures are verified with the public key of the relay.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {InputData[]} inputData
+   * @param {OutputData[]} [outputData=[]] - change outputs.
+   * @returns {Buffer[]} - signatures, null for inputs we don't sign.
+   */
+
+  async _getSignatures(tx, inputData, outputData = []) {
+    const inputDataMap = common.prepareSignOptions(inputData);
+    const outputDataMap = common.prepareOutputData(tx, outputData);
+
+    const signatures = await this.call('getsignatures',
+      this.encodeSignParams(tx, inputDataMap, outputDataMap));
+
+    if (signatures.length !== tx.inputs.length)
+      throw new Error('Signatures do not match the inputs.');
+
+    const result = signatures.map(sig => sig ? Buffer.from(sig, 'hex') : null);
+
+    await common.verifySignatures(tx, result, inputDataMap, this.network,
+      path => this._getPublicKey(path, false));
+
+    return result;
+  }
+
+  /**
+   * Sign arbitrary message.
+   * @private
+   * @param {Path|String} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}]
+   * @returns {MessageSignature}
+   */
+
+  async _signMessage(path, message, options = {}) {
+    path = common.parsePath(path);
+    message = common.parseMessage(message);
+
+    const type = common.getMessageType(path, options);
+    const json = await this.call('signmessage', [
+      path.toString(),
+      message.toString('hex')
+    ], {
+      encoding: 'hex',
+      type
+    });
+
+    const signature = MessageSignature.fromJSON(json);
+
+    if (!signature.verify(message, this.network))
+      throw new Error('Invalid message signature.');
+
+    return signature;
+  }
+
+  /**
+   * Stop waiting for the relay, request
+   * still runs on the remote device.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _cancel() {
+    if (this.pending)
+      this.finish(this.pending, new CanceledError());
+  }
+
+  /**
+   * Encode transaction, input and output data as JSON.
+   * @private
+   * @param {bcoin.TX} tx
+   * @param {BufferMap<Buffer, InputData>} inputDataMap
+   * @param {BufferMap<Buffer, OutputData>} outputDataMap
+   * @returns {Array}
+   */
+
+  encodeSignParams(tx, inputDataMap, outputDataMap) {
+    const inputData = [];
+    const outputData = [];
+
+    for (const data of inputDataMap.values())
+      inputData.push(data.getJSON(this.network));
+
+    for (const data of outputDataMap.values())
+      outputData.push(data.getJSON(this.network));
+
+    return [tx.toRaw().toString('hex'), inputData, outputData];
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function multisigToJSON(multisig) {
+  return {
+    m: multisig.m,
+    pubkeys: multisig.pubkeys.map((pk) => {
+      return {
+        xpub: pk.xpub,
+        path: pk.path.toString(),
+        signature: pk.signature || null
+      };
+    })
+  };
+}
+
+/**
+ * Canceled requests on the relay are rejected
+ * with CanceledError of the same reason.
+ * @param {Error} err - RPC error.
+ * @returns {Error}
+ */
+
+function parseError(err) {
+  if (err.code !== errs.REQUEST_CANCELED)
+    return err;
+
+  const timeout = new CanceledError(cancelReasons.TIMEOUT);
+
+  if (err.message === timeout.message)
+    return timeout;
+
+  return new CanceledError(cancelReasons.CANCEL);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = RemoteDevice;
@@ -14,6 +14,7 @@ const TrezorConnect = trezorConnect.default;
 const HDPublicKey = require('bcoin/lib/hd/public');
 const MTX = require('bcoin/lib/primitives/mtx');
 const {vendors} = require('../common');
+const taproot = require('../taproot');
 const AbstractDevice = require('./abstract');
 const common = require('./helpers/common');
 const helpers = require('./helpers/trezor');
@@ -23,6 +24,7 @@ class TrezorDevice extends AbstractDevice {
     super(options);
 
     this.logger = Logger.global;
+    this.connect = TrezorConnect;
     this.path = null;
     this.label = null;
     this.deviceID = null;
@@ -33,6 +35,11 @@ class TrezorDevice extends AbstractDevice {
 
   /**
    * Inject from options.
+   * @param {Object} options
+   * @param {String} options.path
+   * @param {String} options.label
+   * @param {String} options.deviceID
+   * @param {Object?} options.connect - TrezorConnect instance.
    */
 
   fromOptions(options) {
@@ -52,6 +59,11 @@ class TrezorDevice extends AbstractDevice {
       this.status = options.status;
     }
 
+    if (options.connect != null) {
+      assert(typeof options.connect === 'object');
+      this.connect = options.connect;
+    }
+
     if (options.logger != null) {
       assert(typeof options.logger === 'object');
       this.logger = options.logger.context('trezor-device');
@@ -105,6 +117,7 @@ class TrezorDevice extends AbstractDevice {
 
   destroy() {
     assert(!this.destroyed);
+    this.destroyed = true;
   }
 
   /**
@@ -130,19 +143,20 @@ class TrezorDevice extends AbstractDevice {
 
   /**
    * Get public key.
+   * @private
    * @param {String|Number[]|Path} path
    * @param {Boolean} [getParentFingerPrint=true]
    * @returns {bcoin.HDPublicKey}
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
+  async _getPublicKey(path, getParentFingerPrint = true) {
     assert(!this.destroyed, 'Device no longer available.');
 
     path = common.parsePath(path);
 
     this.logger.debug('getting public key for path', path);
 
-    const response = await TrezorConnect.getPublicKey({
+    const response = await this.connect.getPublicKey({
       device: {
         path: this.handle
       },
@@ -165,14 +179,59 @@ class TrezorDevice extends AbstractDevice {
     return hdpub;
   }
 
+  /**
+   * Get address, trezor shows it when display is set.
+   * Returned address is verified against the one derived locally.
+   * @private
+   * @param {String|Number[]|Path} path
+   * @param {Object} [options={}]
+   * @returns {String}
+   */
+
+  async _getAddress(path, options = {}) {
+    assert(!this.destroyed, 'Device no longer available.');
+
+    path = common.parsePath(path);
+
+    const addressOptions = common.prepareAddressOptions(path, options);
+    const request = helpers.createAddressRequest(path, addressOptions,
+                                                 this.network);
+
+    this.logger.debug('getting address for path', path);
+
+    const response = await this.connect.getAddress({
+      device: {
+        path: this.handle
+      },
+      coin: helpers.getCoinType(this.network),
+      ...request
+    });
+
+    assertTrezorResponse(response);
+
+    const hdpub = await this._getPublicKey(path);
+    const publicKey = hdpub.publicKey;
+
+    // trezor renders regtest addresses with testnet prefix.
+    const coinNetwork = helpers.getCoinNetwork(this.network);
+    const expected = common.getAddress(publicKey, addressOptions, coinNetwork);
+
+    if (response.payload.address !== expected)
+      throw new Error('Device returned unexpected address.');
+
+    return common.getAddress(publicKey, addressOptions, this.network);
+  }
+
   /**
    * Sign transaction and return signatures.
+   * @private
    * @param {bcoin.MTX} mtx
    * @param {Object[]} inputData
-   * @returns {Buffer[]} - signatures
+   * @param {Object[]} [outputData=[]] - change outputs.
+   * @returns {Buffer[]} - signatures, null for external inputs.
    */
 
-  async getSignatures(mtx, inputData) {
+  async _getSignatures(mtx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     this.logger.debug('Getting signatures for transaction.');
 
@@ -181,10 +240,11 @@ class TrezorDevice extends AbstractDevice {
     const trezorOptions = helpers.createTrezorInputs(
       mtx,
       inputData,
-      this.network
+      this.network,
+      common.prepareOutputData(mtx, outputData)
     );
 
-    const response = await TrezorConnect.signTransaction({
+    const response = await this.connect.signTransaction({
       device: {
         path: this.handle
       },
@@ -198,13 +258,25 @@ class TrezorDevice extends AbstractDevice {
 
     const signatures = [];
 
-    // TODO: Once hashtypes are supported, add ability to pass hashtype here
-    // TODO: Once EXTERNAL inputs are supported,
-    //       verify the format of the signatures.
-    for (const hexsig of payload.signatures) {
-      // 01 - SIGHASHALL.
-      const hashType = '01';
-      signatures.push(Buffer.from(hexsig + hashType, 'hex'));
+    for (const [i, hexsig] of payload.signatures.entries()) {
+      const data = inputData.get(mtx.inputs[i].prevout.toKey());
+
+      // trezor does not sign external inputs.
+      if (data.external) {
+        signatures.push(null);
+        continue;
+      }
+
+      const signature = Buffer.from(hexsig, 'hex');
+      const type = data.getSighashType();
+
+      // taproot uses SIGHASH_DEFAULT, 64 byte signature.
+      if (type === taproot.hashType.DEFAULT) {
+        signatures.push(signature);
+        continue;
+      }
+
+      signatures.push(Buffer.concat([signature, Buffer.from([type])]));
     }
 
     return signatures;
@@ -212,12 +284,14 @@ class TrezorDevice extends AbstractDevice {
 
   /**
    * Sign transaction.
+   * @private
    * @param {bcoin.MTX|TX} tx
    * @param {Object[]|InputData[]} inputData
+   * @param {Object[]|OutputData[]} [outputData=[]] - change outputs.
    * @returns {bcoin.MTX}
    */
 
-  async signTransaction(tx, inputData) {
+  async _signTransaction(tx, inputData, outputData = []) {
     assert(!this.destroyed, 'Device no longer available.');
     this.logger.debug('Sign transaction.');
 
@@ -226,10 +300,11 @@ class TrezorDevice extends AbstractDevice {
     const trezorOptions = helpers.createTrezorInputs(
       tx,
       inputData,
-      this.network
+      this.network,
+      common.prepareOutputData(tx, outputData)
     );
 
-    const response = await TrezorConnect.signTransaction({
+    const response = await this.connect.signTransaction({
       device: {
         path: this.handle
       },
@@ -250,39 +325,52 @@ class TrezorDevice extends AbstractDevice {
 
   /**
    * Sign arbitrary message.
+   * @private
    * @param {Path|String} path
    * @param {Buffer|String} message
-   * @returns {Buffer}
+   * @param {Object} [options={}]
+   * @returns {MessageSignature}
    */
 
-  async signMessage(path, message) {
+  async _signMessage(path, message, options = {}) {
     assert(!this.destroyed, 'Device no longer available.');
-    assert(Buffer.isBuffer(message) || typeof message === 'string',
-      'message must be a buffer or a string.');
 
     path = common.parsePath(path);
-    this.logger.debug('Signing message using path:', path);
+    message = common.parseMessage(message);
 
-    if (typeof message === 'string')
-      message = Buffer.from(message, 'utf8');
+    this.logger.debug('Signing message using path:', path);
 
-    if (Buffer.isBuffer(message))
-      message = message.toString('hex');
+    const type = common.getMessageType(path, options);
+    const hdpub = await this._getPublicKey(path);
 
-    const response = await TrezorConnect.signMessage({
+    const response = await this.connect.signMessage({
       device: {
         path: this.handle
       },
       coin: helpers.getCoinType(this.network),
       path: path.toList(),
-      message: message,
+      message: message.toString('hex'),
       hex: true
     });
 
     assertTrezorResponse(response);
 
     const signature = Buffer.from(response.payload.signature, 'base64');
-    return signature;
+
+    return common.createMessageSignature(message, signature, hdpub.publicKey,
+      type, this.network);
+  }
+
+  /**
+   * Cancel running request, pending call
+   * to the TrezorConnect fails with an error.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _cancel() {
+    this.logger.debug('Canceling request.');
+    this.connect.cancel('Request was canceled.');
   }
 
   /**
@@ -0,0 +1,76 @@
+/*!
+ * errors.js - Signer errors.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Cancel reasons.
+ * @enum {String}
+ */
+
+const cancelReasons = {
+  CANCEL: 'cancel',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Canceled Error
+ * Request was aborted or timed out before it finished.
+ * @extends {Error}
+ * @property {String} type
+ * @property {String} reason - cancel or timeout.
+ */
+
+class CanceledError extends Error {
+  /**
+   * Create a canceled error.
+   * @constructor
+   * @param {String} [reason=cancel]
+   */
+
+  constructor(reason = cancelReasons.CANCEL) {
+    super();
+
+    assert(Object.values(cancelReasons).includes(reason),
+      'Unknown cancel reason.');
+
+    this.type = 'CanceledError';
+    this.reason = reason;
+    this.message = reason === cancelReasons.TIMEOUT
+      ? 'Request timed out.'
+      : 'Request was canceled.';
+
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(this, CanceledError);
+  }
+
+  /**
+   * Whether request timed out.
+   * @returns {Boolean}
+   */
+
+  get timeout() {
+    return this.reason === cancelReasons.TIMEOUT;
+  }
+
+  /**
+   * Test whether an object is a CanceledError.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isCanceledError(obj) {
+    return obj instanceof CanceledError;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.cancelReasons = cancelReasons;
+exports.CanceledError = CanceledError;
@@ -13,7 +13,13 @@ const Outpoint = require('bcoin/lib/primitives/outpoint');
 const Coin = require('bcoin/lib/primitives/coin');
 const Output = require('bcoin/lib/primitives/output');
 const TX = require('bcoin/lib/primitives/tx');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const Script = require('bcoin/lib/script/script');
+const {hashType} = require('bcoin/lib/script/common');
+const hash160 = require('bcrypto/lib/hash160');
 const {Path} = require('./path');
+const taproot = require('./taproot');
+const {PSBT, PSBTInput, getFingerprint} = require('./psbt');
 
 /**
  * Input metadata for signing.
@@ -23,6 +29,10 @@ const {Path} = require('./path');
  * @property {Output|Coin} output
  * @property {Path} path
  * @property {Object} multisig
+ * @property {Number?} sighashType - null uses device default
+ *  (SIGHASH_ALL or SIGHASH_DEFAULT for taproot).
+ * @property {Boolean} external - input belongs to someone else
+ *  and will not be signed (e.g. payjoin or coinjoin).
  */
 
 class InputData extends Struct {
@@ -35,6 +45,8 @@ class InputData extends Struct {
     this.prevTX = null;
     this.output = new Output();
     this.multisig = null;
+    this.sighashType = null;
+    this.external = false;
 
     this._coin = null;
 
@@ -50,14 +62,21 @@ class InputData extends Struct {
 
   fromOptions(options) {
     enforce(options, 'options', 'object');
-    // for external inputs, we may have to remove this requirement.
-    assert(options.path, 'options.path is required.');
+
+    if (options.external != null) {
+      enforce(typeof options.external === 'boolean',
+        'options.external', 'boolean');
+      this.external = options.external;
+    }
+
+    assert(this.external || options.path, 'options.path is required.');
     assert(options.prevout != null || options.coin != null,
        'options.prevout or options.coin is required.');
     assert(options.output != null || options.coin != null || options.prevTX,
       'options.output, options.coin or options.prevTX is required.');
 
-    this.path = parsePath(this.path, options.path, 'options.path');
+    if (options.path != null)
+      this.path = parsePath(this.path, options.path, 'options.path');
 
     if (options.prevout != null)
       this.prevout = parsePrevout(this.prevout, options.prevout);
@@ -90,7 +109,7 @@ class InputData extends Struct {
       this.witness = options.witness;
     }
 
-    assert(this.witness || options.prevTX != null,
+    assert(this.external || this.witness || options.prevTX != null,
       'non-witness inputs need prevTX.');
 
     if (options.prevTX != null) {
@@ -102,41 +121,14 @@ class InputData extends Struct {
     }
 
     if (options.multisig != null) {
-      const multisig = {
-        m: options.multisig.m,
-        pubkeys: []
-      };
-
-      assert((multisig.m >>> 0) === multisig.m,
-        'options.multisig.m must be a number.');
-
-      assert(Array.isArray(options.multisig.pubkeys),
-        'options.multisig.pubkeys must be an array.');
-
-      assert(options.multisig.pubkeys.length >= options.multisig.m,
-        'm must be smaller than n.');
-
-      for (const pk of options.multisig.pubkeys) {
-        enforce(typeof pk.xpub === 'string',
-          'pubkeys[i].xpub', 'string');
-        enforce(typeof pk.signature === 'string',
-          'pubkeys[i].signature', 'hex string.');
-
-        let path = new Path();
-
-        path = parsePath(path, pk.path,
-          'options.multisig.pubkeys[i].path');
-        const pubkey = {
-          xpub: pk.xpub,
-          path: path,
-          signature: pk.signature
-        };
+      this.multisig = parseMultisig(options.multisig,
+        'options.multisig', true);
+    }
 
-        multisig.pubkeys.push(pubkey);
-      }
+    if (options.sighashType != null)
+      this.sighashType = parseSighashType(options.sighashType);
 
-      this.multisig = multisig;
-    }
+    this.checkSighashType();
 
     return this;
   }
@@ -148,14 +140,24 @@ class InputData extends Struct {
 
   fromJSON(json) {
     enforce(typeof json === 'object', 'json', 'object');
-    enforce(typeof json.path === 'string', 'json.path', 'string');
+
+    if (json.external != null) {
+      enforce(typeof json.external === 'boolean', 'json.external', 'boolean');
+      this.external = json.external;
+    }
+
+    if (!this.external || json.path != null)
+      enforce(typeof json.path === 'string', 'json.path', 'string');
+
     enforce(typeof json.witness === 'boolean', 'json.witness', 'boolean');
     assert(json.prevout != null || json.coin != null,
        'json.prevout or json.coin is required.');
     assert(json.output != null || json.coin != null,
        'json.output or json.coin is required.');
 
-    this.path = Path.fromString(json.path);
+    if (json.path != null)
+      this.path = Path.fromString(json.path);
+
     this.witness = json.witness;
 
     if (json.prevout != null)
@@ -183,40 +185,259 @@ class InputData extends Struct {
       this.prevTX = TX.fromRaw(Buffer.from(json.prevTX, 'hex'));
     }
 
-    if (json.multisig != null) {
-      enforce((json.multisig.m >>> 0) === json.multisig.m,
-        'json.multisig.m', 'number');
-      enforce(Array.isArray(json.multisig.pubkeys),
-        'json.multisig.pubkeys', 'array');
-
-      const pubkeys = [];
-
-      for (const pk of json.multisig.pubkeys) {
-        enforce(typeof pk.xpub === 'string',
-          'json.multisig.pubkeys[i].xpub', 'string');
-        enforce(typeof pk.path === 'string',
-          'json.multisig.pubkeys[i].path', 'string');
-        enforce(typeof pk.signature === 'string',
-          'json.multisig.pubkeys[i].signature', 'hex string');
-
-        let path = new Path();
-        path = parsePath(path, pk.path,
-          'json.multisig.pubkeys[i].path');
-
-        pubkeys.push({
-          xpub: pk.xpub,
-          path: path,
-          signature: pk.signature
+    if (json.multisig != null)
+      this.multisig = parseMultisig(json.multisig, 'json.multisig', true);
+
+    if (json.sighashType != null) {
+      enforce((json.sighashType >>> 0) === json.sighashType,
+        'json.sighashType', 'number');
+      this.sighashType = json.sighashType;
+    }
+
+    this.checkSighashType();
+
+    return this;
+  }
+
+  /**
+   * Verify sighash type is valid for the input.
+   * @throws {Error}
+   */
+
+  checkSighashType() {
+    const type = this.sighashType;
+
+    if (type == null)
+      return;
+
+    if (this.isTaproot()) {
+      assert(taproot.isHashType(type), 'Invalid sighash type for taproot.');
+      return;
+    }
+
+    assert(type !== taproot.hashType.DEFAULT,
+      'SIGHASH_DEFAULT is only valid for taproot inputs.');
+    assert(isSighashType(type), 'Invalid sighash type.');
+  }
+
+  /**
+   * Get sighash type used for signing,
+   * defaults to SIGHASH_ALL (SIGHASH_DEFAULT for taproot).
+   * @returns {Number}
+   */
+
+  getSighashType() {
+    if (this.sighashType != null)
+      return this.sighashType;
+
+    if (this.isTaproot())
+      return taproot.hashType.DEFAULT;
+
+    return hashType.ALL;
+  }
+
+  /**
+   * Inject properties from the PSBT input.
+   * @param {PSBT} psbt
+   * @param {Number} index - input index.
+   * @param {Object} options
+   * @param {Buffer} options.publicKey - our public key in the input.
+   * @param {Network?} options.network
+   * @returns {InputData}
+   */
+
+  fromPSBT(psbt, index, options) {
+    enforce(PSBT.isPSBT(psbt), 'psbt', 'PSBT');
+    enforce((index >>> 0) === index, 'index', 'number');
+    enforce(options && typeof options === 'object', 'options', 'object');
+    enforce(Buffer.isBuffer(options.publicKey), 'options.publicKey', 'buffer');
+
+    const input = psbt.tx.inputs[index];
+    const psbtInput = psbt.inputs[index];
+
+    assert(input && psbtInput, `PSBT input ${index} not found.`);
+
+    const origin = psbtInput.bip32Derivation.get(options.publicKey);
+    assert(origin, 'Could not find derivation path for the public key.');
+
+    const output = psbtInput.getOutput(input.prevout);
+    assert(output, 'PSBT input does not have UTXO.');
+    assert(!taproot.isTaprootScript(output.script),
+      'Taproot inputs are not supported in PSBT.');
+
+    this.path = Path.fromList(origin.path);
+    this.prevout.fromOptions({
+      hash: input.prevout.hash,
+      index: input.prevout.index
+    });
+
+    this.output = Output.fromRaw(output.toRaw());
+
+    if (psbtInput.nonWitnessUTXO) {
+      this.prevTX = psbtInput.nonWitnessUTXO;
+
+      assert(this.prevTX.hash().equals(this.prevout.hash),
+        'prevout hash and prevTX hash do not match.');
+    }
+
+    const {redeemScript, witnessScript} = psbtInput;
+
+    let prev = output.script;
+
+    if (prev.isScripthash()) {
+      assert(redeemScript, 'PSBT input does not have redeem script.');
+      prev = redeemScript;
+    }
+
+    this.witness = prev.isProgram();
+
+    assert(this.witness || this.prevTX, 'non-witness inputs need prevTX.');
+
+    let multisigScript = null;
+
+    if (prev.isWitnessScripthash()) {
+      assert(witnessScript, 'PSBT input does not have witness script.');
+      multisigScript = witnessScript;
+    } else if (!this.witness && redeemScript) {
+      multisigScript = redeemScript;
+    }
+
+    if (multisigScript)
+      this.multisig = multisigFromPSBT(psbt, psbtInput, multisigScript,
+                                       options.network);
+
+    if (psbtInput.sighashType !== -1)
+      this.sighashType = psbtInput.sighashType;
+
+    this.checkSighashType();
+
+    this.refresh();
+
+    return this;
+  }
+
+  /**
+   * Create PSBT input from the InputData.
+   * Key origins of our key are only added when both
+   * public key and master fingerprint are known.
+   * @param {Object} [options={}]
+   * @param {Network?} options.network
+   * @param {Buffer?} options.publicKey - our public key.
+   * @param {Number?} options.fingerprint - our master fingerprint.
+   * @returns {PSBTInput}
+   */
+
+  toPSBTInput(options = {}) {
+    assert(!this.isTaproot(), 'Taproot inputs are not supported in PSBT.');
+
+    const {publicKey, fingerprint} = options;
+    const input = new PSBTInput();
+
+    if (this.prevTX) {
+      let prevTX = this.prevTX;
+
+      if (prevTX.mutable)
+        prevTX = prevTX.toTX();
+
+      input.nonWitnessUTXO = prevTX;
+    }
+
+    if (this.witness)
+      input.witnessUTXO = Output.fromRaw(this.output.toRaw());
+
+    if (this.sighashType != null)
+      input.sighashType = this.sighashType;
+
+    const nested = this.witness && this.output.script.isScripthash();
+
+    if (!this.multisig) {
+      if (publicKey && nested)
+        input.redeemScript = Script.fromProgram(0, hash160.digest(publicKey));
+
+      if (publicKey && fingerprint != null) {
+        input.bip32Derivation.set(publicKey, {
+          fingerprint: fingerprint,
+          path: this.path.toList().slice()
         });
       }
 
-      this.multisig = {
-        m: json.multisig.m,
-        pubkeys: pubkeys
+      return input;
+    }
+
+    const keys = this.getXPUBOrigins(options);
+    const {m} = this.multisig;
+    const script = Script.fromMultisig(m, keys.length,
+      keys.map(key => key.publicKey));
+
+    if (this.witness) {
+      input.witnessScript = script;
+
+      if (nested)
+        input.redeemScript = Script.fromProgram(0, script.sha256());
+    } else {
+      input.redeemScript = script;
+    }
+
+    for (const key of keys) {
+      input.bip32Derivation.set(key.publicKey, {
+        fingerprint: key.origin.fingerprint,
+        path: key.origin.path.concat(key.path.toList())
+      });
+
+      if (key.signature !== '')
+        input.partialSigs.set(key.publicKey,
+          Buffer.from(key.signature, 'hex'));
+    }
+
+    return input;
+  }
+
+  /**
+   * Get multisig extended public keys with their origins.
+   * When origin is unknown, extended public key itself
+   * is used as the root.
+   * @param {Object} [options={}]
+   * @param {Network?} options.network
+   * @param {Buffer?} options.publicKey - our public key.
+   * @param {Number?} options.fingerprint - our master fingerprint.
+   * @returns {Object[]}
+   */
+
+  getXPUBOrigins(options = {}) {
+    if (!this.multisig)
+      return [];
+
+    const {network, publicKey, fingerprint} = options;
+    const keys = [];
+
+    for (const pk of this.multisig.pubkeys) {
+      const hdpub = HDPublicKey.fromBase58(pk.xpub, network);
+      const derived = hdpub.derivePath(pk.path.toString()).publicKey;
+
+      let origin = {
+        fingerprint: getFingerprint(hdpub.publicKey),
+        path: []
       };
+
+      if (fingerprint != null && publicKey && derived.equals(publicKey)) {
+        const list = this.path.toList();
+
+        origin = {
+          fingerprint: fingerprint,
+          path: list.slice(0, list.length - pk.path.depth)
+        };
+      }
+
+      keys.push({
+        hdpub: hdpub,
+        origin: origin,
+        path: pk.path,
+        publicKey: derived,
+        signature: pk.signature
+      });
     }
 
-    return this;
+    return keys;
   }
 
   getJSON(network) {
@@ -235,7 +456,7 @@ class InputData extends Struct {
       };
     }
 
-    return {
+    const json = {
       path: this.path.toString(),
       prevout: this.prevout.toJSON(),
       witness: this.witness,
@@ -243,12 +464,29 @@ class InputData extends Struct {
       prevTX: this.prevTX ? this.prevTX.toRaw().toString('hex') : null,
       multisig: multisig
     };
+
+    if (this.sighashType != null)
+      json.sighashType = this.sighashType;
+
+    if (this.external)
+      json.external = true;
+
+    return json;
   }
 
   toKey() {
     return this.prevout.toKey();
   }
 
+  /**
+   * Whether input spends P2TR output (key path).
+   * @returns {Boolean}
+   */
+
+  isTaproot() {
+    return taproot.isTaprootScript(this.output.script);
+  }
+
   get coin() {
     if (!this._coin) {
       this._coin = Coin.fromOptions({
@@ -271,6 +509,10 @@ class InputData extends Struct {
   static isInputData(object) {
     return object instanceof this;
   }
+
+  static fromPSBT(psbt, index, options) {
+    return new this().fromPSBT(psbt, index, options);
+  }
 }
 
 /*
@@ -299,6 +541,49 @@ function parsePath(currentPath, path, name) {
   throw new Error(`Unknown type for ${name}.`);
 }
 
+/**
+ * Parse multisig options or JSON, shared with OutputData.
+ * @param {Object} multisig
+ * @param {String} name - name of the option for errors.
+ * @param {Boolean} signatures - pubkeys carry signatures (inputs).
+ * @returns {Object}
+ */
+
+function parseMultisig(multisig, name, signatures) {
+  enforce(multisig && typeof multisig === 'object', name, 'object');
+  enforce((multisig.m >>> 0) === multisig.m, `${name}.m`, 'number');
+  enforce(Array.isArray(multisig.pubkeys), `${name}.pubkeys`, 'array');
+
+  assert(multisig.pubkeys.length >= multisig.m,
+    'm must be smaller than n.');
+
+  const pubkeys = [];
+
+  for (const pk of multisig.pubkeys) {
+    enforce(typeof pk.xpub === 'string',
+      `${name}.pubkeys[i].xpub`, 'string');
+
+    if (signatures) {
+      enforce(typeof pk.signature === 'string',
+        `${name}.pubkeys[i].signature`, 'hex string');
+    }
+
+    const path = parsePath(new Path(), pk.path,
+      `${name}.pubkeys[i].path`);
+
+    pubkeys.push({
+      xpub: pk.xpub,
+      path: path,
+      signature: signatures ? pk.signature : ''
+    });
+  }
+
+  return {
+    m: multisig.m,
+    pubkeys: pubkeys
+  };
+}
+
 function parseTX(tx) {
   if (Buffer.isBuffer(tx))
     return TX.fromRaw(tx);
@@ -387,6 +672,72 @@ function parseCoin(coin) {
   throw new Error('Unknown type for options.coin.');
 }
 
+function parseSighashType(type) {
+  if (typeof type === 'string') {
+    let value = 0;
+
+    for (const name of type.toUpperCase().split('|')) {
+      const key = name.trim();
+
+      if (key === 'DEFAULT')
+        continue;
+
+      assert(hashType[key] != null, `Unknown sighash type "${name}".`);
+      value |= hashType[key];
+    }
+
+    return value >>> 0;
+  }
+
+  enforce((type >>> 0) === type, 'options.sighashType', 'number or string');
+
+  return type;
+}
+
+function isSighashType(type) {
+  const base = type & ~hashType.ANYONECANPAY;
+
+  return base >= hashType.ALL && base <= hashType.SINGLE;
+}
+
+function multisigFromPSBT(psbt, psbtInput, script, network) {
+  const [m, n] = script.getMultisig();
+
+  assert(m !== -1, 'Unsupported script in PSBT input.');
+
+  const pubkeys = [];
+
+  for (let i = 1; i <= n; i++) {
+    const publicKey = script.getData(i);
+    const origin = psbtInput.bip32Derivation.get(publicKey);
+
+    assert(origin, 'Could not find derivation path for multisig key.');
+
+    const xpub = psbt.findXPUB(origin);
+
+    assert(xpub, 'Could not find extended public key for multisig key.');
+
+    const path = Path.fromList(xpub.path);
+    const derived = xpub.hdpub.derivePath(path.toString());
+
+    assert(derived.publicKey.equals(publicKey),
+      'Extended public key does not derive multisig key.');
+
+    const signature = psbtInput.partialSigs.get(publicKey);
+
+    pubkeys.push({
+      xpub: xpub.hdpub.xpubkey(network),
+      path: path,
+      signature: signature ? signature.toString('hex') : ''
+    });
+  }
+
+  return {
+    m: m,
+    pubkeys: pubkeys
+  };
+}
+
 function isMinimalCoin(coin) {
   if (coin == null)
     return true;
@@ -411,3 +762,6 @@ function isMinimalCoin(coin) {
 }
 
 exports.InputData = InputData;
+exports.parsePath = parsePath;
+exports.parseOutput = parseOutput;
+exports.parseMultisig = parseMultisig;
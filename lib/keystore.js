@@ -0,0 +1,429 @@
+/*!
+ * keystore.js - Encrypted keystore file of the master key.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const {dirname} = require('path');
+const fs = require('bfile');
+const bio = require('bufio');
+const scrypt = require('bcrypto/lib/scrypt');
+const aes = require('bcrypto/lib/aes');
+const sha256 = require('bcrypto/lib/sha256');
+const random = require('bcrypto/lib/random');
+const safe = require('bcrypto/lib/safe');
+const cleanse = require('bcrypto/lib/cleanse');
+const HDPrivateKey = require('bcoin/lib/hd/private');
+const Mnemonic = require('bcoin/lib/hd/mnemonic');
+const {getFingerprint, fingerprintToHex} = require('./psbt');
+
+/*
+ * Constants
+ */
+
+const VERSION = 0;
+
+/*
+ * encrypted secret type.
+ */
+const secretTypes = {
+  PHRASE: 0,
+  KEY: 1
+};
+
+/**
+ * Keystore
+ *
+ * Master key (or the mnemonic it was derived from) encrypted
+ * with aes-256-cbc, key is derived from the passphrase using scrypt.
+ * Ciphertext is authenticated with hmac-sha256 so a wrong
+ * passphrase is detected before decrypting.
+ * @property {Number} version
+ * @property {Number} fingerprint - uint32 master key fingerprint.
+ * @property {Number} N - scrypt cost.
+ * @property {Number} r - scrypt block size.
+ * @property {Number} p - scrypt parallelization.
+ * @property {Buffer?} salt
+ * @property {Buffer?} iv
+ * @property {Buffer?} ciphertext
+ * @property {Buffer?} mac
+ */
+
+class Keystore {
+  constructor(options) {
+    this.version = VERSION;
+    this.fingerprint = 0;
+    this.N = 32768;
+    this.r = 8;
+    this.p = 1;
+    this.salt = null;
+    this.iv = null;
+    this.ciphertext = null;
+    this.mac = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject scrypt parameters.
+   * @param {Object} options
+   * @param {Number?} options.N - power of two.
+   * @param {Number?} options.r
+   * @param {Number?} options.p
+   * @returns {Keystore}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    if (options.N != null) {
+      enforce((options.N >>> 0) === options.N, 'options.N', 'integer');
+      assert(options.N > 1 && (options.N & (options.N - 1)) === 0,
+        'N must be a power of two.');
+      this.N = options.N;
+    }
+
+    if (options.r != null) {
+      enforce((options.r >>> 0) === options.r, 'options.r', 'integer');
+      assert(options.r > 0, 'r must be positive.');
+      this.r = options.r;
+    }
+
+    if (options.p != null) {
+      enforce((options.p >>> 0) === options.p, 'options.p', 'integer');
+      assert(options.p > 0, 'p must be positive.');
+      this.p = options.p;
+    }
+
+    return this;
+  }
+
+  /**
+   * Master key fingerprint as hex.
+   * @returns {String}
+   */
+
+  get id() {
+    return fingerprintToHex(this.fingerprint);
+  }
+
+  /**
+   * Derive encryption and mac keys from the passphrase.
+   * @private
+   * @param {String} passphrase
+   * @returns {Promise<Buffer>} - 64 bytes.
+   */
+
+  async deriveKey(passphrase) {
+    enforce(typeof passphrase === 'string', 'passphrase', 'string');
+    assert(passphrase.length > 0, 'Passphrase is required.');
+
+    const passwd = Buffer.from(passphrase, 'utf8');
+    const key = await scrypt.deriveAsync(passwd, this.salt,
+      this.N, this.r, this.p, 64);
+
+    cleanse(passwd);
+
+    return key;
+  }
+
+  /**
+   * Get mac of the ciphertext.
+   * @private
+   * @param {Buffer} key
+   * @returns {Buffer}
+   */
+
+  getMAC(key) {
+    return sha256.mac(Buffer.concat([this.iv, this.ciphertext]), key);
+  }
+
+  /**
+   * Encrypt the secret, new salt and iv are generated.
+   * @param {Object} secret
+   * @param {HDPrivateKey} secret.key
+   * @param {String?} secret.phrase - key was derived from.
+   * @param {String} passphrase
+   * @returns {Promise<Keystore>}
+   */
+
+  async encrypt(secret, passphrase) {
+    enforce(secret && typeof secret === 'object', 'secret', 'object');
+    assert(HDPrivateKey.isHDPrivateKey(secret.key),
+      'Secret key must be HDPrivateKey.');
+
+    this.salt = random.randomBytes(32);
+    this.iv = random.randomBytes(16);
+
+    const key = await this.deriveKey(passphrase);
+    const data = encodeSecret(secret);
+
+    this.ciphertext = aes.encipher(data, key.slice(0, 32), this.iv);
+    this.mac = this.getMAC(key.slice(32, 64));
+    this.fingerprint = getFingerprint(secret.key.publicKey);
+
+    cleanse(data);
+    cleanse(key);
+
+    return this;
+  }
+
+  /**
+   * Decrypt the secret.
+   * @param {String} passphrase
+   * @returns {Promise<Object>} - {key, phrase}.
+   * @throws {Error} - on invalid passphrase.
+   */
+
+  async decrypt(passphrase) {
+    assert(this.ciphertext, 'Keystore is not encrypted.');
+
+    const key = await this.deriveKey(passphrase);
+    const mac = this.getMAC(key.slice(32, 64));
+
+    if (!safe.safeEqual(mac, this.mac)) {
+      cleanse(key);
+      throw new Error('Invalid passphrase.');
+    }
+
+    const data = aes.decipher(this.ciphertext, key.slice(0, 32), this.iv);
+
+    cleanse(key);
+
+    let secret;
+
+    try {
+      secret = decodeSecret(data);
+    } finally {
+      cleanse(data);
+    }
+
+    if (getFingerprint(secret.key.publicKey) !== this.fingerprint)
+      throw new Error('Keystore fingerprint does not match the key.');
+
+    return secret;
+  }
+
+  /**
+   * Write keystore to disk, file is replaced
+   * only after it was completely written.
+   * @param {String} file
+   * @returns {Promise}
+   */
+
+  async write(file) {
+    enforce(typeof file === 'string', 'file', 'string');
+
+    const tmp = file + '.tmp';
+    const json = JSON.stringify(this.getJSON(), null, 2) + '\n';
+
+    await fs.mkdirp(dirname(file));
+    await fs.writeFile(tmp, json, { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Inject JSON data.
+   * @param {Object} json
+   * @returns {Keystore}
+   */
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'json', 'object');
+    assert(json.version === VERSION,
+      `Unsupported keystore version ${json.version}.`);
+    enforce(typeof json.fingerprint === 'string',
+      'json.fingerprint', 'string');
+    assert(/^[0-9a-f]{8}$/.test(json.fingerprint),
+      'Fingerprint must be 4 bytes.');
+    enforce(json.kdf && typeof json.kdf === 'object', 'json.kdf', 'object');
+    assert(json.kdf.name === 'scrypt', 'Unknown kdf.');
+    enforce(json.cipher && typeof json.cipher === 'object',
+      'json.cipher', 'object');
+    assert(json.cipher.name === 'aes-256-cbc', 'Unknown cipher.');
+
+    this.fromOptions({
+      N: json.kdf.N,
+      r: json.kdf.r,
+      p: json.kdf.p
+    });
+
+    this.fingerprint = parseInt(json.fingerprint, 16) >>> 0;
+    this.salt = parseHex(json.kdf.salt, 'json.kdf.salt');
+    this.iv = parseHex(json.cipher.iv, 'json.cipher.iv');
+    this.ciphertext = parseHex(json.ciphertext, 'json.ciphertext');
+    this.mac = parseHex(json.mac, 'json.mac');
+
+    assert(this.iv.length === 16, 'IV must be 16 bytes.');
+    assert(this.mac.length === 32, 'MAC must be 32 bytes.');
+
+    return this;
+  }
+
+  getJSON() {
+    assert(this.ciphertext, 'Keystore is not encrypted.');
+
+    return {
+      version: this.version,
+      fingerprint: fingerprintToHex(this.fingerprint),
+      kdf: {
+        name: 'scrypt',
+        N: this.N,
+        r: this.r,
+        p: this.p,
+        salt: this.salt.toString('hex')
+      },
+      cipher: {
+        name: 'aes-256-cbc',
+        iv: this.iv.toString('hex')
+      },
+      ciphertext: this.ciphertext.toString('hex'),
+      mac: this.mac.toString('hex')
+    };
+  }
+
+  /**
+   * Create keystore, key is imported from
+   * the phrase or the key, otherwise new mnemonic is generated.
+   * @param {Object} options
+   * @param {String} options.passphrase
+   * @param {String?} options.phrase
+   * @param {HDPrivateKey|String?} options.key - master key or xprv.
+   * @param {Number} [options.bits=256] - entropy of the generated mnemonic.
+   * @param {Number?} options.N
+   * @param {Number?} options.r
+   * @param {Number?} options.p
+   * @returns {Promise<Keystore>}
+   */
+
+  static async create(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(options.passphrase != null, 'Passphrase is required.');
+
+    const keystore = new this(options);
+    const secret = parseSecret(options);
+
+    return keystore.encrypt(secret, options.passphrase);
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  /**
+   * Read keystore from disk.
+   * @param {String} file
+   * @returns {Promise<Keystore>}
+   */
+
+  static async fromFile(file) {
+    enforce(typeof file === 'string', 'file', 'string');
+
+    const json = await fs.readJSON(file);
+
+    return this.fromJSON(json);
+  }
+
+  static isKeystore(object) {
+    return object instanceof this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseSecret(options) {
+  if (options.phrase != null) {
+    enforce(typeof options.phrase === 'string', 'options.phrase', 'string');
+
+    return {
+      key: HDPrivateKey.fromPhrase(options.phrase),
+      phrase: options.phrase
+    };
+  }
+
+  if (options.key != null) {
+    let key = options.key;
+
+    if (typeof key === 'string')
+      key = HDPrivateKey.fromBase58(key);
+
+    assert(HDPrivateKey.isHDPrivateKey(key), 'Key must be HDPrivateKey.');
+    assert(key.depth === 0, 'Key must be the master key.');
+
+    return {
+      key: key,
+      phrase: null
+    };
+  }
+
+  const mnemonic = new Mnemonic({
+    bits: options.bits != null ? options.bits : 256
+  });
+
+  return {
+    key: HDPrivateKey.fromMnemonic(mnemonic),
+    phrase: mnemonic.getPhrase()
+  };
+}
+
+function encodeSecret(secret) {
+  const bw = bio.write();
+
+  if (secret.phrase != null) {
+    bw.writeU8(secretTypes.PHRASE);
+    bw.writeVarString(secret.phrase, 'utf8');
+  } else {
+    bw.writeU8(secretTypes.KEY);
+    bw.writeVarString(secret.key.toBase58('main'), 'ascii');
+  }
+
+  return bw.render();
+}
+
+function decodeSecret(data) {
+  const br = bio.read(data);
+  const type = br.readU8();
+
+  switch (type) {
+    case secretTypes.PHRASE: {
+      const phrase = br.readVarString('utf8');
+
+      return {
+        key: HDPrivateKey.fromPhrase(phrase),
+        phrase: phrase
+      };
+    }
+    case secretTypes.KEY: {
+      const xprv = br.readVarString('ascii');
+
+      return {
+        key: HDPrivateKey.fromBase58(xprv, 'main'),
+        phrase: null
+      };
+    }
+    default: {
+      throw new Error(`Unknown secret type ${type}.`);
+    }
+  }
+}
+
+function parseHex(str, name) {
+  enforce(typeof str === 'string', name, 'hex string');
+  assert((str.length & 1) === 0 && /^[0-9a-f]*$/.test(str),
+    `${name} must be a hex string.`);
+
+  return Buffer.from(str, 'hex');
+}
+
+/*
+ * Expose
+ */
+
+exports.Keystore = Keystore;
+exports.secretTypes = secretTypes;
@@ -0,0 +1,187 @@
+/*!
+ * app.js - Ledger bitcoin app with change output verification.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const bledger = require('bledger');
+const LedgerBTCApp = require('bledger/lib/ledger/ledger');
+const {APDUCommand, APDUResponse, common} = require('bledger/lib/protocol');
+
+/**
+ * Ledger BTC App
+ * Sends change path right before the outputs are hashed,
+ * so ledger verifies the change output instead of showing it.
+ * @extends {bledger.LedgerBTCApp}
+ * @property {Path?} changePath - change path of the current transaction.
+ */
+
+class ChangeLedgerBTCApp extends LedgerBTCApp {
+  constructor(options) {
+    super(options);
+
+    this.changePath = null;
+  }
+
+  /**
+   * Provide change path and send outputs.
+   * @param {bcoin.TX} tx
+   * @returns {Promise<Boolean[]>}
+   */
+
+  async hashOutputFinalize(tx) {
+    if (this.changePath)
+      await this.provideChangePath(this.changePath);
+
+    return super.hashOutputFinalize(tx);
+  }
+
+  /**
+   * Send change path of the transaction.
+   * @param {Path} path
+   * @returns {Promise}
+   */
+
+  async provideChangePath(path) {
+    const list = path.toList();
+    const data = Buffer.alloc(1 + list.length * 4);
+
+    data[0] = list.length;
+
+    for (const [i, index] of list.entries())
+      data.writeUInt32BE(index, 1 + i * 4);
+
+    const packet = new APDUCommand({
+      cla: common.CLA.CLA_GENERAL,
+      ins: common.INS.INS_UNTRUSTED_HASH_TX_INPUT_FINALIZE_FULL,
+      p1: 0xff,
+      p2: 0x00,
+      data: data
+    });
+
+    const res = await this.device.exchange(packet.toRaw());
+
+    APDUResponse.hashOutputFinalize(res);
+  }
+}
+
+/**
+ * Ledger Bcoin
+ * Signing methods accept change path, it is set for
+ * the app under the lock, so signings don't overlap.
+ * @extends {bledger.LedgerBcoin}
+ */
+
+class LedgerBcoin extends bledger.LedgerBcoin {
+  constructor(options) {
+    super(options);
+
+    this.ledger = new ChangeLedgerBTCApp({
+      device: this.device,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Get signatures for transaction.
+   * @param {bcoin.TX|bcoin.MTX|Buffer} tx
+   * @param {bcoin.CoinView|Buffer} view
+   * @param {LedgerTXInput[]} ledgerInputs
+   * @param {Path?} [changePath=null]
+   * @returns {Promise<Buffer[]>}
+   */
+
+  async getTransactionSignatures(tx, view, ledgerInputs, changePath = null) {
+    const unlock = await this.lock.lock();
+
+    try {
+      this.ledger.changePath = changePath;
+      return await this._getTransactionSignatures(tx, view, ledgerInputs);
+    } finally {
+      this.ledger.changePath = null;
+      unlock();
+    }
+  }
+
+  /**
+   * Sign transaction.
+   * @param {bcoin.MTX} tx - mutable transaction
+   * @param {LedgerTXInput[]} ledgerInputs
+   * @param {Path?} [changePath=null]
+   * @returns {Promise<MTX>} - signed mutable transaction
+   */
+
+  async signTransaction(tx, ledgerInputs, changePath = null) {
+    const unlock = await this.lock.lock();
+
+    try {
+      this.ledger.changePath = changePath;
+      return await this._signTransaction(tx, ledgerInputs);
+    } finally {
+      this.ledger.changePath = null;
+      unlock();
+    }
+  }
+}
+
+/**
+ * Managed Ledger Bcoin
+ * Opens and closes the device for each request.
+ * @extends {bledger.ManagedLedgerBcoin}
+ */
+
+class ManagedLedgerBcoin extends bledger.ManagedLedgerBcoin {
+  constructor(options) {
+    super(options);
+
+    this.bledger = new LedgerBcoin(options);
+  }
+
+  /**
+   * Get signatures for transaction.
+   * @param {bcoin.TX|bcoin.MTX|Buffer} tx
+   * @param {bcoin.CoinView|Buffer} view
+   * @param {LedgerTXInput[]} ledgerInputs
+   * @param {Path?} [changePath=null]
+   * @returns {Promise<Buffer[]>}
+   */
+
+  async getTransactionSignatures(tx, view, ledgerInputs, changePath = null) {
+    await this.tryOpen();
+
+    try {
+      return await this.bledger.getTransactionSignatures(tx, view,
+        ledgerInputs, changePath);
+    } finally {
+      await this.tryClose();
+    }
+  }
+
+  /**
+   * Sign transaction.
+   * @param {bcoin.MTX} tx - mutable transaction
+   * @param {LedgerTXInput[]} ledgerInputs
+   * @param {Path?} [changePath=null]
+   * @returns {Promise<MTX>} - signed mutable transaction
+   */
+
+  async signTransaction(tx, ledgerInputs, changePath = null) {
+    await this.tryOpen();
+
+    try {
+      return await this.bledger.signTransaction(tx, ledgerInputs,
+        changePath);
+    } finally {
+      await this.tryClose();
+    }
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.ChangeLedgerBTCApp = ChangeLedgerBTCApp;
+exports.LedgerBcoin = LedgerBcoin;
+exports.ManagedLedgerBcoin = ManagedLedgerBcoin;
@@ -0,0 +1,821 @@
+/*!
+ * emulator.js - Ledger bitcoin app emulator.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const bufio = require('bufio');
+const {encoding} = bufio;
+const Network = require('bcoin/lib/protocol/network');
+const HDPrivateKey = require('bcoin/lib/hd/private');
+const KeyRing = require('bcoin/lib/primitives/keyring');
+const secp256k1 = require('bcrypto/lib/secp256k1');
+const hash256 = require('bcrypto/lib/hash256');
+const sha256 = require('bcrypto/lib/sha256');
+const random = require('bcrypto/lib/random');
+const protocol = require('bledger/lib/protocol');
+const {LedgerTransport} = require('./transport');
+
+const {
+  CLA,
+  INS,
+  STATUS_WORDS,
+  MODES,
+  FEATURES,
+  addressFlags
+} = protocol.common;
+
+/*
+ * Constants
+ */
+
+const EMPTY = Buffer.alloc(0);
+
+// not in bledger status words.
+const SW_CLA_NOT_SUPPORTED = 0x6e00;
+
+const SIGHASH_ALL = 0x01;
+
+// [magic][0x00][nonce(2)][hash(32)][index(4)][value(8)][hmac(8)]
+const TRUSTED_INPUT_MAGIC = 0x32;
+const TRUSTED_INPUT_SIZE = 56;
+
+const inputTypes = {
+  UNTRUSTED: 0x00,
+  TRUSTED: 0x01,
+  WITNESS: 0x02
+};
+
+/**
+ * Ledger Emulator
+ * Emulates bitcoin app APDUs used by bledger (public keys,
+ * trusted inputs, transaction hashing, signing and messages),
+ * keys are derived from the HDPrivateKey. User confirmations
+ * are always accepted.
+ * @see https://ledgerhq.github.io/btchip-doc/bitcoin-technical-beta.html
+ * @extends {LedgerTransport}
+ * @property {HDPrivateKey} master
+ * @property {Network} network - used for addresses.
+ * @property {Buffer} secret - authenticates trusted inputs.
+ */
+
+class LedgerEmulator extends LedgerTransport {
+  constructor(options) {
+    super();
+
+    this.productName = 'Ledger Emulator';
+    this.serialNumber = 'emulator';
+
+    this.master = null;
+    this.network = Network.primary;
+    this.secret = random.randomBytes(32);
+
+    // state of the multi APDU commands.
+    this.trusted = null;
+    this.start = null;
+    this.outputs = null;
+    this.segwit = null;
+    this.changePath = null;
+    this.message = null;
+
+    // master key and logger are always set.
+    this.set(options || {});
+  }
+
+  /**
+   * Set emulator options.
+   * @param {Object} options
+   * @param {HDPrivateKey?} options.key - master key.
+   * @param {String?} options.phrase - mnemonic of the master key.
+   * @param {(Network|String)?} options.network
+   * @returns {LedgerEmulator}
+   */
+
+  set(options) {
+    super.set(options);
+
+    if (options.phrase != null) {
+      assert(typeof options.phrase === 'string');
+      this.master = HDPrivateKey.fromPhrase(options.phrase);
+    }
+
+    if (options.key != null) {
+      assert(HDPrivateKey.isHDPrivateKey(options.key),
+        'Key must be an HDPrivateKey.');
+      this.master = options.key;
+    }
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (this.master == null)
+      this.master = HDPrivateKey.generate();
+
+    return this;
+  }
+
+  /**
+   * Exchange APDU with the emulated app.
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>} - response with the status word.
+   */
+
+  async exchange(apdu) {
+    assert(this.opened, 'Device is not open.');
+    assert(Buffer.isBuffer(apdu));
+
+    let data, status;
+
+    try {
+      data = this.dispatch(apdu);
+      status = STATUS_WORDS.SW_OK;
+    } catch (e) {
+      this.logger.debug('APDU %s failed: %s', apdu.toString('hex'), e.message);
+      this.reset();
+
+      data = EMPTY;
+      status = e.statusWord || STATUS_WORDS.SW_INVALID_DATA;
+    }
+
+    const response = Buffer.alloc(data.length + 2);
+
+    data.copy(response, 0);
+    response.writeUInt16BE(status, data.length);
+
+    return response;
+  }
+
+  /**
+   * Forget state of the unfinished commands.
+   */
+
+  reset() {
+    this.trusted = null;
+    this.start = null;
+    this.outputs = null;
+    this.segwit = null;
+    this.changePath = null;
+    this.message = null;
+  }
+
+  /**
+   * Handle the APDU command.
+   * @private
+   * @param {Buffer} apdu
+   * @returns {Buffer} - response data.
+   */
+
+  dispatch(apdu) {
+    if (apdu.length < 5)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_LENGTH);
+
+    const [cla, ins, p1, p2, size] = apdu;
+    const data = apdu.slice(5);
+
+    if (cla !== CLA.CLA_GENERAL)
+      throw statusError(SW_CLA_NOT_SUPPORTED);
+
+    const handler = this.getHandler(ins);
+
+    if (!handler)
+      throw statusError(STATUS_WORDS.SW_INS_NOT_SUPPORTED);
+
+    if (data.length !== size)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_LENGTH);
+
+    return handler.call(this, p1, p2, data);
+  }
+
+  /**
+   * Get handler of the instruction.
+   * @private
+   * @param {Number} ins
+   * @returns {Function?}
+   */
+
+  getHandler(ins) {
+    switch (ins) {
+      case INS.INS_GET_FIRMWARE_VERSION:
+        return this.getFirmwareVersion;
+      case INS.INS_GET_WALLET_PUBLIC_KEY:
+        return this.getWalletPublicKey;
+      case INS.INS_GET_TRUSTED_INPUT:
+        return this.getTrustedInput;
+      case INS.INS_UNTRUSTED_HASH_TX_INPUT_START:
+        return this.hashTransactionStart;
+      case INS.INS_UNTRUSTED_HASH_TX_INPUT_FINALIZE_FULL:
+        return this.hashOutputFinalize;
+      case INS.INS_UNTRUSTED_HASH_SIGN:
+        return this.hashSign;
+      case INS.INS_SIGN_MESSAGE:
+        return this.signMessage;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get firmware version.
+   * @private
+   * @returns {Buffer}
+   */
+
+  getFirmwareVersion() {
+    return Buffer.from([
+      FEATURES.FEATURE_COMPRESSED_KEY,
+      0x30, // arch id
+      1, 4, 2, // version
+      0x00,
+      0x00, // loader patch version
+      MODES.MODE_OPERATION
+    ]);
+  }
+
+  /**
+   * Get public key, address and chain code.
+   * @private
+   * @param {Number} p1 - display address.
+   * @param {Number} p2 - address type.
+   * @param {Buffer} data - path.
+   * @returns {Buffer}
+   */
+
+  getWalletPublicKey(p1, p2, data) {
+    if (p1 > 0x01 || p2 > addressFlags.WITNESS)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    const br = bufio.read(data);
+    const key = this.derive(readPath(br));
+
+    checkEOF(br);
+
+    const ring = KeyRing.fromPublic(key.publicKey);
+
+    ring.witness = p2 !== addressFlags.LEGACY;
+    ring.nested = p2 === addressFlags.NESTED_WITNESS;
+
+    const publicKey = secp256k1.publicKeyConvert(key.publicKey, false);
+    const address = Buffer.from(ring.getAddress('string', this.network));
+    const bw = bufio.write(2 + publicKey.length + address.length + 32);
+
+    bw.writeU8(publicKey.length);
+    bw.writeBytes(publicKey);
+    bw.writeU8(address.length);
+    bw.writeBytes(address);
+    bw.writeBytes(key.chainCode);
+
+    return bw.render();
+  }
+
+  /**
+   * Receive previous transaction and return
+   * authenticated output (trusted input) when
+   * the whole transaction was received.
+   * @private
+   * @param {Number} p1 - first (0x00) or next (0x80) part.
+   * @param {Number} p2
+   * @param {Buffer} data - [index] and part of the transaction.
+   * @returns {Buffer}
+   */
+
+  getTrustedInput(p1, p2, data) {
+    if (p1 === 0x00) {
+      if (data.length < 4)
+        throw statusError(STATUS_WORDS.SW_INCORRECT_LENGTH);
+
+      this.trusted = {
+        index: data.readUInt32BE(0),
+        parts: [data.slice(4)]
+      };
+    } else if (p1 === 0x80) {
+      if (!this.trusted)
+        throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+      this.trusted.parts.push(data);
+    } else {
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+    }
+
+    const raw = Buffer.concat(this.trusted.parts);
+    const outputs = readTX(raw);
+
+    // wait for the rest of the transaction.
+    if (!outputs)
+      return EMPTY;
+
+    const {index} = this.trusted;
+
+    this.trusted = null;
+
+    if (index >= outputs.length)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    const bw = bufio.write(TRUSTED_INPUT_SIZE - 8);
+
+    bw.writeU8(TRUSTED_INPUT_MAGIC);
+    bw.writeU8(0x00);
+    bw.writeBytes(random.randomBytes(2));
+    bw.writeHash(hash256.digest(raw));
+    bw.writeU32(index);
+    bw.writeI64(outputs[index]);
+
+    const trustedInput = bw.render();
+
+    return Buffer.concat([trustedInput, this.authenticate(trustedInput)]);
+  }
+
+  /**
+   * Receive version and inputs of the transaction to sign.
+   * @private
+   * @param {Number} p1 - first (0x00) or next (0x80) part.
+   * @param {Number} p2 - new (0x00), new segwit (0x02)
+   *  or continue (0x80).
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  hashTransactionStart(p1, p2, data) {
+    if (p2 !== 0x00 && p2 !== 0x02 && p2 !== 0x80)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    if (p1 === 0x00) {
+      const isNew = p2 !== 0x80;
+
+      // new transaction, forget cached segwit hashes.
+      if (isNew)
+        this.segwit = null;
+
+      this.start = {
+        isNew: isNew,
+        witness: p2 === 0x02,
+        parts: [data],
+        outputs: null
+      };
+
+      return EMPTY;
+    }
+
+    if (p1 !== 0x80)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    if (!this.start)
+      throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+    this.start.parts.push(data);
+
+    return EMPTY;
+  }
+
+  /**
+   * Receive outputs of the transaction to sign,
+   * or change path (p1 = 0xff) before them.
+   * @private
+   * @param {Number} p1 - more (0x00), last (0x80) or change path (0xff).
+   * @param {Number} p2
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  hashOutputFinalize(p1, p2, data) {
+    if (p1 === 0xff) {
+      const br = bufio.read(data);
+
+      // change is not shown to the user.
+      this.changePath = readPath(br);
+
+      checkEOF(br);
+
+      return EMPTY;
+    }
+
+    if (p1 !== 0x00 && p1 !== 0x80)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    if (!this.start)
+      throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+    if (!this.outputs)
+      this.outputs = [];
+
+    this.outputs.push(data);
+
+    if (p1 === 0x00)
+      return EMPTY;
+
+    const raw = Buffer.concat(this.outputs);
+    const start = this.start;
+
+    this.outputs = null;
+    this.changePath = null;
+
+    // inputs are verified before outputs are shown.
+    const {inputs} = this.readStart(start);
+
+    checkOutputs(raw);
+
+    start.outputs = raw;
+
+    // first pass of segwit transaction caches
+    // prevouts, sequences and outputs (BIP143).
+    if (start.isNew && start.witness) {
+      const count = bufio.read(raw).readVarint();
+      const prevouts = inputs.map(input => input.prevout);
+      const sequences = inputs.map(input => input.sequence);
+
+      this.segwit = {
+        hashPrevouts: hash256.digest(Buffer.concat(prevouts)),
+        hashSequence: hash256.digest(Buffer.concat(sequences)),
+        hashOutputs: hash256.digest(raw.slice(encoding.sizeVarint(count)))
+      };
+    }
+
+    return EMPTY;
+  }
+
+  /**
+   * Sign the received transaction.
+   * @private
+   * @param {Number} p1
+   * @param {Number} p2
+   * @param {Buffer} data - path, pin, locktime and sighash type.
+   * @returns {Buffer} - DER signature with sighash type.
+   */
+
+  hashSign(p1, p2, data) {
+    if (!this.start)
+      throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+    const br = bufio.read(data);
+    const path = readPath(br);
+
+    // user validation code.
+    br.readBytes(br.readU8());
+
+    const locktime = br.readU32BE();
+    const type = br.readU8();
+
+    checkEOF(br);
+
+    if (type !== SIGHASH_ALL)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    const start = this.start;
+    const {version, inputs} = this.readStart(start);
+
+    this.start = null;
+
+    let hash;
+
+    if (this.isSegwitSign(start, inputs))
+      hash = this.hashWitness(version, inputs[0], locktime, type);
+    else
+      hash = hashLegacy(version, inputs, start.outputs, locktime, type);
+
+    const key = this.derive(path);
+    const signature = secp256k1.signDER(hash, key.privateKey);
+    const bw = bufio.write(signature.length + 1);
+
+    bw.writeBytes(signature);
+    bw.writeU8(type);
+
+    return bw.render();
+  }
+
+  /**
+   * Whether segwit input is signed, segwit inputs are sent
+   * one at a time after the first pass (see hashOutputFinalize).
+   * @private
+   * @param {Object} start
+   * @param {Object[]} inputs
+   * @returns {Boolean}
+   */
+
+  isSegwitSign(start, inputs) {
+    if (start.isNew || !this.segwit)
+      return false;
+
+    return inputs.length === 1 && inputs[0].type === inputTypes.WITNESS;
+  }
+
+  /**
+   * Get BIP143 signature hash of the input.
+   * @private
+   * @param {Number} version
+   * @param {Object} input
+   * @param {Number} locktime
+   * @param {Number} type
+   * @returns {Buffer}
+   */
+
+  hashWitness(version, input, locktime, type) {
+    const {hashPrevouts, hashSequence, hashOutputs} = this.segwit;
+    const bw = bufio.write();
+
+    bw.writeU32(version);
+    bw.writeHash(hashPrevouts);
+    bw.writeHash(hashSequence);
+    bw.writeBytes(input.prevout);
+    bw.writeVarBytes(input.script);
+    bw.writeI64(input.value);
+    bw.writeBytes(input.sequence);
+    bw.writeHash(hashOutputs);
+    bw.writeU32(locktime);
+    bw.writeU32(type);
+
+    return hash256.digest(bw.render());
+  }
+
+  /**
+   * Receive message and sign it.
+   * @private
+   * @param {Number} p1 - prepare (0x00) or sign (0x80).
+   * @param {Number} p2 - first (0x01) or next (0x80) part.
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  signMessage(p1, p2, data) {
+    if (p1 === 0x80) {
+      if (!this.message || !this.message.ready)
+        throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+      const {path, message} = this.message;
+
+      this.message = null;
+
+      const hash = protocol.common.hashMessage(message);
+      const key = this.derive(path);
+      const [signature, recid] = secp256k1.signRecoverableDER(hash,
+        key.privateKey);
+
+      // recovery id is in the first byte.
+      signature[0] |= recid;
+
+      return signature;
+    }
+
+    if (p1 !== 0x00)
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+    if (p2 === 0x01) {
+      this.message = {
+        parts: [],
+        ready: false,
+        path: null,
+        message: null
+      };
+    } else if (p2 === 0x80) {
+      if (!this.message || this.message.ready)
+        throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+    } else {
+      // legacy message signing.
+      throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+    }
+
+    this.message.parts.push(data);
+
+    const br = bufio.read(Buffer.concat(this.message.parts));
+    const path = readPath(br);
+    const size = br.readU16BE();
+
+    // [encrypted output size] - not used.
+    if (br.left() < size)
+      return Buffer.alloc(1, 0x00);
+
+    this.message.path = path;
+    this.message.message = br.readBytes(size);
+    this.message.ready = true;
+
+    checkEOF(br);
+
+    // [encrypted output size][confirmation type]
+    return Buffer.alloc(2, 0x00);
+  }
+
+  /**
+   * Derive private key.
+   * @private
+   * @param {Number[]} path
+   * @returns {HDPrivateKey}
+   */
+
+  derive(path) {
+    let key = this.master;
+
+    for (const index of path)
+      key = key.derive(index);
+
+    return key;
+  }
+
+  /**
+   * Authenticate trusted input.
+   * @private
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  authenticate(data) {
+    return sha256.mac(data, this.secret).slice(0, 8);
+  }
+
+  /**
+   * Get prevout and value from the trusted input.
+   * @private
+   * @param {Buffer} trustedInput
+   * @returns {Object}
+   */
+
+  readTrustedInput(trustedInput) {
+    if (trustedInput.length !== TRUSTED_INPUT_SIZE)
+      throw statusError(STATUS_WORDS.SW_INVALID_DATA);
+
+    const data = trustedInput.slice(0, -8);
+    const mac = trustedInput.slice(-8);
+
+    if (data[0] !== TRUSTED_INPUT_MAGIC || !mac.equals(this.authenticate(data)))
+      throw statusError(STATUS_WORDS.SW_INVALID_DATA);
+
+    return {
+      prevout: data.slice(4, 40),
+      value: bufio.read(data.slice(40)).readI64()
+    };
+  }
+
+  /**
+   * Read version and inputs received with hashTransactionStart.
+   * @private
+   * @param {Object} start
+   * @returns {Object}
+   */
+
+  readStart(start) {
+    const br = bufio.read(Buffer.concat(start.parts));
+    const version = br.readU32();
+    const count = br.readVarint();
+    const inputs = [];
+
+    for (let i = 0; i < count; i++) {
+      const type = br.readU8();
+
+      let prevout = null;
+      let value = -1;
+
+      switch (type) {
+        case inputTypes.UNTRUSTED:
+          prevout = br.readBytes(36);
+          break;
+        case inputTypes.TRUSTED: {
+          const trusted = this.readTrustedInput(br.readBytes(br.readU8()));
+          prevout = trusted.prevout;
+          value = trusted.value;
+          break;
+        }
+        case inputTypes.WITNESS:
+          prevout = br.readBytes(36);
+          value = br.readI64();
+          break;
+        default:
+          throw statusError(STATUS_WORDS.SW_INVALID_DATA);
+      }
+
+      const script = br.readVarBytes();
+      const sequence = br.readBytes(4);
+
+      inputs.push({ type, prevout, value, script, sequence });
+    }
+
+    checkEOF(br);
+
+    return { version, inputs };
+  }
+
+  /**
+   * Create emulator from options.
+   * @param {Object} options
+   * @returns {LedgerEmulator}
+   */
+
+  static fromOptions(options) {
+    return new this(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function statusError(statusWord) {
+  const err = new Error(`Status word 0x${statusWord.toString(16)}.`);
+  err.statusWord = statusWord;
+  return err;
+}
+
+function checkEOF(br) {
+  if (br.left() !== 0)
+    throw statusError(STATUS_WORDS.SW_INCORRECT_LENGTH);
+}
+
+function readPath(br) {
+  const depth = br.readU8();
+
+  if (depth > protocol.common.MAX_DEPTH)
+    throw statusError(STATUS_WORDS.SW_INCORRECT_PARAMETERS);
+
+  const path = [];
+
+  for (let i = 0; i < depth; i++)
+    path.push(br.readU32BE());
+
+  return path;
+}
+
+/**
+ * Read transaction (without witness) and
+ * return values of the outputs.
+ * @ignore
+ * @param {Buffer} raw
+ * @returns {Number[]?} - null when transaction is incomplete.
+ */
+
+function readTX(raw) {
+  const br = bufio.read(raw);
+  const values = [];
+
+  try {
+    br.readU32(); // version
+
+    const inputs = br.readVarint();
+
+    for (let i = 0; i < inputs; i++) {
+      br.seek(36); // prevout
+      br.seek(br.readVarint()); // script
+      br.seek(4); // sequence
+    }
+
+    const outputs = br.readVarint();
+
+    for (let i = 0; i < outputs; i++) {
+      values.push(br.readI64());
+      br.seek(br.readVarint());
+    }
+
+    br.readU32(); // locktime
+  } catch (e) {
+    return null;
+  }
+
+  if (br.left() !== 0)
+    return null;
+
+  return values;
+}
+
+function checkOutputs(raw) {
+  const br = bufio.read(raw);
+  const count = br.readVarint();
+
+  for (let i = 0; i < count; i++) {
+    br.readI64();
+    br.readVarBytes();
+  }
+
+  checkEOF(br);
+}
+
+/**
+ * Get legacy signature hash, scripts of other inputs
+ * are cleared by the host.
+ * @ignore
+ * @returns {Buffer}
+ */
+
+function hashLegacy(version, inputs, outputs, locktime, type) {
+  if (!outputs)
+    throw statusError(STATUS_WORDS.SW_CONDITIONS_OF_USE_NOT_SATISFIED);
+
+  const bw = bufio.write();
+
+  bw.writeU32(version);
+  bw.writeVarint(inputs.length);
+
+  for (const input of inputs) {
+    bw.writeBytes(input.prevout);
+    bw.writeVarBytes(input.script);
+    bw.writeBytes(input.sequence);
+  }
+
+  bw.writeBytes(outputs);
+  bw.writeU32(locktime);
+  bw.writeU32(type);
+
+  return hash256.digest(bw.render());
+}
+
+/*
+ * Expose
+ */
+
+exports.LedgerEmulator = LedgerEmulator;
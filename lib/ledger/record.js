@@ -0,0 +1,179 @@
+/*!
+ * record.js - Record APDU exchanges of the ledger device.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const fs = require('bfile');
+const {Device} = require('bledger/lib/device/device');
+const {LedgerTransport} = require('./transport');
+
+/**
+ * Record Transport
+ * Passes APDU exchanges to the ledger device (USB)
+ * and records them, so they can be replayed in tests
+ * (see ReplayTransport).
+ * @extends {LedgerTransport}
+ * @property {bledger.Device} transport - recorded device.
+ * @property {Object[]} exchanges - apdu and response (or error).
+ */
+
+class RecordTransport extends LedgerTransport {
+  constructor(options) {
+    super();
+
+    this.transport = null;
+    this.exchanges = [];
+
+    if (options)
+      this.set(options);
+  }
+
+  /**
+   * Set transport options.
+   * @param {Object} options
+   * @param {bledger.Device} options.transport - device to record.
+   * @returns {RecordTransport}
+   */
+
+  set(options) {
+    super.set(options);
+
+    if (options.transport != null) {
+      assert(Device.isLedgerDevice(options.transport),
+        'Transport must be a ledger device.');
+
+      const transport = options.transport;
+
+      this.transport = transport;
+      this.productId = transport.productId;
+      this.productName = transport.productName;
+      this.manufacturerName = transport.manufacturerName;
+      this.serialNumber = transport.serialNumber;
+    }
+
+    return this;
+  }
+
+  /**
+   * USB device of the recorded device.
+   * @returns {Object}
+   */
+
+  get device() {
+    assert(this.transport, 'Transport not found.');
+    return this.transport.device;
+  }
+
+  /**
+   * Get recorded device status.
+   * @returns {Boolean}
+   */
+
+  get opened() {
+    assert(this.transport, 'Transport not found.');
+    return this.transport.opened;
+  }
+
+  /**
+   * Open recorded device.
+   * @returns {Promise<RecordTransport>}
+   */
+
+  async open() {
+    assert(this.transport, 'Transport not found.');
+    await this.transport.open();
+    return this;
+  }
+
+  /**
+   * Close recorded device.
+   * @returns {Promise<RecordTransport>}
+   */
+
+  async close() {
+    assert(this.transport, 'Transport not found.');
+    await this.transport.close();
+    return this;
+  }
+
+  /**
+   * Exchange APDU with the device and record it.
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>}
+   */
+
+  async exchange(apdu) {
+    assert(this.transport, 'Transport not found.');
+
+    let response;
+
+    try {
+      response = await this.transport.exchange(apdu);
+    } catch (e) {
+      this.exchanges.push({
+        apdu: apdu.toString('hex'),
+        error: e.message
+      });
+
+      throw e;
+    }
+
+    this.exchanges.push({
+      apdu: apdu.toString('hex'),
+      response: response.toString('hex')
+    });
+
+    return response;
+  }
+
+  /**
+   * Forget recorded exchanges.
+   */
+
+  reset() {
+    this.exchanges = [];
+  }
+
+  /**
+   * Get fixture of the recorded session.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      device: this.getDeviceJSON(),
+      exchanges: this.exchanges.slice()
+    };
+  }
+
+  /**
+   * Write fixture of the recorded session.
+   * @param {String} file
+   * @returns {Promise}
+   */
+
+  async write(file) {
+    assert(typeof file === 'string');
+    await fs.writeJSON(file, this.getJSON());
+  }
+
+  /**
+   * Record exchanges of the ledger device.
+   * @param {bledger.Device} transport
+   * @param {Object} [options={}]
+   * @returns {RecordTransport}
+   */
+
+  static fromTransport(transport, options = {}) {
+    return new this({ ...options, transport });
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.RecordTransport = RecordTransport;
@@ -0,0 +1,172 @@
+/*!
+ * replay.js - Replay recorded APDU exchanges of the ledger device.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const fs = require('bfile');
+const {LedgerTransport} = require('./transport');
+
+/**
+ * Replay Transport
+ * Serves responses of the recorded session (see RecordTransport),
+ * APDUs must be sent in the recorded order.
+ * @extends {LedgerTransport}
+ * @property {Object[]} exchanges - apdu and response (or error).
+ * @property {Number} index - next exchange.
+ */
+
+class ReplayTransport extends LedgerTransport {
+  constructor(options) {
+    super();
+
+    this.exchanges = [];
+    this.index = 0;
+
+    if (options)
+      this.set(options);
+  }
+
+  /**
+   * Set transport options.
+   * @param {Object} options
+   * @param {Object[]} options.exchanges - recorded exchanges (hex).
+   * @returns {ReplayTransport}
+   */
+
+  set(options) {
+    super.set(options);
+
+    if (options.exchanges != null) {
+      assert(Array.isArray(options.exchanges),
+        'Exchanges must be an array.');
+
+      this.exchanges = options.exchanges.map(parseExchange);
+      this.index = 0;
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether all recorded exchanges were replayed.
+   * @returns {Boolean}
+   */
+
+  get finished() {
+    return this.index === this.exchanges.length;
+  }
+
+  /**
+   * Serve next recorded response.
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>}
+   */
+
+  async exchange(apdu) {
+    assert(this.opened, 'Device is not open.');
+
+    const hex = apdu.toString('hex');
+
+    if (this.finished)
+      throw new Error(`No recorded response for APDU ${hex}.`);
+
+    const exchange = this.exchanges[this.index];
+
+    if (!exchange.apdu.equals(apdu)) {
+      throw new Error(`Unexpected APDU ${hex}, `
+        + `expected ${exchange.apdu.toString('hex')}.`);
+    }
+
+    this.index += 1;
+
+    if (exchange.error)
+      throw new Error(exchange.error);
+
+    return Buffer.from(exchange.response);
+  }
+
+  /**
+   * Replay from the start.
+   */
+
+  reset() {
+    this.index = 0;
+  }
+
+  /**
+   * Inject properties from fixture.
+   * @param {Object} json
+   * @returns {ReplayTransport}
+   */
+
+  fromJSON(json) {
+    assert(json && typeof json === 'object', 'Invalid fixture.');
+
+    if (json.device != null)
+      this.set(json.device);
+
+    return this.set({ exchanges: json.exchanges });
+  }
+
+  /**
+   * Create transport from fixture.
+   * @param {Object} json
+   * @returns {ReplayTransport}
+   */
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  /**
+   * Create transport from fixture file.
+   * @param {String} file
+   * @returns {Promise<ReplayTransport>}
+   */
+
+  static async fromFile(file) {
+    assert(typeof file === 'string');
+
+    const json = await fs.readJSON(file);
+
+    return this.fromJSON(json);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseExchange(exchange) {
+  assert(exchange && typeof exchange === 'object', 'Invalid exchange.');
+  assert(typeof exchange.apdu === 'string', 'Exchange needs apdu.');
+
+  const apdu = Buffer.from(exchange.apdu, 'hex');
+
+  if (exchange.error != null) {
+    assert(typeof exchange.error === 'string');
+
+    return {
+      apdu: apdu,
+      response: null,
+      error: exchange.error
+    };
+  }
+
+  assert(typeof exchange.response === 'string', 'Exchange needs response.');
+
+  return {
+    apdu: apdu,
+    response: Buffer.from(exchange.response, 'hex'),
+    error: null
+  };
+}
+
+/*
+ * Expose
+ */
+
+exports.ReplayTransport = ReplayTransport;
@@ -0,0 +1,339 @@
+/*!
+ * transport.js - Ledger transport without USB.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {Device} = require('bledger/lib/device/device');
+const protocol = require('bledger/lib/protocol');
+const {interactions} = require('../common');
+
+/*
+ * Ledger vendor id, bledger only accepts ledger devices.
+ */
+
+const VENDOR_ID = 0x2c97;
+
+let id = 0;
+
+/**
+ * Ledger Transport
+ * Base class for ledger devices that are not on USB.
+ * LedgerDevice gets handle and key from the USB device,
+ * so transport exposes the same properties.
+ * @extends {bledger.Device}
+ * @property {String} handle - unique for the transport.
+ */
+
+class LedgerTransport extends Device {
+  constructor(options) {
+    super();
+
+    this.type = 'transport';
+    this.vendorId = VENDOR_ID;
+    this.productId = 0x0001;
+    this.productName = 'Ledger';
+    this.manufacturerName = 'Ledger';
+    this.serialNumber = 'transport';
+    this.handle = `transport-${id++}`;
+
+    this._opened = false;
+
+    if (options)
+      this.set(options);
+  }
+
+  /**
+   * Set transport options.
+   * @param {Object} options
+   * @param {Number?} options.productId
+   * @param {String?} options.productName
+   * @param {String?} options.manufacturerName
+   * @param {String?} options.serialNumber
+   * @returns {LedgerTransport}
+   */
+
+  set(options) {
+    super.set(options);
+
+    if (options.productId != null) {
+      assert((options.productId & 0xffff) === options.productId);
+      this.productId = options.productId;
+    }
+
+    if (options.productName != null) {
+      assert(typeof options.productName === 'string');
+      this.productName = options.productName;
+    }
+
+    if (options.manufacturerName != null) {
+      assert(typeof options.manufacturerName === 'string');
+      this.manufacturerName = options.manufacturerName;
+    }
+
+    if (options.serialNumber != null) {
+      assert(typeof options.serialNumber === 'string');
+      this.serialNumber = options.serialNumber;
+    }
+
+    return this;
+  }
+
+  /**
+   * USB device properties used by LedgerDevice.
+   * @returns {Object}
+   */
+
+  get device() {
+    return {
+      _handle: this.handle,
+      vendorId: this.vendorId,
+      productId: this.productId,
+      productName: this.productName,
+      manufacturerName: this.manufacturerName,
+      serialNumber: this.serialNumber
+    };
+  }
+
+  /**
+   * Get transport status.
+   * @returns {Boolean}
+   */
+
+  get opened() {
+    return this._opened;
+  }
+
+  /**
+   * Open the transport.
+   * @returns {Promise<LedgerTransport>}
+   */
+
+  async open() {
+    assert(!this.opened, 'Device is already open.');
+    this._opened = true;
+    return this;
+  }
+
+  /**
+   * Close the transport.
+   * @returns {Promise<LedgerTransport>}
+   */
+
+  async close() {
+    assert(this.opened, 'Device is not open.');
+    this._opened = false;
+    return this;
+  }
+
+  /**
+   * Exchange APDU command with the device.
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>} - response with the status word.
+   */
+
+  async exchange(apdu) {
+    throw new Error('Abstract method.');
+  }
+
+  /**
+   * Get device properties for the fixtures.
+   * @returns {Object}
+   */
+
+  getDeviceJSON() {
+    return {
+      productId: this.productId,
+      productName: this.productName,
+      manufacturerName: this.manufacturerName,
+      serialNumber: this.serialNumber
+    };
+  }
+
+  /**
+   * Test whether the object is a transport.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isLedgerTransport(obj) {
+    return obj instanceof LedgerTransport;
+  }
+}
+
+/**
+ * Interaction Transport
+ * Passes APDU exchanges to the ledger device and reports
+ * the ones that wait for the user (bledger has no events).
+ * @extends {LedgerTransport}
+ * @property {bledger.Device} transport - wrapped device.
+ * @property {Function?} handler - called with type and details.
+ */
+
+class InteractionTransport extends LedgerTransport {
+  constructor(options) {
+    super();
+
+    this.transport = null;
+    this.handler = null;
+
+    if (options)
+      this.set(options);
+  }
+
+  /**
+   * Set transport options.
+   * @param {Object} options
+   * @param {bledger.Device} options.transport - device to wrap.
+   * @param {Function?} options.handler - interaction handler.
+   * @returns {InteractionTransport}
+   */
+
+  set(options) {
+    super.set(options);
+
+    if (options.transport != null) {
+      assert(Device.isLedgerDevice(options.transport),
+        'Transport must be a ledger device.');
+      this.transport = options.transport;
+    }
+
+    if (options.handler != null) {
+      assert(typeof options.handler === 'function');
+      this.handler = options.handler;
+    }
+
+    // bledger sets the scramble key of the app.
+    if (options.scrambleKey != null && this.transport)
+      this.transport.set({ scrambleKey: options.scrambleKey });
+
+    return this;
+  }
+
+  /**
+   * USB device of the wrapped device.
+   * @returns {Object}
+   */
+
+  get device() {
+    assert(this.transport, 'Transport not found.');
+    return this.transport.device;
+  }
+
+  /**
+   * Get wrapped device status.
+   * @returns {Boolean}
+   */
+
+  get opened() {
+    assert(this.transport, 'Transport not found.');
+    return this.transport.opened;
+  }
+
+  /**
+   * Open wrapped device.
+   * @returns {Promise<InteractionTransport>}
+   */
+
+  async open() {
+    assert(this.transport, 'Transport not found.');
+    await this.transport.open();
+    return this;
+  }
+
+  /**
+   * Close wrapped device.
+   * @returns {Promise<InteractionTransport>}
+   */
+
+  async close() {
+    assert(this.transport, 'Transport not found.');
+    await this.transport.close();
+    return this;
+  }
+
+  /**
+   * Exchange APDU with the device, report the interaction
+   * first if the device waits for the user.
+   * @param {Buffer} apdu
+   * @returns {Promise<Buffer>}
+   */
+
+  async exchange(apdu) {
+    assert(this.transport, 'Transport not found.');
+
+    const interaction = getInteraction(apdu);
+
+    if (interaction && this.handler)
+      this.handler(interaction.type, interaction.details);
+
+    return this.transport.exchange(apdu);
+  }
+
+  /**
+   * Wrap the ledger device.
+   * @param {bledger.Device} transport
+   * @param {Function?} handler
+   * @returns {InteractionTransport}
+   */
+
+  static fromTransport(transport, handler) {
+    return new this({ transport, handler });
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Get user interaction of the APDU, only APDUs the
+ * device answers after the user confirms are mapped:
+ * address display, last output part (outputs are shown
+ * once they are hashed) and message signing.
+ * @param {Buffer} apdu - raw APDU command.
+ * @returns {Object?} - type and details (code of the instruction).
+ */
+
+function getInteraction(apdu) {
+  const {INS, insByVal} = protocol.common;
+  const [, ins, p1] = apdu;
+
+  let type = null;
+
+  switch (ins) {
+    case INS.INS_GET_WALLET_PUBLIC_KEY:
+      if (p1 === 0x01)
+        type = interactions.BUTTON_REQUEST;
+      break;
+    case INS.INS_UNTRUSTED_HASH_TX_INPUT_FINALIZE_FULL:
+      if (p1 === 0x80)
+        type = interactions.CONFIRM_OUTPUT;
+      break;
+    case INS.INS_SIGN_MESSAGE:
+      if (p1 === 0x80)
+        type = interactions.BUTTON_REQUEST;
+      break;
+  }
+
+  if (!type)
+    return null;
+
+  return {
+    type: type,
+    details: {
+      code: insByVal[ins]
+    }
+  };
+}
+
+/*
+ * Expose
+ */
+
+exports.VENDOR_ID = VENDOR_ID;
+exports.LedgerTransport = LedgerTransport;
+exports.InteractionTransport = InteractionTransport;
+exports.getInteraction = getInteraction;
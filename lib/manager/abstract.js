@@ -9,6 +9,8 @@ const assert = require('bsert');
 const EventEmitter = require('events');
 const Logger = require('blgr');
 const Network = require('bcoin/lib/protocol/network');
+const {CanceledError, cancelReasons} = require('../errors');
+const common = require('../device/helpers/common');
 
 const defaultSelector = async (devices) => {
   return devices[0];
@@ -24,6 +26,9 @@ const defaultSelector = async (devices) => {
  * @property {AbstractDevice}  selected - selected Device.
  * @property {Set<string, AbstractDeviceManager>} cachedDevices
  *                                                   - list of devices.
+ * @property {Boolean} reconnect - re-select lost device when it reappears.
+ * @property {Number} reconnectTimeout - how long to wait for the device.
+ * @property {Map<AbstractDevice, Function>} interactionHandlers
  */
 
 class AbstractDeviceManager extends EventEmitter {
@@ -39,6 +44,13 @@ class AbstractDeviceManager extends EventEmitter {
     this.selected = null;
     this.cachedDevices = new Map();
 
+    this.reconnect = false;
+    this.reconnectTimeout = 30000;
+    this.lost = null;
+    this.waiting = [];
+
+    this.interactionHandlers = new Map();
+
     if (options)
       this.fromOptions(options);
   }
@@ -48,6 +60,8 @@ class AbstractDeviceManager extends EventEmitter {
    * @param {Object} options
    * @param {Logger?} options.logger
    * @param {Network?} options.network
+   * @param {Boolean?} options.reconnect
+   * @param {Number?} options.reconnectTimeout
    */
 
   fromOptions(options) {
@@ -68,9 +82,30 @@ class AbstractDeviceManager extends EventEmitter {
     if (options.network != null)
       this.network = Network.get(options.network);
 
+    this.parseReconnectOptions(options);
+
     return this;
   }
 
+  /**
+   * Inject reconnection options.
+   * @param {Object} options
+   * @param {Boolean?} options.reconnect
+   * @param {Number?} options.reconnectTimeout
+   */
+
+  parseReconnectOptions(options) {
+    if (options.reconnect != null) {
+      assert(typeof options.reconnect === 'boolean');
+      this.reconnect = options.reconnect;
+    }
+
+    if (options.reconnectTimeout != null) {
+      assert((options.reconnectTimeout >>> 0) === options.reconnectTimeout);
+      this.reconnectTimeout = options.reconnectTimeout;
+    }
+  }
+
   /**
    * Get vendor identifier.
    * @returns {String}
@@ -153,6 +188,200 @@ class AbstractDeviceManager extends EventEmitter {
     throw new Error('Abstract method.');
   }
 
+  /*
+   * Reconnection
+   */
+
+  /**
+   * Remember selected device that was disconnected,
+   * so it can be selected when it is connected again.
+   * @private
+   * @param {AbstractDevice} device
+   */
+
+  handleLost(device) {
+    if (!this.reconnect || device !== this.selected)
+      return;
+
+    this.logger.debug('Selected device was lost: ', device);
+    this.lost = device.key;
+  }
+
+  /**
+   * Select new device if it has the key of the lost one.
+   * @private
+   * @param {AbstractDevice} device
+   * @returns {Promise<Boolean>}
+   */
+
+  async handleFound(device) {
+    if (!this.reconnect || this.lost == null || device.key !== this.lost)
+      return false;
+
+    this.lost = null;
+
+    try {
+      await this.selectDevice(device);
+    } catch (e) {
+      this.logger.error('Could not select reconnected device: ', e);
+      this.rejectWaiting(e);
+      return false;
+    }
+
+    this.logger.debug('Device reconnected: ', device);
+    this.emit('reconnect', device);
+
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(device);
+    }
+
+    return true;
+  }
+
+  /**
+   * Wait for the lost device to be selected again,
+   * at most reconnectTimeout or the timeout of the request.
+   * @param {AbstractDevice} device - lost device.
+   * @param {Object} [options={}]
+   * @param {AbortSignal?} options.signal - stop waiting.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {Promise<AbstractDevice>} - reconnected device.
+   * @throws {CanceledError}
+   */
+
+  waitReconnect(device, options = {}) {
+    assert(this.reconnect, 'Reconnection is not enabled.');
+
+    const {signal, timeout} = common.parseRequestOptions(options);
+    const selected = this.selected;
+
+    if (signal && signal.aborted)
+      return Promise.reject(new CanceledError());
+
+    if (selected && !selected.destroyed && selected.key === device.key)
+      return Promise.resolve(selected);
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: null,
+        reject: null,
+        timer: null
+      };
+
+      const onAbort = () => waiter.reject(new CanceledError());
+
+      const remove = () => {
+        const index = this.waiting.indexOf(waiter);
+
+        if (index !== -1)
+          this.waiting.splice(index, 1);
+
+        clearTimeout(waiter.timer);
+
+        if (signal)
+          signal.removeEventListener('abort', onAbort);
+      };
+
+      waiter.resolve = (device) => {
+        remove();
+        resolve(device);
+      };
+
+      waiter.reject = (err) => {
+        remove();
+        reject(err);
+      };
+
+      if (timeout != null && timeout < this.reconnectTimeout) {
+        waiter.timer = setTimeout(() => {
+          waiter.reject(new CanceledError(cancelReasons.TIMEOUT));
+        }, timeout);
+      } else {
+        waiter.timer = setTimeout(() => {
+          waiter.reject(new Error('Device was not reconnected.'));
+        }, this.reconnectTimeout);
+      }
+
+      if (signal)
+        signal.addEventListener('abort', onAbort);
+
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Reject everyone waiting for the device.
+   * @private
+   * @param {Error} err
+   */
+
+  rejectWaiting(err) {
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(err);
+    }
+  }
+
+  /**
+   * Stop waiting for the lost device, used on close.
+   * @private
+   */
+
+  resetReconnect() {
+    this.lost = null;
+    this.rejectWaiting(new Error('Manager was closed.'));
+  }
+
+  /*
+   * Interactions
+   */
+
+  /**
+   * Re-emit user interactions of the device,
+   * with the device as the first argument.
+   * @private
+   * @param {AbstractDevice} device
+   */
+
+  watchDevice(device) {
+    if (this.interactionHandlers.has(device))
+      return;
+
+    const handler = (type, details) => {
+      this.emit(type, device, details);
+    };
+
+    this.interactionHandlers.set(device, handler);
+    device.on('interaction', handler);
+  }
+
+  /**
+   * Stop re-emitting user interactions of the device.
+   * @private
+   * @param {AbstractDevice} device
+   */
+
+  unwatchDevice(device) {
+    const handler = this.interactionHandlers.get(device);
+
+    if (!handler)
+      return;
+
+    this.interactionHandlers.delete(device);
+    device.removeListener('interaction', handler);
+  }
+
+  /**
+   * Stop re-emitting user interactions of all devices.
+   * @private
+   */
+
+  unwatchDevices() {
+    for (const device of Array.from(this.interactionHandlers.keys()))
+      this.unwatchDevice(device);
+  }
+
   /*
    * API
    */
@@ -160,60 +389,188 @@ class AbstractDeviceManager extends EventEmitter {
   /**
    * Get public key of selected device.
    * @param {Path} path
-   * @param {Boolean} [getParentFingerPrint=true]
-   * @returns {Promise<HDPublicKey>}
+   * @param {Boolean|Object} [options={}] - getParentFingerPrint
+   *  or options, pass origin to get the key origin,
+   *  signal and timeout cancel the request.
+   * @returns {Promise<HDPublicKey|Object>}
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
+  async getPublicKey(path, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getPublicKey(path, getParentFingerPrint);
+
+    const {
+      getParentFingerPrint,
+      origin,
+      signal,
+      timeout
+    } = common.parsePublicKeyOptions(options);
+
+    const device = this.selected;
+    const start = Date.now();
+
+    try {
+      return await device.getPublicKey(path, options);
+    } catch (e) {
+      // canceled by the caller, not by the unplug.
+      if (CanceledError.isCanceledError(e))
+        throw e;
+
+      // device was unplugged while waiting for the response.
+      if (!this.reconnect || !device.destroyed)
+        throw e;
+
+      this.logger.debug('Retrying getPublicKey after reconnect.');
+
+      const remaining = () => {
+        if (timeout == null)
+          return null;
+
+        const left = timeout - (Date.now() - start);
+
+        if (left <= 0)
+          throw new CanceledError(cancelReasons.TIMEOUT);
+
+        return left;
+      };
+
+      const reconnected = await this.waitReconnect(device, {
+        signal,
+        timeout: remaining()
+      });
+
+      await ensureOpen(reconnected);
+
+      return reconnected.getPublicKey(path, {
+        getParentFingerPrint,
+        origin,
+        signal,
+        timeout: remaining()
+      });
+    }
+  }
+
+  /**
+   * Get master key fingerprint of selected device.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<Number>}
+   */
+
+  async getFingerprint(options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.getFingerprint(options);
   }
 
   /**
    * Get public key in xpub string format.
    * @param {Path} path
+   * @param {Boolean} [slip132=false] - use SLIP-132 version.
+   * @param {Object} [options={}] - signal and timeout.
    * @returns {Promise<string>} - xpub
    */
 
-  async getXPUB(path) {
+  async getXPUB(path, slip132 = false, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getXPUB(path);
+    return this.selected.getXPUB(path, slip132, options);
+  }
+
+  /**
+   * Get address, optionally verified on the device screen.
+   * @param {Path} path
+   * @param {Object} [options={}]
+   * @param {String?} options.type - script type, defaults to the path type.
+   * @param {Object?} options.multisig - m and pubkeys ({xpub, path}).
+   * @param {Boolean} [options.display=false] - show address on the device.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {Promise<String>} - address
+   */
+
+  async getAddress(path, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.getAddress(path, options);
   }
 
   /**
    * Sign transaction
    * @param {bcoin.MTX} tx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Promise<Boolean>}
    */
 
-  async signTransaction(mtx, options) {
+  async signTransaction(mtx, options, outputData, request = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signTransaction(mtx, options);
+    return this.selected.signTransaction(mtx, options, outputData, request);
+  }
+
+  /**
+   * Sign transaction and get signing status of each input.
+   * @param {bcoin.MTX} mtx
+   * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
+   * @returns {Promise<Object>} - mtx and status (inputStatus[]).
+   */
+
+  async signTransactionWithStatus(mtx, options, outputData, request = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.signTransactionWithStatus(mtx, options, outputData,
+      request);
   }
 
   /**
    * Sign transaction and return signatures.
    * @param {bcoin.MTX} mtx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Promise<Buffer[]>} - signatures
    */
 
-  async getSignatures(mtx, options) {
+  async getSignatures(mtx, options, outputData, request = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.getSignatures(mtx, options, outputData, request);
+  }
+
+  /**
+   * Sign PSBT and add partial signatures.
+   * @param {PSBT|Buffer|String} psbt
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<PSBT>}
+   */
+
+  async signPSBT(psbt, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getSignatures(mtx, options);
+    return this.selected.signPSBT(psbt, options);
   }
 
   /**
    * Sign arbitrary message.
    * @param {Path} path
    * @param {Buffer|String} message
-   * @returns {Promise<Buffer>} - signature
+   * @param {Object} [options={}] - script type of the signature,
+   *  signal and timeout.
+   * @returns {Promise<MessageSignature>}
    */
 
-  async signMessage(path, message) {
+  async signMessage(path, message, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signMessage(path, message);
+    return this.selected.signMessage(path, message, options);
+  }
+
+  /**
+   * Sign message using BIP322.
+   * @param {Path} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}] - type, multisig, format,
+   *  signal and timeout.
+   * @returns {Promise<Object>} - address, signature and base64 proof.
+   */
+
+  async signMessageBIP322(path, message, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.signMessageBIP322(path, message, options);
   }
 
   /*
@@ -225,4 +582,13 @@ class AbstractDeviceManager extends EventEmitter {
   }
 }
 
+/*
+ * Helpers
+ */
+
+async function ensureOpen(device) {
+  if (!device.opened)
+    await device.open();
+}
+
 module.exports = AbstractDeviceManager;
@@ -0,0 +1,221 @@
+/*!
+ * airgap.js - Device manager for Airgap Devices.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Network = require('bcoin/lib/protocol/network');
+const AbstractDeviceManager = require('./abstract');
+const AirgapDevice = require('../device/airgap');
+const {vendors} = require('../common');
+
+/**
+ * Airgap Device Manager
+ *
+ * Every offline signer is a device, there is always
+ * the default one and others can be added.
+ * @property {Object} device - default device options.
+ */
+
+class AirgapDeviceManager extends AbstractDeviceManager {
+  constructor(options) {
+    super();
+
+    this.device = {};
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {String?} options.dir - exchange requests as files.
+   * @param {Number?} options.maxFragmentLength
+   * @param {Number?} options.pollInterval
+   * @param {airgapResponseCallback?} options.getResponse
+   * @param {Object?} options.device - default device options,
+   *  e.g. fingerprint of the offline signer.
+   * @returns {AirgapDeviceManager}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    this.options = options;
+
+    if (options.selector != null) {
+      assert(typeof options.selector === 'function');
+      this.selector = options.selector;
+    }
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('airgap-device-manager');
+    }
+
+    if (options.device != null) {
+      enforce(typeof options.device === 'object',
+        'options.device', 'object');
+      this.device = options.device;
+    }
+
+    this.parseReconnectOptions(options);
+
+    return this;
+  }
+
+  /**
+   * Get vendor
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.AIRGAP;
+  }
+
+  async open() {
+    assert(!this.opened, 'Already open.');
+
+    this.opened = true;
+
+    this.addDevice(this.device);
+  }
+
+  async close() {
+    assert(this.opened, 'Not open.');
+
+    await this.deselectDevice();
+
+    for (const device of this.cachedDevices.values()) {
+      if (device.opened)
+        await device.close();
+
+      await device.destroy();
+    }
+
+    this.cachedDevices.clear();
+    this.unwatchDevices();
+    this.opened = false;
+    this.resetReconnect();
+  }
+
+  /**
+   * Add offline signer.
+   * @param {AirgapDevice|Object} options - device or device options.
+   * @returns {AirgapDevice}
+   */
+
+  addDevice(options) {
+    let device;
+
+    if (options instanceof AirgapDevice) {
+      device = options;
+    } else {
+      const {dir, maxFragmentLength, pollInterval, getResponse} = this.options;
+
+      device = AirgapDevice.fromOptions({
+        logger: this.logger,
+        network: this.network,
+        dir,
+        maxFragmentLength,
+        pollInterval,
+        getResponse,
+        ...options
+      });
+    }
+
+    assert(!this.cachedDevices.has(device.handle),
+      'Device already exists.');
+
+    this.cachedDevices.set(device.handle, device);
+    this.watchDevice(device);
+    this.emit('connect', device);
+
+    this.handleFound(device);
+
+    return device;
+  }
+
+  /**
+   * Remove offline signer.
+   * @param {AirgapDevice} device
+   * @returns {Promise}
+   */
+
+  async removeDevice(device) {
+    if (this.selected === device) {
+      this.handleLost(device);
+      await this.deselectDevice();
+    }
+
+    if (device.opened)
+      await device.close();
+
+    await device.destroy();
+    this.cachedDevices.delete(device.handle);
+    this.unwatchDevice(device);
+    this.emit('disconnect', device);
+  }
+
+  async selectDevice(device) {
+    assert(this.opened, 'Not open.');
+
+    if (device) {
+      const handle = device.handle;
+
+      if (!this.cachedDevices.has(handle))
+        throw new Error('Device not found.');
+
+      await this.deselectDevice();
+      this.selected = device;
+      this.emit('select', device);
+
+      return device;
+    }
+
+    const devices = await this.getDevices();
+    const selected = await this.selector(devices);
+
+    if (!selected)
+      throw new Error('Device was not selected.');
+
+    await this.deselectDevice();
+    this.selected = selected;
+    this.emit('select', this.selected);
+
+    return this.selected;
+  }
+
+  async deselectDevice() {
+    if (!this.selected)
+      return false;
+
+    if (this.selected.opened)
+      await this.selected.close();
+
+    this.emit('deselect', this.selected);
+    this.selected = null;
+
+    return true;
+  }
+
+  /**
+   * List offline signers.
+   * @returns {Promise<AirgapDevice[]>}
+   */
+
+  async getDevices() {
+    assert(this.opened, 'Not open.');
+
+    return Array.from(this.cachedDevices.values());
+  }
+}
+
+module.exports = AirgapDeviceManager;
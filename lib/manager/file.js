@@ -0,0 +1,349 @@
+/*!
+ * file.js - Device manager for File Devices.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const path = require('path');
+const fs = require('bfile');
+const Network = require('bcoin/lib/protocol/network');
+const AbstractDeviceManager = require('./abstract');
+const FileDevice = require('../device/file');
+const {Keystore} = require('../keystore');
+const {vendors} = require('../common');
+
+/**
+ * File Device Manager
+ *
+ * Every keystore file in the prefix is a device,
+ * devices are created and imported into the prefix.
+ * @property {String?} prefix - directory of the keystores.
+ * @property {String?} passphrase
+ * @property {keystorePassphraseCallback?} getPassphrase
+ * @property {Object?} device - default device options.
+ */
+
+class FileDeviceManager extends AbstractDeviceManager {
+  constructor(options) {
+    super();
+
+    this.prefix = null;
+    this.passphrase = null;
+    this.getPassphrase = null;
+    this.device = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {String?} options.prefix - directory of the keystores.
+   * @param {String?} options.passphrase - passphrase of the keystores.
+   * @param {keystorePassphraseCallback?} options.getPassphrase
+   * @param {Object?} options.device - default device, imported
+   *  into the keystore that is not written to disk.
+   * @returns {FileDeviceManager}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    this.options = options;
+
+    if (options.selector != null) {
+      assert(typeof options.selector === 'function');
+      this.selector = options.selector;
+    }
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('file-device-manager');
+    }
+
+    if (options.prefix != null) {
+      enforce(typeof options.prefix === 'string', 'options.prefix', 'string');
+      this.prefix = options.prefix;
+    }
+
+    if (options.passphrase != null) {
+      enforce(typeof options.passphrase === 'string',
+        'options.passphrase', 'string');
+      this.passphrase = options.passphrase;
+    }
+
+    if (options.getPassphrase != null) {
+      enforce(typeof options.getPassphrase === 'function',
+        'options.getPassphrase', 'function');
+      this.getPassphrase = options.getPassphrase;
+    }
+
+    if (options.device != null) {
+      enforce(typeof options.device === 'object',
+        'options.device', 'object');
+      this.device = options.device;
+    }
+
+    this.parseReconnectOptions(options);
+
+    return this;
+  }
+
+  /**
+   * Get vendor
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.FILE;
+  }
+
+  /**
+   * Load keystores from the prefix.
+   * @returns {Promise}
+   */
+
+  async open() {
+    assert(!this.opened, 'Already open.');
+
+    this.opened = true;
+
+    if (this.device) {
+      const keystore = await Keystore.create({
+        passphrase: this.passphrase,
+        ...this.device
+      });
+
+      this.addDevice({ keystore });
+    }
+
+    await this.readKeystores();
+  }
+
+  /**
+   * Add devices for the keystores in the prefix,
+   * invalid files are skipped.
+   * @private
+   * @returns {Promise}
+   */
+
+  async readKeystores() {
+    if (!this.prefix || !await fs.exists(this.prefix))
+      return;
+
+    const names = await fs.readdir(this.prefix);
+
+    for (const name of names.sort()) {
+      if (path.extname(name) !== '.json')
+        continue;
+
+      const file = path.join(this.prefix, name);
+
+      let keystore;
+      try {
+        keystore = await Keystore.fromFile(file);
+      } catch (e) {
+        this.logger.warning('Could not read keystore %s: %s', file, e.message);
+        continue;
+      }
+
+      this.addDevice({ file, keystore });
+    }
+  }
+
+  async close() {
+    assert(this.opened, 'Not open.');
+
+    await this.deselectDevice();
+
+    for (const device of this.cachedDevices.values()) {
+      if (device.opened)
+        await device.close();
+
+      await device.destroy();
+    }
+
+    this.cachedDevices.clear();
+    this.unwatchDevices();
+    this.opened = false;
+    this.resetReconnect();
+  }
+
+  /**
+   * Add keystore device.
+   * @param {FileDevice|Object} options - device or device options.
+   * @returns {FileDevice}
+   */
+
+  addDevice(options) {
+    let device;
+
+    if (options instanceof FileDevice) {
+      device = options;
+    } else {
+      device = FileDevice.fromOptions({
+        logger: this.logger,
+        network: this.network,
+        passphrase: this.passphrase,
+        getPassphrase: this.getPassphrase,
+        ...options
+      });
+    }
+
+    assert(!this.cachedDevices.has(device.handle),
+      'Device already exists.');
+
+    this.cachedDevices.set(device.handle, device);
+    this.watchDevice(device);
+    this.emit('connect', device);
+
+    this.handleFound(device);
+
+    return device;
+  }
+
+  /**
+   * Remove device from the manager, keystore file is kept.
+   * @param {FileDevice} device
+   * @returns {Promise}
+   */
+
+  async removeDevice(device) {
+    if (this.selected === device) {
+      this.handleLost(device);
+      await this.deselectDevice();
+    }
+
+    if (device.opened)
+      await device.close();
+
+    await device.destroy();
+    this.cachedDevices.delete(device.handle);
+    this.unwatchDevice(device);
+    this.emit('disconnect', device);
+  }
+
+  /**
+   * Create keystore with new mnemonic, it is written
+   * to the prefix (if there is one) and added as a device.
+   * @param {Object} options - see {@link Keystore.create}.
+   * @returns {Promise<FileDevice>}
+   */
+
+  async createDevice(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(options.phrase == null && options.key == null,
+      'Use importDevice to import the key.');
+
+    return this.addKeystore(options);
+  }
+
+  /**
+   * Import mnemonic or master key into the new keystore.
+   * @param {Object} options - see {@link Keystore.create}.
+   * @returns {Promise<FileDevice>}
+   */
+
+  async importDevice(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    assert(options.phrase != null || options.key != null,
+      'Phrase or key is required.');
+
+    return this.addKeystore(options);
+  }
+
+  /**
+   * Encrypt the key and add the device.
+   * @private
+   * @param {Object} options
+   * @returns {Promise<FileDevice>}
+   */
+
+  async addKeystore(options) {
+    assert(this.opened, 'Not open.');
+
+    const passphrase = options.passphrase != null
+      ? options.passphrase
+      : this.passphrase;
+
+    const keystore = await Keystore.create({
+      ...options,
+      passphrase
+    });
+
+    let file = null;
+
+    if (this.prefix) {
+      file = path.join(this.prefix, `${keystore.id}.json`);
+
+      if (await fs.exists(file))
+        throw new Error('Keystore already exists.');
+
+      await keystore.write(file);
+    }
+
+    return this.addDevice({ file, keystore });
+  }
+
+  async selectDevice(device) {
+    assert(this.opened, 'Not open.');
+
+    if (device) {
+      const handle = device.handle;
+
+      if (!this.cachedDevices.has(handle))
+        throw new Error('Device not found.');
+
+      await this.deselectDevice();
+      this.selected = device;
+      this.emit('select', device);
+
+      return device;
+    }
+
+    const devices = await this.getDevices();
+    const selected = await this.selector(devices);
+
+    if (!selected)
+      throw new Error('Device was not selected.');
+
+    await this.deselectDevice();
+    this.selected = selected;
+    this.emit('select', this.selected);
+
+    return this.selected;
+  }
+
+  async deselectDevice() {
+    if (!this.selected)
+      return false;
+
+    if (this.selected.opened)
+      await this.selected.close();
+
+    this.emit('deselect', this.selected);
+    this.selected = null;
+
+    return true;
+  }
+
+  /**
+   * List keystore devices.
+   * @returns {Promise<FileDevice[]>}
+   */
+
+  async getDevices() {
+    assert(this.opened, 'Not open.');
+
+    return Array.from(this.cachedDevices.values());
+  }
+}
+
+module.exports = FileDeviceManager;
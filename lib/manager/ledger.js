@@ -10,6 +10,7 @@ const Network = require('bcoin/lib/protocol/network');
 const busb = require('busb');
 const {getUSB} = require('../internal/usb');
 const LedgerUSB = require('bledger/lib/device/usb').Device;
+const {Device} = require('bledger/lib/device/device');
 const LedgerDevice = require('../device/ledger');
 const AbstractDeviceManager = require('./abstract');
 const {vendors} = require('../common');
@@ -28,6 +29,8 @@ const {vendors} = require('../common');
  * @property {Number} timeout
  * @property {busb.USB} usb
  * @property {selectorCallback} selector
+ * @property {bledger.Device?} transport - added when opened.
+ * @property {Set<String>} transports - handles of devices not on USB.
  */
 
 class LedgerDeviceManager extends AbstractDeviceManager {
@@ -36,6 +39,8 @@ class LedgerDeviceManager extends AbstractDeviceManager {
 
     this.usb = busb.usb;
     this.timeout = 5000;
+    this.transport = null;
+    this.transports = new Set();
 
     this._connectHandler = null;
     this._disconnectHandler = null;
@@ -53,6 +58,10 @@ class LedgerDeviceManager extends AbstractDeviceManager {
    * @param {selectorCallback} options.selector
    * @param {busb#USB} options.usb
    * @param {Number} options.timeout
+   * @param {bledger.Device?} options.transport - device without USB
+   *  (e.g. ReplayTransport), added when manager is opened.
+   * @param {Boolean?} options.reconnect - re-select device after unplug.
+   * @param {Number?} options.reconnectTimeout
    * @returns {LedgerDevice}
    */
 
@@ -85,6 +94,14 @@ class LedgerDeviceManager extends AbstractDeviceManager {
       this.timeout = options.timeout;
     }
 
+    if (options.transport != null) {
+      assert(Device.isLedgerDevice(options.transport),
+        'Transport must be a ledger device.');
+      this.transport = options.transport;
+    }
+
+    this.parseReconnectOptions(options);
+
     return this;
   }
 
@@ -107,7 +124,10 @@ class LedgerDeviceManager extends AbstractDeviceManager {
       'Already have device for the handle.');
 
     this.cachedDevices.set(handle, device);
+    this.watchDevice(device);
     this.emit('connect', device);
+
+    this.handleFound(device);
   }
 
   /**
@@ -122,11 +142,13 @@ class LedgerDeviceManager extends AbstractDeviceManager {
     const device = this.cachedDevices.get(handle);
 
     if (this.selected === device) {
+      this.handleLost(device);
       this.selected.destroy();
       this.deselectDevice();
     }
 
     this.cachedDevices.delete(handle);
+    this.unwatchDevice(device);
 
     this.emit('disconnect', device);
   }
@@ -169,6 +191,9 @@ class LedgerDeviceManager extends AbstractDeviceManager {
     this.opened = true;
 
     this.bind();
+
+    if (this.transport)
+      this.addDevice(this.transport);
   }
 
   /**
@@ -190,7 +215,10 @@ class LedgerDeviceManager extends AbstractDeviceManager {
     }
 
     this.cachedDevices.clear();
+    this.transports.clear();
+    this.unwatchDevices();
     this.unbind();
+    this.resetReconnect();
   }
 
   /**
@@ -222,6 +250,12 @@ class LedgerDeviceManager extends AbstractDeviceManager {
       return device;
     }
 
+    // devices without USB are selected in the order they were added.
+    if (this.transports.size > 0) {
+      const [handle] = this.transports;
+      return this.selectDevice(this.cachedDevices.get(handle));
+    }
+
     const ledgerDevice = await LedgerUSB.requestDevice(this.usb);
     device = LedgerDevice.fromLedgerDevice(ledgerDevice,
       this.options);
@@ -233,6 +267,7 @@ class LedgerDeviceManager extends AbstractDeviceManager {
 
     this.selected = device;
     this.cachedDevices.set(handle, device);
+    this.watchDevice(device);
 
     await this.selected.open();
 
@@ -258,6 +293,60 @@ class LedgerDeviceManager extends AbstractDeviceManager {
     return true;
   }
 
+  /**
+   * Add ledger device that is not on USB (e.g. ReplayTransport),
+   * it is handled the same way as the connected USB device.
+   * @param {bledger.Device} ledgerDevice
+   * @returns {LedgerDevice}
+   */
+
+  addDevice(ledgerDevice) {
+    assert(this.opened, 'Not open.');
+
+    const device = LedgerDevice.fromLedgerDevice(ledgerDevice, this.options);
+    const handle = device.handle;
+
+    assert(!this.cachedDevices.has(handle),
+      'Already have device for the handle.');
+
+    this.cachedDevices.set(handle, device);
+    this.transports.add(handle);
+    this.watchDevice(device);
+    this.emit('connect', device);
+
+    this.handleFound(device);
+
+    return device;
+  }
+
+  /**
+   * Remove device that was added, same as USB disconnect.
+   * @param {LedgerDevice} device
+   * @returns {Promise}
+   */
+
+  async removeDevice(device) {
+    const handle = device.handle;
+
+    assert(this.transports.has(handle), 'Device was not added.');
+
+    if (this.selected === device) {
+      this.handleLost(device);
+      await this.deselectDevice();
+    }
+
+    if (device.opened)
+      await device.close();
+
+    device.destroy();
+
+    this.cachedDevices.delete(handle);
+    this.transports.delete(handle);
+    this.unwatchDevice(device);
+
+    this.emit('disconnect', device);
+  }
+
   /**
    * List allowed and connected devices.
    * @returns {Promise<LedgerDevice[]>}
@@ -45,6 +45,8 @@ class MemoryDeviceManager extends AbstractDeviceManager {
       this.logger = options.logger;
     }
 
+    this.parseReconnectOptions(options);
+
     // First device
     if (options.device != null) {
       this.addDevice(options.device);
@@ -75,15 +77,21 @@ class MemoryDeviceManager extends AbstractDeviceManager {
     }
 
     this.cachedDevices.set(device.handle, device);
+    this.watchDevice(device);
     this.emit('connect', device);
+
+    this.handleFound(device);
   }
 
   async removeDevice(device) {
-    if (this.selected === device)
+    if (this.selected === device) {
+      this.handleLost(device);
       await this.deselectDevice();
+    }
 
     device.destroy();
     this.cachedDevices.delete(device.handle);
+    this.unwatchDevice(device);
     this.emit('disconnect', device);
   }
 
@@ -147,7 +155,9 @@ class MemoryDeviceManager extends AbstractDeviceManager {
     }
 
     this.cachedDevices.clear();
+    this.unwatchDevices();
     this.opened = false;
+    this.resetReconnect();
   }
 
   /**
@@ -162,50 +172,55 @@ class MemoryDeviceManager extends AbstractDeviceManager {
   }
 
   /**
-   * Get public key of selected device.
-   * @param {Path} path
-   * @param {Boolean} [getParentFingerPrint=true]
-   * @returns {HDPublicKey}
+   * Get master key fingerprint of selected device.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Number}
    */
 
-  getPublicKey(path, getParentFingerPrint = true) {
+  getFingerprint(options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getPublicKey(path, getParentFingerPrint);
+    return this.selected.getFingerprint(options);
   }
 
   /**
    * Sign transaction
    * @param {bcoin.MTX} tx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Boolean}
    */
 
-  signTransaction(mtx, options) {
+  signTransaction(mtx, options, outputData, request = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signTransaction(mtx, options);
+    return this.selected.signTransaction(mtx, options, outputData, request);
   }
 
   /**
    * Sign transaction and return signatures.
    * @param {bcoin.MTX} mtx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Buffer[]} - signatures
    */
 
-  getSignatures(mtx, options) {
+  getSignatures(mtx, options, outputData, request = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getSignatures(mtx, options);
+    return this.selected.getSignatures(mtx, options, outputData, request);
   }
 
   /**
    * Sign arbitrary message.
    * @param {Path} path
    * @param {Buffer|String} message
+   * @param {Object} [options={}] - script type of the signature,
+   *  signal and timeout.
    */
 
-  signMessage(path, message) {
+  signMessage(path, message, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signMessage(path, message);
+    return this.selected.signMessage(path, message, options);
   }
 }
 
@@ -0,0 +1,394 @@
+/*!
+ * remote.js - Device manager for devices of the signer relay.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const Network = require('bcoin/lib/protocol/network');
+const AbstractDeviceManager = require('./abstract');
+const RemoteDevice = require('../device/remote');
+const {SignerClient} = require('../server/client');
+const {vendors, getServerPort} = require('../common');
+
+/**
+ * Remote Device Manager
+ *
+ * Connects to the signer relay (see bin/server.js) on the
+ * device host, devices of the relay are the remote devices.
+ * Connect and disconnect events of the relay are mirrored.
+ * @property {SignerClient} client
+ * @property {Object} clientOptions - host, port, ssl and apiKey.
+ */
+
+class RemoteDeviceManager extends AbstractDeviceManager {
+  constructor(options) {
+    super();
+
+    this.client = null;
+    this.clientOptions = {};
+
+    this._connectHandler = null;
+    this._disconnectHandler = null;
+    this._reconnectHandler = null;
+    this._lostHandler = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {SignerClient?} options.client - client of the relay.
+   * @param {String?} options.host
+   * @param {Number?} options.port - defaults to the signer server port.
+   * @param {Boolean?} options.ssl
+   * @param {String?} options.apiKey
+   * @returns {RemoteDeviceManager}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    this.options = options;
+
+    if (options.selector != null) {
+      assert(typeof options.selector === 'function');
+      this.selector = options.selector;
+    }
+
+    if (options.network != null)
+      this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('remote-device-manager');
+    }
+
+    if (options.client != null) {
+      enforce(typeof options.client === 'object',
+        'options.client', 'object');
+      this.client = options.client;
+    }
+
+    const clientOptions = {
+      host: '127.0.0.1',
+      port: getServerPort(this.network),
+      ssl: false,
+      apiKey: null
+    };
+
+    if (options.host != null) {
+      enforce(typeof options.host === 'string', 'options.host', 'string');
+      clientOptions.host = options.host;
+    }
+
+    if (options.port != null) {
+      enforce((options.port & 0xffff) === options.port,
+        'options.port', 'port');
+      clientOptions.port = options.port;
+    }
+
+    if (options.ssl != null) {
+      enforce(typeof options.ssl === 'boolean', 'options.ssl', 'boolean');
+      clientOptions.ssl = options.ssl;
+    }
+
+    if (options.apiKey != null) {
+      enforce(typeof options.apiKey === 'string',
+        'options.apiKey', 'string');
+      clientOptions.apiKey = options.apiKey;
+    }
+
+    this.clientOptions = clientOptions;
+
+    this.parseReconnectOptions(options);
+
+    return this;
+  }
+
+  /**
+   * Get vendor
+   * @returns {String}
+   */
+
+  get vendor() {
+    return vendors.REMOTE;
+  }
+
+  /**
+   * Listen to device events of the relay.
+   * @private
+   */
+
+  bind() {
+    this._connectHandler = (json) => {
+      this.handleConnect(json);
+    };
+
+    this._disconnectHandler = (json) => {
+      this.handleDisconnect(json).catch((e) => {
+        this.logger.error('Could not remove device: %s', e.message);
+      });
+    };
+
+    // socket reconnected, devices may have changed.
+    this._reconnectHandler = () => {
+      this.syncDevices().catch((e) => {
+        this.logger.error('Could not sync devices: %s', e.message);
+      });
+    };
+
+    // relay is not available, neither are its devices.
+    this._lostHandler = () => {
+      this.removeDevices().catch((e) => {
+        this.logger.error('Could not remove devices: %s', e.message);
+      });
+    };
+
+    this.client.on('device connect', this._connectHandler);
+    this.client.on('device disconnect', this._disconnectHandler);
+    this.client.on('connect', this._reconnectHandler);
+    this.client.on('disconnect', this._lostHandler);
+  }
+
+  /**
+   * Remove listeners of the client.
+   * @private
+   */
+
+  unbind() {
+    this.client.removeListener('device connect', this._connectHandler);
+    this.client.removeListener('device disconnect', this._disconnectHandler);
+    this.client.removeListener('connect', this._reconnectHandler);
+    this.client.removeListener('disconnect', this._lostHandler);
+
+    this._connectHandler = null;
+    this._disconnectHandler = null;
+    this._reconnectHandler = null;
+    this._lostHandler = null;
+  }
+
+  async open() {
+    assert(!this.opened, 'Already open.');
+
+    if (!this.client) {
+      this.client = new SignerClient({
+        ...this.clientOptions,
+        network: this.network.type
+      });
+    }
+
+    await this.client.open();
+
+    try {
+      const info = await this.client.getInfo();
+
+      if (info.network !== this.network.type)
+        throw new Error(`Relay is on ${info.network} network.`);
+    } catch (e) {
+      await this.client.close();
+      throw e;
+    }
+
+    this.opened = true;
+    this.bind();
+
+    await this.syncDevices();
+  }
+
+  async close() {
+    assert(this.opened, 'Not open.');
+
+    this.unbind();
+
+    await this.deselectDevice();
+
+    for (const device of this.cachedDevices.values()) {
+      if (device.opened)
+        await device.close();
+
+      await device.destroy();
+    }
+
+    this.cachedDevices.clear();
+    this.unwatchDevices();
+    this.opened = false;
+    this.resetReconnect();
+
+    await this.client.close();
+  }
+
+  /**
+   * Watch device events and add devices of the relay,
+   * devices that are no longer on the relay are removed.
+   * @returns {Promise}
+   */
+
+  async syncDevices() {
+    await this.client.watchDevices();
+
+    const devices = await this.client.getDevices();
+    const handles = new Set();
+
+    for (const json of devices)
+      handles.add(this.handleConnect(json).handle);
+
+    for (const device of this.cachedDevices.values()) {
+      if (!handles.has(device.handle))
+        await this.removeDevice(device);
+    }
+  }
+
+  /**
+   * Add device of the relay, if it is not known.
+   * @private
+   * @param {Object} json - device JSON of the relay.
+   * @returns {RemoteDevice}
+   */
+
+  handleConnect(json) {
+    const handle = getHandle(json);
+
+    if (this.cachedDevices.has(handle))
+      return this.cachedDevices.get(handle);
+
+    const device = RemoteDevice.fromOptions({
+      logger: this.logger,
+      network: this.network,
+      client: this.client,
+      vendor: json.vendor,
+      key: json.key
+    });
+
+    this.cachedDevices.set(handle, device);
+    this.watchDevice(device);
+    this.emit('connect', device);
+
+    this.handleFound(device);
+
+    return device;
+  }
+
+  /**
+   * Remove device of the relay.
+   * @private
+   * @param {Object} json - device JSON of the relay.
+   * @returns {Promise}
+   */
+
+  async handleDisconnect(json) {
+    const device = this.cachedDevices.get(getHandle(json));
+
+    if (device)
+      await this.removeDevice(device);
+  }
+
+  /**
+   * Remove remote device.
+   * @param {RemoteDevice} device
+   * @returns {Promise}
+   */
+
+  async removeDevice(device) {
+    if (this.selected === device) {
+      this.handleLost(device);
+      await this.deselectDevice();
+    }
+
+    if (device.opened)
+      await device.close();
+
+    await device.destroy();
+    this.cachedDevices.delete(device.handle);
+    this.unwatchDevice(device);
+    this.emit('disconnect', device);
+  }
+
+  /**
+   * Remove all remote devices.
+   * @private
+   * @returns {Promise}
+   */
+
+  async removeDevices() {
+    for (const device of Array.from(this.cachedDevices.values()))
+      await this.removeDevice(device);
+  }
+
+  async selectDevice(device) {
+    assert(this.opened, 'Not open.');
+
+    if (device) {
+      const handle = device.handle;
+
+      if (!this.cachedDevices.has(handle))
+        throw new Error('Device not found.');
+
+      await this.deselectDevice();
+      this.selected = device;
+      this.emit('select', device);
+
+      return device;
+    }
+
+    const devices = await this.getDevices();
+    const selected = await this.selector(devices);
+
+    if (!selected)
+      throw new Error('Device was not selected.');
+
+    await this.deselectDevice();
+    this.selected = selected;
+    this.emit('select', this.selected);
+
+    return this.selected;
+  }
+
+  async deselectDevice() {
+    if (!this.selected)
+      return false;
+
+    if (this.selected.opened)
+      await this.selected.close();
+
+    this.emit('deselect', this.selected);
+    this.selected = null;
+
+    return true;
+  }
+
+  /**
+   * List devices of the relay.
+   * @returns {Promise<RemoteDevice[]>}
+   */
+
+  async getDevices() {
+    assert(this.opened, 'Not open.');
+
+    return Array.from(this.cachedDevices.values());
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Handle of the remote device, see {@link RemoteDevice#key}.
+ * @param {Object} json - device JSON of the relay.
+ * @returns {String}
+ */
+
+function getHandle(json) {
+  return `${json.vendor}:${json.key}`;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = RemoteDeviceManager;
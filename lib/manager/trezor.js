@@ -6,24 +6,53 @@
 'use strict';
 
 const assert = require('bsert');
+const {enforce} = assert;
 const Network = require('bcoin/lib/protocol/network');
 const trezorConnect = require('btrezor-connect');
 const TrezorConnect = trezorConnect.default;
 const AbstractDeviceManager = require('./abstract');
 const TrezorDevice = require('../device/trezor');
-const {vendors} = require('../common');
+const {vendors, interactions} = require('../common');
 
-const {DEVICE, DEVICE_EVENT} = trezorConnect;
+const {DEVICE, DEVICE_EVENT, UI, UI_EVENT} = trezorConnect;
+
+/**
+ * PIN callback, PIN is entered using the matrix
+ * shown on the device (positions of the digits).
+ * @callback pinCallback
+ * @async
+ * @param {TrezorDevice} device
+ * @param {Object} details - type of the PIN request.
+ * @returns {String}
+ */
+
+/**
+ * Passphrase callback.
+ * @callback passphraseCallback
+ * @async
+ * @param {TrezorDevice} device
+ * @param {Object} details
+ * @returns {String?} - null to enter passphrase on the device.
+ */
 
 /**
  * Trezor Device Manager
+ *
+ * @property {Object} connect - TrezorConnect instance.
+ * @property {pinCallback?} getPIN
+ * @property {passphraseCallback?} getPassphrase
  */
 
 class TrezorDeviceManager extends AbstractDeviceManager {
   constructor(options) {
     super();
 
+    this.connect = TrezorConnect;
+    this.getPIN = null;
+    this.getPassphrase = null;
+
     this._deviceEventHandler = null;
+    this._uiEventHandler = null;
 
     if (options != null)
       this.fromOptions(options);
@@ -32,6 +61,12 @@ class TrezorDeviceManager extends AbstractDeviceManager {
   /**
    * Inject properties from options.
    * @param {Object} options
+   * @param {Boolean?} options.reconnect - re-select device after unplug.
+   * @param {Number?} options.reconnectTimeout
+   * @param {Object?} options.connect - TrezorConnect instance,
+   *  e.g. FakeTrezorConnect (defaults to btrezor-connect).
+   * @param {pinCallback?} options.getPIN - enter PIN on the host.
+   * @param {passphraseCallback?} options.getPassphrase
    */
 
   fromOptions(options) {
@@ -57,6 +92,23 @@ class TrezorDeviceManager extends AbstractDeviceManager {
       this.debugTrezor = options.debugTrezor;
     }
 
+    if (options.connect != null) {
+      assert(typeof options.connect === 'object');
+      this.connect = options.connect;
+    }
+
+    if (options.getPIN != null) {
+      assert(typeof options.getPIN === 'function');
+      this.getPIN = options.getPIN;
+    }
+
+    if (options.getPassphrase != null) {
+      assert(typeof options.getPassphrase === 'function');
+      this.getPassphrase = options.getPassphrase;
+    }
+
+    this.parseReconnectOptions(options);
+
     return this;
   }
 
@@ -85,13 +137,16 @@ class TrezorDeviceManager extends AbstractDeviceManager {
           path: path,
           label: payload.label,
           deviceID: payload.features.device_id,
+          connect: this.connect,
           logger: this.logger,
           network: this.network
         });
 
         this.cachedDevices.set(path, device);
+        this.watchDevice(device);
 
         this.emit('connect', device);
+        this.handleFound(device);
         break;
       }
       case DEVICE.DISCONNECT: {
@@ -99,8 +154,16 @@ class TrezorDeviceManager extends AbstractDeviceManager {
           break;
 
         const device = this.cachedDevices.get(path);
+
+        if (this.selected === device) {
+          this.handleLost(device);
+          this.selected = null;
+          this.emit('deselect', device);
+        }
+
         device.destroy();
         this.cachedDevices.delete(path);
+        this.unwatchDevice(device);
         this.emit('disconnect', device);
         break;
       }
@@ -127,6 +190,123 @@ class TrezorDeviceManager extends AbstractDeviceManager {
     }
   }
 
+  /**
+   * Handle trezor-connect UI events, device is waiting
+   * for the user or for the PIN/passphrase from the host.
+   * @private
+   * @param {Object} event - Trezor UI_EVENT.
+   */
+
+  handleUIEvent(event) {
+    const {payload} = event;
+
+    if (!payload || !payload.device) {
+      this.logger.debug('UI Event: %s', event.type);
+      return;
+    }
+
+    const device = this.cachedDevices.get(payload.device.path);
+
+    if (!device) {
+      this.logger.debug('UI Event for unknown device: %s', event.type);
+      return;
+    }
+
+    switch (event.type) {
+      case UI.REQUEST_BUTTON: {
+        const type = payload.code === 'ButtonRequest_ConfirmOutput'
+          ? interactions.CONFIRM_OUTPUT
+          : interactions.BUTTON_REQUEST;
+
+        device.interact(type, { code: payload.code });
+        break;
+      }
+      case UI.REQUEST_PIN: {
+        const details = { type: payload.type };
+
+        device.interact(interactions.PIN_REQUEST, details);
+
+        if (this.getPIN) {
+          this.respond(device, details, this.getPIN,
+            pin => this.enterPIN(pin));
+        }
+        break;
+      }
+      case UI.REQUEST_PASSPHRASE: {
+        const details = { onDevice: false };
+
+        device.interact(interactions.PASSPHRASE_REQUEST, details);
+
+        if (this.getPassphrase) {
+          this.respond(device, details, this.getPassphrase,
+            passphrase => this.enterPassphrase(passphrase));
+        }
+        break;
+      }
+      case UI.REQUEST_PASSPHRASE_ON_DEVICE: {
+        device.interact(interactions.PASSPHRASE_REQUEST, { onDevice: true });
+        break;
+      }
+      default: {
+        this.logger.debug('UI Event: %s', event.type);
+      }
+    }
+  }
+
+  /**
+   * Get response from the callback and send it to the device,
+   * request is canceled if the callback fails.
+   * @private
+   * @param {TrezorDevice} device
+   * @param {Object} details
+   * @param {Function} callback
+   * @param {Function} send
+   * @returns {Promise}
+   */
+
+  async respond(device, details, callback, send) {
+    try {
+      send(await callback(device, details));
+    } catch (e) {
+      this.logger.debug('Could not respond to the device: %s', e.message);
+      this.connect.cancel(e.message);
+    }
+  }
+
+  /**
+   * Send PIN to the device waiting for it (pin-request).
+   * @param {String} pin - positions on the PIN matrix.
+   */
+
+  enterPIN(pin) {
+    enforce(typeof pin === 'string', 'pin', 'string');
+
+    this.connect.uiResponse({
+      type: UI.RECEIVE_PIN,
+      payload: pin
+    });
+  }
+
+  /**
+   * Send passphrase to the device waiting
+   * for it (passphrase-request).
+   * @param {String?} passphrase - null to enter it on the device.
+   */
+
+  enterPassphrase(passphrase) {
+    if (passphrase != null)
+      enforce(typeof passphrase === 'string', 'passphrase', 'string');
+
+    this.connect.uiResponse({
+      type: UI.RECEIVE_PASSPHRASE,
+      payload: {
+        value: passphrase || '',
+        passphraseOnDevice: passphrase == null,
+        save: true
+      }
+    });
+  }
+
   /**
    * Setup listener.
    * @private
@@ -134,8 +314,10 @@ class TrezorDeviceManager extends AbstractDeviceManager {
 
   bind() {
     this._deviceEventHandler = this.handleDeviceEvent.bind(this);
+    this._uiEventHandler = this.handleUIEvent.bind(this);
 
-    TrezorConnect.on(DEVICE_EVENT, this._deviceEventHandler);
+    this.connect.on(DEVICE_EVENT, this._deviceEventHandler);
+    this.connect.on(UI_EVENT, this._uiEventHandler);
   }
 
   /**
@@ -144,9 +326,11 @@ class TrezorDeviceManager extends AbstractDeviceManager {
    */
 
   unbind() {
-    TrezorConnect.off(DEVICE_EVENT, this._deviceEventHandler);
+    this.connect.off(DEVICE_EVENT, this._deviceEventHandler);
+    this.connect.off(UI_EVENT, this._uiEventHandler);
 
     this._deviceEventHandler = null;
+    this._uiEventHandler = null;
   }
 
   /**
@@ -160,7 +344,7 @@ class TrezorDeviceManager extends AbstractDeviceManager {
 
     this.bind();
 
-    await TrezorConnect.init({
+    await this.connect.init({
       popup: false,
       debug: this.options.debugTrezor,
       manifest: {
@@ -190,9 +374,11 @@ class TrezorDeviceManager extends AbstractDeviceManager {
       device.destroy();
     }
 
-    await TrezorConnect.stop();
+    await this.connect.stop();
 
     this.cachedDevices.clear();
+    this.unwatchDevices();
+    this.resetReconnect();
   }
 
   /**
@@ -0,0 +1,272 @@
+/*!
+ * message.js - Message signature verification.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const {Struct} = require('bufio');
+const Network = require('bcoin/lib/protocol/network');
+const Script = require('bcoin/lib/script/script');
+const hash160 = require('bcrypto/lib/hash160');
+const secp256k1 = require('bcrypto/lib/secp256k1');
+const sigUtils = require('bmultisig/lib/utils/sig');
+const bip322 = require('./bip322');
+const {scriptTypes} = require('./common');
+
+/**
+ * First header byte of the legacy signatures
+ * for each script type (BIP137), recovery id
+ * is added to it.
+ * @enum {Number}
+ */
+
+const headers = {
+  P2PKH_UNCOMPRESSED: 27,
+  P2PKH: 31,
+  P2SH_P2WPKH: 35,
+  P2WPKH: 39
+};
+
+/**
+ * Script types that have legacy signature header.
+ */
+
+const LEGACY_TYPES = new Set([
+  scriptTypes.P2PKH,
+  scriptTypes.P2SH_P2WPKH,
+  scriptTypes.P2WPKH
+]);
+
+/**
+ * Message signature, same format for all vendors:
+ * compact recoverable signature with the BIP137 header
+ * of the script type.
+ * @property {String} type - P2PKH, P2SH_P2WPKH or P2WPKH.
+ * @property {String} address - signing address.
+ * @property {Buffer} signature - 65 bytes.
+ */
+
+class MessageSignature extends Struct {
+  constructor(options) {
+    super();
+
+    this.type = scriptTypes.P2PKH;
+    this.address = '';
+    this.signature = Buffer.alloc(65);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize MessageSignature from options,
+   * header is replaced with the one of the script type,
+   * uncompressed (P2PKH) headers are kept.
+   * @param {Object} options
+   * @param {String} [options.type=P2PKH]
+   * @param {String} options.address
+   * @param {Buffer} options.signature - 65 bytes with any header.
+   * @returns {MessageSignature}
+   */
+
+  fromOptions(options) {
+    enforce(options, 'options', 'object');
+    enforce(typeof options.address === 'string', 'options.address', 'string');
+    enforce(Buffer.isBuffer(options.signature),
+      'options.signature', 'buffer');
+    assert(options.signature.length === 65, 'signature must be 65 bytes.');
+
+    if (options.type != null) {
+      assert(LEGACY_TYPES.has(options.type),
+        `Script type ${options.type} has no message signature header.`);
+      this.type = options.type;
+    }
+
+    const recovery = getRecovery(options.signature);
+    let header = headers[this.type];
+
+    // keys of uncompressed headers can only sign as P2PKH.
+    if (options.signature[0] < headers.P2PKH) {
+      assert(this.type === scriptTypes.P2PKH,
+        'Uncompressed signature must be P2PKH.');
+      header = headers.P2PKH_UNCOMPRESSED;
+    }
+
+    this.address = options.address;
+    this.signature = Buffer.from(options.signature);
+    this.signature[0] = header + recovery;
+
+    return this;
+  }
+
+  /**
+   * Inject properties from JSON.
+   * @param {Object} json
+   * @returns {MessageSignature}
+   */
+
+  fromJSON(json) {
+    enforce(json, 'json', 'object');
+    enforce(typeof json.signature === 'string', 'json.signature', 'string');
+
+    return this.fromOptions({
+      type: json.type,
+      address: json.address,
+      signature: Buffer.from(json.signature, 'base64')
+    });
+  }
+
+  /**
+   * Get JSON.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      type: this.type,
+      address: this.address,
+      signature: this.base64
+    };
+  }
+
+  /**
+   * Recovery id of the signature.
+   * @returns {Number}
+   */
+
+  get recovery() {
+    return getRecovery(this.signature);
+  }
+
+  /**
+   * Signature in base64, as used by wallets.
+   * @returns {String}
+   */
+
+  get base64() {
+    return this.signature.toString('base64');
+  }
+
+  /**
+   * Verify signature of the message.
+   * @param {Buffer|String} message
+   * @param {Network|String} network
+   * @returns {Boolean}
+   */
+
+  verify(message, network) {
+    return verifyMessage(this.address, message, this.signature, network);
+  }
+
+  static isMessageSignature(obj) {
+    return obj instanceof MessageSignature;
+  }
+}
+
+/**
+ * Verify signed message, legacy (BIP137) signatures
+ * and BIP322 proofs are accepted for any address type.
+ * @param {String} address
+ * @param {Buffer|String} message
+ * @param {Buffer|String|MessageSignature} signature - raw or base64.
+ * @param {Network|String} [network=Network.primary]
+ * @returns {Boolean}
+ */
+
+function verifyMessage(address, message, signature, network) {
+  network = Network.get(network || Network.primary);
+
+  if (MessageSignature.isMessageSignature(signature))
+    signature = signature.signature;
+
+  if (typeof message === 'string')
+    message = Buffer.from(message, 'utf8');
+
+  if (typeof signature === 'string')
+    signature = Buffer.from(signature, 'base64');
+
+  enforce(Buffer.isBuffer(message), 'message', 'buffer or string');
+  enforce(Buffer.isBuffer(signature), 'signature', 'buffer or string');
+
+  try {
+    const script = bip322.getScript(address, network);
+
+    if (isLegacySignature(signature)
+      && verifyLegacy(script, message, signature)) {
+      return true;
+    }
+
+    return bip322.verify(script, message, signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Verify legacy signature, the public key is
+ * recovered and matched against the script.
+ * @param {Script} script
+ * @param {Buffer} message
+ * @param {Buffer} signature - 65 bytes with header.
+ * @returns {Boolean}
+ */
+
+function verifyLegacy(script, message, signature) {
+  const header = signature[0];
+  const recovery = getRecovery(signature);
+  const compressed = header >= headers.P2PKH;
+  const hash = sigUtils.hashMessage(message);
+  const publicKey = secp256k1.recover(hash, signature.slice(1),
+    recovery, compressed);
+
+  if (!publicKey)
+    return false;
+
+  const keyHash = hash160.digest(publicKey);
+  const p2pkh = Script.fromPubkeyhash(keyHash);
+  const p2wpkh = Script.fromProgram(0, keyHash);
+  const p2shp2wpkh = Script.fromScripthash(hash160.digest(p2wpkh.toRaw()));
+
+  const scripts = [];
+
+  if (header < headers.P2SH_P2WPKH)
+    scripts.push(p2pkh);
+
+  // some wallets use p2pkh headers for segwit addresses.
+  if (compressed && header < headers.P2SH_P2WPKH)
+    scripts.push(p2wpkh, p2shp2wpkh);
+
+  if (header >= headers.P2SH_P2WPKH && header < headers.P2WPKH)
+    scripts.push(p2shp2wpkh);
+
+  if (header >= headers.P2WPKH)
+    scripts.push(p2wpkh);
+
+  return scripts.some(s => s.equals(script));
+}
+
+/*
+ * Helpers
+ */
+
+function getRecovery(signature) {
+  return (signature[0] - headers.P2PKH_UNCOMPRESSED) & 3;
+}
+
+function isLegacySignature(signature) {
+  return signature.length === 65
+    && signature[0] >= headers.P2PKH_UNCOMPRESSED
+    && signature[0] < headers.P2WPKH + 4;
+}
+
+/*
+ * Expose
+ */
+
+exports.headers = headers;
+exports.MessageSignature = MessageSignature;
+exports.verifyMessage = verifyMessage;
+exports.verifyLegacy = verifyLegacy;
@@ -0,0 +1,143 @@
+/*!
+ * outputData.js - Output option for signing.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const {Struct} = require('bufio');
+const Output = require('bcoin/lib/primitives/output');
+const {Path} = require('./path');
+const taproot = require('./taproot');
+const {parsePath, parseOutput, parseMultisig} = require('./inputData');
+
+/**
+ * Output metadata for signing, used to mark change outputs
+ * so devices can verify them instead of showing as payment.
+ * @property {Path} path
+ * @property {Boolean} witness
+ * @property {Output} output
+ * @property {Object} multisig
+ */
+
+class OutputData extends Struct {
+  constructor(options) {
+    super();
+
+    this.path = new Path();
+    this.witness = false;
+    this.output = new Output();
+    this.multisig = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize OutputData from options.
+   * @param {Object} options
+   * @returns {OutputData}
+   */
+
+  fromOptions(options) {
+    enforce(options, 'options', 'object');
+    assert(options.path, 'options.path is required.');
+    assert(options.output, 'options.output is required.');
+
+    this.path = parsePath(this.path, options.path, 'options.path');
+    this.output = parseOutput(this.output, options.output);
+
+    if (options.witness != null) {
+      enforce(typeof options.witness === 'boolean',
+        'options.witness', 'boolean');
+      this.witness = options.witness;
+    }
+
+    if (options.multisig != null) {
+      this.multisig = parseMultisig(options.multisig,
+        'options.multisig', false);
+    }
+
+    return this;
+  }
+
+  /**
+   * Inject JSON data.
+   * @param {Object} json
+   * @returns {OutputData}
+   */
+
+  fromJSON(json) {
+    enforce(typeof json === 'object', 'json', 'object');
+    enforce(typeof json.path === 'string', 'json.path', 'string');
+    enforce(typeof json.witness === 'boolean', 'json.witness', 'boolean');
+    enforce(typeof json.output === 'object', 'json.output', 'object');
+
+    this.path = Path.fromString(json.path);
+    this.witness = json.witness;
+    this.output.fromJSON(json.output);
+
+    if (json.multisig != null)
+      this.multisig = parseMultisig(json.multisig, 'json.multisig', false);
+
+    return this;
+  }
+
+  getJSON(network) {
+    let multisig = null;
+
+    if (this.multisig) {
+      multisig = {
+        m: this.multisig.m,
+        pubkeys: this.multisig.pubkeys.map((pk) => {
+          return {
+            xpub: pk.xpub,
+            path: pk.path.toString()
+          };
+        })
+      };
+    }
+
+    return {
+      path: this.path.toString(),
+      witness: this.witness,
+      output: this.output.getJSON(network),
+      multisig: multisig
+    };
+  }
+
+  /**
+   * Outputs are matched by value and script.
+   * @returns {Buffer}
+   */
+
+  toKey() {
+    return this.output.toRaw();
+  }
+
+  /**
+   * Whether output is P2TR.
+   * @returns {Boolean}
+   */
+
+  isTaproot() {
+    return taproot.isTaprootScript(this.output.script);
+  }
+
+  /**
+   * Whether output is witness program nested in P2SH.
+   * @returns {Boolean}
+   */
+
+  isNested() {
+    return this.witness && this.output.script.isScripthash();
+  }
+
+  static isOutputData(object) {
+    return object instanceof this;
+  }
+}
+
+exports.OutputData = OutputData;
@@ -6,12 +6,20 @@
 
 'use strict';
 
-const {HDPublicKey} = require('bcoin');
 const base58 = require('bcrypto/lib/encoding/base58');
 const assert = require('bsert');
 const {custom} = require('./internal/custom');
 
-const {parsePath, bip44, HDVersionBytes, harden} = require('./common');
+const {
+  parsePath,
+  bip44,
+  bip48,
+  bip86,
+  HDVersionBytes,
+  getScriptType,
+  fromSLIP132,
+  harden
+} = require('./common');
 
 /*
  * Path class for handling bip44 paths
@@ -31,6 +39,9 @@ class Path {
 
     this.network = null;
 
+    // slip 132 script type, when known
+    this.scriptType = null;
+
     this.depth = 0;
     this._purpose = null;
     this._coin = null;
@@ -215,6 +226,9 @@ class Path {
     if (options.strict)
       this.strict = options.strict;
 
+    if (options.scriptType)
+      this.scriptType = options.scriptType;
+
     assert(purpose !== null);
     assert(account !== null);
     assert(coin !== null);
@@ -235,15 +249,18 @@ class Path {
     return this.fromList(list);
   }
 
+  /*
+   * copy the whole list, paths can
+   * be deeper than bip44 (e.g. bip48)
+   */
   clone() {
-    return Path.fromOptions({
-      purpose: this.purpose,
-      coin: this.coin,
-      network: this.network,
-      account: this.account,
-      branch: this.branch,
-      index: this.index
-    });
+    const path = new Path();
+
+    path.network = this.network;
+    path.strict = this.strict;
+    path.scriptType = this.scriptType;
+
+    return path.fromList(this.list);
   }
 
   /*
@@ -337,11 +354,16 @@ class Path {
     return new this().fromOptions(options);
   }
 
-  static fromAccountPublicKey(pubkey) {
-    return new this().fromAccountPublicKey(pubkey);
+  static fromAccountPublicKey(pubkey, account) {
+    return new this().fromAccountPublicKey(pubkey, account);
   }
 
-  fromAccountPublicKey(xkey) {
+  /*
+   * bip48 account keys are one level deeper
+   * (script type), the account index is not
+   * part of the key and defaults to 0
+   */
+  fromAccountPublicKey(xkey, account = 0) {
     if (typeof xkey === 'string')
       xkey = base58.decode(xkey);
 
@@ -353,7 +375,25 @@ class Path {
 
     assert(base, 'unknown exteneded key prefix');
 
-    const hdpubkey = HDPublicKey.fromRaw(xkey);
+    const {hdpub: hdpubkey, scriptType} = fromSLIP132(xkey);
+
+    this.scriptType = scriptType;
+
+    if (base[0] === harden(bip48.purpose)) {
+      const index = harden(bip48.scriptType[scriptType]);
+
+      assert((account >>> 0) === account, 'account must be a uint32.');
+      assert(hdpubkey.depth === 4, 'bip48 account key must be at depth 4.');
+      assert(hdpubkey.childIndex === index,
+        'bip48 account key does not match the script type.');
+
+      return this.fromList([
+        ...base,
+        harden(account),
+        index
+      ]);
+    }
+
     assert(hdpubkey.depth === 3);
 
     return this.fromList([
@@ -362,6 +402,24 @@ class Path {
     ]);
   }
 
+  /*
+   * script type of the account, inferred
+   * from the purpose when not known
+   */
+  getScriptType() {
+    if (this.scriptType)
+      return this.scriptType;
+
+    return getScriptType(this.list);
+  }
+
+  /*
+   * whether path belongs to bip86 (taproot) account
+   */
+  isTaproot() {
+    return this.purpose === Path.harden(bip86.purpose);
+  }
+
   /*
    * make the path object immutable
    */
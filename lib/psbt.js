@@ -0,0 +1,781 @@
+/*!
+ * psbt.js - Partially signed bitcoin transactions (BIP174).
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ * https://github.com/bcoin-org/bsigner
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const bio = require('bufio');
+const {Struct} = bio;
+const {BufferMap} = require('buffer-map');
+const hash160 = require('bcrypto/lib/hash160');
+const hash256 = require('bcrypto/lib/hash256');
+const Network = require('bcoin/lib/protocol/network');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const TX = require('bcoin/lib/primitives/tx');
+const Output = require('bcoin/lib/primitives/output');
+const Script = require('bcoin/lib/script/script');
+const Witness = require('bcoin/lib/script/witness');
+
+/**
+ * PSBT magic bytes: "psbt" + 0xff.
+ * @const {Buffer}
+ */
+
+const MAGIC = Buffer.from('70736274ff', 'hex');
+
+/**
+ * Key types.
+ * @see https://github.com/bitcoin/bips/blob/master/bip-0174.mediawiki
+ * @enum {Number}
+ */
+
+const types = {
+  GLOBAL_UNSIGNED_TX: 0x00,
+  GLOBAL_XPUB: 0x01,
+  GLOBAL_VERSION: 0xfb,
+
+  IN_NON_WITNESS_UTXO: 0x00,
+  IN_WITNESS_UTXO: 0x01,
+  IN_PARTIAL_SIG: 0x02,
+  IN_SIGHASH_TYPE: 0x03,
+  IN_REDEEM_SCRIPT: 0x04,
+  IN_WITNESS_SCRIPT: 0x05,
+  IN_BIP32_DERIVATION: 0x06,
+  IN_FINAL_SCRIPTSIG: 0x07,
+  IN_FINAL_SCRIPTWITNESS: 0x08,
+
+  OUT_REDEEM_SCRIPT: 0x00,
+  OUT_WITNESS_SCRIPT: 0x01,
+  OUT_BIP32_DERIVATION: 0x02
+};
+
+/**
+ * Key origin - master key fingerprint and
+ * derivation path from the master key.
+ * @typedef {Object} KeyOrigin
+ * @property {Number} fingerprint - uint32 (big endian).
+ * @property {Number[]} path
+ */
+
+/**
+ * PSBT Input map.
+ * @property {TX?} nonWitnessUTXO
+ * @property {Output?} witnessUTXO
+ * @property {BufferMap<Buffer, Buffer>} partialSigs - pubkey -> signature.
+ * @property {Number} sighashType - -1 if not set.
+ * @property {Script?} redeemScript
+ * @property {Script?} witnessScript
+ * @property {BufferMap<Buffer, KeyOrigin>} bip32Derivation
+ * @property {Script?} finalScriptSig
+ * @property {Witness?} finalScriptWitness
+ * @property {Object[]} unknown - key/value pairs we don't understand.
+ */
+
+class PSBTInput extends Struct {
+  constructor() {
+    super();
+
+    this.nonWitnessUTXO = null;
+    this.witnessUTXO = null;
+    this.partialSigs = new BufferMap();
+    this.sighashType = -1;
+    this.redeemScript = null;
+    this.witnessScript = null;
+    this.bip32Derivation = new BufferMap();
+    this.finalScriptSig = null;
+    this.finalScriptWitness = null;
+    this.unknown = [];
+  }
+
+  /**
+   * Get the output this input is spending.
+   * @param {Outpoint} prevout
+   * @returns {Output?}
+   */
+
+  getOutput(prevout) {
+    if (this.witnessUTXO)
+      return this.witnessUTXO;
+
+    if (!this.nonWitnessUTXO)
+      return null;
+
+    return this.nonWitnessUTXO.outputs[prevout.index] || null;
+  }
+
+  /**
+   * Whether input has final scripts.
+   * @returns {Boolean}
+   */
+
+  isFinalized() {
+    return this.finalScriptSig != null || this.finalScriptWitness != null;
+  }
+
+  /**
+   * Serialize the map.
+   * @param {BufferWriter} bw
+   * @returns {BufferWriter}
+   */
+
+  write(bw) {
+    if (this.nonWitnessUTXO) {
+      writePair(bw, types.IN_NON_WITNESS_UTXO, null,
+        this.nonWitnessUTXO.toRaw());
+    }
+
+    if (this.witnessUTXO) {
+      writePair(bw, types.IN_WITNESS_UTXO, null,
+        this.witnessUTXO.toRaw());
+    }
+
+    for (const [key, signature] of this.partialSigs)
+      writePair(bw, types.IN_PARTIAL_SIG, key, signature);
+
+    if (this.sighashType !== -1) {
+      const value = Buffer.alloc(4);
+      value.writeUInt32LE(this.sighashType, 0);
+      writePair(bw, types.IN_SIGHASH_TYPE, null, value);
+    }
+
+    if (this.redeemScript) {
+      writePair(bw, types.IN_REDEEM_SCRIPT, null,
+        this.redeemScript.toRaw());
+    }
+
+    if (this.witnessScript) {
+      writePair(bw, types.IN_WITNESS_SCRIPT, null,
+        this.witnessScript.toRaw());
+    }
+
+    for (const [key, origin] of this.bip32Derivation)
+      writePair(bw, types.IN_BIP32_DERIVATION, key, encodeOrigin(origin));
+
+    if (this.finalScriptSig) {
+      writePair(bw, types.IN_FINAL_SCRIPTSIG, null,
+        this.finalScriptSig.toRaw());
+    }
+
+    if (this.finalScriptWitness) {
+      writePair(bw, types.IN_FINAL_SCRIPTWITNESS, null,
+        this.finalScriptWitness.toRaw());
+    }
+
+    writeUnknown(bw, this.unknown);
+
+    bw.writeU8(0x00);
+
+    return bw;
+  }
+
+  /**
+   * Read input map.
+   * @param {BufferReader} br
+   * @returns {PSBTInput}
+   */
+
+  read(br) {
+    const seen = new BufferMap();
+
+    for (;;) {
+      const pair = readPair(br);
+
+      if (!pair)
+        break;
+
+      const {type, key, keyData, value} = pair;
+
+      assert(!seen.has(key), 'Duplicate key in PSBT input.');
+      seen.set(key, true);
+
+      switch (type) {
+        case types.IN_NON_WITNESS_UTXO:
+          assertEmptyKey(keyData);
+          this.nonWitnessUTXO = TX.fromRaw(value);
+          break;
+        case types.IN_WITNESS_UTXO:
+          assertEmptyKey(keyData);
+          this.witnessUTXO = Output.fromRaw(value);
+          break;
+        case types.IN_PARTIAL_SIG:
+          assertPublicKey(keyData);
+          this.partialSigs.set(keyData, value);
+          break;
+        case types.IN_SIGHASH_TYPE:
+          assertEmptyKey(keyData);
+          assert(value.length === 4, 'Invalid sighash type size.');
+          this.sighashType = value.readUInt32LE(0);
+          break;
+        case types.IN_REDEEM_SCRIPT:
+          assertEmptyKey(keyData);
+          this.redeemScript = Script.fromRaw(value);
+          break;
+        case types.IN_WITNESS_SCRIPT:
+          assertEmptyKey(keyData);
+          this.witnessScript = Script.fromRaw(value);
+          break;
+        case types.IN_BIP32_DERIVATION:
+          assertPublicKey(keyData);
+          this.bip32Derivation.set(keyData, decodeOrigin(value));
+          break;
+        case types.IN_FINAL_SCRIPTSIG:
+          assertEmptyKey(keyData);
+          this.finalScriptSig = Script.fromRaw(value);
+          break;
+        case types.IN_FINAL_SCRIPTWITNESS:
+          assertEmptyKey(keyData);
+          this.finalScriptWitness = Witness.fromRaw(value);
+          break;
+        default:
+          this.unknown.push({ key, value });
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  getJSON(network) {
+    return {
+      nonWitnessUTXO: this.nonWitnessUTXO
+        ? this.nonWitnessUTXO.toRaw().toString('hex')
+        : null,
+      witnessUTXO: this.witnessUTXO
+        ? this.witnessUTXO.getJSON(network)
+        : null,
+      partialSigs: mapToJSON(this.partialSigs, sig => sig.toString('hex')),
+      sighashType: this.sighashType,
+      redeemScript: this.redeemScript
+        ? this.redeemScript.toRaw().toString('hex')
+        : null,
+      witnessScript: this.witnessScript
+        ? this.witnessScript.toRaw().toString('hex')
+        : null,
+      bip32Derivation: mapToJSON(this.bip32Derivation, originToJSON),
+      finalScriptSig: this.finalScriptSig
+        ? this.finalScriptSig.toRaw().toString('hex')
+        : null,
+      finalScriptWitness: this.finalScriptWitness
+        ? this.finalScriptWitness.toRaw().toString('hex')
+        : null,
+      unknown: unknownToJSON(this.unknown)
+    };
+  }
+}
+
+/**
+ * PSBT Output map.
+ * @property {Script?} redeemScript
+ * @property {Script?} witnessScript
+ * @property {BufferMap<Buffer, KeyOrigin>} bip32Derivation
+ * @property {Object[]} unknown
+ */
+
+class PSBTOutput extends Struct {
+  constructor() {
+    super();
+
+    this.redeemScript = null;
+    this.witnessScript = null;
+    this.bip32Derivation = new BufferMap();
+    this.unknown = [];
+  }
+
+  /**
+   * Serialize the map.
+   * @param {BufferWriter} bw
+   * @returns {BufferWriter}
+   */
+
+  write(bw) {
+    if (this.redeemScript) {
+      writePair(bw, types.OUT_REDEEM_SCRIPT, null,
+        this.redeemScript.toRaw());
+    }
+
+    if (this.witnessScript) {
+      writePair(bw, types.OUT_WITNESS_SCRIPT, null,
+        this.witnessScript.toRaw());
+    }
+
+    for (const [key, origin] of this.bip32Derivation)
+      writePair(bw, types.OUT_BIP32_DERIVATION, key, encodeOrigin(origin));
+
+    writeUnknown(bw, this.unknown);
+
+    bw.writeU8(0x00);
+
+    return bw;
+  }
+
+  /**
+   * Read output map.
+   * @param {BufferReader} br
+   * @returns {PSBTOutput}
+   */
+
+  read(br) {
+    const seen = new BufferMap();
+
+    for (;;) {
+      const pair = readPair(br);
+
+      if (!pair)
+        break;
+
+      const {type, key, keyData, value} = pair;
+
+      assert(!seen.has(key), 'Duplicate key in PSBT output.');
+      seen.set(key, true);
+
+      switch (type) {
+        case types.OUT_REDEEM_SCRIPT:
+          assertEmptyKey(keyData);
+          this.redeemScript = Script.fromRaw(value);
+          break;
+        case types.OUT_WITNESS_SCRIPT:
+          assertEmptyKey(keyData);
+          this.witnessScript = Script.fromRaw(value);
+          break;
+        case types.OUT_BIP32_DERIVATION:
+          assertPublicKey(keyData);
+          this.bip32Derivation.set(keyData, decodeOrigin(value));
+          break;
+        default:
+          this.unknown.push({ key, value });
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      redeemScript: this.redeemScript
+        ? this.redeemScript.toRaw().toString('hex')
+        : null,
+      witnessScript: this.witnessScript
+        ? this.witnessScript.toRaw().toString('hex')
+        : null,
+      bip32Derivation: mapToJSON(this.bip32Derivation, originToJSON),
+      unknown: unknownToJSON(this.unknown)
+    };
+  }
+}
+
+/**
+ * Partially Signed Bitcoin Transaction.
+ * @property {TX} tx - unsigned transaction.
+ * @property {Number} version
+ * @property {BufferMap<Buffer, KeyOrigin>} xpubs - raw xpub -> origin.
+ * @property {PSBTInput[]} inputs
+ * @property {PSBTOutput[]} outputs
+ * @property {Object[]} unknown
+ */
+
+class PSBT extends Struct {
+  constructor() {
+    super();
+
+    this.tx = new TX();
+    this.version = 0;
+    this.xpubs = new BufferMap();
+    this.inputs = [];
+    this.outputs = [];
+    this.unknown = [];
+  }
+
+  /**
+   * Add global extended public key.
+   * @param {HDPublicKey} hdpub
+   * @param {KeyOrigin} origin
+   * @param {Network} [network=Network.primary]
+   * @returns {PSBT}
+   */
+
+  addXPUB(hdpub, origin, network) {
+    enforce(HDPublicKey.isHDPublicKey(hdpub), 'hdpub', 'HDPublicKey');
+
+    this.xpubs.set(encodeXPUB(hdpub, network), origin);
+
+    return this;
+  }
+
+  /**
+   * Find global extended public key that derives
+   * the key with the origin.
+   * @param {KeyOrigin} origin
+   * @returns {Object?} - {hdpub, path} where path is relative to the xpub.
+   */
+
+  findXPUB(origin) {
+    for (const [raw, xorigin] of this.xpubs) {
+      if (xorigin.fingerprint !== origin.fingerprint)
+        continue;
+
+      if (xorigin.path.length > origin.path.length)
+        continue;
+
+      let prefix = true;
+
+      for (let i = 0; i < xorigin.path.length; i++) {
+        if (xorigin.path[i] !== origin.path[i]) {
+          prefix = false;
+          break;
+        }
+      }
+
+      if (!prefix)
+        continue;
+
+      return {
+        hdpub: decodeXPUB(raw),
+        path: origin.path.slice(xorigin.path.length)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Serialize PSBT.
+   * @param {BufferWriter} bw
+   * @returns {BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeBytes(MAGIC);
+
+    writePair(bw, types.GLOBAL_UNSIGNED_TX, null, this.tx.toNormal());
+
+    for (const [key, origin] of this.xpubs)
+      writePair(bw, types.GLOBAL_XPUB, key, encodeOrigin(origin));
+
+    if (this.version !== 0) {
+      const value = Buffer.alloc(4);
+      value.writeUInt32LE(this.version, 0);
+      writePair(bw, types.GLOBAL_VERSION, null, value);
+    }
+
+    writeUnknown(bw, this.unknown);
+
+    bw.writeU8(0x00);
+
+    for (const input of this.inputs)
+      input.write(bw);
+
+    for (const output of this.outputs)
+      output.write(bw);
+
+    return bw;
+  }
+
+  /**
+   * Read PSBT.
+   * @param {BufferReader} br
+   * @returns {PSBT}
+   */
+
+  read(br) {
+    const magic = br.readBytes(5);
+
+    if (!magic.equals(MAGIC))
+      throw new Error('Invalid PSBT magic bytes.');
+
+    const seen = new BufferMap();
+    let tx = null;
+
+    for (;;) {
+      const pair = readPair(br);
+
+      if (!pair)
+        break;
+
+      const {type, key, keyData, value} = pair;
+
+      assert(!seen.has(key), 'Duplicate key in PSBT global map.');
+      seen.set(key, true);
+
+      switch (type) {
+        case types.GLOBAL_UNSIGNED_TX:
+          assertEmptyKey(keyData);
+          tx = TX.fromRaw(value);
+          break;
+        case types.GLOBAL_XPUB:
+          assert(keyData.length === 78, 'Invalid xpub size.');
+          this.xpubs.set(keyData, decodeOrigin(value));
+          break;
+        case types.GLOBAL_VERSION:
+          assertEmptyKey(keyData);
+          assert(value.length === 4, 'Invalid version size.');
+          this.version = value.readUInt32LE(0);
+          break;
+        default:
+          this.unknown.push({ key, value });
+          break;
+      }
+    }
+
+    if (!tx)
+      throw new Error('PSBT does not contain unsigned transaction.');
+
+    if (this.version !== 0)
+      throw new Error(`Unsupported PSBT version: ${this.version}.`);
+
+    for (const input of tx.inputs) {
+      if (input.script.length !== 0 || input.witness.items.length !== 0)
+        throw new Error('PSBT unsigned transaction has signatures.');
+    }
+
+    this.tx = tx;
+
+    for (let i = 0; i < tx.inputs.length; i++)
+      this.inputs.push(PSBTInput.read(br));
+
+    for (let i = 0; i < tx.outputs.length; i++)
+      this.outputs.push(PSBTOutput.read(br));
+
+    return this;
+  }
+
+  getJSON(network) {
+    const xpubs = [];
+
+    network = Network.get(network || Network.primary);
+
+    for (const [raw, origin] of this.xpubs) {
+      xpubs.push({
+        xpub: decodeXPUB(raw).xpubkey(network),
+        ...originToJSON(origin)
+      });
+    }
+
+    return {
+      tx: this.tx.toRaw().toString('hex'),
+      version: this.version,
+      xpubs: xpubs,
+      inputs: this.inputs.map(input => input.getJSON(network)),
+      outputs: this.outputs.map(output => output.getJSON()),
+      unknown: unknownToJSON(this.unknown)
+    };
+  }
+
+  /**
+   * Create PSBT from transaction, inputs
+   * will contain information from the InputData.
+   * @param {TX|MTX} tx
+   * @param {InputData[]} inputData
+   * @param {Object} options
+   * @param {Network} options.network
+   * @param {Number?} options.fingerprint - master fingerprint of our keys.
+   * @param {BufferMap?} options.publicKeys - prevout key -> our public key.
+   * @returns {PSBT}
+   */
+
+  fromMTX(tx, inputData, options = {}) {
+    enforce(Array.isArray(inputData), 'inputData', 'array');
+
+    const inputDataMap = new BufferMap();
+
+    for (const data of inputData)
+      inputDataMap.set(data.toKey(), data);
+
+    if (tx.mutable)
+      tx = tx.toTX();
+
+    this.tx = tx.clone();
+
+    for (const input of this.tx.inputs) {
+      input.script.clear();
+      input.witness.clear();
+    }
+
+    for (const input of this.tx.inputs) {
+      const key = input.prevout.toKey();
+      const data = inputDataMap.get(key);
+
+      if (!data) {
+        this.inputs.push(new PSBTInput());
+        continue;
+      }
+
+      const inputOptions = {
+        network: options.network,
+        fingerprint: options.fingerprint,
+        publicKey: options.publicKeys ? options.publicKeys.get(key) : null
+      };
+
+      this.inputs.push(data.toPSBTInput(inputOptions));
+
+      for (const {hdpub, origin} of data.getXPUBOrigins(inputOptions))
+        this.addXPUB(hdpub, origin, options.network);
+    }
+
+    for (let i = 0; i < this.tx.outputs.length; i++)
+      this.outputs.push(new PSBTOutput());
+
+    return this;
+  }
+
+  static fromMTX(tx, inputData, options) {
+    return new this().fromMTX(tx, inputData, options);
+  }
+
+  static isPSBT(obj) {
+    return obj instanceof PSBT;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function readPair(br) {
+  const keySize = br.readVarint();
+
+  if (keySize === 0)
+    return null;
+
+  const key = br.readBytes(keySize);
+  const value = br.readVarBytes();
+
+  return {
+    type: key[0],
+    key: key,
+    keyData: key.slice(1),
+    value: value
+  };
+}
+
+function writePair(bw, type, keyData, value) {
+  const size = keyData ? keyData.length + 1 : 1;
+
+  bw.writeVarint(size);
+  bw.writeU8(type);
+
+  if (keyData)
+    bw.writeBytes(keyData);
+
+  bw.writeVarBytes(value);
+}
+
+function writeUnknown(bw, unknown) {
+  for (const {key, value} of unknown) {
+    bw.writeVarBytes(key);
+    bw.writeVarBytes(value);
+  }
+}
+
+function assertEmptyKey(keyData) {
+  assert(keyData.length === 0, 'Unexpected key data in PSBT.');
+}
+
+function assertPublicKey(keyData) {
+  assert(keyData.length === 33 || keyData.length === 65,
+    'Invalid public key in PSBT.');
+}
+
+function encodeOrigin(origin) {
+  const value = Buffer.alloc(4 + origin.path.length * 4);
+
+  value.writeUInt32BE(origin.fingerprint, 0);
+
+  for (let i = 0; i < origin.path.length; i++)
+    value.writeUInt32LE(origin.path[i], 4 + i * 4);
+
+  return value;
+}
+
+function decodeOrigin(value) {
+  assert(value.length >= 4 && value.length % 4 === 0,
+    'Invalid key origin size.');
+
+  const fingerprint = value.readUInt32BE(0);
+  const path = [];
+
+  for (let i = 4; i < value.length; i += 4)
+    path.push(value.readUInt32LE(i));
+
+  return { fingerprint, path };
+}
+
+/**
+ * Extended public key serialization without checksum.
+ * @param {HDPublicKey} hdpub
+ * @param {Network} [network=Network.primary]
+ * @returns {Buffer} - 78 bytes.
+ */
+
+function encodeXPUB(hdpub, network) {
+  network = Network.get(network || Network.primary);
+  return hdpub.toRaw(network).slice(0, 78);
+}
+
+function decodeXPUB(raw) {
+  const checksum = hash256.digest(raw).slice(0, 4);
+  return HDPublicKey.fromRaw(Buffer.concat([raw, checksum]));
+}
+
+function originToJSON(origin) {
+  return {
+    fingerprint: fingerprintToHex(origin.fingerprint),
+    path: origin.path.slice()
+  };
+}
+
+function mapToJSON(map, fn) {
+  const json = {};
+
+  for (const [key, value] of map)
+    json[key.toString('hex')] = fn(value);
+
+  return json;
+}
+
+function unknownToJSON(unknown) {
+  return unknown.map(({key, value}) => {
+    return {
+      key: key.toString('hex'),
+      value: value.toString('hex')
+    };
+  });
+}
+
+/**
+ * Get fingerprint of the public key.
+ * @param {Buffer} publicKey
+ * @returns {Number}
+ */
+
+function getFingerprint(publicKey) {
+  return hash160.digest(publicKey).readUInt32BE(0);
+}
+
+/**
+ * Encode fingerprint as hex.
+ * @param {Number} fingerprint
+ * @returns {String}
+ */
+
+function fingerprintToHex(fingerprint) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(fingerprint, 0);
+  return buf.toString('hex');
+}
+
+/*
+ * Expose
+ */
+
+exports.MAGIC = MAGIC;
+exports.types = types;
+exports.getFingerprint = getFingerprint;
+exports.fingerprintToHex = fingerprintToHex;
+exports.PSBT = PSBT;
+exports.PSBTInput = PSBTInput;
+exports.PSBTOutput = PSBTOutput;
@@ -0,0 +1,153 @@
+/*!
+ * queue.js - Request queue of the device.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Queue Job
+ * Request waiting for its turn.
+ * @property {String} name - request name.
+ * @property {Promise<Function>} promise - resolves with unlock.
+ */
+
+class QueueJob {
+  constructor(name) {
+    this.name = name;
+    this.resolve = null;
+    this.reject = null;
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+}
+
+/**
+ * Request Queue
+ * Runs named requests one at a time, in order. Queued
+ * jobs are owned by the queue, so they can be listed
+ * and removed before they start.
+ * @property {QueueJob[]} jobs - queued jobs.
+ * @property {String?} current - name of the running request.
+ * @property {Boolean} busy
+ */
+
+class RequestQueue {
+  constructor() {
+    this.jobs = [];
+    this.current = null;
+    this.busy = false;
+  }
+
+  /**
+   * Number of requests, including the running one.
+   * @returns {Number}
+   */
+
+  get size() {
+    return this.jobs.length + (this.busy ? 1 : 0);
+  }
+
+  /**
+   * Whether request of the name is queued.
+   * @param {String} name
+   * @returns {Boolean}
+   */
+
+  pending(name) {
+    return this.jobs.some(job => job.name === name);
+  }
+
+  /**
+   * Add request to the queue.
+   * @param {String} name
+   * @returns {QueueJob} - job.promise resolves when it can run.
+   */
+
+  add(name) {
+    assert(typeof name === 'string', 'name must be a string.');
+
+    const job = new QueueJob(name);
+
+    if (this.busy)
+      this.jobs.push(job);
+    else
+      this.start(job);
+
+    return job;
+  }
+
+  /**
+   * Wait for the turn of the request.
+   * @param {String} name
+   * @returns {Promise<Function>} - unlock.
+   */
+
+  lock(name) {
+    return this.add(name).promise;
+  }
+
+  /**
+   * Remove queued job and reject it.
+   * @param {QueueJob} job
+   * @param {Error} err
+   * @returns {Boolean} - false if job is not queued.
+   */
+
+  remove(job, err) {
+    const index = this.jobs.indexOf(job);
+
+    if (index === -1)
+      return false;
+
+    this.jobs.splice(index, 1);
+    job.reject(err);
+
+    return true;
+  }
+
+  /**
+   * Run the job.
+   * @private
+   * @param {QueueJob} job
+   */
+
+  start(job) {
+    let unlocked = false;
+
+    this.busy = true;
+    this.current = job.name;
+
+    job.resolve(() => {
+      if (unlocked)
+        return;
+
+      unlocked = true;
+      this.next();
+    });
+  }
+
+  /**
+   * Run next job, if any.
+   * @private
+   */
+
+  next() {
+    this.busy = false;
+    this.current = null;
+
+    if (this.jobs.length > 0)
+      this.start(this.jobs.shift());
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.QueueJob = QueueJob;
+exports.RequestQueue = RequestQueue;
@@ -0,0 +1,478 @@
+/*!
+ * registry.js - Persistent registry of known devices.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const {dirname} = require('path');
+const fs = require('bfile');
+const {Struct} = require('bufio');
+const {Path} = require('./path');
+const {vendors} = require('./common');
+const {fingerprintToHex} = require('./psbt');
+
+/**
+ * Known device, identified by the master key fingerprint.
+ * Device key is the last seen device.key of the vendor,
+ * so the device can be recognized without talking to it.
+ * @property {Number} fingerprint - uint32 (big endian).
+ * @property {String} vendor
+ * @property {String?} key - last seen device.key.
+ * @property {String} label
+ * @property {Map<String, Object>} accounts - xpub -> {xpub, path, wallets}.
+ */
+
+class DeviceRecord extends Struct {
+  constructor(options) {
+    super();
+
+    this.fingerprint = 0;
+    this.vendor = '';
+    this.key = null;
+    this.label = '';
+    this.accounts = new Map();
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize DeviceRecord from options.
+   * @param {Object} options
+   * @param {Number} options.fingerprint
+   * @param {String} options.vendor
+   * @param {String?} options.key
+   * @param {String?} options.label
+   * @returns {DeviceRecord}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    enforce((options.fingerprint >>> 0) === options.fingerprint,
+      'options.fingerprint', 'number');
+    assert(Object.values(vendors).includes(options.vendor),
+      `Unknown vendor "${options.vendor}".`);
+
+    this.fingerprint = options.fingerprint;
+    this.vendor = options.vendor;
+
+    if (options.key != null) {
+      enforce(typeof options.key === 'string', 'options.key', 'string');
+      this.key = options.key;
+    }
+
+    if (options.label != null) {
+      enforce(typeof options.label === 'string', 'options.label', 'string');
+      this.label = options.label;
+    }
+
+    return this;
+  }
+
+  /**
+   * Add account key and the wallet it belongs to.
+   * @param {Object} options
+   * @param {String|Number[]|Path} options.path
+   * @param {String} options.xpub
+   * @param {String?} options.wallet
+   * @returns {Object} - account.
+   */
+
+  addAccount(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+    enforce(typeof options.xpub === 'string', 'options.xpub', 'string');
+
+    let account = this.accounts.get(options.xpub);
+
+    if (!account) {
+      account = {
+        xpub: options.xpub,
+        path: parsePath(options.path),
+        wallets: new Set()
+      };
+
+      this.accounts.set(account.xpub, account);
+    }
+
+    if (options.wallet != null) {
+      enforce(typeof options.wallet === 'string',
+        'options.wallet', 'string');
+      account.wallets.add(options.wallet);
+    }
+
+    return account;
+  }
+
+  /**
+   * Whether any account of the device belongs to the wallet.
+   * @param {String} wallet
+   * @returns {Boolean}
+   */
+
+  hasWallet(wallet) {
+    for (const account of this.accounts.values()) {
+      if (account.wallets.has(wallet))
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get accounts of the wallet.
+   * @param {String} wallet
+   * @returns {Object[]}
+   */
+
+  getAccounts(wallet) {
+    const accounts = [];
+
+    for (const account of this.accounts.values()) {
+      if (account.wallets.has(wallet))
+        accounts.push(account);
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Inject JSON data.
+   * @param {Object} json
+   * @returns {DeviceRecord}
+   */
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'json', 'object');
+    enforce(typeof json.fingerprint === 'string',
+      'json.fingerprint', 'string');
+    assert(/^[0-9a-f]{8}$/.test(json.fingerprint),
+      'Fingerprint must be 4 bytes.');
+    enforce(Array.isArray(json.accounts), 'json.accounts', 'array');
+
+    this.fromOptions({
+      fingerprint: parseInt(json.fingerprint, 16) >>> 0,
+      vendor: json.vendor,
+      key: json.key,
+      label: json.label
+    });
+
+    for (const account of json.accounts) {
+      enforce(typeof account.path === 'string',
+        'json.accounts[i].path', 'string');
+      enforce(Array.isArray(account.wallets),
+        'json.accounts[i].wallets', 'array');
+
+      this.addAccount({
+        xpub: account.xpub,
+        path: account.path
+      });
+
+      for (const wallet of account.wallets)
+        this.addAccount({ xpub: account.xpub, wallet });
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    const accounts = [];
+
+    for (const account of this.accounts.values()) {
+      accounts.push({
+        xpub: account.xpub,
+        path: account.path.toString(),
+        wallets: Array.from(account.wallets)
+      });
+    }
+
+    return {
+      fingerprint: fingerprintToHex(this.fingerprint),
+      vendor: this.vendor,
+      key: this.key,
+      label: this.label,
+      accounts: accounts
+    };
+  }
+
+  static isDeviceRecord(object) {
+    return object instanceof this;
+  }
+}
+
+/**
+ * Device registry, stores known devices on disk
+ * (or only in memory when location is not set).
+ * @property {String?} location - JSON file.
+ * @property {Map<Number, DeviceRecord>} records
+ */
+
+class DeviceRegistry {
+  constructor(options) {
+    this.location = null;
+    this.records = new Map();
+    this.opened = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Initialize DeviceRegistry from options.
+   * @param {Object} options
+   * @param {String?} options.location - path to the JSON file.
+   * @returns {DeviceRegistry}
+   */
+
+  fromOptions(options) {
+    enforce(options && typeof options === 'object', 'options', 'object');
+
+    if (options.location != null) {
+      enforce(typeof options.location === 'string',
+        'options.location', 'string');
+      this.location = options.location;
+    }
+
+    return this;
+  }
+
+  /**
+   * Load known devices from disk.
+   * @returns {Promise}
+   */
+
+  async open() {
+    assert(!this.opened, 'Already opened.');
+
+    this.records.clear();
+
+    if (this.location && await fs.exists(this.location)) {
+      const json = await fs.readJSON(this.location);
+
+      enforce(json && Array.isArray(json.devices), 'json.devices', 'array');
+
+      for (const item of json.devices) {
+        const record = DeviceRecord.fromJSON(item);
+        this.records.set(record.fingerprint, record);
+      }
+    }
+
+    this.opened = true;
+  }
+
+  /**
+   * Close the registry.
+   * @returns {Promise}
+   */
+
+  async close() {
+    assert(this.opened, 'Not open.');
+
+    this.opened = false;
+    this.records.clear();
+  }
+
+  /**
+   * Get device by the master fingerprint.
+   * @param {Number} fingerprint
+   * @returns {DeviceRecord?}
+   */
+
+  get(fingerprint) {
+    return this.records.get(fingerprint) || null;
+  }
+
+  /**
+   * Get device by the vendor and device key.
+   * @param {String} vendor
+   * @param {String} key - device.key
+   * @returns {DeviceRecord?}
+   */
+
+  getByKey(vendor, key) {
+    for (const record of this.records.values()) {
+      if (record.vendor === vendor && record.key === key)
+        return record;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get devices that have accounts of the wallet.
+   * @param {String} wallet
+   * @returns {DeviceRecord[]}
+   */
+
+  getByWallet(wallet) {
+    const records = [];
+
+    for (const record of this.records.values()) {
+      if (record.hasWallet(wallet))
+        records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Add device or update label and key of the known one.
+   * @param {Object} options - see DeviceRecord#fromOptions.
+   * @returns {Promise<DeviceRecord>}
+   */
+
+  async register(options) {
+    assert(this.opened, 'Not open.');
+
+    const record = DeviceRecord.fromOptions(options);
+    const known = this.records.get(record.fingerprint);
+
+    if (known) {
+      known.vendor = record.vendor;
+
+      if (options.key != null)
+        known.key = record.key;
+
+      if (options.label != null)
+        known.label = record.label;
+    } else {
+      this.records.set(record.fingerprint, record);
+    }
+
+    await this.write();
+
+    return this.records.get(record.fingerprint);
+  }
+
+  /**
+   * Set user label of the device.
+   * @param {Number} fingerprint
+   * @param {String} label
+   * @returns {Promise<DeviceRecord>}
+   */
+
+  async setLabel(fingerprint, label) {
+    enforce(typeof label === 'string', 'label', 'string');
+
+    const record = this.require(fingerprint);
+
+    record.label = label;
+
+    await this.write();
+
+    return record;
+  }
+
+  /**
+   * Add account of the device and the wallet it belongs to.
+   * @param {Number} fingerprint
+   * @param {Object} options - see DeviceRecord#addAccount.
+   * @returns {Promise<DeviceRecord>}
+   */
+
+  async addAccount(fingerprint, options) {
+    const record = this.require(fingerprint);
+
+    record.addAccount(options);
+
+    await this.write();
+
+    return record;
+  }
+
+  /**
+   * Forget the device.
+   * @param {Number} fingerprint
+   * @returns {Promise<Boolean>}
+   */
+
+  async remove(fingerprint) {
+    assert(this.opened, 'Not open.');
+
+    if (!this.records.delete(fingerprint))
+      return false;
+
+    await this.write();
+
+    return true;
+  }
+
+  /**
+   * Get known device or throw.
+   * @private
+   * @param {Number} fingerprint
+   * @returns {DeviceRecord}
+   */
+
+  require(fingerprint) {
+    assert(this.opened, 'Not open.');
+
+    const record = this.records.get(fingerprint);
+
+    if (!record)
+      throw new Error(`Unknown device ${fingerprintToHex(fingerprint)}.`);
+
+    return record;
+  }
+
+  /**
+   * Write registry to disk, file is replaced
+   * only after it was completely written.
+   * @returns {Promise}
+   */
+
+  async write() {
+    if (!this.location)
+      return;
+
+    const tmp = this.location + '.tmp';
+
+    await fs.mkdirp(dirname(this.location));
+    await fs.writeJSON(tmp, this.getJSON());
+    await fs.rename(tmp, this.location);
+  }
+
+  getJSON() {
+    const devices = [];
+
+    for (const record of this.records.values())
+      devices.push(record.getJSON());
+
+    return {
+      devices: devices
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static isDeviceRegistry(object) {
+    return object instanceof this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parsePath(path) {
+  if (Path.isPath(path))
+    return path.clone();
+
+  if (Array.isArray(path))
+    return Path.fromList(path);
+
+  enforce(typeof path === 'string', 'path', 'string');
+
+  return Path.fromString(path);
+}
+
+/*
+ * Expose
+ */
+
+exports.DeviceRecord = DeviceRecord;
+exports.DeviceRegistry = DeviceRegistry;
@@ -0,0 +1,238 @@
+/*!
+ * client.js - Client of the Signer server.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const {once} = require('events');
+const {Client} = require('bcurl');
+
+/**
+ * Signer Client
+ *
+ * Calls JSON-RPC methods of the signer server over
+ * http or over websocket once the client is open.
+ * Device events are emitted after `watchDevices`.
+ * @extends {bcurl.Client}
+ */
+
+class SignerClient extends Client {
+  /**
+   * Create signer client.
+   * @param {Object} options - bcurl client options,
+   *  apiKey is used as the password.
+   */
+
+  constructor(options) {
+    if (options && options.apiKey != null)
+      options = { ...options, password: options.apiKey };
+
+    super(options);
+  }
+
+  /**
+   * Open the websocket, resolves once it is authenticated.
+   * @returns {Promise}
+   */
+
+  async open() {
+    // rejects if the auth fails.
+    const connected = once(this, 'connect');
+
+    await super.open();
+    await connected;
+
+    this.init();
+  }
+
+  /**
+   * Start listening to device events.
+   * @private
+   */
+
+  init() {
+    this.bind('device connect', (device) => {
+      this.emit('device connect', device);
+    });
+
+    this.bind('device disconnect', (device) => {
+      this.emit('device disconnect', device);
+    });
+
+    this.bind('device select', (device) => {
+      this.emit('device select', device);
+    });
+
+    this.bind('device deselect', (device) => {
+      this.emit('device deselect', device);
+    });
+  }
+
+  /**
+   * Authenticate the socket.
+   * @returns {Promise}
+   */
+
+  async auth() {
+    await this.call('auth', this.password);
+  }
+
+  /**
+   * Execute RPC method, uses the socket when open.
+   * @param {String} name
+   * @param {Array} params
+   * @returns {Promise}
+   */
+
+  async execute(name, params) {
+    if (!this.opened)
+      return super.execute('/', name, params);
+
+    const {result, error} = await this.call('rpc', name, params);
+
+    if (error) {
+      const err = new Error(error.message);
+      err.type = 'RPCError';
+      err.code = error.code;
+      throw err;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get server info.
+   * @returns {Promise<Object>} - version, network, vendors,
+   *  number of devices and the selected device.
+   */
+
+  getInfo() {
+    return this.get('/');
+  }
+
+  /**
+   * Receive device events.
+   * @returns {Promise}
+   */
+
+  watchDevices() {
+    return this.call('watch devices');
+  }
+
+  /**
+   * Stop receiving device events.
+   * @returns {Promise}
+   */
+
+  unwatchDevices() {
+    return this.call('unwatch devices');
+  }
+
+  /**
+   * List devices.
+   * @param {String?} vendor
+   * @returns {Promise<Object[]>}
+   */
+
+  getDevices(vendor) {
+    if (vendor == null)
+      return this.execute('getdevices', []);
+
+    return this.execute('getdevices', [vendor]);
+  }
+
+  /**
+   * Select device of the vendor.
+   * @param {String} vendor
+   * @param {String?} key - device key, the vendor selects if not set.
+   * @returns {Promise<Object>}
+   */
+
+  selectDevice(vendor, key) {
+    if (key == null)
+      return this.execute('selectdevice', [vendor]);
+
+    return this.execute('selectdevice', [vendor, key]);
+  }
+
+  /**
+   * Deselect selected device.
+   * @returns {Promise<Boolean>}
+   */
+
+  deselectDevice() {
+    return this.execute('deselectdevice', []);
+  }
+
+  /**
+   * Get public key.
+   * @param {String} path
+   * @param {Object} [options={}] - vendor, key, timeout
+   *  and getParentFingerPrint.
+   * @returns {Promise<String>} - xpub
+   */
+
+  getPublicKey(path, options = {}) {
+    return this.execute('getpublickey', [path, options]);
+  }
+
+  /**
+   * Get address.
+   * @param {String} path
+   * @param {Object} [options={}] - type, multisig, display,
+   *  vendor, key and timeout.
+   * @returns {Promise<String>}
+   */
+
+  getAddress(path, options = {}) {
+    return this.execute('getaddress', [path, options]);
+  }
+
+  /**
+   * Sign transaction.
+   * @param {String} tx - raw transaction hex.
+   * @param {Object[]} inputData - input data JSON.
+   * @param {Object[]} [outputData=[]] - output data JSON.
+   * @param {Object} [options={}] - vendor, key and timeout.
+   * @returns {Promise<String>} - signed transaction hex.
+   */
+
+  signTransaction(tx, inputData, outputData = [], options = {}) {
+    return this.execute('signtransaction',
+      [tx, inputData, outputData, options]);
+  }
+
+  /**
+   * Get signatures.
+   * @param {String} tx - raw transaction hex.
+   * @param {Object[]} inputData - input data JSON.
+   * @param {Object[]} [outputData=[]] - output data JSON.
+   * @param {Object} [options={}] - vendor, key and timeout.
+   * @returns {Promise<String[]>} - signatures hex, null if not signed.
+   */
+
+  getSignatures(tx, inputData, outputData = [], options = {}) {
+    return this.execute('getsignatures',
+      [tx, inputData, outputData, options]);
+  }
+
+  /**
+   * Sign message.
+   * @param {String} path
+   * @param {String} message
+   * @param {Object} [options={}] - encoding (utf8 or hex), type,
+   *  vendor, key and timeout.
+   * @returns {Promise<Object>} - message signature JSON.
+   */
+
+  signMessage(path, message, options = {}) {
+    return this.execute('signmessage', [path, message, options]);
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.SignerClient = SignerClient;
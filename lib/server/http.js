@@ -0,0 +1,338 @@
+/*!
+ * http.js - HTTP and WebSocket server of the Signer.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Validator = require('bval');
+const Logger = require('blgr');
+const Network = require('bcoin/lib/protocol/network');
+const sha256 = require('bcrypto/lib/sha256');
+const {safeEqual} = require('bcrypto/lib/safe');
+const {Server} = require('bweb');
+const {SignerRPC} = require('./rpc');
+const {getServerPort} = require('../common');
+const pkg = require('../../package.json');
+
+/**
+ * Signer HTTP server
+ *
+ * Exposes the Signer as JSON-RPC over HTTP (POST /)
+ * and WebSocket (`rpc` call), devices events are sent
+ * to the sockets that joined `devices` channel.
+ * @extends {bweb.Server}
+ * @property {SignerHTTPOptions} options
+ * @property {Signer} signer
+ * @property {SignerRPC} rpc
+ * @property {Network} network
+ * @property {Logger} logger
+ */
+
+class SignerHTTP extends Server {
+  /**
+   * Create an http server.
+   * @constructor
+   * @param {Object} options
+   * @param {Signer} options.signer
+   */
+
+  constructor(options) {
+    super(new SignerHTTPOptions(options));
+
+    this.signer = this.options.signer;
+    this.network = this.options.network;
+    this.logger = this.options.logger.context('signer-http');
+    this.rpc = new SignerRPC(this.signer);
+
+    this.init();
+  }
+
+  /*
+   * Initialize http server.
+   */
+  init() {
+    this.on('request', (req, res) => {
+      if (req.method === 'POST' && req.pathname === '/')
+        return;
+
+      this.logger.debug('Request for method=%s path=%s (%s).',
+        req.method, req.pathname, req.socket.remoteAddress);
+    });
+
+    this.on('listening', (address) => {
+      this.logger.info('Signer HTTP server listening on %s (port=%d).',
+        address.address, address.port);
+    });
+
+    this.initRouter();
+    this.initSockets();
+  }
+
+  /*
+   * Initialize routes.
+   */
+  initRouter() {
+    if (this.options.cors)
+      this.use(this.cors());
+
+    if (!this.options.noAuth) {
+      this.use(this.basicAuth({
+        hash: sha256.digest,
+        password: this.options.apiKey,
+        realm: 'signer'
+      }));
+    }
+
+    this.use(this.bodyParser({
+      type: 'json'
+    }));
+
+    this.use(this.jsonRPC(this.rpc));
+    this.use(this.router());
+
+    this.error((err, req, res) => {
+      const code = err.statusCode || 500;
+      res.json(code, {
+        error: {
+          type: err.type,
+          code: err.code,
+          message: err.message
+        }
+      });
+    });
+
+    this.get('/', async (req, res) => {
+      const devices = await this.signer.getDevices();
+      const selected = this.signer.selected;
+
+      res.json(200, {
+        version: pkg.version,
+        network: this.network.type,
+        vendors: Array.from(this.signer.enabledVendors),
+        devices: devices.length,
+        selected: selected ? this.rpc.deviceToJSON(selected) : null
+      });
+    });
+  }
+
+  /*
+   * Initialize websockets.
+   */
+  initSockets() {
+    const handleEvent = event => (device) => {
+      if (!this.channel('devices'))
+        return;
+
+      this.to('devices', event, this.rpc.deviceToJSON(device));
+    };
+
+    this.signer.on('connect', handleEvent('device connect'));
+    this.signer.on('disconnect', handleEvent('device disconnect'));
+    this.signer.on('select', handleEvent('device select'));
+    this.signer.on('deselect', handleEvent('device deselect'));
+  }
+
+  /**
+   * Handle new websocket.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleSocket(socket) {
+    socket.hook('auth', (...args) => {
+      if (socket.channel('auth'))
+        throw new Error('Already authed.');
+
+      if (!this.options.noAuth) {
+        const valid = new Validator(args);
+        const key = valid.str(0, '');
+
+        if (key.length > 255)
+          throw new Error('Invalid API key.');
+
+        const data = Buffer.from(key, 'ascii');
+        const hash = sha256.digest(data);
+
+        if (!safeEqual(hash, this.options.apiHash))
+          throw new Error('Invalid API key.');
+      }
+
+      socket.join('auth');
+
+      this.logger.info('Successful auth from %s.', socket.host);
+      this.handleAuth(socket);
+
+      return null;
+    });
+  }
+
+  /**
+   * Handle authenticated websocket.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleAuth(socket) {
+    socket.hook('watch devices', () => {
+      socket.join('devices');
+      return null;
+    });
+
+    socket.hook('unwatch devices', () => {
+      socket.leave('devices');
+      return null;
+    });
+
+    socket.hook('rpc', async (...args) => {
+      const valid = new Validator(args);
+      const method = valid.str(0);
+      const params = valid.array(1, []);
+
+      if (!method)
+        throw new Error('Invalid method.');
+
+      const json = await this.rpc.call({
+        jsonrpc: '2.0',
+        method,
+        params,
+        id: null
+      }, {});
+
+      // errors are sent as results, same as json rpc.
+      return {
+        result: json.result != null ? json.result : null,
+        error: json.error || null
+      };
+    });
+  }
+}
+
+/**
+ * Signer HTTP Options
+ * @property {Signer} signer
+ * @property {Network} network
+ * @property {Logger} logger
+ * @property {String?} apiKey
+ * @property {Buffer?} apiHash
+ * @property {Boolean} noAuth
+ * @property {Boolean} cors
+ */
+
+class SignerHTTPOptions {
+  constructor(options) {
+    this.signer = null;
+    this.network = Network.primary;
+    this.logger = Logger.global;
+
+    this.apiKey = null;
+    this.apiHash = null;
+    this.noAuth = false;
+    this.cors = false;
+
+    this.prefix = null;
+    this.host = '127.0.0.1';
+    this.port = 0;
+    this.ssl = false;
+    this.keyFile = null;
+    this.certFile = null;
+
+    this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Signer} options.signer
+   * @param {Logger?} options.logger
+   * @param {String?} options.apiKey - required, unless noAuth is set.
+   * @param {Boolean?} options.noAuth
+   * @param {Boolean?} options.cors
+   * @param {String?} options.host
+   * @param {Number?} options.port - defaults to the network signer port.
+   * @param {Boolean?} options.ssl
+   * @param {String?} options.keyFile
+   * @param {String?} options.certFile
+   * @returns {SignerHTTPOptions}
+   */
+
+  fromOptions(options) {
+    assert(options, 'Signer HTTP Server requires options.');
+    assert(options.signer && typeof options.signer === 'object',
+      'Signer HTTP Server requires Signer.');
+
+    this.signer = options.signer;
+    this.network = options.signer.network;
+    this.logger = options.signer.logger;
+    this.port = getServerPort(this.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger;
+    }
+
+    if (options.apiKey != null) {
+      assert(typeof options.apiKey === 'string',
+        'API key must be a string.');
+      assert(options.apiKey.length <= 255,
+        'API key must be under 255 bytes.');
+      this.apiKey = options.apiKey;
+      this.apiHash = sha256.digest(Buffer.from(this.apiKey, 'ascii'));
+    }
+
+    if (options.noAuth != null) {
+      assert(typeof options.noAuth === 'boolean');
+      this.noAuth = options.noAuth;
+    }
+
+    if (options.cors != null) {
+      assert(typeof options.cors === 'boolean');
+      this.cors = options.cors;
+    }
+
+    if (options.prefix != null) {
+      assert(typeof options.prefix === 'string');
+      this.prefix = options.prefix;
+      this.keyFile = `${this.prefix}/key.pem`;
+      this.certFile = `${this.prefix}/cert.pem`;
+    }
+
+    if (options.host != null) {
+      assert(typeof options.host === 'string');
+      this.host = options.host;
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port,
+        'Port must be a number.');
+      this.port = options.port;
+    }
+
+    if (options.ssl != null) {
+      assert(typeof options.ssl === 'boolean');
+      this.ssl = options.ssl;
+    }
+
+    if (options.keyFile != null) {
+      assert(typeof options.keyFile === 'string');
+      this.keyFile = options.keyFile;
+    }
+
+    if (options.certFile != null) {
+      assert(typeof options.certFile === 'string');
+      this.certFile = options.certFile;
+    }
+
+    assert(this.noAuth || this.apiKey, 'API key is required.');
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.SignerHTTP = SignerHTTP;
+exports.SignerHTTPOptions = SignerHTTPOptions;
@@ -0,0 +1,397 @@
+/*!
+ * rpc.js - JSON-RPC interface of the Signer.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Validator = require('bval');
+const {RPC, RPCError} = require('bweb');
+const {Lock} = require('bmutex');
+const MTX = require('bcoin/lib/primitives/mtx');
+const {InputData} = require('../inputData');
+const {OutputData} = require('../outputData');
+const {CanceledError} = require('../errors');
+
+/*
+ * RPC error codes.
+ */
+const errs = {
+  // General application defined errors
+  MISC_ERROR: -1,
+  INVALID_PARAMETER: -8,
+
+  // Signer errors
+  DEVICE_NOT_FOUND: -100,
+  DEVICE_NOT_SELECTED: -101,
+  DEVICE_ERROR: -102,
+  REQUEST_CANCELED: -103
+};
+
+/**
+ * Signer RPC
+ *
+ * Device methods run on the selected device of the Signer,
+ * other device can be chosen with `vendor` and `key` options.
+ * Devices are opened when they are used.
+ * @extends {bweb.RPC}
+ * @property {Signer} signer
+ * @property {Network} network
+ * @property {Logger} logger
+ */
+
+class SignerRPC extends RPC {
+  /**
+   * Create RPC.
+   * @param {Signer} signer
+   */
+
+  constructor(signer) {
+    super();
+
+    assert(signer, 'RPC requires a Signer.');
+
+    this.signer = signer;
+    this.network = signer.network;
+    this.logger = signer.logger.context('signer-rpc');
+    this.locker = new Lock();
+
+    this.init();
+  }
+
+  init() {
+    this.add('getdevices', this.getDevices);
+    this.add('selectdevice', this.selectDevice);
+    this.add('deselectdevice', this.deselectDevice);
+    this.add('getpublickey', this.getPublicKey);
+    this.add('getaddress', this.getAddress);
+    this.add('signtransaction', this.signTransaction);
+    this.add('getsignatures', this.getSignatures);
+    this.add('signmessage', this.signMessage);
+
+    this.on('error', (err) => {
+      this.logger.error('RPC internal error.');
+      this.logger.error(err);
+    });
+  }
+
+  /*
+   * Devices
+   */
+
+  async getDevices(args, help) {
+    if (help || args.length > 1)
+      throw new RPCError(errs.MISC_ERROR, 'getdevices ( "vendor" )');
+
+    const valid = new Validator(args);
+    const vendor = valid.str(0);
+    const options = {};
+
+    if (vendor != null)
+      options.vendor = vendor.toUpperCase();
+
+    let devices;
+    try {
+      devices = await this.signer.getDevices(options);
+    } catch (e) {
+      throw new RPCError(errs.INVALID_PARAMETER, e.message);
+    }
+
+    return devices.map(device => this.deviceToJSON(device));
+  }
+
+  async selectDevice(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'selectdevice "vendor" ( "key" )');
+
+    const valid = new Validator(args);
+    const vendor = valid.str(0, '').toUpperCase();
+    const key = valid.str(1);
+
+    let device = null;
+
+    if (key != null)
+      device = await this.findDevice(vendor, key);
+
+    let selected;
+    try {
+      selected = await this.signer.selectDevice(vendor, device);
+    } catch (e) {
+      throw new RPCError(errs.DEVICE_ERROR, e.message);
+    }
+
+    return this.deviceToJSON(selected);
+  }
+
+  async deselectDevice(args, help) {
+    if (help || args.length !== 0)
+      throw new RPCError(errs.MISC_ERROR, 'deselectdevice');
+
+    return this.signer.deselectDevice();
+  }
+
+  /*
+   * Device API
+   */
+
+  async getPublicKey(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'getpublickey "path" ( options )');
+
+    const valid = new Validator(args);
+    const path = valid.str(0);
+    const options = valid.obj(1, {});
+
+    if (!path)
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid path.');
+
+    const opts = new Validator(options);
+    const getParentFingerPrint = opts.bool('getParentFingerPrint', true);
+
+    const hdpub = await this.callDevice(options, (device, request) => {
+      return device.getPublicKey(path, {
+        ...request,
+        getParentFingerPrint
+      });
+    });
+
+    return hdpub.xpubkey(this.network);
+  }
+
+  async getAddress(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'getaddress "path" ( options )');
+
+    const valid = new Validator(args);
+    const path = valid.str(0);
+    const options = valid.obj(1, {});
+
+    if (!path)
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid path.');
+
+    const opts = new Validator(options);
+    const addressOptions = {
+      type: opts.str('type'),
+      multisig: opts.obj('multisig'),
+      display: opts.bool('display', false)
+    };
+
+    return this.callDevice(options, (device, request) => {
+      return device.getAddress(path, {
+        ...addressOptions,
+        ...request
+      });
+    });
+  }
+
+  async signTransaction(args, help) {
+    if (help || args.length < 2 || args.length > 4) {
+      throw new RPCError(errs.MISC_ERROR,
+        'signtransaction "tx" [inputdata] ( [outputdata] options )');
+    }
+
+    const [tx, inputData, outputData, options] = parseSignArgs(args);
+
+    const signed = await this.callDevice(options, (device, request) => {
+      return device.signTransaction(tx, inputData, outputData, request);
+    });
+
+    return signed.toRaw().toString('hex');
+  }
+
+  async getSignatures(args, help) {
+    if (help || args.length < 2 || args.length > 4) {
+      throw new RPCError(errs.MISC_ERROR,
+        'getsignatures "tx" [inputdata] ( [outputdata] options )');
+    }
+
+    const [tx, inputData, outputData, options] = parseSignArgs(args);
+
+    const signatures = await this.callDevice(options, (device, request) => {
+      return device.getSignatures(tx, inputData, outputData, request);
+    });
+
+    return signatures.map(sig => sig ? sig.toString('hex') : null);
+  }
+
+  async signMessage(args, help) {
+    if (help || args.length < 2 || args.length > 3) {
+      throw new RPCError(errs.MISC_ERROR,
+        'signmessage "path" "message" ( options )');
+    }
+
+    const valid = new Validator(args);
+    const path = valid.str(0);
+    const options = valid.obj(2, {});
+    const opts = new Validator(options);
+    const encoding = opts.str('encoding', 'utf8');
+    const type = opts.str('type');
+
+    if (!path)
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid path.');
+
+    if (encoding !== 'utf8' && encoding !== 'hex')
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid encoding.');
+
+    const message = valid.buf(1, null, encoding);
+
+    if (!message)
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid message.');
+
+    const signature = await this.callDevice(options, (device, request) => {
+      return device.signMessage(path, message, {
+        type,
+        ...request
+      });
+    });
+
+    return signature.getJSON();
+  }
+
+  /*
+   * Helpers
+   */
+
+  /**
+   * Find device by vendor and key.
+   * @private
+   * @param {String?} vendor
+   * @param {String} key
+   * @returns {Promise<AbstractDevice>}
+   */
+
+  async findDevice(vendor, key) {
+    const options = {};
+
+    if (vendor)
+      options.vendor = vendor;
+
+    const device = await this.signer.getDeviceByKey(key, options);
+
+    if (!device)
+      throw new RPCError(errs.DEVICE_NOT_FOUND, `Device "${key}" not found.`);
+
+    return device;
+  }
+
+  /**
+   * Run the request on the device, device
+   * errors are returned as RPC errors.
+   * @private
+   * @param {Object} options
+   * @param {String?} options.vendor
+   * @param {String?} options.key - device key, defaults to the selected.
+   * @param {Number?} options.timeout - milliseconds.
+   * @param {Function} fn - device and request options.
+   * @returns {Promise}
+   */
+
+  async callDevice(options, fn) {
+    const valid = new Validator(options);
+    const vendor = valid.str('vendor', '').toUpperCase();
+    const key = valid.str('key');
+    const timeout = valid.uint('timeout');
+
+    let device = this.signer.selected;
+
+    if (key != null)
+      device = await this.findDevice(vendor, key);
+
+    if (!device)
+      throw new RPCError(errs.DEVICE_NOT_SELECTED, 'Device was not selected.');
+
+    const request = {};
+
+    if (timeout != null)
+      request.timeout = timeout;
+
+    try {
+      await this.ensureOpen(device);
+      return await fn(device, request);
+    } catch (e) {
+      if (CanceledError.isCanceledError(e))
+        throw new RPCError(errs.REQUEST_CANCELED, e.message);
+
+      throw new RPCError(errs.DEVICE_ERROR, e.message);
+    }
+  }
+
+  /**
+   * Open the device if it is not open,
+   * it stays open for the next requests.
+   * @private
+   * @param {AbstractDevice} device
+   * @returns {Promise}
+   */
+
+  async ensureOpen(device) {
+    const unlock = await this.locker.lock();
+
+    try {
+      if (!device.opened)
+        await device.open();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Get device JSON.
+   * @param {AbstractDevice} device
+   * @returns {Object}
+   */
+
+  deviceToJSON(device) {
+    return {
+      vendor: device.vendor,
+      handle: device.handle,
+      key: device.key,
+      opened: device.opened,
+      selected: device === this.signer.selected
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseSignArgs(args) {
+  const valid = new Validator(args);
+  const hex = valid.buf(0);
+  const inputData = valid.array(1);
+  const outputData = valid.array(2, []);
+  const options = valid.obj(3, {});
+
+  if (!hex)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid transaction.');
+
+  if (!inputData)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid input data.');
+
+  let tx;
+  try {
+    tx = MTX.fromRaw(hex);
+  } catch (e) {
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid transaction.');
+  }
+
+  try {
+    return [
+      tx,
+      inputData.map(json => InputData.fromJSON(json)),
+      outputData.map(json => OutputData.fromJSON(json)),
+      options
+    ];
+  } catch (e) {
+    throw new RPCError(errs.INVALID_PARAMETER, e.message);
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.errs = errs;
+exports.SignerRPC = SignerRPC;
@@ -13,19 +13,30 @@ const AbstractDevice = require('./device/abstract');
 const LedgerDeviceManager = require('./manager/ledger');
 const TrezorDeviceManager = require('./manager/trezor');
 const MemoryDeviceManager = require('./manager/memory');
-const {AVAILABLE_VENDORS, vendors, parseVendors} = require('./common');
+const FileDeviceManager = require('./manager/file');
+const AirgapDeviceManager = require('./manager/airgap');
+const RemoteDeviceManager = require('./manager/remote');
+const {DeviceRegistry} = require('./registry');
+const {
+  AVAILABLE_VENDORS,
+  vendors,
+  interactions,
+  parseVendors
+} = require('./common');
 
 const VENDOR_MANAGERS = {
   [vendors.LEDGER]: LedgerDeviceManager,
   [vendors.TREZOR]: TrezorDeviceManager,
-  [vendors.MEMORY]: MemoryDeviceManager
+  [vendors.MEMORY]: MemoryDeviceManager,
+  [vendors.FILE]: FileDeviceManager,
+  [vendors.AIRGAP]: AirgapDeviceManager,
+  [vendors.REMOTE]: RemoteDeviceManager
 };
 
 /**
  * Signer
  *
  * Main interface for managers and API.
- * @todo Add getDevices.
  */
 class Signer extends EventEmitter {
   constructor(options) {
@@ -39,6 +50,7 @@ class Signer extends EventEmitter {
     this.deviceManagers = new Map();
     this.cachedDevices = new Map();
     this.selected = null;
+    this.registry = this.options.registry;
 
     this.init();
   }
@@ -74,6 +86,16 @@ class Signer extends EventEmitter {
 
       this.cachedDevices.set(handle, device);
       this.emit('connect', device);
+
+      if (!this.registry)
+        return;
+
+      const record = this.registry.getByKey(device.vendor, device.key);
+
+      if (record) {
+        this.logger.debug('Known device connected: ', device);
+        this.emit('known', device, record);
+      }
     };
 
     const disconnect = (device) => {
@@ -99,11 +121,25 @@ class Signer extends EventEmitter {
       this.emit('deselect', device);
     };
 
+    const reconnect = (device) => {
+      this.logger.debug('Device was reconnected: ', device);
+      this.emit('reconnect', device);
+    };
+
+    const interaction = type => (device, details) => {
+      this.emit(type, device, details);
+      this.emit('interaction', type, device, details);
+    };
+
     for (const manager of this.deviceManagers.values()) {
       manager.on('connect', connect);
       manager.on('disconnect', disconnect);
       manager.on('select', select);
       manager.on('deselect', deselect);
+      manager.on('reconnect', reconnect);
+
+      for (const type of Object.values(interactions))
+        manager.on(type, interaction(type));
     }
   }
 
@@ -147,6 +183,84 @@ class Signer extends EventEmitter {
     return this.deviceManagers.get(vendor).deselectDevice();
   }
 
+  /**
+   * List devices of all enabled vendor managers.
+   * Devices are identified by vendor and device key,
+   * the same device is listed only once.
+   * @param {Object} [options={}]
+   * @param {String|String[]|Set<String>?} options.vendor - list only
+   *  devices of these vendors.
+   * @returns {Promise<AbstractDevice[]>}
+   */
+
+  async getDevices(options = {}) {
+    assert(this.opened, 'Not open.');
+    assert(options && typeof options === 'object', 'options must be object.');
+
+    let enabled = this.enabledVendors;
+
+    if (options.vendor != null)
+      enabled = parseVendors(options.vendor);
+
+    const devices = new Map();
+
+    for (const vendor of enabled) {
+      const manager = this.deviceManagers.get(vendor.toUpperCase());
+
+      if (!manager)
+        throw new Error(`Vendor "${vendor}" not found or not enabled.`);
+
+      for (const device of await manager.getDevices()) {
+        const key = getKey(device);
+        const cached = devices.get(key);
+
+        // prefer live device over the stale one.
+        if (cached && !cached.destroyed)
+          continue;
+
+        devices.set(key, device);
+      }
+    }
+
+    return Array.from(devices.values());
+  }
+
+  /**
+   * Find device by the device key.
+   * @param {String} key - device.key
+   * @param {Object} [options={}] - see getDevices.
+   * @returns {Promise<AbstractDevice?>}
+   */
+
+  async getDeviceByKey(key, options = {}) {
+    assert(typeof key === 'string', 'key must be a string.');
+
+    const devices = await this.getDevices(options);
+
+    for (const device of devices) {
+      if (device.key === key)
+        return device;
+    }
+
+    return null;
+  }
+
+  /**
+   * Select device by the device key.
+   * @param {String} key - device.key
+   * @param {Object} [options={}] - see getDevices.
+   * @returns {Promise<AbstractDevice>}
+   */
+
+  async selectDeviceByKey(key, options = {}) {
+    const device = await this.getDeviceByKey(key, options);
+
+    if (!device)
+      throw new Error(`Device "${key}" not found.`);
+
+    return this.selectDevice(device);
+  }
+
   /**
    * Open all enabled vendor managers.
    * @returns {Promise}
@@ -157,6 +271,9 @@ class Signer extends EventEmitter {
 
     this.opened = true;
 
+    if (this.registry)
+      await this.registry.open();
+
     this.bind();
 
     for (const manager of this.deviceManagers.values())
@@ -175,64 +292,288 @@ class Signer extends EventEmitter {
 
     for (const manager of this.deviceManagers.values())
       await manager.close();
+
+    if (this.registry)
+      await this.registry.close();
+  }
+
+  /**
+   * Add device to the registry or update its label.
+   * @param {AbstractDevice?} [device=this.selected]
+   * @param {Object} [options={}]
+   * @param {String?} options.label
+   * @returns {Promise<DeviceRecord>}
+   */
+
+  async registerDevice(device, options = {}) {
+    assert(this.registry, 'Registry is not enabled.');
+
+    if (!device)
+      device = this.selected;
+
+    assert(device, 'Device was not selected.');
+
+    const fingerprint = await withOpen(device, () => device.getFingerprint());
+
+    return this.registry.register({
+      fingerprint: fingerprint,
+      vendor: device.vendor,
+      key: device.key,
+      label: options.label
+    });
+  }
+
+  /**
+   * Store account key of the device in the registry,
+   * with the wallet it belongs to. Unknown devices are registered.
+   * @param {String} wallet
+   * @param {String|Number[]|Path} path - account path.
+   * @param {AbstractDevice?} [device=this.selected]
+   * @returns {Promise<DeviceRecord>}
+   */
+
+  async addWalletAccount(wallet, path, device) {
+    assert(this.registry, 'Registry is not enabled.');
+    assert(typeof wallet === 'string', 'wallet must be a string.');
+
+    if (!device)
+      device = this.selected;
+
+    assert(device, 'Device was not selected.');
+
+    const origin = await withOpen(device, () => device.getKeyOrigin(path));
+
+    if (!this.registry.get(origin.fingerprint))
+      await this.registerDevice(device);
+
+    return this.registry.addAccount(origin.fingerprint, {
+      path: origin.path,
+      xpub: origin.xpub,
+      wallet: wallet
+    });
+  }
+
+  /**
+   * Find registry entry of the device using its fingerprint,
+   * last seen device key of the entry is updated.
+   * @param {AbstractDevice} device
+   * @returns {Promise<DeviceRecord?>}
+   */
+
+  async identifyDevice(device) {
+    assert(this.registry, 'Registry is not enabled.');
+    assert(device instanceof AbstractDevice, 'device must be a device.');
+
+    const fingerprint = await withOpen(device, () => device.getFingerprint());
+    const record = this.registry.get(fingerprint);
+
+    if (!record)
+      return null;
+
+    if (record.key !== device.key || record.vendor !== device.vendor) {
+      await this.registry.register({
+        fingerprint: fingerprint,
+        vendor: device.vendor,
+        key: device.key
+      });
+    }
+
+    return record;
+  }
+
+  /**
+   * Select connected device that holds keys of the wallet.
+   * Devices with a known key are checked first.
+   * @param {String} wallet
+   * @returns {Promise<AbstractDevice>}
+   */
+
+  async selectWalletDevice(wallet) {
+    assert(this.registry, 'Registry is not enabled.');
+    assert(typeof wallet === 'string', 'wallet must be a string.');
+
+    const records = this.registry.getByWallet(wallet);
+
+    if (records.length === 0)
+      throw new Error(`No known device for wallet "${wallet}".`);
+
+    const enabled = new Set();
+
+    for (const record of records) {
+      if (this.deviceManagers.has(record.vendor))
+        enabled.add(record.vendor);
+    }
+
+    const devices = enabled.size > 0
+      ? await this.getDevices({ vendor: enabled })
+      : [];
+
+    const candidates = [];
+
+    for (const device of devices) {
+      const known = records.some((record) => {
+        return record.vendor === device.vendor && record.key === device.key;
+      });
+
+      if (known)
+        candidates.unshift(device);
+      else
+        candidates.push(device);
+    }
+
+    for (const device of candidates) {
+      if (device.destroyed)
+        continue;
+
+      const record = await this.identifyDevice(device);
+
+      if (record && record.hasWallet(wallet))
+        return this.selectDevice(device);
+    }
+
+    throw new Error(`Device for wallet "${wallet}" is not connected.`);
   }
 
   /**
    * Get public key of selected device.
    * @param {Path} path
-   * @param {Boolean} [getParentFingerPrint=true]
-   * @returns {Promise<HDPublicKey>}
+   * @param {Boolean|Object} [options={}] - getParentFingerPrint
+   *  or options, pass origin to get the key origin,
+   *  signal and timeout cancel the request.
+   * @returns {Promise<HDPublicKey|Object>}
+   */
+
+  async getPublicKey(path, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+
+    // manager retries the request if device reconnects.
+    const manager = this.deviceManagers.get(this.selected.vendor);
+
+    return manager.getPublicKey(path, options);
+  }
+
+  /**
+   * Get master key fingerprint of selected device.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<Number>}
    */
 
-  async getPublicKey(path, getParentFingerPrint = true) {
+  async getFingerprint(options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getPublicKey(path, getParentFingerPrint);
+    return this.selected.getFingerprint(options);
   }
 
   /**
    * Get public key in xpub string format.
    * @param {Path} path
+   * @param {Boolean} [slip132=false] - use SLIP-132 version.
+   * @param {Object} [options={}] - signal and timeout.
    * @returns {Promise<string>} - xpub
    */
 
-  async getXPUB(path) {
+  async getXPUB(path, slip132 = false, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getXPUB(path);
+    return this.selected.getXPUB(path, slip132, options);
+  }
+
+  /**
+   * Get address, optionally verified on the device screen.
+   * @param {Path} path
+   * @param {Object} [options={}]
+   * @param {String?} options.type - script type, defaults to the path type.
+   * @param {Object?} options.multisig - m and pubkeys ({xpub, path}).
+   * @param {Boolean} [options.display=false] - show address on the device.
+   * @param {AbortSignal?} options.signal - abort the request.
+   * @param {Number?} options.timeout - milliseconds.
+   * @returns {Promise<String>} - address
+   */
+
+  async getAddress(path, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.getAddress(path, options);
   }
 
   /**
    * Sign transaction.
    * @param {bcoin.MTX} mtx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Promise<Boolean>}
    */
 
-  async signTransaction(mtx, options) {
+  async signTransaction(mtx, options, outputData, request = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.signTransaction(mtx, options, outputData, request);
+  }
+
+  /**
+   * Sign transaction and get signing status of each input.
+   * @param {bcoin.MTX} mtx
+   * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
+   * @returns {Promise<Object>} - mtx and status (inputStatus[]).
+   */
+
+  async signTransactionWithStatus(mtx, options, outputData, request = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signTransaction(mtx, options);
+    return this.selected.signTransactionWithStatus(mtx, options, outputData,
+      request);
   }
 
   /**
    * Sign transaction and return signatures.
    * @param {bcoin.MTX} mtx
    * @param {Object} options
+   * @param {Object[]?} outputData - change outputs.
+   * @param {Object} [request={}] - signal and timeout.
    * @returns {Promise<Buffer[]>} - signatures
    */
 
-  async getSignatures(mtx, options) {
+  async getSignatures(mtx, options, outputData, request = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.getSignatures(mtx, options);
+    return this.selected.getSignatures(mtx, options, outputData, request);
+  }
+
+  /**
+   * Sign PSBT using selected device.
+   * @param {PSBT|Buffer|String} psbt - PSBT, raw or base64.
+   * @param {Object} [options={}] - signal and timeout.
+   * @returns {Promise<PSBT>} - PSBT with partial signatures.
+   */
+
+  async signPSBT(psbt, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.signPSBT(psbt, options);
   }
 
   /**
    * Sign arbitrary message.
    * @param {Path} path
-   * @param {Promise<Buffer|String>} message
+   * @param {Buffer|String} message
+   * @param {Object} [options={}] - script type of the signature,
+   *  signal and timeout.
+   * @returns {Promise<MessageSignature>}
+   */
+
+  async signMessage(path, message, options = {}) {
+    assert(this.selected, 'Device was not selected.');
+    return this.selected.signMessage(path, message, options);
+  }
+
+  /**
+   * Sign message using BIP322.
+   * @param {Path} path
+   * @param {Buffer|String} message
+   * @param {Object} [options={}] - type, multisig, format,
+   *  signal and timeout.
+   * @returns {Promise<Object>} - address, signature and base64 proof.
    */
 
-  async signMessage(path, message) {
+  async signMessageBIP322(path, message, options = {}) {
     assert(this.selected, 'Device was not selected.');
-    return this.selected.signMessage(path, message);
+    return this.selected.signMessageBIP322(path, message, options);
   }
 
   /**
@@ -259,6 +600,7 @@ class SignerOptions {
     this.logger = Logger.global;
     this.enabledVendors = new Set(AVAILABLE_VENDORS);
     this.vendorManagerOptions = new Map();
+    this.registry = null;
 
     this.fromOptions(options || {});
   }
@@ -270,6 +612,10 @@ class SignerOptions {
    * @param {Logger} [options.logger=Logger.global]
    * @param {String|Set<String>|String[]} options.vendor
    * @param {Object} options[vendor] - additional options for each vendor
+   * @param {DeviceRegistry|Object?} options.registry - registry of
+   *  known devices or its options (location).
+   * @param {Boolean?} options.reconnect - re-select the selected device
+   *  when it is connected again, for all vendors.
    * @returns {SignerOptions}
    */
 
@@ -289,10 +635,24 @@ class SignerOptions {
       this.enabledVendors = parseVendors(options.vendor);
     }
 
+    if (options.registry != null) {
+      if (DeviceRegistry.isDeviceRegistry(options.registry))
+        this.registry = options.registry;
+      else
+        this.registry = DeviceRegistry.fromOptions(options.registry);
+    }
+
     for (const vendor of this.enabledVendors.values()) {
-      this.vendorManagerOptions.set(vendor, {
+      const managerOptions = {
         network: this.network,
-        logger: this.logger,
+        logger: this.logger
+      };
+
+      if (options.reconnect != null)
+        managerOptions.reconnect = options.reconnect;
+
+      this.vendorManagerOptions.set(vendor, {
+        ...managerOptions,
         ...options[vendor]
       });
     }
@@ -315,4 +675,22 @@ function getHandle(device) {
   return `${device.vendor}:${device.handle}`;
 }
 
+function getKey(device) {
+  return `${device.vendor}:${device.key}`;
+}
+
+async function withOpen(device, fn) {
+  const opened = device.opened;
+
+  if (!opened)
+    await device.open();
+
+  try {
+    return await fn();
+  } finally {
+    if (!opened)
+      await device.close();
+  }
+}
+
 module.exports = Signer;
@@ -0,0 +1,441 @@
+/*!
+ * taproot.js - Taproot key path spending (BIP340, BIP341, BIP86).
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const bio = require('bufio');
+const sha256 = require('bcrypto/lib/sha256');
+const schnorr = require('bcrypto/lib/schnorr');
+const bech32 = require('bcrypto/lib/encoding/bech32');
+const Network = require('bcoin/lib/protocol/network');
+const Script = require('bcoin/lib/script/script');
+
+/**
+ * Taproot signature hash types.
+ * DEFAULT commits to everything, same as ALL,
+ * but produces 64 byte signatures.
+ * @enum {Number}
+ */
+
+const hashType = {
+  DEFAULT: 0x00,
+  ALL: 0x01,
+  NONE: 0x02,
+  SINGLE: 0x03,
+  ANYONECANPAY: 0x80
+};
+
+const VALID_HASH_TYPES = new Set([
+  0x00, 0x01, 0x02, 0x03,
+  0x81, 0x82, 0x83
+]);
+
+const BECH32M_CONST = 0x2bc830a3;
+
+const tags = {
+  TWEAK: 'TapTweak',
+  SIGHASH: 'TapSighash'
+};
+
+/**
+ * BIP340 tagged hash.
+ * @param {String} tag
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+
+function taggedHash(tag, data) {
+  const tagHash = sha256.digest(Buffer.from(tag, 'binary'));
+  return sha256.multi(tagHash, tagHash, data);
+}
+
+/**
+ * Test whether the script is P2TR (OP_1 <32 bytes>).
+ * @param {Script|Buffer} script
+ * @returns {Boolean}
+ */
+
+function isTaprootScript(script) {
+  const raw = Buffer.isBuffer(script) ? script : script.toRaw();
+
+  return raw.length === 34
+    && raw[0] === 0x51
+    && raw[1] === 0x20;
+}
+
+/**
+ * Get taproot output key from the script.
+ * @param {Script|Buffer} script
+ * @returns {Buffer} - x-only output key.
+ */
+
+function getOutputKey(script) {
+  assert(isTaprootScript(script), 'Not a taproot script.');
+
+  const raw = Buffer.isBuffer(script) ? script : script.toRaw();
+
+  return raw.slice(2, 34);
+}
+
+/**
+ * Convert compressed public key to x-only key.
+ * @param {Buffer} publicKey - compressed or x-only public key.
+ * @returns {Buffer}
+ */
+
+function toXOnly(publicKey) {
+  enforce(Buffer.isBuffer(publicKey), 'publicKey', 'buffer');
+
+  if (publicKey.length === 32)
+    return publicKey;
+
+  assert(publicKey.length === 33, 'Invalid public key.');
+
+  return publicKey.slice(1, 33);
+}
+
+/**
+ * Tweak internal public key without script tree (BIP86).
+ * @param {Buffer} publicKey - compressed or x-only internal key.
+ * @returns {Buffer} - x-only output key.
+ */
+
+function tweakPublicKey(publicKey) {
+  const internal = toXOnly(publicKey);
+  const tweak = taggedHash(tags.TWEAK, internal);
+
+  return schnorr.publicKeyTweakAdd(internal, tweak);
+}
+
+/**
+ * Tweak internal private key without script tree (BIP86).
+ * @param {Buffer} privateKey
+ * @returns {Buffer} - tweaked private key.
+ */
+
+function tweakPrivateKey(privateKey) {
+  enforce(Buffer.isBuffer(privateKey), 'privateKey', 'buffer');
+
+  const internal = schnorr.publicKeyCreate(privateKey);
+  const tweak = taggedHash(tags.TWEAK, internal);
+
+  return schnorr.privateKeyTweakAdd(privateKey, tweak);
+}
+
+/**
+ * Create P2TR output script from the internal key.
+ * @param {Buffer} publicKey - compressed or x-only internal key.
+ * @returns {Script}
+ */
+
+function fromPublicKey(publicKey) {
+  return Script.fromProgram(1, tweakPublicKey(publicKey));
+}
+
+/**
+ * Encode P2TR address (bech32m).
+ * @param {Script|Buffer} script - P2TR script or x-only output key.
+ * @param {Network|String} network
+ * @returns {String}
+ */
+
+function toAddress(script, network) {
+  network = Network.get(network);
+
+  let key = script;
+
+  if (!Buffer.isBuffer(script) || script.length !== 32)
+    key = getOutputKey(script);
+
+  const hrp = network.addressPrefix.bech32;
+  const data = bech32.convertBits(key, 8, 5, true);
+  const words = Buffer.alloc(data.length + 1);
+
+  words[0] = 1;
+  data.copy(words, 1);
+
+  return encodeBech32m(hrp, words);
+}
+
+/**
+ * Decode P2TR address (bech32m).
+ * @param {String} address
+ * @param {Network|String} network
+ * @returns {Buffer} - x-only output key.
+ */
+
+function fromAddress(address, network) {
+  enforce(typeof address === 'string', 'address', 'string');
+
+  network = Network.get(network);
+
+  const [hrp, words] = decodeBech32m(address);
+
+  assert(hrp === network.addressPrefix.bech32, 'Network mismatch.');
+  assert(words.length > 0 && words[0] === 1, 'Not a taproot address.');
+
+  const key = bech32.convertBits(words.slice(1), 5, 8, false);
+
+  assert(key.length === 32, 'Invalid taproot program.');
+
+  return key;
+}
+
+/**
+ * Test whether hash type is valid for taproot.
+ * @param {Number} type
+ * @returns {Boolean}
+ */
+
+function isHashType(type) {
+  return VALID_HASH_TYPES.has(type);
+}
+
+/**
+ * BIP341 key path signature hash.
+ * @param {TX} tx
+ * @param {Number} index - input index.
+ * @param {Output[]} coins - spent outputs for all inputs.
+ * @param {Number} [type=hashType.DEFAULT]
+ * @returns {Buffer}
+ */
+
+function signatureHash(tx, index, coins, type = hashType.DEFAULT) {
+  assert(isHashType(type), 'Invalid taproot sighash type.');
+  assert(Array.isArray(coins), 'coins must be an array.');
+  assert(coins.length === tx.inputs.length,
+    'Taproot signing requires all spent outputs.');
+
+  const input = tx.inputs[index];
+
+  assert(input, 'Input does not exist.');
+
+  const base = type & 0x03;
+  const anyone = (type & hashType.ANYONECANPAY) !== 0;
+  const bw = bio.write();
+
+  // epoch
+  bw.writeU8(0);
+  bw.writeU8(type);
+  bw.writeU32(tx.version);
+  bw.writeU32(tx.locktime);
+
+  if (!anyone) {
+    const prevouts = bio.write();
+    const amounts = bio.write();
+    const scripts = bio.write();
+    const sequences = bio.write();
+
+    for (const [i, txin] of tx.inputs.entries()) {
+      const coin = coins[i];
+
+      assert(coin, `Could not find spent output for input ${i}.`);
+
+      txin.prevout.write(prevouts);
+      amounts.writeI64(coin.value);
+      scripts.writeVarBytes(coin.script.toRaw());
+      sequences.writeU32(txin.sequence);
+    }
+
+    bw.writeBytes(sha256.digest(prevouts.render()));
+    bw.writeBytes(sha256.digest(amounts.render()));
+    bw.writeBytes(sha256.digest(scripts.render()));
+    bw.writeBytes(sha256.digest(sequences.render()));
+  }
+
+  if (base !== hashType.NONE && base !== hashType.SINGLE) {
+    const outputs = bio.write();
+
+    for (const output of tx.outputs)
+      output.write(outputs);
+
+    bw.writeBytes(sha256.digest(outputs.render()));
+  }
+
+  // spend type: key path, no annex.
+  bw.writeU8(0);
+
+  if (anyone) {
+    const coin = coins[index];
+
+    assert(coin, `Could not find spent output for input ${index}.`);
+
+    input.prevout.write(bw);
+    bw.writeI64(coin.value);
+    bw.writeVarBytes(coin.script.toRaw());
+    bw.writeU32(input.sequence);
+  } else {
+    bw.writeU32(index);
+  }
+
+  if (base === hashType.SINGLE) {
+    const output = tx.outputs[index];
+
+    assert(output, 'No output for SIGHASH_SINGLE.');
+
+    bw.writeBytes(sha256.digest(output.toRaw()));
+  }
+
+  return taggedHash(tags.SIGHASH, bw.render());
+}
+
+/**
+ * Create key path signature for the input.
+ * @param {TX} tx
+ * @param {Number} index
+ * @param {Output[]} coins - spent outputs for all inputs.
+ * @param {Buffer} privateKey - untweaked (internal) private key.
+ * @param {Number} [type=hashType.DEFAULT]
+ * @returns {Buffer} - 64 byte signature or 65 with hash type.
+ */
+
+function signInput(tx, index, coins, privateKey, type = hashType.DEFAULT) {
+  const key = tweakPrivateKey(privateKey);
+  const hash = signatureHash(tx, index, coins, type);
+  const sig = schnorr.sign(hash, key);
+
+  if (type === hashType.DEFAULT)
+    return sig;
+
+  return Buffer.concat([sig, Buffer.from([type])]);
+}
+
+/**
+ * Verify key path signature for the input.
+ * @param {TX} tx
+ * @param {Number} index
+ * @param {Output[]} coins - spent outputs for all inputs.
+ * @param {Buffer} signature
+ * @returns {Boolean}
+ */
+
+function verifyInput(tx, index, coins, signature) {
+  enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+
+  let type = hashType.DEFAULT;
+  let sig = signature;
+
+  if (signature.length === 65) {
+    type = signature[64];
+    sig = signature.slice(0, 64);
+
+    if (type === hashType.DEFAULT)
+      return false;
+  }
+
+  if (sig.length !== 64 || !isHashType(type))
+    return false;
+
+  const key = getOutputKey(coins[index].script);
+  const hash = signatureHash(tx, index, coins, type);
+
+  return schnorr.verify(hash, sig, key);
+}
+
+/*
+ * Bech32m (BIP350)
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function polymod(pre) {
+  const b = pre >>> 25;
+
+  return ((pre & 0x1ffffff) << 5)
+    ^ (-((b >> 0) & 1) & 0x3b6a57b2)
+    ^ (-((b >> 1) & 1) & 0x26508e6d)
+    ^ (-((b >> 2) & 1) & 0x1ea119fa)
+    ^ (-((b >> 3) & 1) & 0x3d4233dd)
+    ^ (-((b >> 4) & 1) & 0x2a1462b3);
+}
+
+function prefixChecksum(hrp) {
+  let chk = 1;
+
+  for (let i = 0; i < hrp.length; i++)
+    chk = polymod(chk) ^ (hrp.charCodeAt(i) >> 5);
+
+  chk = polymod(chk);
+
+  for (let i = 0; i < hrp.length; i++)
+    chk = polymod(chk) ^ (hrp.charCodeAt(i) & 0x1f);
+
+  return chk;
+}
+
+function encodeBech32m(hrp, words) {
+  let chk = prefixChecksum(hrp);
+  let str = hrp + '1';
+
+  for (const word of words) {
+    chk = polymod(chk) ^ word;
+    str += CHARSET[word];
+  }
+
+  for (let i = 0; i < 6; i++)
+    chk = polymod(chk);
+
+  chk ^= BECH32M_CONST;
+
+  for (let i = 0; i < 6; i++)
+    str += CHARSET[(chk >>> ((5 - i) * 5)) & 0x1f];
+
+  return str;
+}
+
+function decodeBech32m(str) {
+  assert(str.length >= 8 && str.length <= 90, 'Invalid bech32m length.');
+
+  const lower = str.toLowerCase();
+
+  assert(str === lower || str === str.toUpperCase(),
+    'Invalid bech32m casing.');
+
+  const pos = lower.lastIndexOf('1');
+
+  assert(pos > 0 && lower.length - pos - 1 >= 6,
+    'Invalid bech32m separator.');
+
+  const hrp = lower.slice(0, pos);
+  const words = Buffer.alloc(lower.length - pos - 1 - 6);
+
+  let chk = prefixChecksum(hrp);
+
+  for (let i = pos + 1; i < lower.length; i++) {
+    const word = CHARSET.indexOf(lower[i]);
+
+    assert(word !== -1, 'Invalid bech32m character.');
+
+    chk = polymod(chk) ^ word;
+
+    if (i < lower.length - 6)
+      words[i - pos - 1] = word;
+  }
+
+  assert((chk >>> 0) === BECH32M_CONST, 'Invalid bech32m checksum.');
+
+  return [hrp, words];
+}
+
+/*
+ * Expose
+ */
+
+exports.hashType = hashType;
+exports.taggedHash = taggedHash;
+exports.isTaprootScript = isTaprootScript;
+exports.getOutputKey = getOutputKey;
+exports.toXOnly = toXOnly;
+exports.tweakPublicKey = tweakPublicKey;
+exports.tweakPrivateKey = tweakPrivateKey;
+exports.fromPublicKey = fromPublicKey;
+exports.toAddress = toAddress;
+exports.fromAddress = fromAddress;
+exports.isHashType = isHashType;
+exports.signatureHash = signatureHash;
+exports.signInput = signInput;
+exports.verifyInput = verifyInput;
@@ -0,0 +1,1166 @@
+/*!
+ * fake.js - Fake TrezorConnect backed by the HDPrivateKey.
+ * Copyright (c) 2020, Nodari Chkuaselidze (MIT License)
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const EventEmitter = require('events');
+const Logger = require('blgr');
+const trezorConnect = require('btrezor-connect');
+const Network = require('bcoin/lib/protocol/network');
+const HDPrivateKey = require('bcoin/lib/hd/private');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const MTX = require('bcoin/lib/primitives/mtx');
+const Output = require('bcoin/lib/primitives/output');
+const Address = require('bcoin/lib/primitives/address');
+const scriptCommon = require('bcoin/lib/script/common');
+const Script = require('bcoin/lib/script/script');
+const Witness = require('bcoin/lib/script/witness');
+const hash160 = require('bcrypto/lib/hash160');
+const sigUtils = require('bmultisig/lib/utils/sig');
+const taproot = require('../taproot');
+const common = require('../device/helpers/common');
+
+const {DEVICE, DEVICE_EVENT, UI, UI_EVENT} = trezorConnect;
+const {opcodes, hashType} = scriptCommon;
+
+/*
+ * Constants
+ */
+
+const coinNetworks = {
+  'Bitcoin': 'main',
+  'Testnet': 'testnet'
+};
+
+const MAX_MULTISIG_PUBKEYS = 15;
+const HARDENED = 0x80000000;
+
+const INPUT_TYPES = new Set([
+  'SPENDADDRESS',
+  'SPENDMULTISIG',
+  'EXTERNAL',
+  'SPENDWITNESS',
+  'SPENDP2SHWITNESS',
+  'SPENDTAPROOT'
+]);
+
+const MULTISIG_INPUT_TYPES = new Set([
+  'SPENDMULTISIG',
+  'SPENDWITNESS',
+  'SPENDP2SHWITNESS'
+]);
+
+const LEGACY_INPUT_TYPES = new Set([
+  'SPENDADDRESS',
+  'SPENDMULTISIG'
+]);
+
+const OUTPUT_TYPES = new Set([
+  'PAYTOADDRESS',
+  'PAYTOMULTISIG',
+  'PAYTOOPRETURN',
+  'PAYTOWITNESS',
+  'PAYTOP2SHWITNESS',
+  'PAYTOTAPROOT'
+]);
+
+const MULTISIG_OUTPUT_TYPES = new Set([
+  'PAYTOMULTISIG',
+  'PAYTOWITNESS',
+  'PAYTOP2SHWITNESS'
+]);
+
+// output types map to the same scripts as input types.
+const changeTypes = {
+  PAYTOADDRESS: 'SPENDADDRESS',
+  PAYTOMULTISIG: 'SPENDMULTISIG',
+  PAYTOWITNESS: 'SPENDWITNESS',
+  PAYTOP2SHWITNESS: 'SPENDP2SHWITNESS',
+  PAYTOTAPROOT: 'SPENDTAPROOT'
+};
+
+/**
+ * Fake TrezorConnect
+ * Implements TrezorConnect methods used by the TrezorDevice and
+ * TrezorDeviceManager for the single device, keys are derived from
+ * the HDPrivateKey. Sign requests are validated the way firmware
+ * does and signed transactions are returned. User confirmations
+ * are always accepted, PIN (optional) is requested from the host.
+ * @see https://github.com/trezor/trezor-firmware/blob/master/core/src/apps/bitcoin/sign_tx/helpers.py
+ * @extends {EventEmitter}
+ * @property {HDPrivateKey} master
+ * @property {String} path - device path (handle).
+ * @property {String} label
+ * @property {String} deviceID
+ * @property {String?} pin - PIN requested before the first call.
+ * @property {Boolean} connected
+ * @property {Boolean} initialized - init was called.
+ */
+
+class FakeTrezorConnect extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.logger = Logger.global;
+    this.master = null;
+    this.path = '1';
+    this.label = 'Fake Trezor';
+    this.deviceID = 'fake';
+    this.pin = null;
+
+    this.connected = true;
+    this.initialized = false;
+    this.unlocked = false;
+    this.pending = null;
+
+    // master key is always set.
+    this.set(options || {});
+  }
+
+  /**
+   * Set options.
+   * @param {Object} options
+   * @param {HDPrivateKey?} options.key - master key.
+   * @param {String?} options.phrase - mnemonic of the master key.
+   * @param {String?} options.path
+   * @param {String?} options.label
+   * @param {String?} options.deviceID
+   * @param {String?} options.pin
+   * @param {Boolean?} options.connected - device is plugged in.
+   * @param {Logger?} options.logger
+   * @returns {FakeTrezorConnect}
+   */
+
+  set(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.phrase != null) {
+      assert(typeof options.phrase === 'string');
+      this.master = HDPrivateKey.fromPhrase(options.phrase);
+    }
+
+    if (options.key != null) {
+      assert(HDPrivateKey.isHDPrivateKey(options.key),
+        'Key must be an HDPrivateKey.');
+      this.master = options.key;
+    }
+
+    if (options.path != null) {
+      assert(typeof options.path === 'string');
+      this.path = options.path;
+    }
+
+    if (options.label != null) {
+      assert(typeof options.label === 'string');
+      this.label = options.label;
+    }
+
+    if (options.deviceID != null) {
+      assert(typeof options.deviceID === 'string');
+      this.deviceID = options.deviceID;
+    }
+
+    if (options.pin != null) {
+      assert(typeof options.pin === 'string');
+      this.pin = options.pin;
+    }
+
+    if (options.connected != null) {
+      assert(typeof options.connected === 'boolean');
+      this.connected = options.connected;
+    }
+
+    if (options.logger != null) {
+      assert(typeof options.logger === 'object');
+      this.logger = options.logger.context('fake-trezor-connect');
+    }
+
+    if (this.master == null)
+      this.master = HDPrivateKey.generate();
+
+    return this;
+  }
+
+  /**
+   * Device descriptor of the DEVICE_EVENT and UI_EVENT payloads.
+   * @returns {Object}
+   */
+
+  getDeviceJSON() {
+    return {
+      type: 'acquired',
+      path: this.path,
+      label: this.label,
+      status: 'available',
+      features: {
+        vendor: 'trezor.io',
+        device_id: this.deviceID,
+        label: this.label,
+        initialized: true,
+        pin_protection: this.pin != null,
+        passphrase_protection: false
+      }
+    };
+  }
+
+  /**
+   * Initialize, connected device is announced.
+   * @param {Object} settings - ignored.
+   * @returns {Promise}
+   */
+
+  async init(settings) {
+    if (this.initialized)
+      throw new Error('TrezorConnect has been already initialized.');
+
+    this.initialized = true;
+
+    if (this.connected)
+      this.emitDevice(DEVICE.CONNECT);
+  }
+
+  /**
+   * Stop, pending request is canceled.
+   * @returns {Promise}
+   */
+
+  async stop() {
+    this.cancel('Stopped.');
+    this.initialized = false;
+  }
+
+  /**
+   * Plug in the device.
+   */
+
+  connectDevice() {
+    assert(!this.connected, 'Device is already connected.');
+
+    this.connected = true;
+
+    if (this.initialized)
+      this.emitDevice(DEVICE.CONNECT);
+  }
+
+  /**
+   * Unplug the device, it is locked again.
+   */
+
+  disconnectDevice() {
+    assert(this.connected, 'Device is not connected.');
+
+    this.connected = false;
+    this.unlocked = false;
+    this.cancel('Device disconnected');
+
+    if (this.initialized)
+      this.emitDevice(DEVICE.DISCONNECT);
+  }
+
+  /**
+   * Emit device event.
+   * @private
+   * @param {String} type
+   */
+
+  emitDevice(type) {
+    this.emit(DEVICE_EVENT, {
+      event: DEVICE_EVENT,
+      type: type,
+      payload: this.getDeviceJSON()
+    });
+  }
+
+  /**
+   * Emit UI event.
+   * @private
+   * @param {String} type
+   * @param {Object} [details={}]
+   */
+
+  emitUI(type, details = {}) {
+    this.emit(UI_EVENT, {
+      event: UI_EVENT,
+      type: type,
+      payload: {
+        device: this.getDeviceJSON(),
+        ...details
+      }
+    });
+  }
+
+  /**
+   * Ask the user to confirm on the device, always accepted.
+   * @private
+   * @param {String} code - ButtonRequest type.
+   */
+
+  confirm(code) {
+    this.emitUI(UI.REQUEST_BUTTON, { code });
+  }
+
+  /**
+   * Wait for the host response (uiResponse).
+   * @private
+   * @param {String} request - UI request type.
+   * @param {String} response - expected UI response type.
+   * @param {Object} details
+   * @returns {Promise<Object>} - response payload.
+   */
+
+  waitResponse(request, response, details) {
+    assert(!this.pending, 'Device is busy.');
+
+    return new Promise((resolve, reject) => {
+      this.pending = {
+        type: response,
+        resolve,
+        reject
+      };
+
+      this.emitUI(request, details);
+    });
+  }
+
+  /**
+   * Respond to the device request.
+   * @param {Object} response
+   * @param {String} response.type
+   * @param {Object} response.payload
+   */
+
+  uiResponse(response) {
+    assert(response && typeof response === 'object');
+
+    const {pending} = this;
+
+    if (!pending || pending.type !== response.type) {
+      this.logger.debug('Unexpected UI response: %s', response.type);
+      return;
+    }
+
+    this.pending = null;
+    pending.resolve(response.payload);
+  }
+
+  /**
+   * Cancel request waiting for the host.
+   * @param {String?} reason
+   */
+
+  cancel(reason) {
+    const {pending} = this;
+
+    if (!pending)
+      return;
+
+    this.pending = null;
+    pending.reject(failure('Failure_ActionCancelled', reason || 'Cancelled'));
+  }
+
+  /**
+   * Request PIN from the host, once per connection.
+   * @private
+   * @returns {Promise}
+   */
+
+  async unlock() {
+    if (this.pin == null || this.unlocked)
+      return;
+
+    const pin = await this.waitResponse(UI.REQUEST_PIN, UI.RECEIVE_PIN, {
+      type: 'PinMatrixRequestType_Current'
+    });
+
+    if (pin !== this.pin)
+      throw failure('Failure_PinInvalid', 'PIN invalid');
+
+    this.unlocked = true;
+  }
+
+  /**
+   * Run method for the device of the request.
+   * @private
+   * @param {Object} params
+   * @param {Function} method
+   * @returns {Promise<Object>} - TrezorConnect response.
+   */
+
+  async call(params, method) {
+    try {
+      if (!this.initialized)
+        throw failure('Init_NotInitialized', 'TrezorConnect not initialized');
+
+      assert(params && typeof params === 'object', 'Invalid parameters.');
+
+      if (!this.connected
+        || (params.device && params.device.path !== this.path)) {
+        throw failure('Device_Disconnected', 'Device disconnected');
+      }
+
+      await this.unlock();
+
+      return {
+        success: true,
+        payload: await method.call(this, params)
+      };
+    } catch (e) {
+      this.logger.debug('Request failed: %s', e.message);
+
+      return {
+        success: false,
+        payload: {
+          error: e.message,
+          code: e.code || 'Failure_DataError'
+        }
+      };
+    }
+  }
+
+  /**
+   * Get public key.
+   * @param {Object} params
+   * @param {String|Number[]} params.path
+   * @param {String} params.coin
+   * @returns {Promise<Object>}
+   */
+
+  async getPublicKey(params) {
+    return this.call(params, function ({coin, path}) {
+      const network = getCoinNetwork(coin);
+      const keyPath = common.parsePath(path);
+      const key = this.derive(keyPath.toList());
+
+      return {
+        path: keyPath.toList(),
+        serializedPath: keyPath.toString(),
+        xpub: key.xpubkey(network),
+        chainCode: key.chainCode.toString('hex'),
+        publicKey: key.publicKey.toString('hex'),
+        fingerprint: key.parentFingerPrint,
+        childNum: key.childIndex,
+        depth: key.depth
+      };
+    });
+  }
+
+  /**
+   * Get address.
+   * @param {Object} params
+   * @param {Number[]} params.path
+   * @param {String} params.coin
+   * @param {String} [params.scriptType=SPENDADDRESS]
+   * @param {Object?} params.multisig
+   * @param {Boolean} [params.showOnTrezor=true]
+   * @returns {Promise<Object>}
+   */
+
+  async getAddress(params) {
+    return this.call(params, function (params) {
+      const network = getCoinNetwork(params.coin);
+      const type = params.scriptType || 'SPENDADDRESS';
+
+      if (!INPUT_TYPES.has(type) || type === 'EXTERNAL')
+        throw failure('Failure_DataError', 'Invalid script type');
+
+      if (type === 'SPENDMULTISIG' && !params.multisig)
+        throw failure('Failure_DataError', 'Multisig details required.');
+
+      const keyPath = common.parsePath(params.path);
+      const key = this.derive(keyPath.toList());
+      const redeem = this.getMultisigScript(type, params.multisig,
+        key.publicKey);
+      const script = getScript(type, key.publicKey, redeem);
+
+      if (params.showOnTrezor !== false)
+        this.confirm('ButtonRequest_Address');
+
+      return {
+        path: keyPath.toList(),
+        serializedPath: keyPath.toString(),
+        address: toAddress(script, network)
+      };
+    });
+  }
+
+  /**
+   * Sign transaction.
+   * @param {Object} params - see TrezorHelpers.createTrezorInputs.
+   * @param {String} params.coin
+   * @param {Object[]} params.inputs
+   * @param {Object[]} params.outputs
+   * @param {Object[]} [params.refTxs=[]]
+   * @returns {Promise<Object>} - signatures (hex, without sighash type)
+   *  and serialized transaction.
+   */
+
+  async signTransaction(params) {
+    return this.call(params, this.sign);
+  }
+
+  /**
+   * Validate and sign the transaction.
+   * @private
+   * @param {Object} params
+   * @returns {Object}
+   */
+
+  sign(params) {
+    const network = getCoinNetwork(params.coin);
+    const {inputs, outputs} = params;
+
+    if (!Array.isArray(inputs) || inputs.length === 0)
+      throw failure('Failure_DataError', 'Transaction has no inputs');
+
+    if (!Array.isArray(outputs) || outputs.length === 0)
+      throw failure('Failure_DataError', 'Transaction has no outputs');
+
+    if (params.inputs_count != null && params.inputs_count !== inputs.length)
+      throw failure('Failure_DataError', 'Invalid inputs count');
+
+    if (params.outputs_count != null
+      && params.outputs_count !== outputs.length) {
+      throw failure('Failure_DataError', 'Invalid outputs count');
+    }
+
+    const refTxs = readRefTxs(params.refTxs || []);
+    const mtx = new MTX();
+
+    mtx.version = readUInt32(params.version, 1, 'version');
+    mtx.locktime = readUInt32(params.lock_time, 0, 'lock_time');
+
+    const spent = [];
+
+    for (const txi of inputs) {
+      const prev = this.readInput(txi, refTxs);
+
+      mtx.addInput({
+        prevout: prev.prevout,
+        sequence: prev.sequence
+      });
+
+      spent.push(prev);
+    }
+
+    for (const txo of outputs) {
+      const {output, change} = this.readOutput(txo, network);
+
+      mtx.addOutput(output);
+
+      if (!change)
+        this.confirm('ButtonRequest_ConfirmOutput');
+    }
+
+    let total = 0;
+
+    for (const prev of spent)
+      total += prev.output.value;
+
+    if (total < mtx.getOutputValue())
+      throw failure('Failure_DataError', 'Not enough funds');
+
+    this.confirm('ButtonRequest_SignTx');
+
+    const coins = spent.map(prev => prev.output);
+    const signatures = [];
+
+    for (const [i, prev] of spent.entries()) {
+      const input = mtx.inputs[i];
+
+      if (!prev.key) {
+        input.script = prev.script;
+        input.witness = prev.witness;
+        signatures.push('');
+        continue;
+      }
+
+      if (prev.type === 'SPENDTAPROOT') {
+        const signature = taproot.signInput(mtx, i, coins,
+          prev.key.privateKey);
+
+        input.witness.fromArray([signature]);
+        signatures.push(signature.toString('hex'));
+        continue;
+      }
+
+      const signature = mtx.signature(i, prev.scriptCode, prev.output.value,
+        prev.key.privateKey, hashType.ALL, prev.segwit ? 1 : 0);
+
+      applySignature(input, prev, signature);
+      signatures.push(signature.slice(0, -1).toString('hex'));
+    }
+
+    return {
+      signatures: signatures,
+      serializedTx: mtx.toRaw().toString('hex')
+    };
+  }
+
+  /**
+   * Validate transaction input and get the spent output.
+   * @private
+   * @param {Object} txi - TransactionInput.
+   * @param {Map<String, Object>} refTxs
+   * @returns {Object}
+   */
+
+  readInput(txi, refTxs) {
+    assert(txi && typeof txi === 'object', 'Invalid input.');
+
+    const type = txi.script_type || 'SPENDADDRESS';
+
+    if (!INPUT_TYPES.has(type))
+      throw failure('Failure_DataError', 'Unknown input script type');
+
+    if (typeof txi.prev_hash !== 'string' || !isHex(txi.prev_hash, 32))
+      throw failure('Failure_DataError', 'Provided prev_hash is invalid.');
+
+    const prev = {
+      type: type,
+      prevout: {
+        hash: Buffer.from(txi.prev_hash, 'hex').reverse(),
+        index: readUInt32(txi.prev_index, -1, 'prev_index')
+      },
+      sequence: readUInt32(txi.sequence, 0xffffffff, 'sequence'),
+      output: null,
+      key: null,
+      segwit: type !== 'SPENDADDRESS' && type !== 'SPENDMULTISIG',
+      scriptCode: null,
+      redeem: null,
+      multisig: null,
+      script: new Script(),
+      witness: new Witness()
+    };
+
+    if (txi.multisig && !MULTISIG_INPUT_TYPES.has(type)) {
+      throw failure('Failure_DataError',
+        'Multisig field provided but not expected.');
+    }
+
+    let script;
+
+    if (type === 'EXTERNAL') {
+      if (txi.address_n) {
+        throw failure('Failure_DataError',
+          'Input\'s address_n provided but not expected.');
+      }
+
+      if (!txi.script_pubkey || !isHex(txi.script_pubkey))
+        throw failure('Failure_DataError', 'Missing script_pubkey field.');
+
+      // external inputs must be signed before.
+      if (txi.script_sig == null && txi.witness == null)
+        throw failure('Failure_DataError', 'External input is not signed.');
+
+      script = Script.fromRaw(Buffer.from(txi.script_pubkey, 'hex'));
+
+      if (txi.script_sig != null)
+        prev.script = Script.fromRaw(Buffer.from(txi.script_sig, 'hex'));
+
+      if (txi.witness != null)
+        prev.witness = Witness.fromRaw(Buffer.from(txi.witness, 'hex'));
+    } else {
+      if (!Array.isArray(txi.address_n))
+        throw failure('Failure_DataError', 'Missing address_n field.');
+
+      if (txi.script_pubkey != null) {
+        throw failure('Failure_DataError',
+          'Input\'s script_pubkey provided but not expected.');
+      }
+
+      if (type === 'SPENDMULTISIG' && !txi.multisig)
+        throw failure('Failure_DataError', 'Multisig details required.');
+
+      prev.key = this.derive(txi.address_n);
+      prev.redeem = this.getMultisigScript(type, txi.multisig,
+        prev.key.publicKey);
+      prev.multisig = txi.multisig || null;
+      prev.scriptCode = prev.redeem
+        || Script.fromPubkeyhash(hash160.digest(prev.key.publicKey));
+
+      script = getScript(type, prev.key.publicKey, prev.redeem);
+    }
+
+    const txid = txi.prev_hash;
+    const hasRef = refTxs.has(txid);
+
+    if (LEGACY_INPUT_TYPES.has(type) && !hasRef) {
+      throw failure('Failure_DataError',
+        `Previous transaction ${txid} missing`);
+    }
+
+    let value = txi.amount != null ? readAmount(txi.amount, 'amount') : -1;
+
+    if (hasRef) {
+      const ref = refTxs.get(txid);
+      const output = ref.outputs[prev.prevout.index];
+
+      if (!output)
+        throw failure('Failure_DataError', 'Not enough outputs in prev tx');
+
+      if (value !== -1 && value !== output.value)
+        throw failure('Failure_DataError', 'Invalid amount specified');
+
+      if (!output.script.equals(script)) {
+        throw failure('Failure_DataError',
+          'Input does not match scriptPubKey');
+      }
+
+      value = output.value;
+    }
+
+    if (value === -1)
+      throw failure('Failure_DataError', 'Missing amount field.');
+
+    prev.output = Output.fromScript(script, value);
+
+    return prev;
+  }
+
+  /**
+   * Validate transaction output.
+   * @private
+   * @param {Object} txo - TransactionOutput.
+   * @param {Network} network
+   * @returns {Object} - output and whether it is change.
+   */
+
+  readOutput(txo, network) {
+    assert(txo && typeof txo === 'object', 'Invalid output.');
+
+    const type = txo.script_type || 'PAYTOADDRESS';
+
+    if (!OUTPUT_TYPES.has(type))
+      throw failure('Failure_DataError', 'Unknown output script type');
+
+    if (txo.amount == null)
+      throw failure('Failure_DataError', 'Missing amount field.');
+
+    const value = readAmount(txo.amount, 'amount');
+
+    if (txo.multisig && !MULTISIG_OUTPUT_TYPES.has(type)) {
+      throw failure('Failure_DataError',
+        'Multisig field provided but not expected.');
+    }
+
+    if (txo.address_n && txo.address) {
+      throw failure('Failure_DataError',
+        'Both address and address_n provided.');
+    }
+
+    if (type === 'PAYTOOPRETURN') {
+      if (txo.address_n || txo.address) {
+        throw failure('Failure_DataError',
+          'Output\'s address_n provided but not expected.');
+      }
+
+      if (value !== 0) {
+        throw failure('Failure_DataError',
+          'OP_RETURN output with non-zero amount');
+      }
+
+      if (typeof txo.op_return_data !== 'string'
+        || !isHex(txo.op_return_data)) {
+        throw failure('Failure_DataError', 'OP_RETURN output without data');
+      }
+
+      const data = Buffer.from(txo.op_return_data, 'hex');
+
+      return {
+        output: Output.fromScript(Script.fromNulldata(data), value),
+        change: false
+      };
+    }
+
+    if (txo.address_n) {
+      if (!Array.isArray(txo.address_n))
+        throw failure('Failure_DataError', 'Invalid address_n field.');
+
+      if (type === 'PAYTOMULTISIG' && !txo.multisig)
+        throw failure('Failure_DataError', 'Multisig details required.');
+
+      const inputType = changeTypes[type];
+      const key = this.derive(txo.address_n);
+      const redeem = this.getMultisigScript(inputType, txo.multisig,
+        key.publicKey);
+
+      const script = getScript(inputType, key.publicKey, redeem);
+
+      return {
+        output: Output.fromScript(script, value),
+        change: true
+      };
+    }
+
+    if (typeof txo.address !== 'string')
+      throw failure('Failure_DataError', 'Missing address');
+
+    return {
+      output: Output.fromScript(fromAddress(txo.address, network), value),
+      change: false
+    };
+  }
+
+  /**
+   * Create multisig redeem script, public keys are used
+   * in the passed order.
+   * @private
+   * @param {String} type - input script type.
+   * @param {Object?} multisig - MultisigRedeemScriptType.
+   * @param {Buffer} publicKey - our key.
+   * @returns {Script?}
+   */
+
+  getMultisigScript(type, multisig, publicKey) {
+    if (!multisig)
+      return null;
+
+    if (!MULTISIG_INPUT_TYPES.has(type)) {
+      throw failure('Failure_DataError',
+        'Multisig field provided but not expected.');
+    }
+
+    const {m, pubkeys} = multisig;
+
+    if (!Array.isArray(pubkeys)
+      || (m >>> 0) !== m
+      || m < 1
+      || m > pubkeys.length
+      || pubkeys.length > MAX_MULTISIG_PUBKEYS) {
+      throw failure('Failure_DataError', 'Invalid multisig parameters');
+    }
+
+    if (multisig.signatures != null) {
+      if (!Array.isArray(multisig.signatures)
+        || multisig.signatures.length !== pubkeys.length) {
+        throw failure('Failure_DataError', 'Invalid multisig parameters');
+      }
+    }
+
+    const keys = pubkeys.map(pubkey => derivePublicKey(pubkey));
+
+    if (!keys.some(key => key.equals(publicKey)))
+      throw failure('Failure_DataError', 'Pubkey not found in multisig script');
+
+    const script = new Script();
+
+    script.pushInt(m);
+
+    for (const key of keys)
+      script.pushData(key);
+
+    script.pushInt(keys.length);
+    script.pushOp(opcodes.OP_CHECKMULTISIG);
+
+    return script.compile();
+  }
+
+  /**
+   * Derive private key.
+   * @private
+   * @param {Number[]} path - address_n.
+   * @returns {HDPrivateKey}
+   */
+
+  derive(path) {
+    let key = this.master;
+
+    for (const index of path) {
+      if ((index >>> 0) !== index)
+        throw failure('Failure_DataError', 'Invalid path');
+
+      key = key.derive(index);
+    }
+
+    return key;
+  }
+
+  /**
+   * Sign message.
+   * @param {Object} params
+   * @param {Number[]} params.path
+   * @param {String} params.coin
+   * @param {String} params.message
+   * @param {Boolean} [params.hex=false] - message is hex.
+   * @returns {Promise<Object>} - address and base64 signature.
+   */
+
+  async signMessage(params) {
+    return this.call(params, function (params) {
+      const network = getCoinNetwork(params.coin);
+
+      if (typeof params.message !== 'string')
+        throw failure('Failure_DataError', 'Invalid message');
+
+      const message = Buffer.from(params.message,
+        params.hex ? 'hex' : 'utf8');
+      const key = this.derive(common.parsePath(params.path).toList());
+      const script = getScript('SPENDADDRESS', key.publicKey, null);
+
+      this.confirm('ButtonRequest_Other');
+
+      const signature = sigUtils.signMessage(message, key.privateKey);
+
+      return {
+        address: toAddress(script, network),
+        signature: signature.toString('base64')
+      };
+    });
+  }
+
+  /**
+   * Create fake TrezorConnect from options.
+   * @param {Object} options
+   * @returns {FakeTrezorConnect}
+   */
+
+  static fromOptions(options) {
+    return new this(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function failure(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isHex(str, size = -1) {
+  if (typeof str !== 'string' || str.length & 1)
+    return false;
+
+  if (size !== -1 && str.length !== size * 2)
+    return false;
+
+  return /^[0-9a-f]*$/i.test(str);
+}
+
+function readUInt32(value, defaultValue, name) {
+  if (value == null && defaultValue !== -1)
+    return defaultValue;
+
+  if ((value >>> 0) !== value)
+    throw failure('Failure_DataError', `Invalid ${name} field.`);
+
+  return value;
+}
+
+function readAmount(value, name) {
+  if (typeof value === 'string' && /^\d+$/.test(value))
+    value = Number(value);
+
+  if (!Number.isSafeInteger(value) || value < 0)
+    throw failure('Failure_DataError', `Invalid ${name} field.`);
+
+  return value;
+}
+
+function getCoinNetwork(coin) {
+  if (!Object.prototype.hasOwnProperty.call(coinNetworks, coin))
+    throw failure('Method_InvalidParameter', 'Coin not found.');
+
+  return Network.get(coinNetworks[coin]);
+}
+
+function derivePublicKey(pubkey) {
+  assert(pubkey && typeof pubkey === 'object', 'Invalid multisig pubkey.');
+
+  let node = pubkey.node;
+
+  if (typeof node === 'string') {
+    node = HDPublicKey.fromBase58(node);
+  } else {
+    assert(node && typeof node === 'object', 'Invalid multisig node.');
+
+    node = new HDPublicKey({
+      depth: node.depth,
+      parentFingerPrint: node.fingerprint,
+      childIndex: node.child_num,
+      chainCode: Buffer.from(node.chain_code, 'hex'),
+      publicKey: Buffer.from(node.public_key, 'hex')
+    });
+  }
+
+  for (const index of pubkey.address_n || []) {
+    if ((index >>> 0) !== index || (index & HARDENED))
+      throw failure('Failure_DataError', 'Invalid multisig path');
+
+    node = node.derive(index);
+  }
+
+  return node.publicKey;
+}
+
+function getScript(type, publicKey, redeem) {
+  const keyHash = hash160.digest(publicKey);
+
+  switch (type) {
+    case 'SPENDADDRESS':
+      return Script.fromPubkeyhash(keyHash);
+    case 'SPENDMULTISIG':
+      return Script.fromScripthash(redeem.hash160());
+    case 'SPENDWITNESS':
+      if (redeem)
+        return Script.fromProgram(0, redeem.sha256());
+      return Script.fromProgram(0, keyHash);
+    case 'SPENDP2SHWITNESS':
+      if (redeem)
+        return Script.fromScripthash(getScript('SPENDWITNESS', publicKey,
+          redeem).hash160());
+      return Script.fromScripthash(Script.fromProgram(0, keyHash).hash160());
+    case 'SPENDTAPROOT':
+      return taproot.fromPublicKey(publicKey);
+    default:
+      throw failure('Failure_DataError', 'Invalid script type');
+  }
+}
+
+function toAddress(script, network) {
+  if (taproot.isTaprootScript(script))
+    return taproot.toAddress(script, network);
+
+  return Address.fromScript(script).toString(network);
+}
+
+function fromAddress(address, network) {
+  try {
+    return Script.fromAddress(Address.fromString(address, network));
+  } catch (e) {
+    return fromTaprootAddress(address, network);
+  }
+}
+
+function fromTaprootAddress(address, network) {
+  try {
+    return Script.fromProgram(1, taproot.fromAddress(address, network));
+  } catch (e) {
+    throw failure('Failure_DataError', 'Invalid address');
+  }
+}
+
+function readRefTxs(refTxs) {
+  if (!Array.isArray(refTxs))
+    throw failure('Failure_DataError', 'Invalid refTxs');
+
+  const txs = new Map();
+
+  for (const ref of refTxs) {
+    assert(ref && typeof ref === 'object', 'Invalid refTx.');
+
+    if (!Array.isArray(ref.inputs) || !Array.isArray(ref.bin_outputs))
+      throw failure('Failure_DataError', 'Invalid refTx');
+
+    const tx = new MTX();
+
+    tx.version = readUInt32(ref.version, 1, 'version');
+    tx.locktime = readUInt32(ref.lock_time, 0, 'lock_time');
+
+    for (const input of ref.inputs) {
+      if (!isHex(input.prev_hash, 32))
+        throw failure('Failure_DataError', 'Provided prev_hash is invalid.');
+
+      tx.addInput({
+        prevout: {
+          hash: Buffer.from(input.prev_hash, 'hex').reverse(),
+          index: readUInt32(input.prev_index, -1, 'prev_index')
+        },
+        script: Buffer.from(input.script_sig || '', 'hex'),
+        sequence: readUInt32(input.sequence, 0xffffffff, 'sequence')
+      });
+    }
+
+    for (const output of ref.bin_outputs) {
+      const script = Buffer.from(output.script_pubkey || '', 'hex');
+
+      tx.addOutput(Script.fromRaw(script), readAmount(output.amount, 'amount'));
+    }
+
+    // firmware hashes the streamed transaction.
+    if (tx.txid().toString('hex') !== ref.hash)
+      throw failure('Failure_DataError', 'Encountered invalid prev_hash');
+
+    txs.set(ref.hash, tx);
+  }
+
+  return txs;
+}
+
+function applySignature(input, prev, signature) {
+  const {key, redeem, multisig} = prev;
+
+  if (!redeem) {
+    const items = [signature, key.publicKey];
+
+    switch (prev.type) {
+      case 'SPENDADDRESS':
+        input.script = fromItems(items);
+        break;
+      case 'SPENDP2SHWITNESS': {
+        const program = Script.fromProgram(0, hash160.digest(key.publicKey));
+        input.script = fromItems([program.toRaw()]);
+        input.witness.fromArray(items);
+        break;
+      }
+      default:
+        input.witness.fromArray(items);
+        break;
+    }
+
+    return;
+  }
+
+  // signatures of the other cosigners are in the order of pubkeys.
+  const items = [Buffer.alloc(0)];
+  const others = multisig.signatures || [];
+
+  for (const [i, pubkey] of multisig.pubkeys.entries()) {
+    if (derivePublicKey(pubkey).equals(key.publicKey)) {
+      items.push(signature);
+      continue;
+    }
+
+    if (others[i]) {
+      const sig = Buffer.from(others[i], 'hex');
+      items.push(Buffer.concat([sig, Buffer.from([hashType.ALL])]));
+    }
+  }
+
+  items.push(redeem.toRaw());
+
+  switch (prev.type) {
+    case 'SPENDMULTISIG':
+      input.script = fromItems(items);
+      break;
+    case 'SPENDP2SHWITNESS': {
+      const program = Script.fromProgram(0, redeem.sha256());
+      input.script = fromItems([program.toRaw()]);
+      input.witness.fromArray(items);
+      break;
+    }
+    default:
+      input.witness.fromArray(items);
+      break;
+  }
+}
+
+function fromItems(items) {
+  const script = new Script();
+
+  for (const item of items)
+    script.pushData(item);
+
+  return script.compile();
+}
+
+/*
+ * Expose
+ */
+
+exports.FakeTrezorConnect = FakeTrezorConnect;
@@ -10,7 +10,8 @@
  *  + P2WSH
  *  + P2WPKH in P2SH
  *  + P2WSH in P2SH
- *  - NULLDATA - output
+ *  + P2TR (key path, BIP86)
+ *  + NULLDATA - output
  *  - TX With external inputs. -- not supported in trezor-firmware yet.
  *    @see https://github.com/trezor/trezor-firmware/issues/38
  *
@@ -47,6 +48,11 @@
  *        "prevTX": "...raw prev tx hex...",
  *        "coin": { ... },
  *        "multisig": { ... }
+ *      }],
+ *      "outputData": [{
+ *        "path": "...change path...",
+ *        "witness": true,
+ *        "output": { ... }
  *      }]
  *       - NOTE: Ideally we want to use coinview, pathview, scriptview or
  *       somethinig similar to coinview that does not depend on the order.
@@ -68,8 +74,10 @@ const {HDPrivateKey} = hd;
 const MTX = require('bcoin/lib/primitives/mtx');
 const Outpoint = require('bcoin/lib/primitives/outpoint');
 const Output = require('bcoin/lib/primitives/output');
+const Address = require('bcoin/lib/primitives/address');
 const {phrase} = require('../test/utils/key');
 const {Path} = require('../lib/path');
+const taproot = require('../lib/taproot');
 const fundUtil = require('./utils/fund');
 
 const NETWORK = 'testnet';
@@ -77,8 +85,10 @@ const network = Network.get(NETWORK);
 const coinType = network.keyPrefix.coinType;
 
 const ADDRESS = '3Bi9H1hzCHWJoFEjc4xzVzEMywi35dyvsV';
+const NULLDATA = Buffer.from('bsigner nulldata output', 'utf8');
 const P2PKH_ACC = Path.fromString(`m/44'/${coinType}'/0'`);
 const P2SH_ACC = Path.fromString(`m/44'/${coinType}'/1'`);
+const P2TR_ACC = Path.fromString(`m/86'/${coinType}'/0'`);
 
 const deviceMaster = HDPrivateKey.fromPhrase(phrase);
 const TEST_MASTER = Buffer.from('0488ade400000000000000000077350243858505f17c'
@@ -116,6 +126,29 @@ async function getP2PKHInput(options) {
   };
 }
 
+async function getP2TRInput(options) {
+  const {i} = options;
+
+  const path = P2TR_ACC.clone().push(0).push(i);
+  const changePath = P2TR_ACC.clone().push(1).push(i);
+
+  const priv = deviceMaster.derivePath(path.toString());
+  const addr = hd2taproot(priv);
+
+  const changePriv = deviceMaster.derivePath(changePath.toString());
+  const changeAddr = hd2taproot(changePriv);
+
+  const {txs, coins} = await fundUtil.fundAddress(addr, 1);
+
+  return {
+    path,
+    changePath: changePath,
+    txs,
+    coins,
+    changeAddress: changeAddr
+  };
+}
+
 /**
  * Generate P2SH Input.
  * NOTE: XPUBs array contains device xpub first!
@@ -181,7 +214,9 @@ async function getP2SHInput(options) {
 async function generateP2PKH(witness, nested) {
   assert(!nested || witness, 'can not set nested without witness.');
 
-  const {txs, coins, changeAddress, path} = await getP2PKHInput({
+  const {
+    txs, coins, changeAddress, path, changePath
+  } = await getP2PKHInput({
     i: 0,
     witness,
     nested,
@@ -198,7 +233,8 @@ async function generateP2PKH(witness, nested) {
       output: outputFromCoin(coins[0]).toJSON(),
       path: path.toString(),
       witness: witness
-    }]
+    }],
+    outputData: getChangeOutputData(tx, changeAddress, changePath, witness)
   };
 }
 
@@ -251,6 +287,110 @@ async function generateP2SH(witness, nested) {
   return input;
 }
 
+/**
+ * PAY2TAPROOT (key path)
+ */
+
+async function generateP2TR() {
+  const {
+    txs, coins, changeAddress, path, changePath
+  } = await getP2TRInput({
+    i: 0,
+    network
+  });
+
+  const tx = await createTX([coins[0]], changeAddress);
+
+  return {
+    tx: tx.toRaw().toString('hex'),
+    inputData: [{
+      prevTX: txs[0].toRaw().toString('hex'),
+      prevout: outpointFromCoin(coins[0]).toJSON(),
+      output: outputToJSON(coins[0]),
+      path: path.toString(),
+      witness: true
+    }],
+    outputData: getChangeOutputData(tx, changeAddress, changePath, true)
+  };
+}
+
+async function createTaprootMultitypeTransaction() {
+  const p2trInput = await getP2TRInput({
+    i: 1,
+    network
+  });
+
+  const p2wpkhInput = await getP2PKHInput({
+    i: 3,
+    witness: true,
+    nested: false,
+    network
+  });
+
+  const coins = [...p2trInput.coins, ...p2wpkhInput.coins];
+  const tx = await createTX(coins, p2trInput.changeAddress);
+
+  return {
+    tx: tx.toRaw().toString('hex'),
+    inputData: [p2trInput, p2wpkhInput].map((input) => {
+      return {
+        prevTX: input.txs[0].toRaw().toString('hex'),
+        prevout: outpointFromCoin(input.coins[0]).toJSON(),
+        output: outputToJSON(input.coins[0]),
+        path: input.path.toString(),
+        witness: true
+      };
+    }),
+    outputData: getChangeOutputData(tx, p2trInput.changeAddress,
+      p2trInput.changePath, true)
+  };
+}
+
+/**
+ * Transaction with OP_RETURN output,
+ * spends p2pkh and p2wpkh so all devices can sign it.
+ */
+
+async function createNulldataTransaction() {
+  const p2pkhInput = await getP2PKHInput({
+    i: 4,
+    witness: false,
+    nested: false,
+    network
+  });
+
+  const p2wpkhInput = await getP2PKHInput({
+    i: 5,
+    witness: true,
+    nested: false,
+    network
+  });
+
+  const inputs = [p2pkhInput, p2wpkhInput];
+  const coins = [...p2pkhInput.coins, ...p2wpkhInput.coins];
+  const tx = await createTX(coins, p2wpkhInput.changeAddress, [
+    new Output({
+      value: 0,
+      script: Script.fromNulldata(NULLDATA)
+    })
+  ]);
+
+  return {
+    tx: tx.toRaw().toString('hex'),
+    inputData: inputs.map((input, i) => {
+      return {
+        prevTX: input.txs[0].toRaw().toString('hex'),
+        prevout: outpointFromCoin(input.coins[0]).toJSON(),
+        output: outputFromCoin(input.coins[0]).toJSON(),
+        path: input.path.toString(),
+        witness: i === 1
+      };
+    }),
+    outputData: getChangeOutputData(tx, p2wpkhInput.changeAddress,
+      p2wpkhInput.changePath, true)
+  };
+}
+
 async function createMultitypeTransaction(witness, nested) {
   assert(!nested || witness, 'can not set nested without witness.');
 
@@ -309,7 +449,9 @@ async function createMultitypeTransaction(witness, nested) {
 
   const trezorInput = {
     tx: tx.toRaw().toString('hex'),
-    inputData: []
+    inputData: [],
+    outputData: getChangeOutputData(tx, p2pkhInputs[0].changeAddress,
+      p2pkhInputs[0].changePath, witness)
   };
 
   // sign external input
@@ -412,6 +554,21 @@ async function main() {
     ...await createMultitypeTransaction(true, true)
   });
 
+  json.vectors.push({
+    description: 'P2TR',
+    ...await generateP2TR()
+  });
+
+  json.vectors.push({
+    description: 'Multiple input transaction (p2tr, p2wpkh)',
+    ...await createTaprootMultitypeTransaction()
+  });
+
+  json.vectors.push({
+    description: 'Nulldata output transaction (p2pkh, p2wpkh)',
+    ...await createNulldataTransaction()
+  });
+
   return json;
 }
 
@@ -436,7 +593,14 @@ function hd2addr(hd, network, witness, nested) {
   return keyring.getAddress(network);
 }
 
-async function createTX(coins, changeAddress) {
+// bcoin does not know bech32m, so we only use
+// address object for the script.
+function hd2taproot(hd) {
+  const key = taproot.tweakPublicKey(hd.publicKey);
+  return Address.fromProgram(1, key);
+}
+
+async function createTX(coins, changeAddress, outputs = []) {
   const mtx = new MTX();
 
   let totalAmount = 0;
@@ -449,6 +613,9 @@ async function createTX(coins, changeAddress) {
     address: ADDRESS
   });
 
+  for (const output of outputs)
+    mtx.addOutput(output);
+
   await mtx.fund(coins, {
     subtractFee: true,
     changeAddress: changeAddress
@@ -517,10 +684,32 @@ function findInput(tx, ring) {
   return foundInput;
 }
 
+function getChangeOutputData(tx, changeAddress, changePath, witness) {
+  const script = Script.fromAddress(changeAddress);
+  const output = tx.outputs.find(output => output.script.equals(script));
+
+  assert(output, 'Could not find change output.');
+
+  return [{
+    path: changePath.toString(),
+    witness: witness,
+    output: outputToJSON(output)
+  }];
+}
+
 function outputFromCoin(coin) {
   return new Output(coin);
 }
 
+function outputToJSON(coin) {
+  const json = outputFromCoin(coin).toJSON();
+
+  if (taproot.isTaprootScript(coin.script))
+    json.address = taproot.toAddress(coin.script, Network.primary);
+
+  return json;
+}
+
 function outpointFromCoin(coin) {
   return Outpoint.fromOptions({
     hash: coin.hash,
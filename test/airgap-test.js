@@ -0,0 +1,512 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const {once} = require('events');
+const fs = require('bfile');
+const {HDPrivateKey} = require('bcoin');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors, interactions} = require('../lib/common');
+const ur = require('../lib/airgap/ur');
+const {
+  methods,
+  AirgapRequest,
+  AirgapResponse
+} = require('../lib/airgap/request');
+const {OfflineSigner} = require('../lib/airgap/offline');
+const MemoryDevice = require('../lib/device/memory');
+const AirgapDevice = require('../lib/device/airgap');
+const common = require('../lib/device/helpers/common');
+const taproot = require('../lib/taproot');
+const {getFingerprint} = require('../lib/psbt');
+const {getLogger, testdir, readSignVectors, getFingerprintHex} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = readSignVectors('./data/signVectors.json');
+const network = signVectors.network;
+const master = HDPrivateKey.fromPhrase(phrase);
+const accountPath = Path.fromList([44, 1, 0], true);
+
+describe('Airgap', function () {
+  before(async () => {
+    await logger.open();
+  });
+
+  describe('UR', function () {
+    it('should encode bytewords', () => {
+      const data = Buffer.from([0, 1, 2, 128, 255]);
+      const words = ur.encodeBytewords(data);
+
+      assert.strictEqual(words, 'aeadaolazmjendeoti');
+      assert.bufferEqual(ur.decodeBytewords(words), data);
+
+      assert.throws(() => ur.decodeBytewords('adadaolazmjendeoti'), {
+        message: 'Invalid bytewords checksum.'
+      });
+    });
+
+    it('should generate random numbers', () => {
+      const rng = new ur.Xoshiro(Buffer.from('Wolf'));
+      const numbers = [];
+
+      for (let i = 0; i < 10; i++)
+        numbers.push(Number(rng.next() % 100n));
+
+      assert.deepStrictEqual(numbers, [42, 81, 85, 8, 82, 84, 76, 73, 70, 88]);
+    });
+
+    it('should encode multipart UR', () => {
+      const message = new ur.Xoshiro(Buffer.from('Wolf')).nextData(256);
+      const encoder = ur.UREncoder.fromBytes('bytes', message, 30);
+      const parts = encoder.getParts(10);
+
+      assert.strictEqual(encoder.seqLen, 9);
+      assert.strictEqual(parts[0], 'ur:bytes/1-9/lpadascfadaxcywenbpljkhdcahk'
+        + 'adaemejtswhhylkepmykhhtsytsnoyoyaxaedsuttydmmhhpktpmsrjtdkgslpgh');
+      assert.strictEqual(parts[8], 'ur:bytes/9-9/lpasascfadaxcywenbpljkhdcajs'
+        + 'kecpmdckihdyhphfotjojtfmlnwmadspaxrkytbztpbauotbgtgtaeaevtgavtny');
+      assert.strictEqual(parts[9], 'ur:bytes/10-9/lpbkascfadaxcywenbpljkhdcah'
+        + 'kadaemejtswhhylkepmykhhtsytsnoyoyaxaedsuttydmmhhpktpmsrjtwdkiplzs');
+    });
+
+    it('should choose fragments', () => {
+      const message = new ur.Xoshiro(Buffer.from('Wolf')).nextData(1024);
+      const encoder = new ur.FountainEncoder(message, 100);
+      const indexes = [];
+
+      for (let i = 0; i < 15; i++) {
+        const part = encoder.nextPart();
+        indexes.push(ur.chooseFragments(part.seqNum, part.seqLen,
+          part.checksum));
+      }
+
+      assert.deepStrictEqual(indexes, [
+        [0], [1], [2], [3], [4], [5], [6], [7], [8], [9], [10],
+        [9], [2, 5, 6, 8, 9, 10], [8], [1, 5]
+      ]);
+    });
+
+    it('should decode with lost parts', () => {
+      const message = new ur.Xoshiro(Buffer.from('Big')).nextData(5000);
+      const encoder = ur.UREncoder.fromBytes('bsigner-request', message, 120);
+      const decoder = new ur.URDecoder();
+
+      // skip every third part.
+      for (let i = 1; !decoder.isComplete(); i++) {
+        const part = encoder.nextPart();
+
+        if (i % 3 === 0)
+          continue;
+
+        decoder.receivePart(part);
+      }
+
+      assert.strictEqual(decoder.type, 'bsigner-request');
+      assert.bufferEqual(decoder.getBytes(), message);
+    });
+
+    it('should encode single part UR', () => {
+      const encoder = ur.UREncoder.fromBytes('bytes', Buffer.from('bsigner'));
+      const [part] = encoder.getParts();
+
+      assert(encoder.isSinglePart());
+      assert(!part.includes('/1-1/'));
+
+      const decoder = ur.URDecoder.fromParts(part.toUpperCase());
+
+      assert.strictEqual(decoder.getBytes().toString(), 'bsigner');
+
+      assert.throws(() => ur.URDecoder.fromParts([]), {
+        message: 'Not enough UR parts.'
+      });
+    });
+  });
+
+  describe('Request', function () {
+    it('should encode request', () => {
+      const request = AirgapRequest.fromOptions({
+        network,
+        fingerprint: getFingerprint(master.publicKey),
+        method: methods.GET_PUBLIC_KEY,
+        params: { path: accountPath.toString() }
+      });
+
+      const json = request.getJSON();
+
+      assert.strictEqual(json.network, network.type);
+      assert.strictEqual(json.id.length, 16);
+      assert.deepStrictEqual(AirgapRequest.fromJSON(json).getJSON(), json);
+      assert.deepStrictEqual(AirgapRequest.fromRaw(request.toRaw()).getJSON(),
+        json);
+
+      const parts = request.toUR(40).getParts();
+
+      assert(parts.length > 1);
+      assert.deepStrictEqual(AirgapRequest.fromUR(parts).getJSON(), json);
+
+      assert.throws(() => AirgapResponse.fromUR(parts), {
+        message: 'Unexpected UR type "bsigner-request".'
+      });
+
+      assert.throws(() => AirgapRequest.fromOptions({ method: 'sign' }), {
+        message: 'Unknown method "sign".'
+      });
+    });
+  });
+
+  describe('Device', function () {
+    let memory = null;
+    let offline = null;
+
+    beforeEach(async () => {
+      memory = MemoryDevice.fromOptions({ phrase, network, logger });
+      await memory.open();
+
+      offline = OfflineSigner.fromOptions({
+        device: MemoryDevice.fromOptions({ phrase, network, logger }),
+        logger
+      });
+
+      await offline.open();
+    });
+
+    afterEach(async () => {
+      await memory.close();
+      await offline.close();
+    });
+
+    it('should get xpub from the offline signer', async () => {
+      const requests = [];
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        getResponse: request => offline.handleRequest(request)
+      });
+
+      device.on(interactions.AIRGAP_REQUEST, d => requests.push(d));
+
+      assert.strictEqual(device.vendor, vendors.AIRGAP);
+
+      await device.open();
+
+      const xpub = await device.getXPUB(accountPath);
+
+      assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+      assert.strictEqual(await device.getFingerprint(),
+        getFingerprint(master.publicKey));
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].method, methods.GET_PUBLIC_KEY);
+      assert.strictEqual(requests[0].file, null);
+      assert(requests[0].encoder instanceof ur.UREncoder);
+
+      await device.close();
+    });
+
+    for (const vector of signVectors.vectors) {
+      it(`should sign ${vector.description} as memory device`, async () => {
+        const {tx, inputData, outputData} = vector;
+
+        // responses are passed back as UR parts.
+        const device = AirgapDevice.fromOptions({
+          network,
+          logger,
+          getResponse: async (request) => {
+            const parts = request.toUR(100).getParts();
+            const response = await offline.handleRequest(parts);
+
+            return response.toUR(100).getParts();
+          }
+        });
+
+        await device.open();
+
+        const expected = await memory.getSignatures(tx, inputData, outputData);
+        const signatures = await device.getSignatures(tx, inputData,
+          outputData);
+
+        const inputDataMap = common.prepareSignOptions(inputData);
+        const coins = common.getSpentOutputs(tx, inputDataMap);
+
+        assert.strictEqual(signatures.length, expected.length);
+
+        for (const [i, signature] of signatures.entries()) {
+          const data = inputDataMap.get(tx.inputs[i].prevout.toKey());
+
+          // schnorr signatures are not deterministic.
+          if (data.isTaproot()) {
+            assert(taproot.verifyInput(tx, i, coins, signature));
+            continue;
+          }
+
+          assert.bufferEqual(signature, expected[i]);
+        }
+
+        if (!inputData.some(data => data.isTaproot())) {
+          const mtx = await device.signTransaction(tx, inputData, outputData);
+          const signed = await memory.signTransaction(tx, inputData,
+            outputData);
+
+          assert.bufferEqual(mtx.toRaw(), signed.toRaw());
+        }
+
+        await device.close();
+      });
+    }
+
+    it('should reject invalid signatures of the offline signer', async () => {
+      const {tx, inputData, outputData} = signVectors.vectors[0];
+      const {device: offlineDevice} = offline;
+      const getSignatures = offlineDevice._getSignatures.bind(offlineDevice);
+      const signTransaction =
+        offlineDevice._signTransaction.bind(offlineDevice);
+
+      offlineDevice._getSignatures = async (...args) => {
+        const signatures = await getSignatures(...args);
+        return signatures.map(sig => sig ? tamper(sig) : null);
+      };
+
+      offlineDevice._signTransaction = async (...args) => {
+        const mtx = await signTransaction(...args);
+        const [sig, key] = mtx.inputs[0].script.toItems();
+
+        mtx.inputs[0].script.fromItems([tamper(sig), key]);
+
+        return mtx;
+      };
+
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        getResponse: request => offline.handleRequest(request)
+      });
+
+      await device.open();
+
+      await assert.rejects(device.getSignatures(tx, inputData, outputData), {
+        message: 'Invalid signature for input 0.'
+      });
+
+      await assert.rejects(device.signTransaction(tx, inputData, outputData), {
+        message: 'Invalid signature for input 0.'
+      });
+
+      await device.close();
+    });
+
+    it('should sign message as memory device', async () => {
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        getResponse: request => offline.handleRequest(request.toRaw())
+      });
+
+      await device.open();
+
+      const messagePath = accountPath.clone().push(0).push(0);
+      const message = Buffer.from('bsigner airgap device');
+
+      const expected = await memory.signMessage(messagePath, message);
+      const signature = await device.signMessage(messagePath, message);
+
+      assert.deepStrictEqual(signature.getJSON(), expected.getJSON());
+
+      await device.close();
+    });
+
+    it('should exchange request files', async () => {
+      const dir = testdir('airgap');
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        dir,
+        pollInterval: 10
+      });
+
+      await device.open();
+
+      const requested = once(device, interactions.AIRGAP_REQUEST);
+      const xpub = device.getXPUB(accountPath);
+      const [details] = await requested;
+
+      const request = await AirgapRequest.fromFile(details.file);
+      const response = await offline.handleRequest(request);
+
+      assert.strictEqual(details.file,
+        path.join(dir, `${request.id}.request.json`));
+
+      await response.write(path.join(dir, `${request.id}.response.json`));
+
+      assert.strictEqual(await xpub, testxpub(0, network).xpubkey(network));
+
+      await device.close();
+      await fs.remove(dir);
+    });
+
+    it('should import response', async () => {
+      const device = AirgapDevice.fromOptions({ network, logger });
+
+      await device.open();
+
+      const requested = once(device, interactions.AIRGAP_REQUEST);
+      const xpub = device.getXPUB(accountPath);
+      const [details] = await requested;
+
+      const parts = details.encoder.getParts();
+      const response = await offline.handleRequest(parts);
+
+      const other = AirgapResponse.fromOptions({
+        id: '0000000000000000',
+        result: response.result
+      });
+
+      assert.throws(() => device.importResponse(other), {
+        message: 'Response does not match the request.'
+      });
+
+      device.importResponse(response.toUR(50).getParts().join(' '));
+
+      assert.strictEqual(await xpub, testxpub(0, network).xpubkey(network));
+
+      assert.throws(() => device.importResponse(other), {
+        message: 'No pending request.'
+      });
+
+      await device.close();
+    });
+
+    it('should cancel waiting for the response', async () => {
+      const device = AirgapDevice.fromOptions({ network, logger });
+
+      await device.open();
+
+      await assert.rejects(device.getPublicKey(accountPath, { timeout: 50 }), {
+        message: 'Request timed out.'
+      });
+
+      assert.strictEqual(device.pending, null);
+
+      // lock is released for the next request.
+      device.getResponse = request => offline.handleRequest(request);
+
+      assert.strictEqual(await device.getXPUB(accountPath),
+        testxpub(0, network).xpubkey(network));
+
+      await device.close();
+    });
+
+    it('should reject responses of other keys', async () => {
+      const other = HDPrivateKey.generate();
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        fingerprint: getFingerprint(other.publicKey),
+        getResponse: request => offline.handleRequest(request)
+      });
+
+      await device.open();
+
+      await assert.rejects(device.getXPUB(accountPath), {
+        message: 'Request is for another key.'
+      });
+
+      await device.close();
+
+      const mainnet = AirgapDevice.fromOptions({
+        network: 'main',
+        logger,
+        getResponse: request => offline.handleRequest(request)
+      });
+
+      await mainnet.open();
+
+      await assert.rejects(mainnet.getXPUB(accountPath), {
+        message: 'Request is for main network.'
+      });
+
+      await mainnet.close();
+    });
+
+    it('should reject requests on the offline signer', async () => {
+      const confirmed = OfflineSigner.fromOptions({
+        device: offline.device,
+        logger,
+        confirm: async (request, args) => {
+          assert.strictEqual(request.method, methods.SIGN_MESSAGE);
+          return false;
+        }
+      });
+
+      const device = AirgapDevice.fromOptions({
+        network,
+        logger,
+        getResponse: request => confirmed.handleRequest(request)
+      });
+
+      await device.open();
+
+      await assert.rejects(device.signMessage(accountPath, 'bsigner'), {
+        message: 'Request was rejected.'
+      });
+
+      await device.close();
+    });
+  });
+
+  describe('Manager', function () {
+    it('should use default device', async () => {
+      const device = MemoryDevice.fromOptions({ phrase, network, logger });
+      const offline = OfflineSigner.fromOptions({ device, logger });
+
+      await offline.open();
+
+      const signer = Signer.fromOptions({
+        vendor: vendors.AIRGAP,
+        network,
+        logger,
+        [vendors.AIRGAP]: {
+          getResponse: request => offline.handleRequest(request),
+          device: {
+            fingerprint: getFingerprint(master.publicKey)
+          }
+        }
+      });
+
+      const events = [];
+
+      signer.on(interactions.AIRGAP_REQUEST, (d, details) => {
+        events.push(details.method);
+      });
+
+      await signer.open();
+
+      const selected = await signer.selectDevice(vendors.AIRGAP);
+
+      assert.strictEqual(selected.key, getFingerprintHex(master));
+
+      await selected.open();
+
+      const xpub = await signer.getPublicKey(accountPath);
+
+      assert.strictEqual(xpub.xpubkey(network),
+        testxpub(0, network).xpubkey(network));
+      assert.deepStrictEqual(events, [methods.GET_PUBLIC_KEY]);
+
+      await signer.close();
+      await offline.close();
+    });
+  });
+});
+
+/*
+ * Helpers
+ */
+
+function tamper(signature) {
+  const data = Buffer.from(signature);
+  data[10] ^= 1;
+  return data;
+}
@@ -0,0 +1,226 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network, HDPrivateKey} = require('bcoin');
+const {Signer, Path, verifyMessage} = require('../lib/bsigner');
+const {vendors, scriptTypes} = require('../lib/common');
+const MemoryDevice = require('../lib/device/memory');
+const bip322 = require('../lib/bip322');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const enabledVendors = getTestVendors();
+const coinType = network.keyPrefix.coinType;
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0322.mediawiki
+const bip322Vectors = [{
+  message: '',
+  hash: 'c90c269c4f8fcbe6880f72a721ddfbf1914268a794cbb21cfafee13770ae19f1',
+  toSpend: 'c5680aa69bb8d860bf82d4e9cd3504b55dde018de765a91bb566283c545a99a7',
+  toSign: '1e9654e951a5ba44c8604c4de6c67fd78a27e81dcadcfe1edf638ba3aaebaed6',
+  proof: 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRl'
+    + 'EylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4'
+    + 'XCsMvViHI='
+}, {
+  message: 'Hello World',
+  hash: 'f0eb03b1a75ac6d9847f55c624a99169b5dccba2a31f5b23bea77ba270de0a7a',
+  toSpend: 'b79d196740ad5217771c1098fc4a4b51e0535c32236c71f1ea4d61a2d603352b',
+  toSign: '88737ae86f2077145f93cc4b153ae9a1cb8d56afa511988c149c5c8c9d93bddf',
+  proof: 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtpt'
+    + 'FluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4'
+    + 'XCsMvViHI='
+}];
+
+const vectorAddress = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+
+describe('BIP322', function () {
+  this.timeout(1e7);
+
+  for (const vector of bip322Vectors) {
+    const name = `"${vector.message}"`;
+
+    it(`should create virtual transactions (${name})`, () => {
+      const script = bip322.getScript(vectorAddress, 'main');
+      const spend = bip322.toSpend(script, vector.message);
+      const mtx = bip322.toSign(spend);
+
+      assert.strictEqual(bip322.hashMessage(vector.message).toString('hex'),
+        vector.hash);
+      assert.strictEqual(spend.txid(), vector.toSpend);
+      assert.strictEqual(mtx.txid(), vector.toSign);
+    });
+
+    it(`should verify simple proof (${name})`, () => {
+      const {format} = bip322.decode(vector.proof);
+
+      assert.strictEqual(format, bip322.formats.SIMPLE);
+      assert.strictEqual(verifyMessage(vectorAddress, vector.message,
+        vector.proof, 'main'), true);
+      assert.strictEqual(verifyMessage(vectorAddress, 'other message',
+        vector.proof, 'main'), false);
+    });
+  }
+
+  it('should reject invalid proof', () => {
+    assert.throws(() => bip322.decode(Buffer.from('ffff', 'hex')), {
+      message: 'Invalid BIP322 proof.'
+    });
+
+    assert.strictEqual(verifyMessage(vectorAddress, '', 'ffff', 'main'), false);
+  });
+
+  it('should not verify proof of invalid address', () => {
+    const {proof} = bip322Vectors[0];
+
+    assert.strictEqual(verifyMessage('invalid', '', proof, 'main'), false);
+    assert.strictEqual(verifyMessage(vectorAddress, '', proof, 'regtest'),
+      false);
+  });
+
+  describe('Sign Message', function () {
+    let manager = null;
+
+    before(async () => {
+      await logger.open();
+
+      manager = Signer.fromOptions({
+        vendor: enabledVendors,
+        network,
+        logger,
+        ...getVendorOptions(network)
+      });
+
+      await manager.open();
+
+      for (const vendor of enabledVendors) {
+        try {
+          await manager.selectDevice(vendor);
+        } catch (e) {
+          throw new Error(`Could not select device for ${vendor}.`);
+        }
+      }
+    });
+
+    after(async () => {
+      if (manager.opened)
+        await manager.close();
+    });
+
+    const message = 'bsigner BIP322 message';
+
+    const singleVectors = [
+      [44, scriptTypes.P2PKH, bip322.formats.FULL],
+      [49, scriptTypes.P2SH_P2WPKH, bip322.formats.SIMPLE],
+      [84, scriptTypes.P2WPKH, bip322.formats.SIMPLE],
+      [84, scriptTypes.P2WPKH, bip322.formats.FULL],
+      [86, scriptTypes.P2TR, bip322.formats.SIMPLE]
+    ];
+
+    for (const vendor of enabledVendors) {
+      describe(`${vendor}`, function () {
+        let device = null;
+
+        beforeEach(async () => {
+          device = await manager.selectDevice(vendor);
+          await device.open();
+        });
+
+        afterEach(async () => {
+          await device.close();
+        });
+
+        for (const [purpose, type, format] of singleVectors) {
+          // ledger does not support taproot.
+          if (vendor === vendors.LEDGER && type === scriptTypes.P2TR)
+            continue;
+
+          it(`should sign ${type} message (${format})`, async () => {
+            const path = Path.fromList([purpose, coinType, 0], true)
+              .push(0)
+              .push(0);
+
+            const result = await manager.signMessageBIP322(path, message, {
+              format
+            });
+
+            const address = await manager.getAddress(path, { type });
+            const decoded = bip322.decode(result.proof);
+
+            assert.strictEqual(result.address, address);
+            assert.strictEqual(decoded.format, format);
+            assert.strictEqual(verifyMessage(address, message, result.proof,
+              network), true);
+            assert.strictEqual(verifyMessage(address, 'other', result.proof,
+              network), false);
+          });
+        }
+
+        it('should reject simple format for P2PKH', async () => {
+          const path = Path.fromList([44, coinType, 0], true).push(0).push(0);
+
+          await assert.rejects(manager.signMessageBIP322(path, message, {
+            format: bip322.formats.SIMPLE
+          }), {
+            message: 'Non-witness scripts need full format.'
+          });
+        });
+
+        it('should sign multisig message', async () => {
+          const accountPath = Path.fromList([48, coinType, 0, 2], true);
+          const path = Path.fromList([...accountPath.toList(), 0, 0]);
+
+          const cosigner = MemoryDevice.fromOptions({
+            key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1)),
+            network,
+            logger
+          });
+
+          await cosigner.open();
+
+          const ours = await manager.getPublicKey(accountPath);
+          const theirs = await cosigner.getPublicKey(accountPath);
+
+          const getOptions = (signature = '') => ({
+            type: scriptTypes.P2WSH,
+            multisig: {
+              m: 2,
+              pubkeys: [{
+                xpub: ours.xpubkey(network),
+                path: Path.fromList([0, 0]),
+                signature: ''
+              }, {
+                xpub: theirs.xpubkey(network),
+                path: Path.fromList([0, 0]),
+                signature: signature
+              }]
+            }
+          });
+
+          const cosigned = await cosigner.signMessageBIP322(path, message,
+            getOptions());
+
+          // one of two signatures.
+          assert.strictEqual(verifyMessage(cosigned.address, message,
+            cosigned.proof, network), false);
+
+          const result = await manager.signMessageBIP322(path, message,
+            getOptions(cosigned.signature.toString('hex')));
+
+          assert.strictEqual(result.address, cosigned.address);
+          assert.strictEqual(verifyMessage(result.address, message,
+            result.proof, network), true);
+
+          await cosigner.close();
+        });
+      });
+    }
+  });
+});
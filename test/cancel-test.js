@@ -0,0 +1,200 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network} = require('bcoin');
+const {Signer, Path, CanceledError} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const MemoryDevice = require('../lib/device/memory');
+const {getLogger} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const coinType = network.keyPrefix.coinType;
+const path = Path.fromList([44, coinType, 0], true);
+
+describe('Cancel Requests', function () {
+  let device = null;
+  let release = null;
+  let canceled = 0;
+
+  // next getPublicKey waits until released,
+  // returned promise resolves when it starts.
+  const holdPublicKey = () => {
+    const getPublicKey = device._getPublicKey.bind(device);
+    const hold = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    return new Promise((resolve) => {
+      device._getPublicKey = async (...args) => {
+        device._getPublicKey = getPublicKey;
+        resolve();
+        await hold;
+        return getPublicKey(...args);
+      };
+    });
+  };
+
+  beforeEach(async () => {
+    await logger.open();
+
+    device = MemoryDevice.fromOptions({ phrase, network, logger });
+    canceled = 0;
+
+    device._cancel = async () => {
+      canceled += 1;
+    };
+
+    await device.open();
+  });
+
+  afterEach(async () => {
+    await device.close();
+  });
+
+  it('should reject with aborted signal', async () => {
+    const controller = new AbortController();
+
+    controller.abort();
+
+    await assert.rejects(device.getPublicKey(path, {
+      signal: controller.signal
+    }), {
+      type: 'CanceledError',
+      reason: 'cancel',
+      message: 'Request was canceled.'
+    });
+
+    assert.strictEqual(device.queueDepth, 0);
+    assert.strictEqual(canceled, 0);
+  });
+
+  it('should cancel running request', async () => {
+    const controller = new AbortController();
+    const started = holdPublicKey();
+    const pending = device.getPublicKey(path, { signal: controller.signal });
+    const address = device.getAddress(path.clone().push(0).push(0));
+
+    await started;
+
+    controller.abort();
+
+    await assert.rejects(pending, {
+      message: 'Request was canceled.'
+    });
+
+    assert.strictEqual(canceled, 1);
+
+    // device is still busy with the request.
+    assert.strictEqual(device.getQueue().current, 'getPublicKey');
+
+    release();
+
+    assert.strictEqual(typeof await address, 'string');
+    assert.strictEqual(device.queueDepth, 0);
+  });
+
+  it('should remove canceled request from the queue', async () => {
+    const controller = new AbortController();
+    const started = holdPublicKey();
+    const first = device.getPublicKey(path);
+    const message = device.signMessage(path.clone().push(0).push(0), 'msg', {
+      signal: controller.signal
+    });
+
+    await started;
+
+    assert.deepStrictEqual(device.getQueue().pending, ['signMessage']);
+
+    controller.abort();
+
+    await assert.rejects(message, {
+      message: 'Request was canceled.'
+    });
+
+    assert.deepStrictEqual(device.getQueue().pending, []);
+    assert.strictEqual(device.queue.pending('signMessage'), false);
+    assert.strictEqual(canceled, 0);
+
+    release();
+
+    await first;
+  });
+
+  it('should time out', async () => {
+    const started = holdPublicKey();
+    const pending = device.getXPUB(path, false, { timeout: 10 });
+
+    await started;
+
+    const err = await pending.catch(e => e);
+
+    assert(CanceledError.isCanceledError(err));
+    assert.strictEqual(err.reason, 'timeout');
+    assert.strictEqual(err.message, 'Request timed out.');
+    assert.strictEqual(canceled, 1);
+
+    release();
+
+    // requests that finish in time are not affected.
+    const xpub = await device.getXPUB(path, false, { timeout: 1000 });
+
+    assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+  });
+
+  it('should validate options', async () => {
+    await assert.rejects(device.getAddress(path, { timeout: -1 }), {
+      message: '"options.timeout" must be a(n) uint32.'
+    });
+
+    await assert.rejects(device.getAddress(path, { signal: {} }), {
+      message: '"options.signal" must be a(n) AbortSignal.'
+    });
+  });
+
+  it('should cancel signer requests', async () => {
+    const signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network,
+      logger,
+      [vendors.MEMORY]: {
+        device: { phrase }
+      }
+    });
+
+    await signer.open();
+
+    const selected = await signer.selectDevice(vendors.MEMORY);
+    await selected.open();
+
+    const controller = new AbortController();
+
+    controller.abort();
+
+    await assert.rejects(signer.getFingerprint({
+      signal: controller.signal
+    }), {
+      message: 'Request was canceled.'
+    });
+
+    await assert.rejects(signer.getPublicKey(path, {
+      origin: true,
+      signal: controller.signal
+    }), {
+      message: 'Request was canceled.'
+    });
+
+    const origin = await signer.getPublicKey(path, {
+      origin: true,
+      timeout: 1000
+    });
+
+    assert.strictEqual(origin.xpub, testxpub(0, network).xpubkey(network));
+
+    await signer.close();
+  });
+});
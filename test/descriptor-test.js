@@ -0,0 +1,299 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {HDPrivateKey, KeyRing, Script, MTX} = require('bcoin');
+const {Descriptor, types, getChecksum} = require('../lib/descriptor');
+const {getFingerprint} = require('../lib/psbt');
+const {Path} = require('../lib/path');
+const {phrase} = require('./utils/key');
+
+const network = 'main';
+const master = HDPrivateKey.fromPhrase(phrase);
+const fingerprint = getFingerprint(master.publicKey);
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0380.mediawiki
+// @see https://github.com/bitcoin/bips/blob/master/bip-0381.mediawiki
+const checksumVectors = [
+  'raw(deadbeef)#89f8spxm',
+  'pkh([d34db33f/44\'/0\'/0\']xpub6ERApfZwUNrhLCkDtcHTcxd75RbzS1ed54G1LkBUHQ'
+    + 'VHQKqhMkhgbmJbZRkrgZw4koxb5JaHWkY4ALHY2grBGRjaDMzQLcgJvLJuZZvRcEL/1/*)'
+    + '#ml40v0wf',
+  'wpkh(02f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9)'
+    + '#8zl0zxma'
+];
+
+const singleVectors = [{
+  type: types.PKH,
+  purpose: 44,
+  witness: false,
+  nested: false
+}, {
+  type: types.SH_WPKH,
+  purpose: 49,
+  witness: true,
+  nested: true
+}, {
+  type: types.WPKH,
+  purpose: 84,
+  witness: true,
+  nested: false
+}];
+
+describe('Descriptor', function () {
+  for (const vector of checksumVectors) {
+    it(`should compute checksum (${vector.split('(')[0]})`, () => {
+      const [desc, checksum] = vector.split('#');
+
+      assert.strictEqual(getChecksum(desc), checksum);
+    });
+  }
+
+  it('should parse and serialize descriptor', () => {
+    const str = checksumVectors[1];
+    const desc = Descriptor.fromString(str, network);
+
+    assert.strictEqual(desc.type, types.PKH);
+    assert.strictEqual(desc.isRange(), true);
+    assert.strictEqual(desc.keys[0].origin.fingerprint, 0xd34db33f);
+    assert.deepStrictEqual(desc.keys[0].origin.path,
+      Path.fromString('m/44\'/0\'/0\'').toList());
+    assert.deepStrictEqual(desc.keys[0].path, [1]);
+    assert.strictEqual(desc.toString(), str);
+
+    // checksum is optional.
+    const [noChecksum] = str.split('#');
+    assert.strictEqual(Descriptor.fromString(noChecksum).toString(), str);
+  });
+
+  it('should reject invalid checksum', () => {
+    const str = checksumVectors[2].slice(0, -1) + 'q';
+
+    assert.throws(() => Descriptor.fromString(str, network), {
+      message: 'Invalid descriptor checksum.'
+    });
+  });
+
+  it('should reject hardened wildcard', () => {
+    const xpub = master.toPublic().xpubkey(network);
+
+    assert.throws(() => Descriptor.fromString(`wpkh(${xpub}/0/*')`), {
+      message: 'Hardened derivation is not supported for public keys.'
+    });
+  });
+
+  for (const vector of singleVectors) {
+    const accountPath = Path.fromList([vector.purpose, 0, 0], true);
+    const account = master.derivePath(accountPath.toString());
+
+    const descriptor = Descriptor.fromOptions({
+      type: vector.type,
+      network: network,
+      keys: [{
+        origin: {
+          fingerprint: fingerprint,
+          path: accountPath
+        },
+        xpub: account.toPublic(),
+        path: [0],
+        wildcard: true
+      }]
+    });
+
+    it(`should derive addresses (${vector.type})`, () => {
+      const parsed = Descriptor.fromString(descriptor.toString(), network);
+
+      assert.strictEqual(parsed.toString(), descriptor.toString());
+      assert.strictEqual(parsed.isWitness(), vector.witness);
+      assert.strictEqual(parsed.isNested(), vector.nested);
+
+      for (let i = 0; i < 3; i++) {
+        const key = account.derive(0).derive(i);
+        const ring = KeyRing.fromPublic(key.publicKey);
+
+        ring.witness = vector.witness;
+        ring.nested = vector.nested;
+
+        assert.strictEqual(parsed.getAddress(i),
+          ring.getAddress('string', network));
+      }
+    });
+
+    it(`should create InputData (${vector.type})`, () => {
+      const index = 5;
+      const prevTX = getPrevTX(descriptor.getScript(index));
+      const inputData = descriptor.toInputData({
+        index: index,
+        prevout: {
+          hash: prevTX.hash(),
+          index: 0
+        },
+        prevTX: prevTX
+      });
+
+      const path = accountPath.toList().concat([0, index]);
+
+      assert.deepStrictEqual(inputData.path.toList(), path);
+      assert.strictEqual(inputData.witness, vector.witness);
+      assert.strictEqual(inputData.multisig, null);
+      assert.bufferEqual(inputData.output.script.toRaw(),
+        prevTX.outputs[0].script.toRaw());
+    });
+  }
+
+  describe('Multisig', function () {
+    const masters = [
+      master,
+      HDPrivateKey.fromSeed(Buffer.alloc(32, 0x01)),
+      HDPrivateKey.fromSeed(Buffer.alloc(32, 0x02))
+    ];
+
+    const keys = masters.map((root) => {
+      const path = Path.fromList([48, 0, 0, 2], true);
+      const key = root.derivePath(path.toString());
+
+      return {
+        origin: {
+          fingerprint: getFingerprint(root.publicKey),
+          path: path
+        },
+        xpub: key.toPublic(),
+        path: [0],
+        wildcard: true
+      };
+    });
+
+    for (const type of [types.SH, types.WSH, types.SH_WSH]) {
+      it(`should create multisig descriptor (${type})`, () => {
+        const descriptor = Descriptor.fromOptions({
+          type: type,
+          network: network,
+          m: 2,
+          sorted: true,
+          keys: keys
+        });
+
+        const str = descriptor.toString();
+        const parsed = Descriptor.fromString(str, network);
+
+        assert.strictEqual(parsed.type, type);
+        assert.strictEqual(parsed.m, 2);
+        assert.strictEqual(parsed.sorted, true);
+        assert.strictEqual(parsed.toString(), str);
+
+        const publicKeys = keys.map(key => key.xpub.derive(0).derive(3));
+        const multisig = Script.fromMultisig(2, 3,
+          publicKeys.map(key => key.publicKey));
+
+        assert.bufferEqual(parsed.getMultisigScript(3).toRaw(),
+          multisig.toRaw());
+
+        const ring = KeyRing.fromPublic(publicKeys[0].publicKey);
+        ring.script = multisig;
+        ring.witness = type !== types.SH;
+        ring.nested = type === types.SH_WSH;
+
+        assert.strictEqual(parsed.getAddress(3),
+          ring.getAddress('string', network));
+      });
+    }
+
+    it('should create multisig InputData', () => {
+      const descriptor = Descriptor.fromOptions({
+        type: types.WSH,
+        network: network,
+        m: 2,
+        sorted: true,
+        keys: keys
+      });
+
+      const coin = getCoin(descriptor.getScript(7));
+      const inputData = descriptor.toInputData({
+        index: 7,
+        coin: coin,
+        fingerprint: keys[1].origin.fingerprint
+      });
+
+      assert.deepStrictEqual(inputData.path.toList(),
+        keys[1].origin.path.toList().concat([0, 7]));
+      assert.strictEqual(inputData.witness, true);
+      assert.strictEqual(inputData.multisig.m, 2);
+      assert.deepStrictEqual(inputData.multisig.pubkeys.map((pk) => {
+        return {
+          xpub: pk.xpub,
+          path: pk.path.toString(),
+          signature: pk.signature
+        };
+      }), keys.map((key) => {
+        return {
+          xpub: key.xpub.xpubkey(network),
+          path: 'm/0/7',
+          signature: ''
+        };
+      }));
+
+      assert.throws(() => descriptor.toInputData({
+        index: 7,
+        coin: coin,
+        fingerprint: 0xdeadbeef
+      }), {
+        message: 'Could not find key with the fingerprint.'
+      });
+
+      assert.throws(() => descriptor.toInputData({
+        index: 8,
+        coin: coin,
+        fingerprint: keys[1].origin.fingerprint
+      }), {
+        message: 'Descriptor does not match the input.'
+      });
+    });
+
+    it('should reject unsorted multi for signing', () => {
+      const unsorted = keys.slice().sort((a, b) => {
+        const ka = a.xpub.derive(0).derive(0).publicKey;
+        const kb = b.xpub.derive(0).derive(0).publicKey;
+
+        return Buffer.compare(kb, ka);
+      });
+
+      const descriptor = Descriptor.fromOptions({
+        type: types.WSH,
+        network: network,
+        m: 2,
+        keys: unsorted
+      });
+
+      assert(descriptor.toString().startsWith('wsh(multi(2,'));
+
+      const coin = getCoin(descriptor.getScript(0));
+
+      assert.throws(() => descriptor.toInputData({
+        index: 0,
+        coin: coin,
+        fingerprint: keys[0].origin.fingerprint
+      }), {
+        message: 'Unsorted multisig keys are not supported for signing.'
+      });
+    });
+  });
+});
+
+function getPrevTX(script) {
+  const mtx = new MTX();
+
+  mtx.addOutput(script, 100000);
+
+  return mtx.toTX();
+}
+
+function getCoin(script) {
+  return {
+    value: 100000,
+    script: script,
+    hash: Buffer.alloc(32, 0x01),
+    index: 0
+  };
+}
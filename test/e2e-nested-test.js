@@ -6,10 +6,13 @@
 const assert = require('bsert');
 const {wallet, Network, protocol, FullNode} = require('bcoin');
 const {NodeClient, WalletClient} = require('bcoin/lib/client');
-const {Path, Signer, prepareSign, vendors} = require('../lib/bsigner');
-const {getLogger, getTestVendors} = require('./utils/common');
+const {Path, Signer, prepareSign} = require('../lib/bsigner');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
 const {sleep} = require('../lib/common');
-const {phrase} = require('./utils/key');
 
 const n = 'regtest';
 const network = Network.get(n);
@@ -63,13 +66,7 @@ describe('Nested Signing', function() {
       network,
       logger,
       vendor: enabledVendors,
-      [vendors.LEDGER]: {
-        timeout: 0
-      },
-      [vendors.MEMORY]: {
-        // configure default device of memory device manager.
-        device: { phrase }
-      }
+      ...getVendorOptions(network)
     });
 
     fullNode.use(wallet.plugin);
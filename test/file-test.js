@@ -0,0 +1,348 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const fs = require('bfile');
+const {HDPrivateKey} = require('bcoin');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors, interactions} = require('../lib/common');
+const {Keystore} = require('../lib/keystore');
+const MemoryDevice = require('../lib/device/memory');
+const FileDevice = require('../lib/device/file');
+const common = require('../lib/device/helpers/common');
+const taproot = require('../lib/taproot');
+const {getFingerprint} = require('../lib/psbt');
+const {getLogger, testdir, readSignVectors, getFingerprintHex} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = readSignVectors('./data/signVectors.json');
+const network = signVectors.network;
+const master = HDPrivateKey.fromPhrase(phrase);
+const passphrase = 'correct horse battery staple';
+
+// cheap scrypt for the tests.
+const N = 1024;
+
+describe('File Device', function () {
+  before(async () => {
+    await logger.open();
+  });
+
+  describe('Keystore', function () {
+    it('should encrypt and decrypt phrase', async () => {
+      const keystore = await Keystore.create({ passphrase, phrase, N });
+
+      assert.strictEqual(keystore.fingerprint,
+        getFingerprint(master.publicKey));
+
+      const json = keystore.getJSON();
+      const loaded = Keystore.fromJSON(json);
+
+      assert.deepStrictEqual(loaded.getJSON(), json);
+      assert.strictEqual(json.kdf.N, N);
+      assert(!JSON.stringify(json).includes('abandon'));
+
+      const secret = await loaded.decrypt(passphrase);
+
+      assert.strictEqual(secret.phrase, phrase);
+      assert.strictEqual(secret.key.xprivkey(), master.xprivkey());
+    });
+
+    it('should import master key', async () => {
+      const keystore = await Keystore.create({
+        passphrase,
+        key: master.xprivkey(network),
+        N
+      });
+
+      const secret = await keystore.decrypt(passphrase);
+
+      assert.strictEqual(secret.phrase, null);
+      assert.strictEqual(secret.key.xprivkey(), master.xprivkey());
+
+      await assert.rejects(Keystore.create({
+        passphrase,
+        key: master.derive(44, true),
+        N
+      }), {
+        message: 'Key must be the master key.'
+      });
+    });
+
+    it('should generate mnemonic', async () => {
+      const keystore = await Keystore.create({ passphrase, N });
+      const secret = await keystore.decrypt(passphrase);
+
+      assert.strictEqual(secret.phrase.split(' ').length, 24);
+      assert.strictEqual(keystore.fingerprint,
+        getFingerprint(secret.key.publicKey));
+    });
+
+    it('should reject invalid passphrase', async () => {
+      const keystore = await Keystore.create({ passphrase, phrase, N });
+
+      await assert.rejects(keystore.decrypt('wrong'), {
+        message: 'Invalid passphrase.'
+      });
+
+      await assert.rejects(Keystore.create({ phrase, N }), {
+        message: 'Passphrase is required.'
+      });
+    });
+
+    it('should reject modified ciphertext', async () => {
+      const keystore = await Keystore.create({ passphrase, phrase, N });
+
+      keystore.ciphertext[0] ^= 1;
+
+      await assert.rejects(keystore.decrypt(passphrase), {
+        message: 'Invalid passphrase.'
+      });
+    });
+  });
+
+  describe('Device', function () {
+    let keystore = null;
+    let memory = null;
+
+    before(async () => {
+      keystore = await Keystore.create({ passphrase, phrase, N });
+    });
+
+    beforeEach(async () => {
+      memory = MemoryDevice.fromOptions({ phrase, network, logger });
+      await memory.open();
+    });
+
+    afterEach(async () => {
+      await memory.close();
+    });
+
+    it('should require passphrase to open', async () => {
+      const device = FileDevice.fromOptions({ keystore, network, logger });
+
+      assert.strictEqual(device.vendor, vendors.FILE);
+      assert.strictEqual(device.key, keystore.id);
+      assert.strictEqual(device.master, null);
+      assert.strictEqual(await device.getFingerprint(),
+        getFingerprint(master.publicKey));
+
+      await assert.rejects(device.open(), {
+        message: 'Passphrase is required.'
+      });
+
+      assert.strictEqual(device.opened, false);
+    });
+
+    it('should request passphrase from the host', async () => {
+      const requests = [];
+      let entered = 'wrong';
+
+      const device = FileDevice.fromOptions({
+        keystore,
+        network,
+        logger,
+        getPassphrase: async (dev, details) => {
+          assert.strictEqual(dev, device);
+          return entered;
+        }
+      });
+
+      device.on(interactions.PASSPHRASE_REQUEST, d => requests.push(d));
+
+      await assert.rejects(device.open(), {
+        message: 'Invalid passphrase.'
+      });
+
+      assert.strictEqual(device.opened, false);
+
+      entered = passphrase;
+      await device.open();
+
+      assert.strictEqual(device.master.xprivkey(), master.xprivkey());
+      assert.deepStrictEqual(requests, [
+        { onDevice: false },
+        { onDevice: false }
+      ]);
+
+      await device.close();
+
+      assert.strictEqual(device.master, null);
+    });
+
+    it('should export xpub', async () => {
+      const device = FileDevice.fromOptions({
+        keystore,
+        passphrase,
+        network,
+        logger
+      });
+
+      await device.open();
+
+      const accountPath = Path.fromList([44, 1, 0], true);
+      const xpub = await device.getXPUB(accountPath);
+
+      assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+
+      await device.close();
+    });
+
+    for (const vector of signVectors.vectors) {
+      it(`should sign ${vector.description} as memory device`, async () => {
+        const {tx, inputData, outputData} = vector;
+        const device = FileDevice.fromOptions({
+          keystore,
+          passphrase,
+          network,
+          logger
+        });
+
+        await device.open();
+
+        const expected = await memory.getSignatures(tx, inputData, outputData);
+        const signatures = await device.getSignatures(tx, inputData,
+          outputData);
+
+        const inputDataMap = common.prepareSignOptions(inputData);
+        const coins = common.getSpentOutputs(tx, inputDataMap);
+
+        assert.strictEqual(signatures.length, expected.length);
+
+        for (const [i, signature] of signatures.entries()) {
+          const data = inputDataMap.get(tx.inputs[i].prevout.toKey());
+
+          // schnorr signatures are not deterministic.
+          if (data.isTaproot()) {
+            assert(taproot.verifyInput(tx, i, coins, signature));
+            continue;
+          }
+
+          assert.bufferEqual(signature, expected[i]);
+        }
+
+        await device.close();
+      });
+    }
+
+    it('should sign message as memory device', async () => {
+      const device = FileDevice.fromOptions({
+        keystore,
+        passphrase,
+        network,
+        logger
+      });
+
+      await device.open();
+
+      const messagePath = Path.fromList([44, 1, 0], true).push(0).push(0);
+      const message = Buffer.from('bsigner file device');
+
+      const expected = await memory.signMessage(messagePath, message);
+      const signature = await device.signMessage(messagePath, message);
+
+      assert.deepStrictEqual(signature.getJSON(), expected.getJSON());
+
+      await device.close();
+    });
+  });
+
+  describe('Manager', function () {
+    let prefix = null;
+
+    beforeEach(() => {
+      prefix = testdir('file');
+    });
+
+    afterEach(async () => {
+      await fs.remove(prefix);
+    });
+
+    it('should create and load keystores', async () => {
+      let signer = createSigner({ prefix, passphrase });
+      let manager = signer.deviceManagers.get(vendors.FILE);
+
+      await signer.open();
+
+      assert.deepStrictEqual(await manager.getDevices(), []);
+
+      const created = await manager.createDevice({ passphrase, N });
+      const imported = await manager.importDevice({ passphrase, phrase, N });
+      const file = path.join(prefix, `${imported.key}.json`);
+
+      assert.strictEqual(imported.file, file);
+      assert(await fs.exists(file));
+      assert(await fs.exists(created.file));
+
+      await assert.rejects(manager.importDevice({ passphrase, phrase, N }), {
+        message: 'Keystore already exists.'
+      });
+
+      await signer.close();
+
+      // invalid keystores are skipped.
+      await fs.writeFile(path.join(prefix, 'invalid.json'), '{}');
+
+      signer = createSigner({ prefix, passphrase });
+      manager = signer.deviceManagers.get(vendors.FILE);
+
+      await signer.open();
+
+      const devices = await manager.getDevices();
+      const keys = devices.map(device => device.key).sort();
+
+      assert.deepStrictEqual(keys, [created.key, imported.key].sort());
+
+      const loaded = devices.find(device => device.key === imported.key);
+      const device = await signer.selectDevice(loaded);
+      const accountPath = Path.fromList([44, 1, 0], true);
+      const xpub = await signer.getPublicKey(accountPath);
+
+      assert.strictEqual(device.vendor, vendors.FILE);
+      assert.strictEqual(xpub.xpubkey(network),
+        testxpub(0, network).xpubkey(network));
+
+      await signer.close();
+    });
+
+    it('should use default device', async () => {
+      const signer = createSigner({
+        passphrase,
+        device: { phrase, N }
+      });
+
+      await signer.open();
+
+      const device = await signer.selectDevice(vendors.FILE);
+
+      assert.strictEqual(device.file, null);
+      assert.strictEqual(device.key, getFingerprintHex(master));
+
+      await device.open();
+
+      const accountPath = Path.fromList([44, 1, 0], true);
+      const xpub = await device.getXPUB(accountPath);
+
+      assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+
+      await signer.close();
+    });
+  });
+});
+
+/*
+ * Helpers
+ */
+
+function createSigner(options) {
+  return Signer.fromOptions({
+    vendor: vendors.FILE,
+    network,
+    logger,
+    [vendors.FILE]: options
+  });
+}
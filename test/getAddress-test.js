@@ -0,0 +1,192 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network, HDPrivateKey, KeyRing, Script} = require('bcoin');
+const {Path, Signer} = require('../lib/bsigner');
+const {vendors, scriptTypes} = require('../lib/common');
+const taproot = require('../lib/taproot');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const enabledVendors = getTestVendors();
+const master = HDPrivateKey.fromPhrase(phrase);
+const coinType = network.keyPrefix.coinType;
+
+const singleVectors = [
+  [44, scriptTypes.P2PKH, {}],
+  [49, scriptTypes.P2SH_P2WPKH, { witness: true, nested: true }],
+  [84, scriptTypes.P2WPKH, { witness: true }]
+];
+
+describe('Get Address', function () {
+  this.timeout(1e7);
+
+  let manager = null;
+
+  before(async () => {
+    await logger.open();
+
+    manager = Signer.fromOptions({
+      vendor: enabledVendors,
+      network,
+      logger,
+      ...getVendorOptions(network)
+    });
+
+    await manager.open();
+
+    for (const vendor of enabledVendors) {
+      try {
+        await manager.selectDevice(vendor);
+      } catch (e) {
+        throw new Error(`Could not select device for ${vendor}.`);
+      }
+    }
+  });
+
+  after(async () => {
+    if (manager.opened)
+      await manager.close();
+  });
+
+  for (const vendor of enabledVendors) {
+    describe(`${vendor}`, function () {
+      let device = null;
+
+      beforeEach(async () => {
+        device = await manager.selectDevice(vendor);
+        await device.open();
+      });
+
+      afterEach(async () => {
+        await device.close();
+      });
+
+      for (const [purpose, type, ringOptions] of singleVectors) {
+        it(`should get ${type} address`, async () => {
+          const path = Path.fromList([purpose, coinType, 0], true)
+            .push(0)
+            .push(1);
+
+          const key = master.derivePath(path.toString());
+          const ring = KeyRing.fromOptions({
+            publicKey: key.publicKey,
+            ...ringOptions
+          });
+
+          const address = await manager.getAddress(path);
+          assert.strictEqual(address, ring.getAddress('string', network));
+
+          const typed = await manager.getAddress(path, { type });
+          assert.strictEqual(typed, address);
+        });
+      }
+
+      it('should get address with different script type', async () => {
+        const path = Path.fromList([44, coinType, 0], true).push(0).push(0);
+        const key = master.derivePath(path.toString());
+        const ring = KeyRing.fromOptions({
+          publicKey: key.publicKey,
+          witness: true
+        });
+
+        const address = await manager.getAddress(path, {
+          type: scriptTypes.P2WPKH
+        });
+
+        assert.strictEqual(address, ring.getAddress('string', network));
+      });
+
+      it('should get taproot address', async () => {
+        const path = Path.fromList([86, coinType, 0], true).push(0).push(0);
+
+        if (vendor === vendors.LEDGER) {
+          await assert.rejects(manager.getAddress(path), {
+            message: `Ledger does not support ${scriptTypes.P2TR} addresses.`
+          });
+          return;
+        }
+
+        const key = master.derivePath(path.toString());
+        const output = taproot.fromPublicKey(key.publicKey);
+        const address = await manager.getAddress(path);
+
+        assert.strictEqual(address, taproot.toAddress(output, network));
+
+        const typed = await manager.getAddress(path, {
+          type: scriptTypes.P2TR
+        });
+
+        assert.strictEqual(typed, address);
+      });
+
+      it('should get multisig address', async () => {
+        const accountPath = Path.fromList([48, coinType, 0, 2], true);
+        const path = Path.fromList([...accountPath.toList(), 0, 3]);
+        const ours = master.derivePath(accountPath.toString()).toPublic();
+
+        const cosigners = [ours];
+
+        for (let i = 1; i < 3; i++) {
+          const cosigner = HDPrivateKey.fromSeed(Buffer.alloc(32, i));
+          cosigners.push(cosigner.derivePath(accountPath.toString())
+            .toPublic());
+        }
+
+        const multisig = {
+          m: 2,
+          pubkeys: cosigners.map(hdpub => ({
+            xpub: hdpub.xpubkey(network),
+            path: Path.fromList([0, 3])
+          }))
+        };
+
+        const options = {
+          type: scriptTypes.P2WSH,
+          multisig: multisig
+        };
+
+        if (vendor === vendors.LEDGER) {
+          await assert.rejects(manager.getAddress(path, options), {
+            message: 'Ledger does not support multisig addresses.'
+          });
+          return;
+        }
+
+        const keys = cosigners.map(hdpub => hdpub.derive(0).derive(3));
+        const script = Script.fromMultisig(2, 3,
+          keys.map(hdpub => hdpub.publicKey));
+        const expected = Script.fromProgram(0, script.sha256())
+          .getAddress()
+          .toString(network);
+
+        const address = await manager.getAddress(path, options);
+        assert.strictEqual(address, expected);
+
+        // default type of bip48 script type 2' is P2WSH.
+        const typed = await manager.getAddress(path, { multisig });
+        assert.strictEqual(typed, expected);
+      });
+
+      it('should reject mismatched multisig options', async () => {
+        const path = Path.fromList([84, coinType, 0], true).push(0).push(0);
+
+        await assert.rejects(manager.getAddress(path, {
+          type: scriptTypes.P2WSH
+        }), {
+          message: `Script type ${scriptTypes.P2WSH}`
+            + ' does not match multisig options.'
+        });
+      });
+    });
+  }
+});
@@ -4,11 +4,16 @@
 'use strict';
 
 const assert = require('bsert');
-const {Network} = require('bcoin');
+const {Network, HDPrivateKey} = require('bcoin');
 const {Path, Signer} = require('../lib/bsigner');
-const {vendors} = require('../lib/common');
+const {scriptTypes, toSLIP132, fromSLIP132} = require('../lib/common');
+const {getFingerprint} = require('../lib/psbt');
 const {testxpub} = require('./utils/key');
-const {getLogger, getTestVendors} = require('./utils/common');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
 const {phrase} = require('./utils/key');
 
 const network = Network.get('regtest');
@@ -30,13 +35,7 @@ describe('Get Public Key', function () {
       vendor: enabledVendors,
       network,
       logger,
-      [vendors.LEDGER]: {
-        timeout: 0
-      },
-      [vendors.MEMORY]: {
-        // configure default device of memory device manager.
-        device: { phrase }
-      }
+      ...getVendorOptions(network)
     });
 
     await manager.open();
@@ -88,6 +87,55 @@ describe('Get Public Key', function () {
 
       await device.close();
     });
+
+    it(`should get SLIP-132 xpub from ${vendor}`, async function() {
+      const device = await manager.selectDevice(vendor);
+      await device.open();
+
+      const coinType = network.keyPrefix.coinType;
+      const path = Path.fromList([84, coinType, 0], true);
+
+      const xpub = await manager.getXPUB(path);
+      const zpub = await manager.getXPUB(path, true);
+      const {hdpub, scriptType} = fromSLIP132(zpub, network);
+
+      assert.equal(scriptType, scriptTypes.P2WPKH);
+      assert.equal(hdpub.xpubkey(network.type), xpub);
+      assert.equal(zpub, toSLIP132(hdpub, scriptTypes.P2WPKH, network));
+
+      await device.close();
+    });
+
+    it(`should get master fingerprint from ${vendor}`, async function() {
+      const device = await manager.selectDevice(vendor);
+      await device.open();
+
+      const master = HDPrivateKey.fromPhrase(phrase);
+      const expected = getFingerprint(master.publicKey);
+
+      assert.strictEqual(await manager.getFingerprint(), expected);
+
+      // cached for the device.
+      assert.strictEqual(device._fingerprint, expected);
+      assert.strictEqual(await device.getFingerprint(), expected);
+
+      await device.close();
+    });
+
+    it(`should get key origin from ${vendor}`, async function() {
+      const device = await manager.selectDevice(vendor);
+      await device.open();
+
+      const path = getPath(0, network);
+      const origin = await manager.getPublicKey(path, { origin: true });
+
+      assert.strictEqual(origin.fingerprint, await manager.getFingerprint());
+      assert.strictEqual(origin.path.toString(), path.toString());
+      assert.strictEqual(origin.xpub, await manager.getXPUB(path));
+      assert.strictEqual(origin.xpub, testxpub(0, network).xpubkey(network));
+
+      await device.close();
+    });
   }
 });
 
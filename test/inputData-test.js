@@ -437,6 +437,108 @@ describe('Input formats', function () {
   }
 });
 
+describe('Sighash type', function () {
+  const {hashType} = bcoin.Script;
+  const network = 'main';
+  const vector = vectors[0];
+
+  it('should default to SIGHASH_ALL', () => {
+    const inputData = InputData.fromJSON(vector.fromJSON);
+
+    assert.strictEqual(inputData.sighashType, null);
+    assert.strictEqual(inputData.getSighashType(), hashType.ALL);
+  });
+
+  it('should parse sighash type from options', () => {
+    const types = [
+      [hashType.NONE, hashType.NONE],
+      ['SINGLE', hashType.SINGLE],
+      ['single|anyonecanpay', hashType.SINGLE | hashType.ANYONECANPAY],
+      [hashType.ALL | hashType.ANYONECANPAY, 0x81]
+    ];
+
+    for (const [type, expected] of types) {
+      const inputData = InputData.fromOptions({
+        ...vector.fromOptions,
+        sighashType: type
+      });
+
+      assert.strictEqual(inputData.getSighashType(), expected);
+    }
+  });
+
+  it('should serialize sighash type to JSON', () => {
+    const inputData = InputData.fromJSON({
+      ...vector.fromJSON,
+      sighashType: hashType.SINGLE
+    });
+
+    const json = inputData.getJSON(network);
+
+    assert.strictEqual(json.sighashType, hashType.SINGLE);
+    assert.deepStrictEqual(InputData.fromJSON(json).getJSON(network), json);
+  });
+
+  it('should reject invalid sighash types', () => {
+    const invalid = [0x04, 0x7f, 0x84, 'FOO'];
+
+    for (const type of invalid) {
+      assert.throws(() => InputData.fromOptions({
+        ...vector.fromOptions,
+        sighashType: type
+      }));
+    }
+
+    assert.throws(() => InputData.fromOptions({
+      ...vector.fromOptions,
+      sighashType: 'DEFAULT'
+    }), {
+      message: 'SIGHASH_DEFAULT is only valid for taproot inputs.'
+    });
+  });
+});
+
+describe('External inputs', function () {
+  const network = 'main';
+  const vector = vectors[0];
+
+  it('should create external InputData without path and prevTX', () => {
+    const {prevout, output} = vector.fromOptions;
+    const inputData = InputData.fromOptions({
+      external: true,
+      prevout,
+      output
+    });
+
+    assert.strictEqual(inputData.external, true);
+    assert.strictEqual(inputData.prevTX, null);
+    assert.strictEqual(inputData.path.depth, 0);
+
+    const json = inputData.getJSON(network);
+
+    assert.strictEqual(json.external, true);
+    assert.deepStrictEqual(InputData.fromJSON(json).getJSON(network), json);
+  });
+
+  it('should create external InputData from JSON without path', () => {
+    const {path, ...json} = vector.fromJSON;
+    const inputData = InputData.fromJSON({...json, external: true});
+
+    assert(path);
+    assert.strictEqual(inputData.external, true);
+    assert.strictEqual(inputData.path.depth, 0);
+  });
+
+  it('should require path for non-external inputs', () => {
+    const {path, ...options} = vector.fromOptions;
+
+    assert(path);
+    assert.throws(() => InputData.fromOptions(options), {
+      message: 'options.path is required.'
+    });
+  });
+});
+
 function allPathTypes(options) {
   const optionTypes = [];
 
@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network} = require('bcoin');
+const {Signer, interactions} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {getInteraction} = require('../lib/ledger/transport');
+const {getLogger} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+
+describe('User Interactions', function () {
+  let signer = null;
+  let manager = null;
+
+  before(async () => {
+    await logger.open();
+  });
+
+  beforeEach(async () => {
+    signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network,
+      logger,
+      [vendors.MEMORY]: {
+        device: { phrase }
+      }
+    });
+
+    manager = signer.deviceManagers.get(vendors.MEMORY);
+
+    await signer.open();
+  });
+
+  afterEach(async () => {
+    if (signer.opened)
+      await signer.close();
+  });
+
+  it('should emit device interactions', async () => {
+    const device = await signer.selectDevice(vendors.MEMORY);
+    const events = [];
+    const all = [];
+
+    device.on(interactions.BUTTON_REQUEST, details => events.push(details));
+    signer.on(interactions.CONFIRM_OUTPUT, (d, details) => {
+      events.push([d, details]);
+    });
+    signer.on('interaction', (type, d) => all.push([type, d]));
+
+    device.interact(interactions.BUTTON_REQUEST, { code: 'test' });
+    device.interact(interactions.CONFIRM_OUTPUT, { code: 'output' });
+
+    assert.deepStrictEqual(events, [
+      { code: 'test' },
+      [device, { code: 'output' }]
+    ]);
+
+    assert.deepStrictEqual(all, [
+      [interactions.BUTTON_REQUEST, device],
+      [interactions.CONFIRM_OUTPUT, device]
+    ]);
+
+    assert.throws(() => device.interact('unknown'), {
+      message: 'Unknown interaction "unknown".'
+    });
+  });
+
+  it('should not emit interactions of removed devices', async () => {
+    const device = await signer.selectDevice(vendors.MEMORY);
+    const events = [];
+
+    signer.on(interactions.PIN_REQUEST, d => events.push(d));
+
+    await manager.removeDevice(device);
+
+    device.interact(interactions.PIN_REQUEST);
+
+    assert.strictEqual(events.length, 0);
+    assert.strictEqual(manager.interactionHandlers.size, 0);
+  });
+
+  it('should map ledger APDUs to interactions', () => {
+    const display = Buffer.from([0xe0, 0x40, 0x01, 0x02, 0x00]);
+    const finalize = Buffer.from([0xe0, 0x4a, 0x80, 0x00, 0x00]);
+    const sign = Buffer.from([0xe0, 0x4e, 0x80, 0x00, 0x00]);
+
+    assert.deepStrictEqual(getInteraction(display), {
+      type: interactions.BUTTON_REQUEST,
+      details: { code: 'INS_GET_WALLET_PUBLIC_KEY' }
+    });
+
+    assert.deepStrictEqual(getInteraction(finalize), {
+      type: interactions.CONFIRM_OUTPUT,
+      details: { code: 'INS_UNTRUSTED_HASH_TX_INPUT_FINALIZE_FULL' }
+    });
+
+    assert.deepStrictEqual(getInteraction(sign), {
+      type: interactions.BUTTON_REQUEST,
+      details: { code: 'INS_SIGN_MESSAGE' }
+    });
+  });
+
+  it('should not map ledger APDUs that do not wait for the user', () => {
+    const apdus = [
+      // public key without display.
+      [0xe0, 0x40, 0x00, 0x02, 0x00],
+      // outputs that are not the last part, change path.
+      [0xe0, 0x4a, 0x00, 0x00, 0x00],
+      [0xe0, 0x4a, 0xff, 0x00, 0x00],
+      // message signing is prepared.
+      [0xe0, 0x4e, 0x00, 0x01, 0x00],
+      // trusted input, input signature.
+      [0xe0, 0x42, 0x00, 0x00, 0x00],
+      [0xe0, 0x48, 0x00, 0x00, 0x00]
+    ];
+
+    for (const apdu of apdus)
+      assert.strictEqual(getInteraction(Buffer.from(apdu)), null);
+  });
+});
@@ -0,0 +1,191 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors, interactions} = require('../lib/common');
+const LedgerDevice = require('../lib/device/ledger');
+const MemoryDevice = require('../lib/device/memory');
+const {LedgerEmulator} = require('../lib/ledger/emulator');
+const {RecordTransport} = require('../lib/ledger/record');
+const {getLogger, readSignVectors} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = readSignVectors('./data/signVectors.json');
+const network = signVectors.network;
+
+describe('Ledger Emulator', function () {
+  let emulator = null;
+  let ledger = null;
+  let memory = null;
+
+  before(async () => {
+    await logger.open();
+  });
+
+  beforeEach(async () => {
+    emulator = LedgerEmulator.fromOptions({ phrase, network });
+    ledger = LedgerDevice.fromLedgerDevice(emulator, { network, logger });
+    memory = MemoryDevice.fromOptions({ phrase, network, logger });
+
+    await memory.open();
+  });
+
+  afterEach(async () => {
+    await memory.close();
+  });
+
+  it('should plug into ledger manager', async () => {
+    const signer = Signer.fromOptions({
+      vendor: vendors.LEDGER,
+      network,
+      logger,
+      [vendors.LEDGER]: { transport: emulator }
+    });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.LEDGER);
+    const accountPath = Path.fromList([44, 1, 0], true);
+    const xpub = await signer.getPublicKey(accountPath);
+
+    assert.strictEqual(device.ledgerDevice, emulator);
+    assert.strictEqual(xpub.xpubkey(network),
+      testxpub(0, network).xpubkey(network));
+
+    await signer.close();
+  });
+
+  for (const vector of signVectors.vectors) {
+    if (vector.inputData.some(data => data.isTaproot()))
+      continue;
+
+    it(`should sign ${vector.description} as memory device`, async () => {
+      const {tx, inputData, outputData} = vector;
+      const expected = await memory.getSignatures(tx, inputData, outputData);
+      const signatures = await ledger.getSignatures(tx, inputData, outputData);
+
+      assert.strictEqual(signatures.length, expected.length);
+
+      for (const [i, signature] of signatures.entries())
+        assert.bufferEqual(signature, expected[i]);
+    });
+  }
+
+  it('should send change path before the outputs', async () => {
+    const vector = signVectors.vectors.find(v => v.description === 'P2WPKH');
+    const {tx, inputData, outputData} = vector;
+    const record = RecordTransport.fromTransport(emulator);
+    const device = LedgerDevice.fromLedgerDevice(record, { network, logger });
+
+    await device.getSignatures(tx, inputData, outputData);
+
+    const list = outputData[0].path.toList();
+    const data = Buffer.alloc(1 + list.length * 4);
+
+    data[0] = list.length;
+
+    for (const [i, index] of list.entries())
+      data.writeUInt32BE(index, 1 + i * 4);
+
+    // INS_UNTRUSTED_HASH_TX_INPUT_FINALIZE_FULL with p1 = 0xff.
+    const changes = record.exchanges.filter(({apdu}) => {
+      return apdu.startsWith('e04aff00');
+    });
+
+    assert(changes.length > 0);
+
+    for (const {apdu, response} of changes) {
+      assert.strictEqual(apdu.slice(10), data.toString('hex'));
+      assert.strictEqual(response, '9000');
+    }
+
+    // change path is only used for the signing.
+    assert.strictEqual(device.ledgerApp.bledger.ledger.changePath, null);
+  });
+
+  it('should sign message as memory device', async () => {
+    const messagePath = Path.fromList([44, 1, 0], true).push(0).push(0);
+    const message = Buffer.alloc(300, 0x61);
+
+    const expected = await memory.signMessage(messagePath, message);
+    const signature = await ledger.signMessage(messagePath, message);
+
+    assert.deepStrictEqual(signature.getJSON(), expected.getJSON());
+    assert(signature.verify(message, network));
+  });
+
+  it('should only emit interactions waiting for the user', async () => {
+    const vector = signVectors.vectors.find(v => v.description === 'P2WPKH');
+    const {tx, inputData, outputData} = vector;
+    const addressPath = Path.fromList([44, 1, 0], true).push(0).push(0);
+    const events = [];
+
+    ledger.on('interaction', type => events.push(type));
+
+    await ledger.getPublicKey(addressPath);
+    await ledger.getAddress(addressPath);
+
+    assert.deepStrictEqual(events, []);
+
+    await ledger.getAddress(addressPath, { display: true });
+
+    assert.deepStrictEqual(events, [interactions.BUTTON_REQUEST]);
+
+    events.length = 0;
+    await ledger.getSignatures(tx, inputData, outputData);
+
+    assert(events.length > 0);
+
+    for (const type of events)
+      assert.strictEqual(type, interactions.CONFIRM_OUTPUT);
+
+    events.length = 0;
+    await ledger.signMessage(addressPath, 'message');
+
+    assert.deepStrictEqual(events, [interactions.BUTTON_REQUEST]);
+  });
+
+  it('should reject unsupported APDUs', async () => {
+    await emulator.open();
+
+    const unknown = await emulator.exchange(Buffer.from('e0b2000000', 'hex'));
+    const cla = await emulator.exchange(Buffer.from('d040000000', 'hex'));
+    const sign = await emulator.exchange(Buffer.from('e048000000', 'hex'));
+
+    assert.strictEqual(unknown.toString('hex'), '6d00');
+    assert.strictEqual(cla.toString('hex'), '6e00');
+    assert.strictEqual(sign.toString('hex'), '6985');
+
+    await emulator.close();
+  });
+
+  it('should reject modified trusted input', async () => {
+    const vector = signVectors.vectors.find(v => v.description === 'P2PKH');
+    const [data] = vector.inputData;
+    const {prevTX} = data;
+    const index = vector.tx.inputs[0].prevout.index;
+
+    await emulator.open();
+
+    // bledger splits the transaction to APDUs.
+    const app = ledger.ledgerApp.bledger.ledger;
+    const trustedInput = await app.getTrustedInput(prevTX, index);
+
+    assert.strictEqual(trustedInput.length, 56);
+    assert.bufferEqual(emulator.readTrustedInput(trustedInput).prevout,
+      vector.tx.inputs[0].prevout.toRaw());
+
+    // value of the output.
+    trustedInput[40] ^= 0x01;
+
+    assert.throws(() => emulator.readTrustedInput(trustedInput), {
+      statusWord: 0x6a80
+    });
+
+    await emulator.close();
+  });
+});
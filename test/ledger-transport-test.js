@@ -0,0 +1,184 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const fs = require('bfile');
+const {Network} = require('bcoin');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const LedgerDevice = require('../lib/device/ledger');
+const {RecordTransport} = require('../lib/ledger/record');
+const {ReplayTransport} = require('../lib/ledger/replay');
+const {getLogger, testdir} = require('./utils/common');
+const {testxpub} = require('./utils/key');
+const fixture = require('./data/ledger-replay.json');
+
+const network = Network.get('testnet');
+const logger = getLogger();
+
+// fixture is recorded for m/44'/1'/0'
+const accountPath = Path.fromList([44, 1, 0], true);
+
+describe('Ledger Transport', function () {
+  before(async () => {
+    await logger.open();
+  });
+
+  describe('Replay', function () {
+    let signer = null;
+    let manager = null;
+    let transport = null;
+
+    beforeEach(async () => {
+      transport = ReplayTransport.fromJSON(fixture);
+
+      signer = Signer.fromOptions({
+        vendor: vendors.LEDGER,
+        network,
+        logger,
+        [vendors.LEDGER]: { transport }
+      });
+
+      manager = signer.deviceManagers.get(vendors.LEDGER);
+
+      await signer.open();
+    });
+
+    afterEach(async () => {
+      if (signer.opened)
+        await signer.close();
+    });
+
+    it('should add transport to the manager', async () => {
+      const devices = await manager.getDevices();
+
+      assert.strictEqual(devices.length, 1);
+      assert.strictEqual(devices[0].ledgerDevice, transport);
+      assert.strictEqual(devices[0].handle, transport.handle);
+      assert.strictEqual(devices[0].serialNumber,
+        fixture.device.serialNumber);
+    });
+
+    it('should replay getPublicKey', async () => {
+      await signer.selectDevice(vendors.LEDGER);
+
+      const xpub = await signer.getPublicKey(accountPath);
+      const expected = testxpub(0, network);
+
+      assert.strictEqual(xpub.xpubkey(network), expected.xpubkey(network));
+      assert.strictEqual(transport.finished, true);
+    });
+
+    it('should fail on unexpected APDU', async () => {
+      await signer.selectDevice(vendors.LEDGER);
+
+      const other = Path.fromList([44, 1, 1], true);
+
+      await assert.rejects(signer.getPublicKey(other), {
+        message: /^Unexpected APDU/
+      });
+
+      assert.strictEqual(transport.finished, false);
+    });
+
+    it('should fail when exchanges are exhausted', async () => {
+      await signer.selectDevice(vendors.LEDGER);
+      await signer.getPublicKey(accountPath);
+
+      await assert.rejects(signer.getPublicKey(accountPath), {
+        message: /^No recorded response for APDU/
+      });
+
+      transport.reset();
+
+      const xpub = await signer.getPublicKey(accountPath);
+      const expected = testxpub(0, network);
+
+      assert.strictEqual(xpub.xpubkey(network), expected.xpubkey(network));
+    });
+
+    it('should remove transport', async () => {
+      const device = await signer.selectDevice(vendors.LEDGER);
+      const events = [];
+
+      manager.on('disconnect', d => events.push(d));
+
+      await manager.removeDevice(device);
+
+      assert.strictEqual(device.destroyed, true);
+      assert.strictEqual(manager.selected, null);
+      assert.deepStrictEqual(events, [device]);
+      assert.deepStrictEqual(await manager.getDevices(), []);
+    });
+  });
+
+  describe('Record', function () {
+    let prefix = null;
+
+    beforeEach(() => {
+      prefix = testdir('ledger');
+    });
+
+    afterEach(async () => {
+      await fs.remove(prefix);
+    });
+
+    it('should record exchanges', async () => {
+      const replay = ReplayTransport.fromJSON(fixture);
+      const record = RecordTransport.fromTransport(replay);
+      const device = LedgerDevice.fromLedgerDevice(record, {
+        network,
+        logger
+      });
+
+      const xpub = await device.getPublicKey(accountPath);
+      const expected = testxpub(0, network);
+
+      assert.strictEqual(xpub.xpubkey(network), expected.xpubkey(network));
+      assert.deepStrictEqual(record.getJSON(), fixture);
+
+      const file = path.join(prefix, 'fixture.json');
+
+      await fs.mkdirp(prefix);
+      await record.write(file);
+
+      const loaded = await ReplayTransport.fromFile(file);
+
+      assert.deepStrictEqual(loaded.getDeviceJSON(), fixture.device);
+      assert.strictEqual(loaded.exchanges.length, fixture.exchanges.length);
+    });
+
+    it('should record errors', async () => {
+      const replay = ReplayTransport.fromJSON(fixture);
+      const record = RecordTransport.fromTransport(replay);
+      const apdu = Buffer.from('e0c4000000', 'hex');
+
+      await record.open();
+
+      await assert.rejects(record.exchange(apdu), {
+        message: /^Unexpected APDU/
+      });
+
+      await record.close();
+
+      const json = record.getJSON();
+
+      assert.strictEqual(json.exchanges.length, 1);
+      assert.strictEqual(json.exchanges[0].apdu, 'e0c4000000');
+      assert(json.exchanges[0].error.startsWith('Unexpected APDU'));
+
+      const failing = ReplayTransport.fromJSON(json);
+
+      await failing.open();
+
+      await assert.rejects(failing.exchange(apdu), {
+        message: json.exchanges[0].error
+      });
+
+      assert.strictEqual(failing.finished, true);
+    });
+  });
+});
@@ -15,8 +15,11 @@ const sigUtils = require('bmultisig/lib/utils/sig');
 const {CREATE} = Proposal.payloadType;
 
 const CosignerContext = require('./utils/cosigner-context');
-const {getLogger, getTestVendors} = require('./utils/common');
-const {phrase} = require('./utils/key');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
 
 /*
  * file level constants and globals
@@ -150,16 +153,11 @@ describe('Multisig', function() {
       vendor: enabledVendors,
       network: network,
       logger,
-      [vendors.LEDGER]: {
-        timeout: 0
-      },
-      [vendors.TREZOR]: {
-        debugTrezor: false
-      },
-      [vendors.MEMORY]: {
-        // configure default device of memory device manager.
-        device: { phrase }
-      }
+      ...getVendorOptions(network, {
+        [vendors.TREZOR]: {
+          debugTrezor: false
+        }
+      })
     });
 
     await logger.open();
@@ -431,7 +429,7 @@ async function collectCosignerInfo(manager, cosigner) {
 
   const joinMessage = ctx.joinMessage;
 
-  const signature = await manager.signMessage(proofPath, joinMessage);
+  const {signature} = await manager.signMessage(proofPath, joinMessage);
 
   ctx.xpubProof = signature;
 }
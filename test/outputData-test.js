@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Path} = require('../lib/path');
+const {OutputData} = require('../lib/outputData');
+
+const network = 'main';
+
+const vectors = [{
+  name: 'P2PKH',
+  json: {
+    path: 'm/44\'/1\'/0\'/1/0',
+    witness: false,
+    output: {
+      value: 50000,
+      script: '76a9149a1c78a507689f6f54b847ad1cef1e614ee23f1e88ac',
+      address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV'
+    },
+    multisig: null
+  },
+  taproot: false,
+  nested: false
+}, {
+  name: 'Nested P2WPKH',
+  json: {
+    path: 'm/44\'/1\'/0\'/1/0',
+    witness: true,
+    output: {
+      value: 50000,
+      script: 'a9146e3e392c5b857e30728d8d7fb1f6cef8b0cc653487',
+      address: '3BjvnzqnPbycy3nEz85Ed4rXVDC1LcxSA5'
+    },
+    multisig: null
+  },
+  taproot: false,
+  nested: true
+}];
+
+describe('OutputData', function () {
+  for (const vector of vectors) {
+    it(`should create OutputData from JSON (${vector.name})`, () => {
+      const outputData = OutputData.fromJSON(vector.json);
+
+      assert.deepStrictEqual(outputData.getJSON(network), vector.json);
+      assert.strictEqual(outputData.isTaproot(), vector.taproot);
+      assert.strictEqual(outputData.isNested(), vector.nested);
+    });
+
+    it(`should create OutputData from Options (${vector.name})`, () => {
+      const path = Path.fromString(vector.json.path);
+      const options = [{
+        ...vector.json,
+        path: path
+      }, {
+        ...vector.json,
+        path: path.toList()
+      }, {
+        ...vector.json,
+        output: {
+          value: vector.json.output.value,
+          script: Buffer.from(vector.json.output.script, 'hex')
+        }
+      }];
+
+      for (const option of options) {
+        const outputData = OutputData.fromOptions(option);
+        assert.deepStrictEqual(outputData.getJSON(network), vector.json);
+      }
+    });
+  }
+
+  it('should create multisig OutputData', () => {
+    const xpub = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2'
+      + 'gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+
+    const outputData = OutputData.fromOptions({
+      path: 'm/44\'/1\'/1\'/1/0',
+      witness: true,
+      output: vectors[0].json.output,
+      multisig: {
+        m: 1,
+        pubkeys: [{
+          xpub: xpub,
+          path: 'm/1/0'
+        }]
+      }
+    });
+
+    const json = outputData.getJSON(network);
+
+    assert.deepStrictEqual(json.multisig, {
+      m: 1,
+      pubkeys: [{
+        xpub: xpub,
+        path: 'm/1/0'
+      }]
+    });
+
+    assert.deepStrictEqual(OutputData.fromJSON(json).getJSON(network), json);
+  });
+
+  it('should require path and output', () => {
+    assert.throws(() => OutputData.fromOptions({
+      output: vectors[0].json.output
+    }), {
+      message: 'options.path is required.'
+    });
+
+    assert.throws(() => OutputData.fromOptions({
+      path: vectors[0].json.path
+    }), {
+      message: 'options.output is required.'
+    });
+  });
+});
@@ -4,10 +4,31 @@
 'use strict';
 
 const assert = require('bsert');
+const {HDPrivateKey} = require('bcoin');
 
 const {Path} = require('../lib/path');
-const {bip44} = require('../lib/common');
-const {testxpub} = require('./utils/key');
+const {bip44, scriptTypes, toSLIP132, fromSLIP132} = require('../lib/common');
+const {testxpub, phrase} = require('./utils/key');
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0049.mediawiki
+// @see https://github.com/bitcoin/bips/blob/master/bip-0084.mediawiki
+const slip132Vectors = [{
+  xkey: 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1AD'
+    + 'qtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs',
+  network: 'main',
+  path: 'm/84\'/0\'/0\'',
+  scriptType: scriptTypes.P2WPKH,
+  xpub: 'xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQ'
+    + 'Y3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V'
+}, {
+  xkey: 'upub5EFU65HtV5TeiSHmZZm7FUffBGy8UKeqp7vw43jYbvZPpoVsgU93oac7Wk3u6m'
+    + 'oKegAEWtGNF8DehrnHtv21XXEMYRUocHqguyjknFHYfgY',
+  network: 'testnet',
+  path: 'm/49\'/1\'/0\'',
+  scriptType: scriptTypes.P2SH_P2WPKH,
+  xpub: 'tpubDD7tXK8KeQ3YY83yWq755fHY2JW8Ha8Q765tknUM5rSvjPcGWfUppDFMpQ1Scz'
+    + 'iKfW3ZNtZvAD7M3u7bSs7HofjTD3KP3YxPK7X6hwV8Rk2'
+}];
 
 describe('Path', function () {
   let path;
@@ -93,6 +114,14 @@ describe('Path', function () {
     assert.equal(path.toString(), clone.toString());
   });
 
+  it('should clone bip48 path', () => {
+    const path = Path.fromString('m/48\'/0\'/0\'/2\'/0/5');
+    const clone = path.clone();
+
+    assert.equal(clone.toString(), 'm/48\'/0\'/0\'/2\'/0/5');
+    assert.deepEqual(clone.toList(), path.toList());
+  });
+
   it('should work up to 255 depth', () => {
     const input = [];
     for (let i = 0; i < 255; i++)
@@ -469,4 +498,120 @@ describe('Path', function () {
       Path.harden(0)
     ]);
   });
+
+  for (const vector of slip132Vectors) {
+    it(`should instantiate from SLIP-132 key (${vector.path})`, () => {
+      path = Path.fromAccountPublicKey(vector.xkey);
+
+      assert.equal(path.toString(), vector.path);
+      assert.equal(path.scriptType, vector.scriptType);
+      assert.equal(path.getScriptType(), vector.scriptType);
+      assert.equal(path.clone().getScriptType(), vector.scriptType);
+
+      const {hdpub, scriptType} = fromSLIP132(vector.xkey, vector.network);
+
+      assert.equal(scriptType, vector.scriptType);
+      assert.equal(hdpub.xpubkey(vector.network), vector.xpub);
+      assert.equal(toSLIP132(hdpub, scriptType, vector.network), vector.xkey);
+    });
+  }
+
+  it('should instantiate from multisig SLIP-132 keys', () => {
+    const master = HDPrivateKey.fromPhrase(phrase);
+
+    const types = [
+      [scriptTypes.P2SH_P2WSH, 'main', 'Ypub', 'm/48\'/0\'/0\'/1\''],
+      [scriptTypes.P2WSH, 'main', 'Zpub', 'm/48\'/0\'/0\'/2\''],
+      [scriptTypes.P2SH_P2WSH, 'testnet', 'Upub', 'm/48\'/1\'/0\'/1\''],
+      [scriptTypes.P2WSH, 'regtest', 'Vpub', 'm/48\'/1\'/0\'/2\'']
+    ];
+
+    for (const [scriptType, network, prefix, str] of types) {
+      const xpub = master.derivePath(str).toPublic();
+      const xkey = toSLIP132(xpub, scriptType, network);
+
+      assert.equal(xkey.slice(0, 4), prefix);
+
+      path = Path.fromAccountPublicKey(xkey);
+
+      assert.equal(path.toString(), str);
+      assert.equal(path.getScriptType(), scriptType);
+      assert.equal(Path.fromList(path.toList()).getScriptType(), scriptType);
+
+      const decoded = fromSLIP132(xkey, network);
+
+      assert.equal(decoded.scriptType, scriptType);
+      assert.bufferEqual(decoded.hdpub.publicKey, xpub.publicKey);
+      assert.bufferEqual(decoded.hdpub.chainCode, xpub.chainCode);
+    }
+  });
+
+  it('should set account of bip48 SLIP-132 key', () => {
+    const master = HDPrivateKey.fromPhrase(phrase);
+    const xpub = master.derivePath('m/48\'/0\'/3\'/2\'').toPublic();
+    const xkey = toSLIP132(xpub, scriptTypes.P2WSH, 'main');
+
+    path = Path.fromAccountPublicKey(xkey, 3);
+
+    assert.equal(path.toString(), 'm/48\'/0\'/3\'/2\'');
+  });
+
+  it('should reject bip48 SLIP-132 key of another depth or type', () => {
+    const master = HDPrivateKey.fromPhrase(phrase);
+    const account = master.derivePath('m/48\'/0\'/0\'').toPublic();
+    const nested = master.derivePath('m/48\'/0\'/0\'/1\'').toPublic();
+
+    assert.throws(() => {
+      Path.fromAccountPublicKey(toSLIP132(account, scriptTypes.P2WSH, 'main'));
+    }, {
+      message: 'bip48 account key must be at depth 4.'
+    });
+
+    assert.throws(() => {
+      Path.fromAccountPublicKey(toSLIP132(nested, scriptTypes.P2WSH, 'main'));
+    }, {
+      message: 'bip48 account key does not match the script type.'
+    });
+  });
+
+  it('should reject SLIP-132 key of another network', () => {
+    const xkey = slip132Vectors[0].xkey;
+
+    assert.throws(() => fromSLIP132(xkey, 'testnet'), {
+      message: 'Extended key network mismatch.'
+    });
+  });
+
+  it('should infer script type from purpose', () => {
+    const vectors = [
+      [[44, 0, 0], scriptTypes.P2PKH],
+      [[49, 0, 0], scriptTypes.P2SH_P2WPKH],
+      [[84, 0, 0], scriptTypes.P2WPKH],
+      [[48, 0, 0], scriptTypes.P2PKH],
+      [[48, 0, 0, 1], scriptTypes.P2SH_P2WSH],
+      [[48, 0, 0, 2], scriptTypes.P2WSH],
+      [[86, 0, 0], scriptTypes.P2TR]
+    ];
+
+    for (const [list, scriptType] of vectors) {
+      path = Path.fromList(list, true);
+      assert.equal(path.getScriptType(), scriptType);
+    }
+  });
+
+  it('should detect bip86 (taproot) paths', () => {
+    const taprootPath = Path.fromList([86, 0, 0], true);
+    const bip44Path = Path.fromList([44, 0, 0], true);
+
+    assert.strictEqual(taprootPath.isTaproot(), true);
+    assert.strictEqual(taprootPath.clone().push(0).push(0).isTaproot(), true);
+    assert.strictEqual(bip44Path.isTaproot(), false);
+    assert.strictEqual(Path.fromList([86, 0, 0]).isTaproot(), false);
+
+    // taproot account keys are not SLIP-132 encoded.
+    const xpub = testxpub(0, 'main');
+
+    assert.equal(toSLIP132(xpub, taprootPath.getScriptType(), 'main'),
+      xpub.xpubkey('main'));
+  });
 });
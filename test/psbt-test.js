@@ -0,0 +1,243 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const bio = require('bufio');
+const {BufferMap} = require('buffer-map');
+const {HDPrivateKey} = require('bcoin');
+const {Signer} = require('../lib/bsigner');
+const {PSBT, MAGIC, types, getFingerprint} = require('../lib/psbt');
+const {InputData} = require('../lib/inputData');
+const MemoryDevice = require('../lib/device/memory');
+const {parsePath} = require('../lib/device/helpers/common');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions,
+  readSignVectors
+} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const logger = getLogger();
+const enabledVendors = getTestVendors();
+const master = HDPrivateKey.fromPhrase(phrase);
+const fingerprint = getFingerprint(master.publicKey);
+
+describe('PSBT', function () {
+  this.timeout(1e7);
+
+  const signVectors = readSignVectors('./data/signVectors.json');
+  const network = signVectors.network;
+
+  // taproot PSBT fields (BIP371) are not supported.
+  signVectors.vectors = signVectors.vectors.filter((vector) => {
+    return !vector.inputData.some(data => data.isTaproot());
+  });
+
+  for (const vector of signVectors.vectors) {
+    const {tx, inputData} = vector;
+    const options = {
+      network,
+      fingerprint,
+      publicKeys: getPublicKeys(inputData)
+    };
+
+    it(`should encode and decode PSBT (${vector.description})`, () => {
+      const psbt = PSBT.fromMTX(tx, inputData, options);
+      const raw = psbt.toRaw();
+      const decoded = PSBT.fromRaw(raw);
+
+      assert.bufferEqual(decoded.toRaw(), raw);
+      assert.deepStrictEqual(decoded.getJSON(network), psbt.getJSON(network));
+
+      const base64 = psbt.toBase64();
+      assert.bufferEqual(PSBT.fromBase64(base64).toRaw(), raw);
+      assert.bufferEqual(decoded.tx.hash(), tx.hash());
+    });
+
+    it(`should map PSBT inputs to InputData (${vector.description})`, () => {
+      const psbt = PSBT.fromRaw(PSBT.fromMTX(tx, inputData, options).toRaw());
+
+      for (const [i, input] of tx.inputs.entries()) {
+        const expected = inputData.find((data) => {
+          return data.prevout.equals(input.prevout);
+        });
+
+        const data = InputData.fromPSBT(psbt, i, {
+          publicKey: options.publicKeys.get(input.prevout.toKey()),
+          network
+        });
+
+        const json = data.getJSON(network);
+        const expectedJSON = expected.getJSON(network);
+
+        if (expectedJSON.multisig) {
+          sortMultisig(json.multisig);
+          sortMultisig(expectedJSON.multisig);
+        }
+
+        assert.deepStrictEqual(json, expectedJSON);
+      }
+    });
+  }
+
+  it('should fail to decode PSBT with invalid magic', () => {
+    const psbt = PSBT.fromMTX(signVectors.vectors[0].tx, []);
+    const raw = psbt.toRaw();
+
+    raw[4] = 0x00;
+
+    assert.throws(() => PSBT.fromRaw(raw), {
+      message: 'Invalid PSBT magic bytes.'
+    });
+  });
+
+  it('should fail to decode PSBT with duplicate keys', () => {
+    const {tx} = signVectors.vectors[0];
+    const bw = bio.write();
+
+    bw.writeBytes(MAGIC);
+
+    for (let i = 0; i < 2; i++) {
+      bw.writeVarint(1);
+      bw.writeU8(types.GLOBAL_UNSIGNED_TX);
+      bw.writeVarBytes(tx.toNormal());
+    }
+
+    bw.writeU8(0x00);
+
+    assert.throws(() => PSBT.fromRaw(bw.render()), {
+      message: 'Duplicate key in PSBT global map.'
+    });
+  });
+
+  it('should not request keys of cosigners', async () => {
+    const device = RecordingDevice.fromOptions({ phrase, network, logger });
+    const vectors = signVectors.vectors.filter((vector) => {
+      return vector.inputData.some(data => data.multisig);
+    });
+
+    assert(vectors.length > 0);
+
+    await device.open();
+
+    for (const {tx, inputData} of vectors) {
+      const psbt = PSBT.fromMTX(tx, inputData, {
+        network,
+        fingerprint,
+        publicKeys: getPublicKeys(inputData)
+      });
+
+      const ours = new Set(['m', ...inputData.map(d => d.path.toString())]);
+
+      device.paths = [];
+      await device.signPSBT(psbt);
+
+      assert(device.paths.length > 0);
+
+      for (const path of device.paths)
+        assert(ours.has(path), `Requested key of other device: ${path}.`);
+    }
+
+    await device.close();
+  });
+
+  describe('Sign PSBT', function () {
+    let manager = null;
+
+    before(async () => {
+      await logger.open();
+
+      manager = Signer.fromOptions({
+        vendor: enabledVendors,
+        network,
+        logger,
+        ...getVendorOptions(network)
+      });
+
+      await manager.open();
+    });
+
+    after(async () => {
+      if (manager.opened)
+        await manager.close();
+    });
+
+    for (const vendor of enabledVendors) {
+      for (const vector of signVectors.vectors) {
+        const {tx, inputData} = vector;
+
+        it(`should sign PSBT ${vector.description} (${vendor})`, async () => {
+          const device = await manager.selectDevice(vendor);
+          await device.open();
+
+          const publicKeys = getPublicKeys(inputData);
+          const psbt = PSBT.fromMTX(tx, inputData, {
+            network,
+            fingerprint,
+            publicKeys
+          });
+
+          const signed = await manager.signPSBT(psbt);
+          const signatures = await manager.getSignatures(tx, inputData);
+
+          for (const [i, input] of tx.inputs.entries()) {
+            const publicKey = publicKeys.get(input.prevout.toKey());
+            const signature = signed.inputs[i].partialSigs.get(publicKey);
+
+            assert(signature, 'Input was not signed.');
+            assert.bufferEqual(signature, signatures[i]);
+
+            // original PSBT is not modified.
+            assert(!psbt.inputs[i].partialSigs.has(publicKey));
+          }
+
+          const decoded = PSBT.fromBase64(signed.toBase64());
+          assert.deepStrictEqual(decoded.getJSON(network),
+            signed.getJSON(network));
+
+          await device.close();
+        });
+      }
+    }
+  });
+});
+
+/*
+ * Memory device that records requested public key paths.
+ */
+
+class RecordingDevice extends MemoryDevice {
+  constructor(options) {
+    super(options);
+
+    this.paths = [];
+  }
+
+  async _getPublicKey(path, getParentFingerPrint) {
+    this.paths.push(parsePath(path).toString());
+    return super._getPublicKey(path, getParentFingerPrint);
+  }
+}
+
+function getPublicKeys(inputData) {
+  const publicKeys = new BufferMap();
+
+  for (const data of inputData) {
+    const key = master.derivePath(data.path.toString());
+    publicKeys.set(data.toKey(), key.publicKey);
+  }
+
+  return publicKeys;
+}
+
+function sortMultisig(multisig) {
+  multisig.pubkeys.sort((a, b) => {
+    if (a.xpub === b.xpub)
+      return 0;
+
+    return a.xpub < b.xpub ? -1 : 1;
+  });
+}
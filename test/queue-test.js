@@ -0,0 +1,169 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network} = require('bcoin');
+const {Path} = require('../lib/bsigner');
+const MemoryDevice = require('../lib/device/memory');
+const {RequestQueue} = require('../lib/queue');
+const {getLogger} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const coinType = network.keyPrefix.coinType;
+const path = Path.fromList([44, coinType, 0], true);
+
+describe('Device Queue', function () {
+  let device = null;
+  let release = null;
+
+  // next getPublicKey waits until released,
+  // returned promise resolves when it starts.
+  const holdPublicKey = () => {
+    const getPublicKey = device._getPublicKey.bind(device);
+    const hold = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    return new Promise((resolve) => {
+      device._getPublicKey = async (...args) => {
+        device._getPublicKey = getPublicKey;
+        resolve();
+        await hold;
+        return getPublicKey(...args);
+      };
+    });
+  };
+
+  beforeEach(async () => {
+    await logger.open();
+
+    device = MemoryDevice.fromOptions({ phrase, network, logger });
+
+    await device.open();
+  });
+
+  afterEach(async () => {
+    await device.close();
+  });
+
+  it('should serialize device requests', async () => {
+    const started = holdPublicKey();
+
+    let done = false;
+
+    const first = device.getPublicKey(path);
+    const second = device.getAddress(path.clone().push(0).push(0))
+      .then(() => {
+        done = true;
+      });
+
+    await started;
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(done, false);
+    assert.strictEqual(device.queueDepth, 2);
+    assert.deepStrictEqual(device.getQueue(), {
+      current: 'getPublicKey',
+      pending: ['getAddress']
+    });
+
+    release();
+
+    await first;
+    await second;
+
+    assert.strictEqual(done, true);
+    assert.strictEqual(device.queueDepth, 0);
+  });
+
+  it('should cancel queued requests', async () => {
+    const started = holdPublicKey();
+
+    const first = device.getPublicKey(path);
+    const address = device.getAddress(path.clone().push(0).push(0));
+    const message = device.signMessage(path.clone().push(0).push(0), 'msg');
+    const xpub = device.getXPUB(path);
+
+    await started;
+
+    assert.strictEqual(device.cancelQueued('getAddress'), 1);
+    assert.deepStrictEqual(device.getQueue().pending,
+      ['signMessage', 'getPublicKey']);
+
+    assert.strictEqual(device.cancelQueued(), 2);
+    assert.strictEqual(device.queueDepth, 1);
+
+    release();
+
+    const hdpub = await first;
+
+    assert.strictEqual(hdpub.depth, 3);
+
+    for (const request of [address, message, xpub]) {
+      await assert.rejects(request, {
+        message: 'Request was canceled.'
+      });
+    }
+
+    // queue still works.
+    const origin = await device.getPublicKey(path, { origin: true });
+
+    assert.strictEqual(origin.xpub, hdpub.xpubkey(network));
+    assert.strictEqual(device.queueDepth, 0);
+  });
+});
+
+describe('Request Queue', function () {
+  it('should run jobs in order', async () => {
+    const queue = new RequestQueue();
+    const unlock = await queue.lock('first');
+    const second = queue.add('second');
+    const third = queue.add('third');
+
+    assert.strictEqual(queue.size, 3);
+    assert.strictEqual(queue.current, 'first');
+    assert.strictEqual(queue.pending('second'), true);
+    assert.strictEqual(queue.pending('first'), false);
+
+    unlock();
+    unlock();
+
+    const unlockSecond = await second.promise;
+
+    assert.strictEqual(queue.current, 'second');
+    assert.strictEqual(queue.size, 2);
+
+    unlockSecond();
+
+    const unlockThird = await third.promise;
+
+    assert.strictEqual(queue.current, 'third');
+
+    unlockThird();
+
+    assert.strictEqual(queue.size, 0);
+    assert.strictEqual(queue.current, null);
+  });
+
+  it('should remove queued job', async () => {
+    const queue = new RequestQueue();
+    const unlock = await queue.lock('first');
+    const job = queue.add('second');
+
+    assert.strictEqual(queue.remove(job, new Error('Removed.')), true);
+    assert.strictEqual(queue.remove(job, new Error('Removed.')), false);
+    assert.strictEqual(queue.pending('second'), false);
+
+    await assert.rejects(job.promise, {
+      message: 'Removed.'
+    });
+
+    unlock();
+
+    assert.strictEqual(queue.size, 0);
+  });
+});
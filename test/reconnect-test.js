@@ -0,0 +1,218 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network} = require('bcoin');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {CanceledError} = require('../lib/errors');
+const {getLogger} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const path = Path.fromList([44, network.keyPrefix.coinType, 0], true);
+
+describe('Reconnect', function () {
+  let signer = null;
+  let manager = null;
+
+  const createSigner = (options) => {
+    signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network,
+      logger,
+      [vendors.MEMORY]: {
+        device: { phrase },
+        ...options
+      }
+    });
+
+    manager = signer.deviceManagers.get(vendors.MEMORY);
+  };
+
+  // device stays busy until unplugged.
+  const holdRequest = (device) => {
+    const getPublicKey = device.getPublicKey.bind(device);
+    let unplug = null;
+
+    const unplugged = new Promise((resolve) => {
+      unplug = resolve;
+    });
+
+    device.getPublicKey = async (...args) => {
+      await unplugged;
+      return getPublicKey(...args);
+    };
+
+    return async () => {
+      await manager.removeDevice(device);
+      unplug();
+    };
+  };
+
+  before(async () => {
+    await logger.open();
+  });
+
+  afterEach(async () => {
+    if (signer.opened)
+      await signer.close();
+  });
+
+  it('should select device with the same key', async () => {
+    createSigner({ reconnect: true });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    const events = [];
+
+    signer.on('reconnect', d => events.push(d));
+
+    await manager.removeDevice(device);
+
+    assert.strictEqual(signer.selected, null);
+
+    // other devices are not selected.
+    manager.addDevice({ phrase });
+    assert.strictEqual(events.length, 0);
+
+    manager.addDevice({ phrase, id: device.id });
+    await manager.waitReconnect(device);
+
+    assert.strictEqual(events.length, 1);
+    assert.notStrictEqual(events[0], device);
+    assert.strictEqual(events[0].key, device.key);
+    assert.strictEqual(signer.selected, events[0]);
+  });
+
+  it('should retry getPublicKey after reconnect', async () => {
+    createSigner({ reconnect: true });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    const unplug = holdRequest(device);
+    const pending = signer.getPublicKey(path);
+
+    await unplug();
+
+    manager.addDevice({ phrase, id: device.id });
+
+    const pubkey = await pending;
+
+    assert.strictEqual(pubkey.xpubkey(network),
+      testxpub(0, network).xpubkey(network));
+    assert.strictEqual(signer.selected.key, device.key);
+    assert.notStrictEqual(signer.selected, device);
+  });
+
+  it('should fail if device does not reconnect', async () => {
+    createSigner({ reconnect: true, reconnectTimeout: 10 });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    const unplug = holdRequest(device);
+    const pending = signer.getPublicKey(path);
+
+    await unplug();
+
+    await assert.rejects(pending, {
+      message: 'Device was not reconnected.'
+    });
+  });
+
+  it('should not retry canceled request', async () => {
+    createSigner({ reconnect: true });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    device.getPublicKey = async () => {
+      await manager.removeDevice(device);
+      throw new CanceledError();
+    };
+
+    await assert.rejects(signer.getPublicKey(path), {
+      message: 'Request was canceled.'
+    });
+
+    assert.strictEqual(manager.waiting.length, 0);
+  });
+
+  it('should wait for reconnect within the request timeout', async () => {
+    createSigner({ reconnect: true });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    const unplug = holdRequest(device);
+    const pending = signer.getPublicKey(path, { timeout: 100 });
+
+    await unplug();
+
+    await assert.rejects(pending, {
+      message: 'Request timed out.'
+    });
+
+    assert.strictEqual(manager.waiting.length, 0);
+  });
+
+  it('should stop waiting for reconnect on abort', async () => {
+    createSigner({ reconnect: true });
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    await manager.removeDevice(device);
+
+    const controller = new AbortController();
+    const waiting = manager.waitReconnect(device, {
+      signal: controller.signal
+    });
+
+    controller.abort();
+
+    await assert.rejects(waiting, {
+      message: 'Request was canceled.'
+    });
+
+    assert.strictEqual(manager.waiting.length, 0);
+  });
+
+  it('should not reconnect by default', async () => {
+    createSigner();
+
+    await signer.open();
+
+    const device = await signer.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    const unplug = holdRequest(device);
+    const pending = signer.getPublicKey(path);
+
+    await unplug();
+
+    manager.addDevice({ phrase, id: device.id });
+
+    await assert.rejects(pending, {
+      message: 'Device no longer available.'
+    });
+
+    assert.strictEqual(signer.selected, null);
+  });
+});
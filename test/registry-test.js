@@ -0,0 +1,189 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const fs = require('bfile');
+const {Network, HDPrivateKey} = require('bcoin');
+const {Signer, Path, DeviceRegistry} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {getFingerprint} = require('../lib/psbt');
+const MemoryDevice = require('../lib/device/memory');
+const {getLogger, testdir} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const coinType = network.keyPrefix.coinType;
+
+const master = HDPrivateKey.fromPhrase(phrase);
+const fingerprint = getFingerprint(master.publicKey);
+const accountPath = Path.fromList([84, coinType, 0], true);
+
+describe('Device Registry', function () {
+  let prefix = null;
+  let location = null;
+
+  beforeEach(() => {
+    prefix = testdir('registry');
+    location = path.join(prefix, 'devices.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(prefix);
+  });
+
+  it('should persist devices', async () => {
+    const registry = DeviceRegistry.fromOptions({ location });
+
+    await registry.open();
+
+    await registry.register({
+      fingerprint: fingerprint,
+      vendor: vendors.MEMORY,
+      key: 'device-key'
+    });
+
+    await registry.setLabel(fingerprint, 'cold storage');
+    await registry.addAccount(fingerprint, {
+      path: accountPath,
+      xpub: 'xpub-0',
+      wallet: 'primary'
+    });
+
+    const json = registry.getJSON();
+
+    await registry.close();
+
+    const loaded = DeviceRegistry.fromOptions({ location });
+
+    await loaded.open();
+
+    assert.deepStrictEqual(loaded.getJSON(), json);
+
+    const record = loaded.get(fingerprint);
+
+    assert.strictEqual(record.label, 'cold storage');
+    assert.strictEqual(loaded.getByKey(vendors.MEMORY, 'device-key'), record);
+    assert.strictEqual(loaded.getByKey(vendors.LEDGER, 'device-key'), null);
+    assert.deepStrictEqual(loaded.getByWallet('primary'), [record]);
+    assert.deepStrictEqual(loaded.getByWallet('other'), []);
+    assert.strictEqual(record.getAccounts('primary')[0].path.toString(),
+      accountPath.toString());
+
+    assert.strictEqual(await loaded.remove(fingerprint), true);
+    assert.strictEqual(await loaded.remove(fingerprint), false);
+
+    await loaded.close();
+  });
+
+  it('should reject account of unknown device', async () => {
+    const registry = new DeviceRegistry();
+
+    await registry.open();
+
+    await assert.rejects(registry.addAccount(1, {
+      path: accountPath,
+      xpub: 'xpub-0'
+    }), {
+      message: 'Unknown device 00000001.'
+    });
+
+    await registry.close();
+  });
+
+  describe('Signer', function () {
+    const createSigner = (device) => {
+      return Signer.fromOptions({
+        vendor: vendors.MEMORY,
+        network,
+        logger,
+        registry: { location },
+        [vendors.MEMORY]: {
+          device: device
+        }
+      });
+    };
+
+    before(async () => {
+      await logger.open();
+    });
+
+    it('should select device of the wallet', async () => {
+      const signer = createSigner({ phrase });
+
+      await signer.open();
+      await signer.selectDevice(vendors.MEMORY);
+
+      const record = await signer.registerDevice(null, { label: 'memory' });
+
+      assert.strictEqual(record.fingerprint, fingerprint);
+      assert.strictEqual(record.label, 'memory');
+
+      await signer.addWalletAccount('primary', accountPath);
+      await signer.close();
+
+      // new session, wallet device is not the first one.
+      const other = createSigner({
+        key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1))
+      });
+
+      const memory = other.deviceManagers.get(vendors.MEMORY);
+      memory.addDevice({ phrase });
+
+      await other.open();
+
+      const device = await other.selectWalletDevice('primary');
+
+      await device.open();
+
+      const origin = await device.getKeyOrigin(accountPath);
+
+      await device.close();
+
+      assert.strictEqual(other.selected, device);
+      assert.strictEqual(origin.fingerprint, fingerprint);
+      assert.strictEqual(other.registry.get(fingerprint).key, device.key);
+
+      await assert.rejects(other.selectWalletDevice('other'), {
+        message: 'No known device for wallet "other".'
+      });
+
+      await other.close();
+    });
+
+    it('should emit known device', async () => {
+      const signer = createSigner({
+        key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1))
+      });
+
+      const device = MemoryDevice.fromOptions({ phrase, network, logger });
+
+      await signer.open();
+
+      await signer.registry.register({
+        fingerprint: fingerprint,
+        vendor: vendors.MEMORY,
+        key: device.key,
+        label: 'memory'
+      });
+
+      const known = [];
+
+      signer.on('known', (connected, record) => {
+        known.push([connected, record]);
+      });
+
+      const memory = signer.deviceManagers.get(vendors.MEMORY);
+      memory.addDevice(device);
+
+      assert.strictEqual(known.length, 1);
+      assert.strictEqual(known[0][0], device);
+      assert.strictEqual(known[0][1].label, 'memory');
+
+      await signer.close();
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {once} = require('events');
+const {HDPrivateKey} = require('bcoin');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const MemoryDevice = require('../lib/device/memory');
+const RemoteDevice = require('../lib/device/remote');
+const {getFingerprint} = require('../lib/psbt');
+const {getLogger, readSignVectors} = require('./utils/common');
+const {RelayClient} = require('./utils/relay');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = readSignVectors('./data/signVectors.json');
+const network = signVectors.network;
+const master = HDPrivateKey.fromPhrase(phrase);
+const accountPath = Path.fromList([44, 1, 0], true);
+
+describe('Remote', function () {
+  let client = null;
+  let signer = null;
+  let memory = null;
+
+  before(async () => {
+    await logger.open();
+  });
+
+  beforeEach(async () => {
+    client = new RelayClient({ network, logger });
+
+    signer = Signer.fromOptions({
+      vendor: vendors.REMOTE,
+      network,
+      logger,
+      [vendors.REMOTE]: { client }
+    });
+
+    memory = MemoryDevice.fromOptions({ phrase, network, logger });
+
+    await signer.open();
+    await memory.open();
+  });
+
+  afterEach(async () => {
+    if (signer.opened)
+      await signer.close();
+
+    await memory.close();
+  });
+
+  it('should list devices of the relay', async () => {
+    const devices = await signer.getDevices();
+    const [relayed] = await client.signer.getDevices();
+
+    assert.strictEqual(devices.length, 1);
+
+    const [device] = devices;
+
+    assert(device instanceof RemoteDevice);
+    assert.strictEqual(device.vendor, vendors.REMOTE);
+    assert.strictEqual(device.remoteVendor, vendors.MEMORY);
+    assert.strictEqual(device.remoteKey, relayed.key);
+    assert.strictEqual(device.key, `${vendors.MEMORY}:${relayed.key}`);
+  });
+
+  it('should get public key and fingerprint', async () => {
+    const device = await signer.selectDevice(vendors.REMOTE);
+    await device.open();
+
+    const xpub = await signer.getXPUB(accountPath);
+
+    assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+    assert.strictEqual(await signer.getFingerprint(),
+      getFingerprint(master.publicKey));
+
+    const addressPath = accountPath.clone().push(0).push(0);
+
+    assert.strictEqual(await signer.getAddress(addressPath),
+      await memory.getAddress(addressPath));
+
+    // relay opens the device, but it is not selected.
+    const [relayed] = await client.signer.getDevices();
+
+    assert.strictEqual(relayed.opened, true);
+    assert.strictEqual(client.signer.selected, null);
+  });
+
+  it('should pass getParentFingerPrint to the relay', async () => {
+    const device = await signer.selectDevice(vendors.REMOTE);
+    const [relayed] = await client.signer.getDevices();
+    const getPublicKey = relayed._getPublicKey.bind(relayed);
+    const flags = [];
+
+    relayed._getPublicKey = (path, getParentFingerPrint) => {
+      flags.push(getParentFingerPrint);
+      return getPublicKey(path, getParentFingerPrint);
+    };
+
+    await device.open();
+    await device.getPublicKey(accountPath);
+    await device.getPublicKey(accountPath, { getParentFingerPrint: false });
+
+    assert.deepStrictEqual(flags, [true, false]);
+  });
+
+  for (const vector of signVectors.vectors) {
+    it(`should sign ${vector.description}`, async () => {
+      const {tx, inputData, outputData} = vector;
+
+      const device = await signer.selectDevice(vendors.REMOTE);
+      await device.open();
+
+      const signatures = await signer.getSignatures(tx, inputData,
+        outputData);
+
+      assert.strictEqual(signatures.length, tx.inputs.length);
+
+      // schnorr signatures are not deterministic.
+      if (inputData.some(data => data.isTaproot()))
+        return;
+
+      const expected = await memory.getSignatures(tx, inputData, outputData);
+
+      for (const [i, signature] of signatures.entries())
+        assert.bufferEqual(signature, expected[i]);
+
+      const mtx = await signer.signTransaction(tx, inputData, outputData);
+      const signed = await memory.signTransaction(tx, inputData, outputData);
+
+      assert.bufferEqual(mtx.toRaw(), signed.toRaw());
+    });
+  }
+
+  it('should reject invalid signatures of the relay', async () => {
+    const {tx, inputData, outputData} = signVectors.vectors[0];
+    const device = await signer.selectDevice(vendors.REMOTE);
+    const [relayed] = await client.signer.getDevices();
+    const getSignatures = relayed._getSignatures.bind(relayed);
+    const signTransaction = relayed._signTransaction.bind(relayed);
+
+    relayed._getSignatures = async (...args) => {
+      const signatures = await getSignatures(...args);
+      return signatures.map(sig => sig ? tamper(sig) : null);
+    };
+
+    relayed._signTransaction = async (...args) => {
+      const mtx = await signTransaction(...args);
+      const [sig, key] = mtx.inputs[0].script.toItems();
+
+      mtx.inputs[0].script.fromItems([tamper(sig), key]);
+
+      return mtx;
+    };
+
+    await device.open();
+
+    await assert.rejects(device.getSignatures(tx, inputData, outputData), {
+      message: 'Invalid signature for input 0.'
+    });
+
+    await assert.rejects(device.signTransaction(tx, inputData, outputData), {
+      message: 'Invalid signature for input 0.'
+    });
+  });
+
+  it('should sign message', async () => {
+    const device = await signer.selectDevice(vendors.REMOTE);
+    await device.open();
+
+    const messagePath = accountPath.clone().push(0).push(0);
+    const message = Buffer.from('bsigner remote device');
+
+    const expected = await memory.signMessage(messagePath, message);
+    const signature = await signer.signMessage(messagePath, message);
+
+    assert.deepStrictEqual(signature.getJSON(), expected.getJSON());
+  });
+
+  it('should mirror connect and disconnect', async () => {
+    const relayManager = client.signer.deviceManagers.get(vendors.MEMORY);
+
+    const connect = once(signer, 'connect');
+    relayManager.addDevice({ key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1)) });
+    const [connected] = await connect;
+
+    assert(connected instanceof RemoteDevice);
+    assert.strictEqual((await signer.getDevices()).length, 2);
+
+    await signer.selectDevice(connected);
+    await connected.open();
+
+    const relayed = await client.signer.getDeviceByKey(connected.remoteKey);
+
+    const deselect = once(signer, 'deselect');
+    const disconnect = once(signer, 'disconnect');
+
+    await relayManager.removeDevice(relayed);
+
+    assert.strictEqual((await deselect)[0], connected);
+    assert.strictEqual((await disconnect)[0], connected);
+    assert.strictEqual(signer.selected, null);
+    assert.strictEqual(connected.destroyed, true);
+    assert.strictEqual((await signer.getDevices()).length, 1);
+  });
+
+  it('should reject relay of another network', async () => {
+    const other = Signer.fromOptions({
+      vendor: vendors.REMOTE,
+      network: 'regtest',
+      logger,
+      [vendors.REMOTE]: {
+        client: new RelayClient({ network, logger })
+      }
+    });
+
+    await assert.rejects(other.open(), {
+      message: `Relay is on ${network.type} network.`
+    });
+  });
+});
+
+/*
+ * Helpers
+ */
+
+function tamper(signature) {
+  const data = Buffer.from(signature);
+  data[10] ^= 1;
+  return data;
+}
@@ -0,0 +1,232 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const {once} = require('events');
+const fs = require('bfile');
+const {Network, MTX, HDPrivateKey} = require('bcoin');
+const {Signer, Path, InputData, OutputData} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {SignerHTTP} = require('../lib/server/http');
+const {SignerClient} = require('../lib/server/client');
+const {errs} = require('../lib/server/rpc');
+const MemoryDevice = require('../lib/device/memory');
+const {getLogger} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = fs.readJSONSync(
+  path.join(__dirname, './data/signVectors.json'));
+const network = Network.get(signVectors.network);
+const accountPath = Path.fromList([44, 1, 0], true);
+
+const apiKey = 'bsigner-test-key';
+const port = 49331;
+
+describe('Server', function () {
+  let signer = null;
+  let server = null;
+  let client = null;
+  let memory = null;
+
+  before(async () => {
+    await logger.open();
+  });
+
+  beforeEach(async () => {
+    signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network,
+      logger,
+      [vendors.MEMORY]: {
+        device: { phrase }
+      }
+    });
+
+    server = new SignerHTTP({
+      signer,
+      logger,
+      apiKey,
+      port
+    });
+
+    client = new SignerClient({
+      network: network.type,
+      port,
+      apiKey
+    });
+
+    memory = MemoryDevice.fromOptions({ phrase, network, logger });
+
+    await signer.open();
+    await server.open();
+    await memory.open();
+  });
+
+  afterEach(async () => {
+    if (client.opened)
+      await client.close();
+
+    await memory.close();
+    await server.close();
+    await signer.close();
+  });
+
+  it('should require api key', async () => {
+    const unauthed = new SignerClient({
+      network: network.type,
+      port,
+      apiKey: 'wrong-key'
+    });
+
+    await assert.rejects(unauthed.getDevices());
+
+    assert.throws(() => new SignerHTTP({ signer, port }), {
+      message: 'API key is required.'
+    });
+  });
+
+  it('should list and select devices', async () => {
+    const devices = await client.getDevices();
+
+    assert.strictEqual(devices.length, 1);
+    assert.strictEqual(devices[0].vendor, vendors.MEMORY);
+    assert.strictEqual(devices[0].selected, false);
+
+    const selected = await client.selectDevice('memory', devices[0].key);
+
+    assert.strictEqual(selected.key, devices[0].key);
+    assert.strictEqual(selected.selected, true);
+    assert.strictEqual(signer.selected.key, devices[0].key);
+
+    assert.strictEqual(await client.deselectDevice(), true);
+    assert.strictEqual(signer.selected, null);
+
+    await assert.rejects(client.selectDevice('memory', 'unknown'), {
+      code: errs.DEVICE_NOT_FOUND,
+      message: 'Device "unknown" not found.'
+    });
+  });
+
+  it('should get public key and address', async () => {
+    await assert.rejects(client.getPublicKey(accountPath.toString()), {
+      code: errs.DEVICE_NOT_SELECTED,
+      message: 'Device was not selected.'
+    });
+
+    await client.selectDevice('memory');
+
+    const xpub = await client.getPublicKey(accountPath.toString());
+
+    assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+
+    const addressPath = accountPath.clone().push(0).push(0);
+    const address = await client.getAddress(addressPath.toString());
+
+    assert.strictEqual(address, await memory.getAddress(addressPath));
+  });
+
+  it('should use the device of the key', async () => {
+    const manager = signer.deviceManagers.get(vendors.MEMORY);
+
+    manager.addDevice({ key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1)) });
+
+    const devices = await client.getDevices(vendors.MEMORY);
+
+    assert.strictEqual(devices.length, 2);
+
+    const xpub = await client.getPublicKey(accountPath.toString(), {
+      vendor: vendors.MEMORY,
+      key: devices[0].key
+    });
+
+    assert.strictEqual(xpub, testxpub(0, network).xpubkey(network));
+
+    // device is opened, but not selected.
+    assert.strictEqual(signer.selected, null);
+  });
+
+  for (const vector of signVectors.vectors) {
+    it(`should sign ${vector.description} over websocket`, async () => {
+      await client.open();
+      await client.selectDevice('memory');
+
+      const tx = MTX.fromRaw(Buffer.from(vector.tx, 'hex'));
+      const inputData = vector.inputData.map(json => InputData.fromJSON(json));
+      const outputData = (vector.outputData || []).map((json) => {
+        return OutputData.fromJSON(json);
+      });
+
+      const signatures = await client.getSignatures(vector.tx,
+        vector.inputData, vector.outputData || []);
+
+      assert.strictEqual(signatures.length, tx.inputs.length);
+
+      if (inputData.some(data => data.isTaproot()))
+        return;
+
+      const expected = await memory.getSignatures(tx, inputData, outputData);
+
+      assert.deepStrictEqual(signatures,
+        expected.map(sig => sig ? sig.toString('hex') : null));
+
+      const hex = await client.signTransaction(vector.tx,
+        vector.inputData, vector.outputData || []);
+      const signed = await memory.signTransaction(tx, inputData, outputData);
+
+      assert.strictEqual(hex, signed.toRaw().toString('hex'));
+    });
+  }
+
+  it('should sign message', async () => {
+    await client.selectDevice('memory');
+
+    const messagePath = accountPath.clone().push(0).push(0);
+    const message = Buffer.from('bsigner server');
+
+    const expected = await memory.signMessage(messagePath, message);
+    const signature = await client.signMessage(messagePath.toString(),
+      message.toString('hex'), { encoding: 'hex' });
+
+    assert.deepStrictEqual(signature, expected.getJSON());
+
+    await assert.rejects(client.signMessage(messagePath.toString(),
+      'message', { encoding: 'base64' }), {
+      code: errs.INVALID_PARAMETER,
+      message: 'Invalid encoding.'
+    });
+  });
+
+  it('should stream device events', async () => {
+    const manager = signer.deviceManagers.get(vendors.MEMORY);
+
+    await client.open();
+    await client.watchDevices();
+
+    const connect = once(client, 'device connect');
+    manager.addDevice({ key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1)) });
+    const [connected] = await connect;
+
+    assert.strictEqual(connected.vendor, vendors.MEMORY);
+
+    const select = once(client, 'device select');
+    await client.selectDevice('memory', connected.key);
+    const [selected] = await select;
+
+    assert.strictEqual(selected.key, connected.key);
+
+    const disconnect = once(client, 'device disconnect');
+    const deselect = once(client, 'device deselect');
+
+    const devices = await manager.getDevices();
+    await manager.removeDevice(devices.find(d => d.key === connected.key));
+
+    assert.strictEqual((await deselect)[0].key, connected.key);
+    assert.strictEqual((await disconnect)[0].key, connected.key);
+
+    await client.unwatchDevices();
+  });
+});
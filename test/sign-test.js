@@ -3,12 +3,17 @@
 
 'use strict';
 
-const {Network, MTX} = require('bcoin');
-const {Signer} = require('../lib/bsigner');
-const {vendors} = require('../lib/common');
-const {getLogger, getTestVendors} = require('./utils/common');
-const {phrase} = require('./utils/key');
+const assert = require('bsert');
+const {Signer, getSigningStatus} = require('../lib/bsigner');
+const {vendors, inputStatus} = require('../lib/common');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions,
+  readSignVectors
+} = require('./utils/common');
 const {InputData} = require('../lib/inputData');
+const {OutputData} = require('../lib/outputData');
 
 const logger = getLogger();
 const enabledVendors = getTestVendors();
@@ -28,13 +33,7 @@ describe('Sign Transaction', function () {
       vendor: enabledVendors,
       network,
       logger,
-      [vendors.LEDGER]: {
-        timeout: 0
-      },
-      [vendors.MEMORY]: {
-        // configure default device of memory device manager.
-        device: { phrase }
-      }
+      ...getVendorOptions(network)
     });
 
     await manager.open();
@@ -55,31 +54,175 @@ describe('Sign Transaction', function () {
 
   for (const vendor of enabledVendors) {
     for (const signVector of signVectors.vectors) {
-      it(`should sign ${signVector.description} (${vendor})`, async () => {
+      const name = `should sign ${signVector.description} (${vendor})`;
+
+      it(name, async function () {
+        // ledger does not support taproot.
+        if (vendor === vendors.LEDGER && isTaprootVector(signVector))
+          this.skip();
+
         const device = await manager.selectDevice(vendor);
         await device.open();
 
-        const {tx, inputData} = signVector;
-        const mtx = await manager.signTransaction(tx, inputData);
+        const {tx, inputData, outputData} = signVector;
+        const mtx = await manager.signTransaction(tx, inputData, outputData);
 
         mtx.check();
         await device.close();
       });
     }
   }
-});
 
-function readSignVectors(path) {
-  const json = require(path);
+  it('should reject change output of another key (MEMORY)', async function () {
+    if (!enabledVendors.has(vendors.MEMORY))
+      this.skip();
+
+    const device = await manager.selectDevice(vendors.MEMORY);
+    await device.open();
+
+    const signVector = signVectors.vectors.find(v => v.outputData.length);
+    const {tx, inputData} = signVector;
+    const [change] = signVector.outputData;
+
+    const list = change.path.toList();
 
-  json.network = Network.get(json.network);
+    // next change address.
+    list[list.length - 1] += 1;
 
-  json.vectors = json.vectors.map((vector) => {
-    vector.tx = MTX.fromRaw(Buffer.from(vector.tx, 'hex'));
-    vector.inputData = vector.inputData.map(data => InputData.fromJSON(data));
+    const outputData = [OutputData.fromOptions({
+      ...change,
+      path: list
+    })];
 
-    return vector;
+    await assert.rejects(manager.signTransaction(tx, inputData, outputData), {
+      message: 'Change output does not belong to the key.'
+    });
+
+    await device.close();
   });
 
-  return json;
+  // SIGHASH_SINGLE | SIGHASH_ANYONECANPAY
+  const sighashType = 0x83;
+
+  for (const vendor of enabledVendors) {
+    for (const signVector of signVectors.vectors) {
+      if (isTaprootVector(signVector))
+        continue;
+
+      const name = `should sign ${signVector.description}`
+        + ` with SINGLE|ANYONECANPAY (${vendor})`;
+
+      it(name, async () => {
+        const device = await manager.selectDevice(vendor);
+        await device.open();
+
+        const {tx} = signVector;
+        const inputData = signVector.inputData.map((data) => {
+          return InputData.fromJSON({
+            ...data.getJSON(network),
+            sighashType
+          });
+        });
+
+        if (vendor === vendors.LEDGER || vendor === vendors.TREZOR) {
+          const message = vendor === vendors.LEDGER
+            ? 'Ledger only supports SIGHASH_ALL.'
+            : 'Trezor only supports SIGHASH_ALL.';
+
+          await assert.rejects(manager.signTransaction(tx, inputData), {
+            message
+          });
+
+          await device.close();
+          return;
+        }
+
+        const signatures = await manager.getSignatures(tx, inputData);
+
+        for (const signature of signatures)
+          assert.strictEqual(signature[signature.length - 1], sighashType);
+
+        const mtx = await manager.signTransaction(tx, inputData);
+
+        mtx.check();
+        await device.close();
+      });
+    }
+  }
+
+  for (const vendor of enabledVendors) {
+    for (const signVector of signVectors.vectors) {
+      if (signVector.inputData.length < 2 || isTaprootVector(signVector))
+        continue;
+
+      const name = `should sign ${signVector.description}`
+        + ` with external inputs (${vendor})`;
+
+      it(name, async function () {
+        // external inputs need to be signed before trezor can sign.
+        if (vendor === vendors.TREZOR)
+          this.skip();
+
+        const device = await manager.selectDevice(vendor);
+        await device.open();
+
+        const {tx} = signVector;
+
+        const [first, second] = tx.inputs.map((input) => {
+          return signVector.inputData.find(d => d.prevout.equals(input.prevout));
+        });
+
+        // first input is marked external, second one has no input data.
+        const inputData = signVector.inputData.filter((data) => {
+          return data !== first && data !== second;
+        });
+
+        inputData.push(InputData.fromJSON({
+          ...first.getJSON(network),
+          external: true
+        }));
+
+        if (vendor === vendors.LEDGER) {
+          await assert.rejects(manager.signTransaction(tx, inputData), {
+            message: 'Ledger does not support external inputs.'
+          });
+
+          await device.close();
+          return;
+        }
+
+        const signatures = await manager.getSignatures(tx, inputData);
+
+        assert.strictEqual(signatures[0], null);
+        assert.strictEqual(signatures[1], null);
+
+        for (const signature of signatures.slice(2))
+          assert(Buffer.isBuffer(signature));
+
+        const mtx = await manager.signTransaction(tx, inputData);
+        const statuses = getSigningStatus(mtx, inputData);
+
+        assert.deepStrictEqual(statuses, [
+          inputStatus.EXTERNAL,
+          inputStatus.EXTERNAL,
+          ...new Array(tx.inputs.length - 2).fill(inputStatus.SIGNED)
+        ]);
+
+        for (let i = 2; i < mtx.inputs.length; i++)
+          assert(mtx.verifyInput(i, mtx.view.getCoinFor(mtx.inputs[i])));
+
+        const result = await manager.signTransactionWithStatus(tx,
+          inputData);
+
+        assert.bufferEqual(result.mtx.toRaw(), mtx.toRaw());
+        assert.deepStrictEqual(result.status, statuses);
+
+        await device.close();
+      });
+    }
+  }
+});
+
+function isTaprootVector(vector) {
+  return vector.inputData.some(data => data.isTaproot());
 }
@@ -0,0 +1,167 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network} = require('bcoin');
+const {Signer, Path, verifyMessage} = require('../lib/bsigner');
+const {scriptTypes} = require('../lib/common');
+const {MessageSignature, headers} = require('../lib/message');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+const enabledVendors = getTestVendors();
+const coinType = network.keyPrefix.coinType;
+
+const message = 'bsigner message';
+
+const typeVectors = [
+  [44, scriptTypes.P2PKH],
+  [49, scriptTypes.P2SH_P2WPKH],
+  [84, scriptTypes.P2WPKH]
+];
+
+describe('Sign Message', function () {
+  this.timeout(1e7);
+
+  let manager = null;
+
+  before(async () => {
+    await logger.open();
+
+    manager = Signer.fromOptions({
+      vendor: enabledVendors,
+      network,
+      logger,
+      ...getVendorOptions(network)
+    });
+
+    await manager.open();
+
+    for (const vendor of enabledVendors) {
+      try {
+        await manager.selectDevice(vendor);
+      } catch (e) {
+        throw new Error(`Could not select device for ${vendor}.`);
+      }
+    }
+  });
+
+  after(async () => {
+    if (manager.opened)
+      await manager.close();
+  });
+
+  for (const vendor of enabledVendors) {
+    describe(`${vendor}`, function () {
+      let device = null;
+
+      beforeEach(async () => {
+        device = await manager.selectDevice(vendor);
+        await device.open();
+      });
+
+      afterEach(async () => {
+        await device.close();
+      });
+
+      for (const [purpose, type] of typeVectors) {
+        it(`should sign message for ${type} address`, async () => {
+          const path = Path.fromList([purpose, coinType, 0], true)
+            .push(0)
+            .push(0);
+
+          const signature = await manager.signMessage(path, message);
+          const address = await manager.getAddress(path);
+          const header = signature.signature[0];
+
+          assert(MessageSignature.isMessageSignature(signature));
+          assert.strictEqual(signature.type, type);
+          assert.strictEqual(signature.address, address);
+          assert.strictEqual(signature.signature.length, 65);
+          assert.strictEqual(header - signature.recovery, headers[type]);
+
+          // same verifier for every vendor.
+          assert.strictEqual(verifyMessage(address, message,
+            signature.signature, network), true);
+          assert.strictEqual(verifyMessage(address, message,
+            signature.base64, network), true);
+          assert.strictEqual(signature.verify(message, network), true);
+          assert.strictEqual(signature.verify('other', network), false);
+        });
+      }
+
+      it('should sign message with script type', async () => {
+        const path = Path.fromList([44, coinType, 0], true).push(0).push(0);
+
+        const signature = await manager.signMessage(path, message, {
+          type: scriptTypes.P2WPKH
+        });
+
+        const address = await manager.getAddress(path, {
+          type: scriptTypes.P2WPKH
+        });
+
+        assert.strictEqual(signature.type, scriptTypes.P2WPKH);
+        assert.strictEqual(signature.address, address);
+        assert.strictEqual(signature.verify(message, network), true);
+      });
+
+      it('should reject script type without header', async () => {
+        const path = Path.fromList([84, coinType, 0], true).push(0).push(0);
+
+        await assert.rejects(manager.signMessage(path, message, {
+          type: scriptTypes.P2TR
+        }), {
+          message: 'Script type P2TR is not supported for message signing.'
+        });
+      });
+    });
+  }
+
+  it('should serialize message signature', () => {
+    const signature = MessageSignature.fromOptions({
+      type: scriptTypes.P2SH_P2WPKH,
+      address: '2N5zyDp6jD9zQotW6uD3sHSfcvyQMS8eN8C',
+      signature: Buffer.alloc(65, 0x1f)
+    });
+
+    assert.strictEqual(signature.signature[0],
+      headers.P2SH_P2WPKH + signature.recovery);
+
+    const json = signature.getJSON();
+    const parsed = MessageSignature.fromJSON(json);
+
+    assert.deepStrictEqual(parsed.getJSON(), json);
+    assert.bufferEqual(parsed.signature, signature.signature);
+  });
+
+  it('should keep uncompressed message signature header', () => {
+    const address = 'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn';
+
+    for (let header = 27; header < 31; header++) {
+      const signature = MessageSignature.fromOptions({
+        type: scriptTypes.P2PKH,
+        address,
+        signature: Buffer.alloc(65, header)
+      });
+
+      assert.strictEqual(signature.signature[0], header);
+      assert.strictEqual(signature.recovery, header - 27);
+    }
+
+    assert.throws(() => MessageSignature.fromOptions({
+      type: scriptTypes.P2WPKH,
+      address,
+      signature: Buffer.alloc(65, 27)
+    }), {
+      message: 'Uncompressed signature must be P2PKH.'
+    });
+  });
+});
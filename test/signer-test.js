@@ -0,0 +1,95 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Network, HDPrivateKey} = require('bcoin');
+const {Signer} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {getLogger} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const network = Network.get('regtest');
+const logger = getLogger();
+
+describe('Signer', function () {
+  let signer = null;
+  let manager = null;
+
+  beforeEach(async () => {
+    await logger.open();
+
+    signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network,
+      logger,
+      [vendors.MEMORY]: {
+        device: { phrase }
+      }
+    });
+
+    manager = signer.deviceManagers.get(vendors.MEMORY);
+    manager.addDevice({ key: HDPrivateKey.fromSeed(Buffer.alloc(32, 1)) });
+
+    await signer.open();
+  });
+
+  afterEach(async () => {
+    if (signer.opened)
+      await signer.close();
+  });
+
+  it('should list devices of all vendors', async () => {
+    const devices = await signer.getDevices();
+    const expected = await manager.getDevices();
+
+    assert.strictEqual(devices.length, 2);
+
+    for (const [i, device] of devices.entries())
+      assert.strictEqual(device, expected[i]);
+
+    // same objects on every call.
+    const again = await signer.getDevices();
+
+    for (const [i, device] of again.entries())
+      assert.strictEqual(device, devices[i]);
+  });
+
+  it('should list devices of the vendor', async () => {
+    const devices = await signer.getDevices({ vendor: vendors.MEMORY });
+
+    assert.strictEqual(devices.length, 2);
+
+    await assert.rejects(signer.getDevices({ vendor: vendors.LEDGER }), {
+      message: `Vendor "${vendors.LEDGER}" not found or not enabled.`
+    });
+  });
+
+  it('should list device once', async () => {
+    const [device] = await signer.getDevices();
+
+    // same device under another handle.
+    manager.cachedDevices.set('duplicate', device);
+
+    const devices = await signer.getDevices();
+
+    assert.strictEqual(devices.length, 2);
+  });
+
+  it('should find and select device by key', async () => {
+    const [, device] = await signer.getDevices();
+
+    assert.strictEqual(await signer.getDeviceByKey(device.key), device);
+    assert.strictEqual(await signer.getDeviceByKey('unknown'), null);
+
+    const selected = await signer.selectDeviceByKey(device.key);
+
+    assert.strictEqual(selected, device);
+    assert.strictEqual(signer.selected, device);
+
+    await assert.rejects(signer.selectDeviceByKey('unknown'), {
+      message: 'Device "unknown" not found.'
+    });
+  });
+});
@@ -15,15 +15,16 @@ const {
   Network
 } = require('bcoin');
 
-const {Path, Signer, vendors} = require('../lib/bsigner');
+const {Path, Signer} = require('../lib/bsigner');
 const MemWallet = require('./utils/memwallet');
 const {
   getLogger,
   getTestVendors,
+  getVendorOptions,
   p2pkhSignatureInputs,
   testdir
 } = require('./utils/common');
-const {testxpub, phrase} = require('./utils/key');
+const {testxpub} = require('./utils/key');
 
 /*
  * test signing
@@ -160,13 +161,7 @@ describe('Signing Transactions', function () {
       vendor: enabledVendors,
       network,
       logger,
-      [vendors.LEDGER]: {
-        timeout: 0
-      },
-      [vendors.MEMORY]: {
-        // configure default device of memory device manager.
-        device: { phrase }
-      }
+      ...getVendorOptions(network)
     });
 
     await manager.open();
@@ -0,0 +1,257 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const fs = require('fs');
+const Path = require('path');
+const assert = require('bsert');
+const bech32 = require('bcrypto/lib/encoding/bech32');
+const schnorr = require('bcrypto/lib/schnorr');
+const {Network, MTX, TX, Script, Output, HDPrivateKey} = require('bcoin');
+const {Signer} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const {InputData} = require('../lib/inputData');
+const taproot = require('../lib/taproot');
+const {
+  getLogger,
+  getTestVendors,
+  getVendorOptions
+} = require('./utils/common');
+const {phrase} = require('./utils/key');
+
+const logger = getLogger();
+const enabledVendors = getTestVendors();
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0086.mediawiki
+const bip86Vectors = [{
+  path: 'm/86\'/0\'/0\'/0/0',
+  internalKey: 'cc8a4bc64d897bddc5fbc2f670f7a8ba0b386779106cf1223c6fc5d7cd6fc115',
+  outputKey: 'a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c',
+  address: 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+}];
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0341/wallet-test-vectors.json
+const bip341Vectors = readBIP341Vectors(
+  Path.join(__dirname, 'data', 'bip341Vectors.json'));
+
+// @see https://github.com/bitcoin/bips/blob/master/bip-0350.mediawiki
+const bip350Vectors = [{
+  outputKey: '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+  address: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'
+}];
+
+describe('Taproot', function () {
+  this.timeout(1e7);
+
+  const master = HDPrivateKey.fromPhrase(phrase);
+
+  for (const vector of bip86Vectors) {
+    it(`should derive BIP86 output key (${vector.path})`, () => {
+      const key = master.derivePath(vector.path);
+      const internalKey = taproot.toXOnly(key.publicKey);
+      const outputKey = taproot.tweakPublicKey(key.publicKey);
+      const script = taproot.fromPublicKey(key.publicKey);
+
+      assert.strictEqual(internalKey.toString('hex'), vector.internalKey);
+      assert.strictEqual(outputKey.toString('hex'), vector.outputKey);
+      assert.strictEqual(taproot.isTaprootScript(script), true);
+      assert.bufferEqual(taproot.getOutputKey(script), outputKey);
+      assert.strictEqual(taproot.toAddress(script, 'main'), vector.address);
+    });
+  }
+
+  for (const vector of bip350Vectors) {
+    it(`should encode and decode bech32m address (${vector.address})`, () => {
+      const outputKey = Buffer.from(vector.outputKey, 'hex');
+
+      assert.strictEqual(taproot.toAddress(outputKey, 'main'), vector.address);
+      assert.bufferEqual(taproot.fromAddress(vector.address, 'main'),
+        outputKey);
+      assert.bufferEqual(
+        taproot.fromAddress(vector.address.toUpperCase(), 'main'), outputKey);
+    });
+  }
+
+  it('should reject bech32 encoded taproot address', () => {
+    const outputKey = Buffer.from(bip350Vectors[0].outputKey, 'hex');
+    const address = bech32.encode('bc', 1, outputKey);
+
+    assert.throws(() => taproot.fromAddress(address, 'main'), {
+      message: 'Invalid bech32m checksum.'
+    });
+  });
+
+  it('should tweak private key', () => {
+    const key = master.derivePath(bip86Vectors[0].path);
+    const tweaked = taproot.tweakPrivateKey(key.privateKey);
+
+    assert.bufferEqual(schnorr.publicKeyCreate(tweaked),
+      taproot.tweakPublicKey(key.publicKey));
+  });
+
+  it('should sign and verify key path input', () => {
+    const key = master.derivePath(bip86Vectors[0].path);
+    const script = taproot.fromPublicKey(key.publicKey);
+    const coins = [{ value: 1e4, script }];
+
+    const tx = new MTX();
+    tx.addInput({ prevout: { hash: Buffer.alloc(32, 1), index: 0 } });
+    tx.addOutput(script, 9e3);
+
+    const signature = taproot.signInput(tx, 0, coins, key.privateKey);
+    const signatureAll = taproot.signInput(tx, 0, coins, key.privateKey,
+      taproot.hashType.ALL);
+
+    assert.strictEqual(signature.length, 64);
+    assert.strictEqual(signatureAll.length, 65);
+    assert.strictEqual(taproot.verifyInput(tx, 0, coins, signature), true);
+    assert.strictEqual(taproot.verifyInput(tx, 0, coins, signatureAll), true);
+
+    tx.outputs[0].value = 8e3;
+    assert.strictEqual(taproot.verifyInput(tx, 0, coins, signature), false);
+  });
+
+  for (const vector of bip341Vectors) {
+    const {tx, signed, coins} = vector;
+
+    for (const input of vector.inputs) {
+      const {index, type} = input;
+
+      it(`should match BIP341 key path vector (input ${index})`, () => {
+        const hash = taproot.signatureHash(tx, index, coins, type);
+
+        assert.bufferEqual(hash, input.sigHash);
+
+        // tweaked key of the script tree is given.
+        if (!input.merkleRoot) {
+          assert.bufferEqual(taproot.tweakPrivateKey(input.internalKey),
+            input.tweakedKey);
+        }
+
+        // vectors are signed with zero auxiliary randomness.
+        const sig = schnorr.sign(hash, input.tweakedKey, Buffer.alloc(32));
+
+        assert.bufferEqual(sig, input.witness.slice(0, 64));
+        assert.strictEqual(
+          taproot.verifyInput(signed, index, coins, input.witness), true);
+      });
+    }
+  }
+
+  describe('Sign', function () {
+    const signVectors = readTaprootVectors(
+      Path.join(__dirname, 'data', 'signVectors.json'));
+    const network = signVectors.network;
+
+    let manager = null;
+
+    before(async () => {
+      await logger.open();
+
+      manager = Signer.fromOptions({
+        vendor: enabledVendors,
+        network,
+        logger,
+        ...getVendorOptions(network)
+      });
+
+      await manager.open();
+    });
+
+    after(async () => {
+      if (manager.opened)
+        await manager.close();
+    });
+
+    for (const vendor of enabledVendors) {
+      // ledger does not support taproot.
+      if (vendor === vendors.LEDGER)
+        continue;
+
+      for (const vector of signVectors.vectors) {
+        const {tx, inputData} = vector;
+
+        it(`should sign ${vector.description} (${vendor})`, async () => {
+          const device = await manager.selectDevice(vendor);
+          await device.open();
+
+          const coins = getSpentOutputs(tx, inputData);
+          const signatures = await manager.getSignatures(tx, inputData);
+          const mtx = await manager.signTransaction(tx, inputData);
+
+          for (const [i, input] of mtx.inputs.entries()) {
+            if (!taproot.isTaprootScript(coins[i].script))
+              continue;
+
+            const [signature] = input.witness.toArray();
+
+            assert.strictEqual(input.witness.items.length, 1);
+            assert.strictEqual(signatures[i].length, 64);
+            assert(taproot.verifyInput(mtx, i, coins, signatures[i]));
+            assert(taproot.verifyInput(mtx, i, coins, signature));
+          }
+
+          mtx.check();
+          await device.close();
+        });
+      }
+    }
+  });
+});
+
+function getSpentOutputs(tx, inputData) {
+  return tx.inputs.map((input) => {
+    const data = inputData.find(d => d.prevout.equals(input.prevout));
+    return data.output;
+  });
+}
+
+function readBIP341Vectors(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return json.keyPathSpending.map((vector) => {
+    const {given, inputSpending, auxiliary} = vector;
+
+    return {
+      tx: TX.fromRaw(Buffer.from(given.rawUnsignedTx, 'hex')),
+      signed: TX.fromRaw(Buffer.from(auxiliary.fullySignedTx, 'hex')),
+      coins: given.utxosSpent.map((utxo) => {
+        return new Output({
+          value: utxo.amountSats,
+          script: Script.fromRaw(Buffer.from(utxo.scriptPubKey, 'hex'))
+        });
+      }),
+      inputs: inputSpending.map((input) => {
+        return {
+          index: input.given.txinIndex,
+          type: input.given.hashType,
+          merkleRoot: input.given.merkleRoot,
+          internalKey: Buffer.from(input.given.internalPrivkey, 'hex'),
+          tweakedKey: Buffer.from(input.intermediary.tweakedPrivkey, 'hex'),
+          sigHash: Buffer.from(input.intermediary.sigHash, 'hex'),
+          witness: Buffer.from(input.expected.witness[0], 'hex')
+        };
+      })
+    };
+  });
+}
+
+function readTaprootVectors(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const vectors = json.vectors.map((vector) => {
+    return {
+      description: vector.description,
+      tx: MTX.fromRaw(Buffer.from(vector.tx, 'hex')),
+      inputData: vector.inputData.map(data => InputData.fromJSON(data))
+    };
+  }).filter((vector) => {
+    return vector.inputData.some(data => data.isTaproot());
+  });
+
+  return {
+    network: Network.get(json.network),
+    vectors
+  };
+}
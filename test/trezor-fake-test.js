@@ -0,0 +1,282 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const {Signer, Path} = require('../lib/bsigner');
+const {vendors} = require('../lib/common');
+const MemoryDevice = require('../lib/device/memory');
+const common = require('../lib/device/helpers/common');
+const helpers = require('../lib/device/helpers/trezor');
+const taproot = require('../lib/taproot');
+const {FakeTrezorConnect} = require('../lib/trezor/fake');
+const {getLogger, readSignVectors} = require('./utils/common');
+const {phrase, testxpub} = require('./utils/key');
+
+const logger = getLogger();
+const signVectors = readSignVectors('./data/signVectors.json');
+const network = signVectors.network;
+
+describe('Fake TrezorConnect', function () {
+  let connect = null;
+  let signer = null;
+  let manager = null;
+  let memory = null;
+
+  before(async () => {
+    await logger.open();
+  });
+
+  beforeEach(async () => {
+    connect = FakeTrezorConnect.fromOptions({ phrase });
+    signer = createSigner({ connect });
+    manager = signer.deviceManagers.get(vendors.TREZOR);
+    memory = MemoryDevice.fromOptions({ phrase, network, logger });
+
+    await signer.open();
+    await memory.open();
+  });
+
+  afterEach(async () => {
+    await memory.close();
+
+    if (signer.opened)
+      await signer.close();
+  });
+
+  it('should plug into trezor manager', async () => {
+    const devices = await manager.getDevices();
+
+    assert.strictEqual(devices.length, 1);
+    assert.strictEqual(devices[0].handle, connect.path);
+    assert.strictEqual(devices[0].key, connect.deviceID);
+
+    await signer.selectDevice(vendors.TREZOR);
+
+    const accountPath = Path.fromList([44, 1, 0], true);
+    const xpub = await signer.getPublicKey(accountPath);
+
+    assert.strictEqual(xpub.xpubkey(network),
+      testxpub(0, network).xpubkey(network));
+  });
+
+  it('should get address as memory device', async () => {
+    const device = await signer.selectDevice(vendors.TREZOR);
+
+    for (const purpose of [44, 49, 84, 86]) {
+      const addressPath = Path.fromList([purpose, 1, 0], true).push(0).push(3);
+      const expected = await memory.getAddress(addressPath);
+      const address = await device.getAddress(addressPath);
+
+      assert.strictEqual(address, expected);
+    }
+  });
+
+  for (const vector of signVectors.vectors) {
+    it(`should sign ${vector.description} as memory device`, async () => {
+      const {tx, inputData, outputData} = vector;
+      const device = await signer.selectDevice(vendors.TREZOR);
+
+      const expected = await memory.getSignatures(tx, inputData, outputData);
+      const signatures = await device.getSignatures(tx, inputData,
+        outputData);
+
+      assert.strictEqual(signatures.length, expected.length);
+
+      const inputDataMap = common.prepareSignOptions(inputData);
+      const coins = common.getSpentOutputs(tx, inputDataMap);
+
+      for (const [i, signature] of signatures.entries()) {
+        const data = inputDataMap.get(tx.inputs[i].prevout.toKey());
+
+        // schnorr signatures are not deterministic.
+        if (data.isTaproot()) {
+          assert(taproot.verifyInput(tx, i, coins, signature));
+          continue;
+        }
+
+        assert.bufferEqual(signature, expected[i]);
+      }
+
+      const mtx = await device.signTransaction(tx, inputData, outputData);
+
+      assert.strictEqual(mtx.inputs.length, tx.inputs.length);
+      assert.strictEqual(mtx.outputs.length, tx.outputs.length);
+
+      // multisig inputs are not fully signed.
+      for (const [i, input] of mtx.inputs.entries()) {
+        const data = inputDataMap.get(input.prevout.toKey());
+
+        if (data.isTaproot() || data.multisig)
+          continue;
+
+        assert(mtx.verifyInput(i, mtx.view.getCoinFor(input)));
+      }
+    });
+  }
+
+  it('should sign message as memory device', async () => {
+    const device = await signer.selectDevice(vendors.TREZOR);
+    const messagePath = Path.fromList([44, 1, 0], true).push(0).push(0);
+    const message = Buffer.from('bsigner fake trezor');
+
+    const expected = await memory.signMessage(messagePath, message);
+    const signature = await device.signMessage(messagePath, message);
+
+    assert.deepStrictEqual(signature.getJSON(), expected.getJSON());
+    assert(signature.verify(message, network));
+  });
+
+  it('should emit connect and disconnect', async () => {
+    const device = await signer.selectDevice(vendors.TREZOR);
+    const events = [];
+
+    manager.on('disconnect', d => events.push(['disconnect', d]));
+    manager.on('connect', d => events.push(['connect', d]));
+
+    connect.disconnectDevice();
+
+    assert.strictEqual(device.destroyed, true);
+    assert.strictEqual(manager.selected, null);
+    assert.deepStrictEqual(await manager.getDevices(), []);
+
+    connect.connectDevice();
+
+    const devices = await manager.getDevices();
+
+    assert.strictEqual(devices.length, 1);
+    assert.notStrictEqual(devices[0], device);
+    assert.deepStrictEqual(events, [
+      ['disconnect', device],
+      ['connect', devices[0]]
+    ]);
+  });
+
+  it('should request PIN from the host', async () => {
+    await signer.close();
+
+    const requests = [];
+    let pin = '1111';
+
+    connect = FakeTrezorConnect.fromOptions({ phrase, pin: '1234' });
+    signer = createSigner({
+      connect,
+      getPIN: async (device, details) => {
+        requests.push(details);
+        return pin;
+      }
+    });
+
+    await signer.open();
+    await signer.selectDevice(vendors.TREZOR);
+
+    const accountPath = Path.fromList([44, 1, 0], true);
+
+    await assert.rejects(signer.getPublicKey(accountPath), {
+      message: 'PIN invalid'
+    });
+
+    pin = '1234';
+
+    const xpub = await signer.getPublicKey(accountPath);
+
+    assert.strictEqual(xpub.xpubkey(network),
+      testxpub(0, network).xpubkey(network));
+
+    // device is unlocked.
+    await signer.getPublicKey(accountPath);
+
+    assert.strictEqual(requests.length, 2);
+    assert.deepStrictEqual(requests[0], {
+      type: 'PinMatrixRequestType_Current'
+    });
+  });
+
+  it('should reject modified reference transaction', async () => {
+    const vector = signVectors.vectors.find(v => v.description === 'P2PKH');
+    const {tx, inputData, outputData} = vector;
+
+    const createRequest = () => {
+      const request = helpers.createTrezorInputs(
+        tx,
+        common.prepareSignOptions(inputData),
+        network,
+        common.prepareOutputData(tx, outputData)
+      );
+
+      return {
+        device: { path: connect.path },
+        coin: helpers.getCoinType(network),
+        ...request
+      };
+    };
+
+    const valid = await connect.signTransaction(createRequest());
+
+    assert.strictEqual(valid.success, true);
+
+    const modifiedRef = createRequest();
+    const ref = modifiedRef.refTxs[0];
+    const prevIndex = modifiedRef.inputs[0].prev_index;
+
+    ref.bin_outputs[prevIndex].amount += 1;
+
+    const refResponse = await connect.signTransaction(modifiedRef);
+
+    assert.strictEqual(refResponse.success, false);
+    assert.strictEqual(refResponse.payload.error,
+      'Encountered invalid prev_hash');
+
+    const modifiedAmount = createRequest();
+
+    modifiedAmount.inputs[0].amount = '1';
+
+    const amountResponse = await connect.signTransaction(modifiedAmount);
+
+    assert.strictEqual(amountResponse.success, false);
+    assert.strictEqual(amountResponse.payload.error,
+      'Invalid amount specified');
+  });
+
+  it('should reject output with address and address_n', async () => {
+    const vector = signVectors.vectors.find(v => v.description === 'P2WPKH');
+    const {tx, inputData, outputData} = vector;
+
+    const request = helpers.createTrezorInputs(
+      tx,
+      common.prepareSignOptions(inputData),
+      network,
+      common.prepareOutputData(tx, outputData)
+    );
+
+    const change = request.outputs.find(output => output.address_n);
+
+    assert(change, 'Vector must have change output.');
+
+    change.address_n = Path.fromList([44, 1, 0], true).push(0).push(0).toList();
+    change.address = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx';
+
+    const response = await connect.signTransaction({
+      coin: helpers.getCoinType(network),
+      ...request
+    });
+
+    assert.strictEqual(response.success, false);
+    assert.strictEqual(response.payload.error,
+      'Both address and address_n provided.');
+  });
+});
+
+/*
+ * Helpers
+ */
+
+function createSigner(options) {
+  return Signer.fromOptions({
+    vendor: vendors.TREZOR,
+    network,
+    logger,
+    [vendors.TREZOR]: options
+  });
+}
@@ -3,10 +3,20 @@
 const path = require('path');
 const assert = require('bsert');
 const Logger = require('blgr');
-const {HDPublicKey, KeyRing, Address} = require('bcoin');
+const fs = require('bfile');
+const {Network, MTX, HDPublicKey, KeyRing, Address} = require('bcoin');
 const {tmpdir} = require('os');
 const {randomBytes} = require('bcrypto/lib/random');
-const {parseVendors} = require('../../lib/common');
+const {parseVendors, vendors} = require('../../lib/common');
+const {InputData} = require('../../lib/inputData');
+const {OutputData} = require('../../lib/outputData');
+const {getFingerprint, fingerprintToHex} = require('../../lib/psbt');
+const {LedgerEmulator} = require('../../lib/ledger/emulator');
+const {FakeTrezorConnect} = require('../../lib/trezor/fake');
+const {OfflineSigner} = require('../../lib/airgap/offline');
+const MemoryDevice = require('../../lib/device/memory');
+const {RelayClient} = require('./relay');
+const {phrase} = require('./key');
 
 const common = exports;
 
@@ -29,6 +39,50 @@ common.getTestVendors = function getTestVendors() {
   return parseVendors(enabledVendors);
 };
 
+/*
+ * Manager options of every vendor for the tests.
+ * Ledger uses emulator with TEST_LEDGER_EMULATOR env variable
+ * and Trezor uses fake TrezorConnect with TEST_TREZOR_FAKE.
+ * File device is imported from the test phrase with cheap scrypt
+ * parameters, airgap requests are answered by the offline signer
+ * and remote relay with the memory device runs while the client is open.
+ * @param {Network} network
+ * @param {Object} [overrides={}] - options by vendor.
+ * @returns {Object} - options by vendor.
+ */
+common.getVendorOptions = function getVendorOptions(network, overrides = {}) {
+  const options = {
+    [vendors.LEDGER]: {
+      timeout: 0
+    },
+    [vendors.TREZOR]: {},
+    [vendors.MEMORY]: {
+      device: { phrase }
+    },
+    [vendors.FILE]: {
+      passphrase: 'bsigner-test',
+      device: { phrase, N: 1024 }
+    },
+    [vendors.AIRGAP]: {
+      getResponse: getAirgapResponse
+    },
+    [vendors.REMOTE]: {
+      client: new RelayClient({ network })
+    }
+  };
+
+  if (process.env.TEST_LEDGER_EMULATOR)
+    options[vendors.LEDGER].transport = LedgerEmulator.fromOptions({ phrase });
+
+  if (process.env.TEST_TREZOR_FAKE)
+    options[vendors.TREZOR].connect = FakeTrezorConnect.fromOptions({ phrase });
+
+  for (const [vendor, override] of Object.entries(overrides))
+    options[vendor] = { ...options[vendor], ...override };
+
+  return options;
+};
+
 /*
  * @param {options}
  * @param {options.hdPublicKey}
@@ -106,9 +160,68 @@ common.p2pkhSignatureInputs = function p2pkhSignatureInputs(mtx, wallet, account
   return inputData;
 };
 
+/*
+ * Read sign vectors of the test data.
+ * @param {String} file - relative to the test directory.
+ * @returns {Object} - network and vectors.
+ */
+common.readSignVectors = function readSignVectors(file) {
+  const json = fs.readJSONSync(path.join(__dirname, '..', file));
+
+  json.network = Network.get(json.network);
+
+  json.vectors = json.vectors.map((vector) => {
+    vector.tx = MTX.fromRaw(Buffer.from(vector.tx, 'hex'));
+    vector.inputData = vector.inputData.map(data => InputData.fromJSON(data));
+    vector.outputData = (vector.outputData || []).map((data) => {
+      return OutputData.fromJSON(data);
+    });
+
+    return vector;
+  });
+
+  return json;
+};
+
+/*
+ * Fingerprint of the key as hex.
+ * @param {HDPrivateKey|HDPublicKey} key
+ * @returns {String}
+ */
+common.getFingerprintHex = function getFingerprintHex(key) {
+  return fingerprintToHex(getFingerprint(key.publicKey));
+};
+
 common.testdir = function testdir(name) {
   assert(/^[a-z]+$/.test(name), 'Invalid name');
 
   const uniq = randomBytes(4).toString('hex');
   return path.join(tmpdir(), `bcoin-test-${name}-${uniq}`);
 };
+
+/*
+ * Helpers
+ */
+
+/*
+ * Answer airgap request with the offline signer
+ * of the memory device, signer is closed after it.
+ * @param {AirgapRequest} request
+ * @returns {Promise<AirgapResponse>}
+ */
+async function getAirgapResponse(request) {
+  const device = MemoryDevice.fromOptions({
+    phrase,
+    network: request.network
+  });
+
+  const signer = OfflineSigner.fromOptions({ device });
+
+  await signer.open();
+
+  try {
+    return await signer.handleRequest(request);
+  } finally {
+    await signer.close();
+  }
+}
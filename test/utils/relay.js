@@ -0,0 +1,61 @@
+'use strict';
+
+const Network = require('bcoin/lib/protocol/network');
+const Signer = require('../../lib/signer');
+const {SignerHTTP} = require('../../lib/server/http');
+const {SignerClient} = require('../../lib/server/client');
+const {vendors} = require('../../lib/common');
+const {phrase} = require('./key');
+
+const apiKey = 'bsigner-relay-key';
+
+// every relay listens on its own port.
+let port = 49340;
+
+/*
+ * Client of the relay that runs in the same process,
+ * relay (signer server) with the memory device of
+ * the test phrase is started when client opens.
+ */
+class RelayClient extends SignerClient {
+  constructor(options = {}) {
+    const relayPort = port++;
+
+    super({
+      port: relayPort,
+      apiKey
+    });
+
+    this.network = Network.get(options.network);
+
+    this.signer = Signer.fromOptions({
+      vendor: vendors.MEMORY,
+      network: this.network,
+      logger: options.logger,
+      [vendors.MEMORY]: {
+        device: { phrase }
+      }
+    });
+
+    this.server = new SignerHTTP({
+      signer: this.signer,
+      logger: options.logger,
+      port: relayPort,
+      apiKey
+    });
+  }
+
+  async open() {
+    await this.signer.open();
+    await this.server.open();
+    await super.open();
+  }
+
+  async close() {
+    await super.close();
+    await this.server.close();
+    await this.signer.close();
+  }
+}
+
+exports.RelayClient = RelayClient;